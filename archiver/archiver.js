@@ -0,0 +1,423 @@
+const { ethers } = require('ethers');
+const { loadKzg, verifyBlob } = require('../lib/blob-retrieval');
+const { loadBlobUtils } = require('../lib/load-blob-utils');
+
+const REGISTRY_ABI = [
+  'function register(string endpoint) payable',
+  'function batchCommitToBlobs(bytes32[] blobHashes)',
+  'function archivers(address) view returns (uint256 stake, uint256 registeredAt, uint256 lastClaimAt, ' +
+    'uint256 blobCount, uint256 successfulChallenges, uint256 failedChallenges, bool active, string endpoint)',
+  'function challenges(uint256) view returns (address challenger, address archiver, bytes32 blobHash, ' +
+    'uint256 deadline, bool resolved, bool archiverWon)',
+  'event ChallengeCreated(uint256 indexed challengeId, address indexed challenger, address indexed archiver, bytes32 blobHash)',
+];
+
+// Framed, packed and original-format BlobSocial blobs; anything else in a
+// block is somebody else's data
+function isBlobSocial(utils, data) {
+  try {
+    if (utils.decodeBlobFrame(data) || utils.decodePackedBlob(data)) return true;
+    utils.validateEnvelope(utils.decodeBlobData(data));
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * What an archiver signs when it answers a challenge: the chain, registry,
+ * challenge and the commitment of the blob it holds
+ */
+function challengeAnswerHash({ chainId, registry, challengeId, blobHash, commitment }) {
+  return ethers.solidityPackedKeccak256(
+    ['uint256', 'address', 'uint256', 'bytes32', 'bytes'],
+    [chainId, registry, challengeId, blobHash, commitment],
+  );
+}
+
+/**
+ * Archiver node for ArchiverRegistry. Follows L1 blocks `confirmations`
+ * behind the head and archives every BlobSocial blob in them, fetched through
+ * a BlobRetriever (beacon first) and checked against its versioned hash. New
+ * blobs are committed to with batchCommitToBlobs once `commitBatchSize` wait
+ * or the oldest has waited `commitInterval` ms; one commit is in flight at a
+ * time, and a reverted or dropped one is retried. ChallengeCreated events
+ * naming this archiver are answered with the blob's KZG commitment and proof,
+ * signed, and posted to `verifierUrl` when one is set. A challenged blob
+ * missing from the archive is fetched from the other sources first.
+ */
+class BlobArchiver {
+  constructor(store, options) {
+    this.store = store;
+    this.signer = options.signer;
+    this.retriever = options.retriever;
+    this.registryAddress = options.registryAddress;
+    this.endpoint = options.endpoint || null;
+    this.stake = options.stake ?? null;
+    this.startBlock = options.startBlock ?? null;
+    this.confirmations = options.confirmations ?? 2;
+    this.blockRange = options.blockRange || 20;
+    this.logRange = options.logRange || 5000;
+    this.maxBlockAttempts = options.maxBlockAttempts || 5;
+    this.commitBatchSize = options.commitBatchSize || 32;
+    this.commitInterval = options.commitInterval || 10 * 60 * 1000;
+    this.dropTimeout = options.dropTimeout || 10 * 60 * 1000;
+    this.pollInterval = options.pollInterval || 12000;
+    this.verifierUrl = options.verifierUrl || null;
+    this.kzg = options.kzg || null;
+
+    this.registry = new ethers.Contract(this.registryAddress, REGISTRY_ABI, this.signer);
+    this.state = {
+      lastBlock: null,
+      challengeBlock: null,
+      archived: 0,
+      committed: 0,
+      pendingCommits: [],
+      commit: null,
+      blockAttempts: {},
+      skippedBlocks: [],
+      challenges: {},
+      ...store.readState(),
+    };
+
+    this.chainId = null;
+    this.registration = null;
+    this.timer = null;
+    this.running = false;
+    this.lastError = null;
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+    const loop = async () => {
+      try {
+        await this.tick();
+        this.lastError = null;
+      } catch (e) {
+        this.lastError = e.shortMessage || e.message;
+        console.error('Archiver error:', this.lastError);
+      }
+      if (this.running) {
+        this.timer = setTimeout(loop, this.pollInterval);
+      }
+    };
+    loop();
+  }
+
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+  }
+
+  status() {
+    const challenges = { open: 0, answered: 0, won: 0, lost: 0 };
+    for (const challenge of Object.values(this.state.challenges)) {
+      challenges[challenge.status]++;
+    }
+    return {
+      archiver: this.signer.address,
+      registry: this.registryAddress,
+      chainId: this.chainId,
+      registration: this.registration,
+      lastBlock: this.state.lastBlock,
+      archived: this.state.archived,
+      committed: this.state.committed,
+      pendingCommits: this.state.pendingCommits.length,
+      commit: this.state.commit,
+      skippedBlocks: this.state.skippedBlocks.slice(-20),
+      challenges,
+      lastError: this.lastError,
+    };
+  }
+
+  save() {
+    this.store.writeState(this.state);
+  }
+
+  getKzg() {
+    if (!this.kzg) this.kzg = loadKzg();
+    return this.kzg;
+  }
+
+  async tick() {
+    const provider = this.signer.provider;
+    if (this.chainId === null) {
+      this.chainId = Number((await provider.getNetwork()).chainId);
+    }
+    const head = await provider.getBlockNumber();
+
+    await this.refreshRegistration();
+    await this.follow(head);
+    await this.commit();
+    await this.answerChallenges(head);
+    this.save();
+  }
+
+  // Read this archiver's registry entry, registering with `stake` if it has
+  // none yet
+  async refreshRegistration() {
+    let entry = await this.registry.archivers(this.signer.address);
+    if (entry.registeredAt === 0n && this.stake !== null && this.endpoint) {
+      const tx = await this.registry.register(this.endpoint, { value: this.stake });
+      console.log(`🗄️  Registering as archiver at ${this.endpoint} (tx ${tx.hash})`);
+      await tx.wait();
+      entry = await this.registry.archivers(this.signer.address);
+    }
+
+    const registration = {
+      registered: entry.registeredAt !== 0n,
+      active: entry.active,
+      stake: ethers.formatEther(entry.stake),
+      blobCount: Number(entry.blobCount),
+      endpoint: entry.endpoint || null,
+    };
+    if (!registration.active && (!this.registration || this.registration.active)) {
+      console.warn(registration.registered
+        ? '🗄️  Archiver is not active in the registry; blobs are archived but not committed to'
+        : '🗄️  Archiver is not registered; set ARCHIVER_STAKE and ARCHIVER_ENDPOINT to register');
+    }
+    if (registration.active && this.endpoint && registration.endpoint !== this.endpoint) {
+      console.warn(`🗄️  Registered endpoint is ${registration.endpoint}, not ${this.endpoint}`);
+    }
+    this.registration = registration;
+  }
+
+  // Archive the next confirmed blocks. A block whose blobs can't be fetched
+  // is retried on later ticks, then skipped after maxBlockAttempts.
+  async follow(head) {
+    const safe = head - this.confirmations;
+    if (this.state.lastBlock === null) {
+      this.state.lastBlock = (this.startBlock ?? safe + 1) - 1;
+    }
+    if (this.state.challengeBlock === null) {
+      this.state.challengeBlock = this.state.lastBlock;
+    }
+
+    const to = Math.min(safe, this.state.lastBlock + this.blockRange);
+    for (let number = this.state.lastBlock + 1; number <= to; number++) {
+      try {
+        await this.archiveBlock(number);
+      } catch (e) {
+        const attempts = (this.state.blockAttempts[number] || 0) + 1;
+        if (attempts < this.maxBlockAttempts) {
+          this.state.blockAttempts[number] = attempts;
+          console.warn(`🗄️  Block ${number} failed (attempt ${attempts}/${this.maxBlockAttempts}): ${e.message}`);
+          break;
+        }
+        this.state.skippedBlocks.push({ number, error: e.message });
+        console.warn(`🗄️  Skipping block ${number} after ${attempts} attempts: ${e.message}`);
+      }
+      delete this.state.blockAttempts[number];
+      this.state.lastBlock = number;
+      this.save();
+    }
+  }
+
+  // Store the block's BlobSocial blobs; returns how many were new
+  async archiveBlock(number) {
+    const block = await this.signer.provider.getBlock(number, true);
+    const txOf = new Map();
+    for (const tx of block.prefetchedTransactions) {
+      for (const hash of tx.blobVersionedHashes || []) txOf.set(hash.toLowerCase(), tx.hash);
+    }
+    if (txOf.size === 0) return 0;
+
+    const blobs = await this.retriever.getBlobs([...txOf.keys()], { timestamp: block.timestamp });
+    const utils = await loadBlobUtils();
+    let archived = 0;
+    for (const blob of blobs) {
+      if (this.store.has(blob.versionedHash) || !isBlobSocial(utils, blob.data)) continue;
+      this.store.put({
+        versionedHash: blob.versionedHash,
+        data: blob.data,
+        commitment: blob.commitment,
+        proof: blob.proof || this.computeProof(blob),
+        txHash: txOf.get(blob.versionedHash),
+        blockNumber: number,
+        blockTimestamp: block.timestamp,
+        archivedAt: Date.now(),
+        size: (blob.data.length - 2) / 2,
+        commitTx: null,
+      });
+      this.state.pendingCommits.push({ hash: blob.versionedHash, since: Date.now() });
+      this.state.archived++;
+      archived++;
+    }
+    if (archived > 0) {
+      console.log(`🗄️  Block ${number}: archived ${archived} BlobSocial blob${archived > 1 ? 's' : ''}`);
+    }
+    return archived;
+  }
+
+  // KZG proof for blobs from sources that don't send one
+  computeProof(blob) {
+    const proof = this.getKzg().computeBlobKzgProof(
+      Buffer.from(blob.data.slice(2), 'hex'),
+      Buffer.from(blob.commitment.slice(2), 'hex'),
+    );
+    return '0x' + Buffer.from(proof).toString('hex');
+  }
+
+  // Settle the commit in flight, then send the next batch if it's time
+  async commit() {
+    if (this.state.commit && !await this.settleCommit(this.state.commit)) return null;
+    if (!this.registration.active) return null;
+
+    const pending = this.state.pendingCommits;
+    if (pending.length === 0) return null;
+    if (pending.length < this.commitBatchSize && Date.now() - pending[0].since < this.commitInterval) return null;
+
+    const hashes = pending.slice(0, this.commitBatchSize).map(entry => entry.hash);
+    const tx = await this.registry.batchCommitToBlobs(hashes);
+    this.state.commit = { txHash: tx.hash, hashes, submittedAt: Date.now() };
+    this.state.pendingCommits = pending.slice(hashes.length);
+    this.save();
+    console.log(`🗄️  Committing to ${hashes.length} blobs (tx ${tx.hash})`);
+    return this.state.commit;
+  }
+
+  // Whether the commit in flight is done with, confirmed or requeued
+  async settleCommit(commit) {
+    const provider = this.signer.provider;
+    const receipt = await provider.getTransactionReceipt(commit.txHash);
+
+    const requeue = reason => {
+      this.state.pendingCommits.unshift(...commit.hashes.map(hash => ({ hash, since: 0 })));
+      this.state.commit = null;
+      console.warn(`🗄️  Commit ${commit.txHash} ${reason}; retrying ${commit.hashes.length} blobs`);
+      return true;
+    };
+
+    if (!receipt) {
+      const tx = await provider.getTransaction(commit.txHash);
+      if (tx || Date.now() - commit.submittedAt < this.dropTimeout) return false;
+      return requeue('dropped');
+    }
+    if (receipt.status !== 1) return requeue('reverted');
+    if (await receipt.confirmations() < this.confirmations) return false;
+
+    for (const hash of commit.hashes) {
+      this.store.update(hash, { commitTx: commit.txHash, commitBlock: receipt.blockNumber });
+    }
+    this.state.committed += commit.hashes.length;
+    this.state.commit = null;
+    console.log(`🗄️  Committed to ${commit.hashes.length} blobs in block ${receipt.blockNumber}`);
+    return true;
+  }
+
+  // Pick up new challenges against this archiver and answer the open ones
+  async answerChallenges(head) {
+    const from = this.state.challengeBlock + 1;
+    const to = Math.min(head, this.state.challengeBlock + this.logRange);
+    if (from <= to) {
+      const filter = this.registry.filters.ChallengeCreated(null, null, this.signer.address);
+      for (const log of await this.registry.queryFilter(filter, from, to)) {
+        const id = log.args.challengeId.toString();
+        if (this.state.challenges[id]) continue;
+        this.state.challenges[id] = {
+          id,
+          challenger: log.args.challenger,
+          blobHash: log.args.blobHash.toLowerCase(),
+          blockNumber: log.blockNumber,
+          status: 'open',
+          answer: null,
+          delivered: false,
+          lastError: null,
+        };
+        console.log(`🗄️  Challenge #${id} from ${log.args.challenger} for blob ${log.args.blobHash}`);
+      }
+      this.state.challengeBlock = to;
+    }
+
+    for (const challenge of Object.values(this.state.challenges)) {
+      if (challenge.status === 'won' || challenge.status === 'lost') continue;
+      try {
+        await this.answerChallenge(challenge);
+        challenge.lastError = null;
+      } catch (e) {
+        challenge.lastError = e.message;
+        console.warn(`🗄️  Challenge #${challenge.id}: ${e.message}`);
+      }
+    }
+  }
+
+  async answerChallenge(challenge) {
+    const onChain = await this.registry.challenges(challenge.id);
+    if (onChain.resolved) {
+      challenge.status = onChain.archiverWon ? 'won' : 'lost';
+      console.log(`🗄️  Challenge #${challenge.id} resolved: ${challenge.status}`);
+      return;
+    }
+    if (Number(onChain.deadline) * 1000 < Date.now()) {
+      // Too late to answer; wait for it to be resolved
+      return;
+    }
+
+    if (!challenge.answer) {
+      const record = await this.proveBlob(challenge.blobHash);
+      const answer = {
+        challengeId: challenge.id,
+        archiver: this.signer.address,
+        registry: this.registryAddress,
+        chainId: this.chainId,
+        blobHash: challenge.blobHash,
+        commitment: record.commitment,
+        proof: record.proof,
+      };
+      answer.signature = await this.signer.signMessage(ethers.getBytes(challengeAnswerHash({
+        chainId: answer.chainId,
+        registry: answer.registry,
+        challengeId: answer.challengeId,
+        blobHash: answer.blobHash,
+        commitment: answer.commitment,
+      })));
+      challenge.answer = answer;
+      challenge.status = 'answered';
+      console.log(`🗄️  Challenge #${challenge.id} answered with blob ${challenge.blobHash}`);
+    }
+
+    if (this.verifierUrl && !challenge.delivered) {
+      const record = this.store.get(challenge.blobHash);
+      const response = await fetch(this.verifierUrl, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ ...challenge.answer, data: record.data }),
+        signal: AbortSignal.timeout(30000),
+      });
+      if (!response.ok) {
+        throw new Error(`Verifier answered HTTP ${response.status}`);
+      }
+      challenge.delivered = true;
+    }
+  }
+
+  // The archived record for a blob, checked against its versioned hash. A
+  // missing or damaged copy is fetched again from the other sources.
+  async proveBlob(versionedHash) {
+    const record = this.store.get(versionedHash);
+    if (record) {
+      try {
+        verifyBlob(this.getKzg(), record.data, { versionedHash, commitment: record.commitment });
+        return record;
+      } catch (e) {
+        console.warn(`🗄️  Archived copy of ${versionedHash} is damaged (${e.message}); fetching it again`);
+      }
+    }
+
+    const blob = await this.retriever.getBlob(versionedHash);
+    const recovered = {
+      ...record,
+      versionedHash,
+      data: blob.data,
+      commitment: blob.commitment,
+      proof: blob.proof || this.computeProof(blob),
+      archivedAt: Date.now(),
+      size: (blob.data.length - 2) / 2,
+    };
+    this.store.put(recovered);
+    return recovered;
+  }
+}
+
+module.exports = { BlobArchiver, REGISTRY_ABI, challengeAnswerHash };
@@ -0,0 +1,81 @@
+const fs = require('fs');
+const path = require('path');
+
+// Content-addressed blob archive on disk. Each blob is one JSON record named
+// by its versioned hash, fanned out by the first byte after the 0x01 version
+// byte (every versioned hash starts with it):
+//
+//   <dir>/blobs/ab/0x01ab....json   { versionedHash, data, commitment, proof,
+//                                     txHash, blockNumber, blockTimestamp,
+//                                     archivedAt, size, commitTx }
+//   <dir>/state.json                 the daemon's cursors and queues
+//
+// Records are written to a temporary file and renamed into place, so a crash
+// never leaves a half-written blob behind.
+
+const HASH_PATTERN = /^0x01[0-9a-f]{62}$/;
+
+function writeAtomic(file, contents) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, contents);
+  fs.renameSync(tmp, file);
+}
+
+class BlobStore {
+  constructor(dir) {
+    this.dir = dir;
+    fs.mkdirSync(path.join(dir, 'blobs'), { recursive: true });
+  }
+
+  pathFor(versionedHash) {
+    const hash = versionedHash.toLowerCase();
+    if (!HASH_PATTERN.test(hash)) {
+      throw new Error(`Not a versioned blob hash: ${versionedHash}`);
+    }
+    return path.join(this.dir, 'blobs', hash.slice(4, 6), `${hash}.json`);
+  }
+
+  has(versionedHash) {
+    return fs.existsSync(this.pathFor(versionedHash));
+  }
+
+  // The stored record, or null if this blob isn't archived
+  get(versionedHash) {
+    try {
+      return JSON.parse(fs.readFileSync(this.pathFor(versionedHash), 'utf8'));
+    } catch (e) {
+      if (e.code === 'ENOENT') return null;
+      throw e;
+    }
+  }
+
+  // record must carry versionedHash; callers verify it against the data first
+  put(record) {
+    const file = this.pathFor(record.versionedHash);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    writeAtomic(file, JSON.stringify({ ...record, versionedHash: record.versionedHash.toLowerCase() }));
+  }
+
+  // Merge fields into a stored record; false if the blob isn't archived
+  update(versionedHash, fields) {
+    const record = this.get(versionedHash);
+    if (!record) return false;
+    this.put({ ...record, ...fields });
+    return true;
+  }
+
+  readState() {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(this.dir, 'state.json'), 'utf8'));
+    } catch (e) {
+      if (e.code === 'ENOENT') return null;
+      throw e;
+    }
+  }
+
+  writeState(state) {
+    writeAtomic(path.join(this.dir, 'state.json'), JSON.stringify(state, null, 2));
+  }
+}
+
+module.exports = { BlobStore };
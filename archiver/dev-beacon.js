@@ -0,0 +1,99 @@
+const express = require('express');
+const { ethers } = require('ethers');
+const { loadKzg } = require('../lib/blob-retrieval');
+
+// Beacon API stand-in for a local dev chain (anvil), which has blob
+// transactions but no consensus layer. It serves the three endpoints
+// BlobRetriever uses:
+//
+//   GET /eth/v1/beacon/genesis                 genesis_time = GENESIS_TIME
+//   GET /eth/v1/config/spec                    SECONDS_PER_SLOT
+//   GET /eth/v1/beacon/blob_sidecars/{id}      {id} a slot or "head"
+//
+// Slot s is the execution block with timestamp GENESIS_TIME + s *
+// SECONDS_PER_SLOT; with the defaults (0 and 1) a block's slot is its
+// timestamp. Blob data comes from anvil_getBlobByHash; the commitment and
+// proof are computed here.
+
+const CONFIG = {
+  PORT: process.env.PORT || 5052,
+  L1_RPC: process.env.L1_RPC || 'http://localhost:8545',
+  GENESIS_TIME: parseInt(process.env.GENESIS_TIME || '0'),
+  SECONDS_PER_SLOT: parseInt(process.env.SECONDS_PER_SLOT || '1'),
+};
+
+const provider = new ethers.JsonRpcProvider(CONFIG.L1_RPC);
+const app = express();
+
+// Block with exactly this timestamp (dev chains never repeat one), or null
+async function blockAt(timestamp) {
+  let low = 0;
+  let high = await provider.getBlockNumber();
+  while (low <= high) {
+    const middle = Math.floor((low + high) / 2);
+    const block = await provider.getBlock(middle);
+    if (block.timestamp === timestamp) return provider.getBlock(middle, true);
+    if (block.timestamp < timestamp) low = middle + 1;
+    else high = middle - 1;
+  }
+  return null;
+}
+
+async function sidecarsOf(block) {
+  const kzg = loadKzg();
+  const hashes = block.prefetchedTransactions.flatMap(tx => tx.blobVersionedHashes || []);
+  const sidecars = [];
+  for (const [index, hash] of hashes.entries()) {
+    const blob = await provider.send('anvil_getBlobByHash', [hash]);
+    if (!blob) {
+      throw new Error(`Dev chain has no blob ${hash}`);
+    }
+    const bytes = Buffer.from(blob.replace(/^0x/, ''), 'hex');
+    const commitment = kzg.blobToKzgCommitment(bytes);
+    sidecars.push({
+      index: String(index),
+      blob: '0x' + bytes.toString('hex'),
+      kzg_commitment: '0x' + Buffer.from(commitment).toString('hex'),
+      kzg_proof: '0x' + Buffer.from(kzg.computeBlobKzgProof(bytes, commitment)).toString('hex'),
+    });
+  }
+  return sidecars;
+}
+
+app.get('/eth/v1/beacon/genesis', (req, res) => {
+  res.json({
+    data: {
+      genesis_time: String(CONFIG.GENESIS_TIME),
+      genesis_validators_root: ethers.ZeroHash,
+      genesis_fork_version: '0x00000000',
+    },
+  });
+});
+
+app.get('/eth/v1/config/spec', (req, res) => {
+  res.json({ data: { SECONDS_PER_SLOT: String(CONFIG.SECONDS_PER_SLOT) } });
+});
+
+app.get('/eth/v1/beacon/blob_sidecars/:blockId', async (req, res) => {
+  const { blockId } = req.params;
+  if (blockId !== 'head' && !/^\d+$/.test(blockId)) {
+    return res.status(400).json({ code: 400, message: `Unsupported block id: ${blockId}` });
+  }
+
+  try {
+    const block = blockId === 'head'
+      ? await provider.getBlock('latest', true)
+      : await blockAt(CONFIG.GENESIS_TIME + Number(blockId) * CONFIG.SECONDS_PER_SLOT);
+    if (!block) {
+      return res.status(404).json({ code: 404, message: `No block at slot ${blockId}` });
+    }
+    res.json({ data: await sidecarsOf(block) });
+  } catch (e) {
+    res.status(500).json({ code: 500, message: e.shortMessage || e.message });
+  }
+});
+
+app.listen(CONFIG.PORT, () => {
+  console.log(`Dev beacon API on port ${CONFIG.PORT} for ${CONFIG.L1_RPC} ` +
+    `(genesis ${CONFIG.GENESIS_TIME}, ${CONFIG.SECONDS_PER_SLOT}s slots)`);
+});
@@ -0,0 +1,123 @@
+const express = require('express');
+const { ethers } = require('ethers');
+const { BlobStore } = require('./blob-store');
+const { BlobArchiver } = require('./archiver');
+const { BlobRetriever } = require('../lib/blob-retrieval');
+
+const app = express();
+
+// Configuration
+const CONFIG = {
+  PORT: process.env.PORT || 3050,
+  ARCHIVE_DIR: process.env.ARCHIVE_DIR || './data/archive',
+
+  // L1 to follow and the beacon nodes to read blob sidecars from; archivers
+  // and Blobscan-compatible endpoints are the fallback for pruned blobs
+  L1_RPC: process.env.L1_RPC || 'http://localhost:8545',
+  BEACON_URLS: (process.env.BEACON_URLS || 'http://localhost:5052').split(',').map(s => s.trim()).filter(Boolean),
+  BLOB_ENDPOINTS: (process.env.BLOB_ENDPOINTS || '').split(',').map(s => s.trim()).filter(Boolean),
+  START_BLOCK: process.env.START_BLOCK ? parseInt(process.env.START_BLOCK) : null, // default: the head at first run
+  CONFIRMATIONS: parseInt(process.env.CONFIRMATIONS || '2'),
+  BLOCK_RANGE: parseInt(process.env.BLOCK_RANGE || '20'), // blocks archived per poll
+  POLL_INTERVAL: parseInt(process.env.POLL_INTERVAL || '12000'),
+
+  // ArchiverRegistry; with ARCHIVER_STAKE (ETH) set, an unregistered key
+  // registers ARCHIVER_ENDPOINT on startup
+  ARCHIVER_REGISTRY: process.env.ARCHIVER_REGISTRY || null,
+  ARCHIVER_PRIVATE_KEY: process.env.ARCHIVER_PRIVATE_KEY || null,
+  ARCHIVER_ENDPOINT: process.env.ARCHIVER_ENDPOINT || null, // public URL of this server
+  ARCHIVER_STAKE: process.env.ARCHIVER_STAKE || null,
+  COMMIT_BATCH_SIZE: parseInt(process.env.COMMIT_BATCH_SIZE || '32'),
+  COMMIT_INTERVAL: parseInt(process.env.COMMIT_INTERVAL || String(10 * 60 * 1000)), // longest a blob waits
+  VERIFIER_URL: process.env.VERIFIER_URL || null, // where challenge answers are posted
+};
+
+if (!CONFIG.ARCHIVER_REGISTRY || !CONFIG.ARCHIVER_PRIVATE_KEY) {
+  console.error('ARCHIVER_REGISTRY and ARCHIVER_PRIVATE_KEY are required');
+  process.exit(1);
+}
+
+const store = new BlobStore(CONFIG.ARCHIVE_DIR);
+const archiver = new BlobArchiver(store, {
+  signer: new ethers.Wallet(CONFIG.ARCHIVER_PRIVATE_KEY, new ethers.JsonRpcProvider(CONFIG.L1_RPC)),
+  retriever: new BlobRetriever({ beaconUrls: CONFIG.BEACON_URLS, endpoints: CONFIG.BLOB_ENDPOINTS }),
+  registryAddress: CONFIG.ARCHIVER_REGISTRY,
+  endpoint: CONFIG.ARCHIVER_ENDPOINT,
+  stake: CONFIG.ARCHIVER_STAKE ? ethers.parseEther(CONFIG.ARCHIVER_STAKE) : null,
+  startBlock: CONFIG.START_BLOCK,
+  confirmations: CONFIG.CONFIRMATIONS,
+  blockRange: CONFIG.BLOCK_RANGE,
+  pollInterval: CONFIG.POLL_INTERVAL,
+  commitBatchSize: CONFIG.COMMIT_BATCH_SIZE,
+  commitInterval: CONFIG.COMMIT_INTERVAL,
+  verifierUrl: CONFIG.VERIFIER_URL,
+});
+
+// Routes
+
+app.get('/health', (req, res) => {
+  res.json({ status: 'ok', ...archiver.status() });
+});
+
+// An archived blob with its KZG commitment and proof. Served under /blobs as
+// well, so the archiver works as a BlobRetriever endpoint without {hash}.
+function serveBlob(req, res) {
+  const hash = req.params.versionedHash.toLowerCase();
+  if (!/^0x01[0-9a-f]{62}$/.test(hash)) {
+    return res.status(400).json({ error: 'Not a versioned blob hash' });
+  }
+
+  const record = store.get(hash);
+  if (!record) {
+    return res.status(404).json({ error: 'Blob not archived' });
+  }
+
+  res.set('Cache-Control', 'public, max-age=31536000, immutable');
+  res.json(record);
+}
+app.get('/blob/:versionedHash', serveBlob);
+app.get('/blobs/:versionedHash', serveBlob);
+
+// Challenges against this archiver and the answers given
+app.get('/challenges', (req, res) => {
+  res.json({ challenges: Object.values(archiver.state.challenges) });
+});
+
+// One challenge's signed answer, with the blob data the verifier checks
+app.get('/challenges/:id', (req, res) => {
+  const challenge = archiver.state.challenges[req.params.id];
+  if (!challenge) {
+    return res.status(404).json({ error: 'Challenge not found' });
+  }
+
+  const record = challenge.answer ? store.get(challenge.blobHash) : null;
+  res.json({ challenge, data: record ? record.data : null });
+});
+
+// Start server
+archiver.start();
+app.listen(CONFIG.PORT, () => {
+  console.log(`
+🗄️  BlobSocial Archiver running on port ${CONFIG.PORT}
+
+Endpoints:
+  GET  /health               - Archiver status
+  GET  /blob/:versionedHash  - Archived blob with KZG commitment and proof
+  GET  /challenges           - Challenges against this archiver
+  GET  /challenges/:id       - Signed challenge answer
+
+Archiver: ${archiver.signer.address}
+Registry: ${CONFIG.ARCHIVER_REGISTRY}
+L1: ${CONFIG.L1_RPC}
+Beacon: ${CONFIG.BEACON_URLS.join(', ') || 'none'}
+Archive: ${CONFIG.ARCHIVE_DIR}
+  `);
+});
+
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, () => {
+    archiver.stop();
+    archiver.save();
+    process.exit(0);
+  });
+}
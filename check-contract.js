@@ -1,6 +1,7 @@
 #!/usr/bin/env node
 
 const { ethers } = require('ethers');
+const { FailoverProvider } = require('./lib/failover-provider');
 
 const REGISTRY_ADDRESS = '0x8004A169FB4a3325136EB29fA0ceB6D2e539a432';
 
@@ -10,17 +11,9 @@ async function createProvider() {
     'https://rpc.ankr.com/eth',
   ];
 
-  for (const url of RPC_URLS) {
-    try {
-      const provider = new ethers.JsonRpcProvider(url);
-      await provider.getBlockNumber();
-      console.log(`Connected to ${url}`);
-      return provider;
-    } catch (error) {
-      console.log(`Failed: ${url}`);
-    }
-  }
-  throw new Error('No RPC available');
+  const provider = new FailoverProvider(RPC_URLS, { network: 1 });
+  await provider.getBlockNumber();
+  return provider;
 }
 
 async function checkContract() {
@@ -1,17 +1,25 @@
 'use client';
 
 import { useState } from 'react';
-import { useAccount, useReadContract, useWriteContract } from 'wagmi';
+import type { Address } from 'viem';
+import { useAccount, useReadContract, useSignTypedData, useWriteContract } from 'wagmi';
 import { CONTRACT_ADDRESS, CONTRACT_ABI } from '@/lib/wagmi';
+import { POST_DOMAIN, POST_TYPES, postMessage, fetchNextNonce, submitSignedPost } from '@/lib/typedData';
 
 interface PostFormProps {
   onPostCreated?: () => void;
 }
 
+// 'chain' calls BlobSocialVerified.createPost; 'indexer' signs EIP-712 typed
+// data and sends it to the indexer, which costs no gas
+type PostMode = 'chain' | 'indexer';
+
 export function PostForm({ onPostCreated }: PostFormProps) {
   const { address, isConnected } = useAccount();
   const [content, setContent] = useState('');
   const [isPosting, setIsPosting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [mode, setMode] = useState<PostMode>('chain');
 
   const { data: isRegistered } = useReadContract({
     address: CONTRACT_ADDRESS,
@@ -27,22 +35,51 @@ export function PostForm({ onPostCreated }: PostFormProps) {
         setContent('');
         onPostCreated?.();
       },
-      onError: () => {
+      onError: (err) => {
         setIsPosting(false);
+        setError(err.message);
       },
     },
   });
 
+  const { signTypedDataAsync } = useSignTypedData();
+
+  // Sign the post as EIP-712 typed data so the wallet shows its fields
+  const postToIndexer = async (text: string, author: Address) => {
+    try {
+      const fields = { timestamp: Date.now(), nonce: await fetchNextNonce(author) };
+      const signature = await signTypedDataAsync({
+        domain: POST_DOMAIN,
+        types: POST_TYPES,
+        primaryType: 'Post',
+        message: postMessage(text, fields),
+      });
+      await submitSignedPost(text, author, signature, fields);
+      setContent('');
+      onPostCreated?.();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to post');
+    } finally {
+      setIsPosting(false);
+    }
+  };
+
   const handleSubmit = (e: React.FormEvent) => {
     e.preventDefault();
-    if (!content.trim() || !isRegistered) return;
+    const text = content.trim();
+    if (!text || !isRegistered || !address) return;
 
     setIsPosting(true);
+    setError(null);
+    if (mode === 'indexer') {
+      postToIndexer(text, address);
+      return;
+    }
     writeContract({
       address: CONTRACT_ADDRESS,
       abi: CONTRACT_ABI,
       functionName: 'createPost',
-      args: [content.trim()],
+      args: [text],
     });
   };
 
@@ -74,10 +111,20 @@ export function PostForm({ onPostCreated }: PostFormProps) {
           rows={4}
           maxLength={500}
         />
+        {error && <p className="text-sm text-red-400">{error}</p>}
         <div className="flex justify-between items-center">
           <span className="text-sm text-gray-400">
             {content.length}/500 characters
           </span>
+          <label className="text-sm text-gray-400">
+            <input
+              type="checkbox"
+              checked={mode === 'indexer'}
+              onChange={(e) => setMode(e.target.checked ? 'indexer' : 'chain')}
+              className="mr-2"
+            />
+            Sign for the indexer (no gas)
+          </label>
           <button
             type="submit"
             disabled={!content.trim() || isPosting}
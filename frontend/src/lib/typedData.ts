@@ -0,0 +1,69 @@
+import { keccak256, toBytes, type Address, type Hex } from 'viem';
+import { baseSepolia } from 'wagmi/chains';
+import { CONTRACT_ADDRESS, INDEXER_API } from './wagmi';
+
+// Must match lib/typed-data.js, which the indexer verifies against
+export const POST_DOMAIN = {
+  name: 'BlobSocial',
+  version: '1',
+  chainId: baseSepolia.id,
+  verifyingContract: CONTRACT_ADDRESS,
+} as const;
+
+export const POST_TYPES = {
+  Post: [
+    { name: 'contentHash', type: 'bytes32' },
+    { name: 'timestamp', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'isReply', type: 'bool' },
+    { name: 'parentId', type: 'uint256' },
+  ],
+} as const;
+
+export interface PostFields {
+  timestamp: number;
+  nonce: number;
+  parentId?: number | null;
+}
+
+// A top-level post signs isReply false and parentId 0
+export function postMessage(content: string, { timestamp, nonce, parentId = null }: PostFields) {
+  return {
+    contentHash: keccak256(toBytes(content)),
+    timestamp: BigInt(timestamp),
+    nonce: BigInt(nonce),
+    isReply: parentId !== null,
+    parentId: BigInt(parentId ?? 0),
+  };
+}
+
+export async function fetchNextNonce(author: Address): Promise<number> {
+  const response = await fetch(`${INDEXER_API}/agent/${author}/nonce`);
+  if (!response.ok) throw new Error(`Failed to fetch nonce (${response.status})`);
+  const { nextNonce } = await response.json();
+  return nextNonce;
+}
+
+export async function submitSignedPost(
+  content: string,
+  author: Address,
+  signature: Hex,
+  fields: PostFields,
+) {
+  const response = await fetch(`${INDEXER_API}/post`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      content,
+      author,
+      signature,
+      timestamp: fields.timestamp,
+      nonce: fields.nonce,
+      parentId: fields.parentId ?? null,
+      signatureType: 'eip712',
+    }),
+  });
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error || `Post failed (${response.status})`);
+  return data.post;
+}
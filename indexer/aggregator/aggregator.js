@@ -0,0 +1,206 @@
+const { ethers } = require('ethers');
+const { envelopeSigningHash, verifyEnvelope } = require('../../lib/envelope');
+const { loadKzg, verifyBlob } = require('../../lib/blob-retrieval');
+const { loadBlobUtils } = require('../../lib/load-blob-utils');
+const { TxJob } = require('../tx-job');
+
+// Thrown by accept() for envelopes the aggregator won't queue. reason is
+// 'invalid', 'unverified' or 'too-large'.
+class EnvelopeRejectedError extends Error {
+  constructor(reason, message) {
+    super(message);
+    this.name = 'EnvelopeRejectedError';
+    this.code = 'ENVELOPE_REJECTED';
+    this.reason = reason;
+  }
+}
+
+// Thrown by accept() when the registry couldn't be asked about the signer;
+// the envelope may be fine, so the caller should try again later
+class RegistryUnavailableError extends Error {
+  constructor(cause) {
+    super(`Agent registry lookup failed: ${cause.shortMessage || cause.message}`, { cause });
+    this.name = 'RegistryUnavailableError';
+    this.code = 'REGISTRY_UNAVAILABLE';
+  }
+}
+
+/**
+ * Packs signed envelopes from many agents into shared blobs. Envelopes are
+ * queued by accept() once their signer is shown to control the agent; once
+ * `threshold` bytes are waiting, or the oldest has waited `interval` ms, as
+ * many as fit are packed (blob-utils packEnvelopes) and sent in one blob
+ * transaction. Each envelope's receipt gives the blob's versioned hash and
+ * its byte offset in it. A blob whose transaction reverts or disappears puts
+ * its envelopes back in the queue. One blob is in flight at a time (see TxJob).
+ */
+class BlobAggregator extends TxJob {
+  constructor(store, options) {
+    super(options, {
+      name: 'Aggregator',
+      icon: '📦',
+      unit: 'envelopes',
+      requeue: 'requeueing its envelopes',
+    });
+    this.store = store;
+    this.resolver = options.resolver;
+    this.kzg = options.kzg || null;
+    this.interval = options.interval || 10 * 60 * 1000;
+    this.threshold = options.threshold || 96 * 1024;
+    this.maxEnvelopes = options.maxEnvelopes || 1000;
+  }
+
+  status() {
+    const queued = this.store.countQueuedEnvelopes();
+    return {
+      signer: this.signer.address,
+      threshold: this.threshold,
+      interval: this.interval,
+      queued: queued.count,
+      queuedBytes: queued.bytes,
+      oldestQueued: queued.oldest,
+      counts: this.store.countAggregateBlobsByStatus(),
+      submitted: this.store.getAggregateBlobsByStatus('submitted', 1)[0] || null,
+      lastError: this.lastError,
+    };
+  }
+
+  getKzg() {
+    if (!this.kzg) this.kzg = loadKzg();
+    return this.kzg;
+  }
+
+  /**
+   * Queue a signed envelope for the next shared blob
+   * @param {object} envelope - Signed envelope, as decoded from the request
+   * @returns {object} { receipt, created }; created is false when the same
+   *   envelope was already queued, and the receipt is the earlier one's
+   */
+  async accept(envelope) {
+    const { validateEnvelope, packedSize, PACK_CAPACITY } = await loadBlobUtils();
+    try {
+      validateEnvelope(envelope);
+    } catch (e) {
+      throw new EnvelopeRejectedError('invalid', e.message);
+    }
+
+    const json = JSON.stringify(envelope);
+    const bytes = Buffer.byteLength(json, 'utf8');
+    if (packedSize([bytes]) > PACK_CAPACITY) {
+      throw new EnvelopeRejectedError('too-large',
+        `Envelope is ${bytes} bytes; a shared blob holds at most ${PACK_CAPACITY - packedSize([0])}`);
+    }
+
+    // An outage is not a verdict
+    let result;
+    try {
+      result = await verifyEnvelope(envelope, this.resolver);
+    } catch (e) {
+      throw new RegistryUnavailableError(e);
+    }
+    if (!result.verified) {
+      throw new EnvelopeRejectedError('unverified', result.reason);
+    }
+
+    const envelopeHash = envelopeSigningHash(envelope);
+    const stored = this.store.insertAggregateEnvelope({
+      envelopeHash,
+      agentId: envelope.agent,
+      signer: result.signer,
+      envelope: json,
+      bytes,
+      createdAt: Date.now(),
+    });
+    return {
+      receipt: this.receipt(stored || this.store.getAggregateEnvelope(envelopeHash)),
+      created: Boolean(stored),
+    };
+  }
+
+  /**
+   * Where an envelope is: queued, or packed into a blob with its byte range
+   * @param {object} record - store.getAggregateEnvelope result
+   * @returns {object} Receipt
+   */
+  receipt(record) {
+    const { blob } = record;
+    return {
+      id: record.id,
+      envelopeHash: record.envelopeHash,
+      agentId: record.agentId,
+      signer: record.signer,
+      status: blob ? blob.status : 'queued',
+      blobHash: blob ? blob.blobHash : null,
+      index: blob ? record.index : null,
+      offset: blob ? record.offset : null,
+      length: record.bytes,
+      txHash: blob ? blob.txHash : null,
+      blockNumber: blob ? blob.blockNumber : null,
+      createdAt: record.createdAt,
+    };
+  }
+
+  getRecords(status, limit) {
+    return this.store.getAggregateBlobsByStatus(status, limit);
+  }
+
+  getRecord(id) {
+    return this.store.getAggregateBlob(id);
+  }
+
+  updateRecord(id, fields) {
+    this.store.updateAggregateBlob(id, fields);
+  }
+
+  releaseRecord(id, reason) {
+    this.store.releaseAggregateBlob(id, reason);
+  }
+
+  describe(blob) {
+    return `Shared blob ${blob.blobHash}`;
+  }
+
+  isDue() {
+    const { count, bytes, oldest } = this.store.countQueuedEnvelopes();
+    return count > 0 && (bytes >= this.threshold || Date.now() - oldest >= this.interval);
+  }
+
+  // Pack as many queued envelopes as fit into a blob and send it
+  async submit() {
+    const { packEnvelopes, packedSize, PACK_CAPACITY } = await loadBlobUtils();
+
+    // Oldest first, as many as fit
+    const queued = this.store.getQueuedEnvelopes(this.maxEnvelopes);
+    const lengths = [];
+    for (const envelope of queued) {
+      if (packedSize([...lengths, envelope.bytes]) > PACK_CAPACITY) break;
+      lengths.push(envelope.bytes);
+    }
+    const chosen = queued.slice(0, lengths.length);
+
+    const { blob: data, entries, size } = packEnvelopes(chosen.map(envelope => envelope.envelope));
+    const { versionedHash } = verifyBlob(this.getKzg(), data);
+    const blob = this.store.createAggregateBlob({
+      blobHash: versionedHash,
+      bytes: size,
+      createdAt: Date.now(),
+      entries: entries.map(entry => ({ ...entry, id: chosen[entry.index].id })),
+    });
+
+    const submitted = await this.send(blob, async () => {
+      const blobBaseFee = BigInt(await this.signer.provider.send('eth_blobBaseFee', []));
+      return this.signer.sendTransaction({
+        type: 3,
+        to: ethers.ZeroAddress,
+        blobs: [data],
+        kzg: this.getKzg(),
+        maxFeePerBlobGas: blobBaseFee * 2n,
+      });
+    });
+    console.log(`📦 Packing ${blob.size} envelopes (${size} bytes) into shared blob ${versionedHash} ` +
+      `(tx ${submitted.txHash})`);
+    return submitted;
+  }
+}
+
+module.exports = { BlobAggregator, EnvelopeRejectedError, RegistryUnavailableError };
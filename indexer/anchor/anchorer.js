@@ -0,0 +1,184 @@
+const { ethers } = require('ethers');
+const { revisionLeaf, merkleRoot, merkleProofs, verifyMerkleProof } = require('../../lib/merkle');
+const { TxJob } = require('../tx-job');
+
+// Functions the job can commit a root through
+const GRAPH_ANCHOR_ABI = ['function anchorContent(uint256 agentId, bytes32 blobHash)'];
+const SOCIAL_ANCHOR_ABI = ['function createPost(bytes32 contentHash, bytes32 blobHash)'];
+
+const METHODS = ['graph', 'social'];
+
+/**
+ * Periodically commits API post revisions to the chain: once `threshold`
+ * revisions are waiting, or the oldest has waited `interval` ms, it builds a
+ * Merkle tree over their revisionLeaf hashes and submits the root with
+ * BlobSocialGraph.anchorContent (method 'graph') or BlobSocialVerified.createPost
+ * (method 'social'). Each revision keeps its proof; a root whose transaction
+ * reverts or disappears hands its revisions to the next one. One root is in
+ * flight at a time (see TxJob).
+ */
+class PostAnchorer extends TxJob {
+  constructor(store, options) {
+    if (!METHODS.includes(options.method)) {
+      throw new Error(`Unknown anchor method: ${options.method}. Available: ${METHODS.join(', ')}`);
+    }
+    if (options.method === 'graph' && !Number.isSafeInteger(options.agentId)) {
+      throw new Error('Anchoring through BlobSocialGraph needs the agent ID that owns the anchors');
+    }
+
+    super(options, {
+      name: 'Anchor job',
+      icon: '⚓',
+      unit: 'revisions',
+      requeue: 're-anchoring its posts',
+    });
+    this.store = store;
+    this.method = options.method;
+    this.contractAddress = options.contractAddress;
+    this.agentId = options.agentId ?? null;
+    this.interval = options.interval || 60 * 60 * 1000;
+    this.threshold = options.threshold || 100;
+    this.maxPosts = options.maxPosts || 5000;
+
+    const abi = this.method === 'graph' ? GRAPH_ANCHOR_ABI : SOCIAL_ANCHOR_ABI;
+    this.contract = new ethers.Contract(this.contractAddress, abi, this.signer);
+
+    this.chainId = null;
+  }
+
+  status() {
+    const unanchored = this.store.countUnanchoredRevisions();
+    return {
+      method: this.method,
+      contract: this.contractAddress,
+      agentId: this.agentId,
+      chainId: this.chainId,
+      signer: this.signer.address,
+      threshold: this.threshold,
+      interval: this.interval,
+      unanchored: unanchored.count,
+      oldestUnanchored: unanchored.oldest,
+      counts: this.store.countAnchorRootsByStatus(),
+      submitted: this.store.getAnchorRootsByStatus('submitted', 1)[0] || null,
+      lastError: this.lastError,
+    };
+  }
+
+  getRecords(status, limit) {
+    return this.store.getAnchorRootsByStatus(status, limit);
+  }
+
+  getRecord(id) {
+    return this.store.getAnchorRoot(id);
+  }
+
+  updateRecord(id, fields) {
+    this.store.updateAnchorRoot(id, fields);
+  }
+
+  releaseRecord(id, reason) {
+    this.store.releaseAnchorRoot(id, reason);
+  }
+
+  describe(root) {
+    return `Anchor root ${root.merkleRoot}`;
+  }
+
+  async tick() {
+    if (this.chainId === null) {
+      this.chainId = Number((await this.signer.provider.getNetwork()).chainId);
+    }
+    return super.tick();
+  }
+
+  isDue() {
+    const { count, oldest } = this.store.countUnanchoredRevisions();
+    return count >= this.threshold || (count > 0 && Date.now() - oldest >= this.interval);
+  }
+
+  // Build a root over the waiting revisions and send it
+  async submit() {
+    const revisions = this.store.getUnanchoredRevisions(this.maxPosts);
+    const leaves = revisions.map(revisionLeaf);
+    const proofs = merkleProofs(leaves);
+
+    const root = this.store.createAnchorRoot({
+      merkleRoot: merkleRoot(leaves),
+      method: this.method,
+      contract: this.contractAddress,
+      chainId: this.chainId,
+      createdAt: Date.now(),
+      entries: revisions.map((revision, i) => ({
+        postId: revision.postId,
+        revision: revision.revision,
+        leaf: leaves[i],
+        proof: proofs[i],
+      })),
+    });
+
+    const submitted = await this.send(root, () => (this.method === 'graph'
+      ? this.contract.anchorContent(this.agentId, root.merkleRoot)
+      : this.contract.createPost(root.merkleRoot, ethers.ZeroHash)));
+    console.log(`⚓ Anchoring ${root.size} post revisions in root ${root.merkleRoot} (tx ${submitted.txHash})`);
+    return submitted;
+  }
+}
+
+/**
+ * Proof that a post revision is under an anchored root, as served by
+ * GET /post/:id/anchor: the leaf it was hashed to, the sibling hashes up to
+ * the root, and the transaction that carries the root
+ * @param {object} store
+ * @param {object} post - store.getPost result
+ * @param {number|null} wanted - Revision; null for the latest one anchored
+ * @returns {object} { proof, anchoredRevisions }; proof is null when that
+ *   revision isn't anchored yet
+ */
+function anchorProof(store, post, wanted = null) {
+  const anchors = store.getPostAnchors(post.id);
+  const anchoredRevisions = anchors.map(a => a.revision);
+  const anchor = wanted === null
+    ? anchors[anchors.length - 1]
+    : anchors.find(a => a.revision === wanted);
+  if (!anchor) {
+    return { proof: null, anchoredRevisions };
+  }
+
+  const revision = store.getRevisions(post.id).find(r => r.revision === anchor.revision);
+  const leafFields = {
+    postId: post.id,
+    revision: revision.revision,
+    action: revision.action,
+    author: post.author,
+    contentHash: revision.contentHash,
+    createdAt: revision.createdAt,
+  };
+  const { root } = anchor;
+
+  return {
+    proof: {
+      postId: post.id,
+      revision: anchor.revision,
+      leafFields,
+      leaf: anchor.leaf,
+      index: anchor.index,
+      leafCount: root.size,
+      proof: anchor.proof,
+      merkleRoot: root.merkleRoot,
+      valid: revisionLeaf(leafFields) === anchor.leaf &&
+        verifyMerkleProof({ ...anchor, leafCount: root.size, root: root.merkleRoot }),
+      status: root.status,
+      tx: {
+        hash: root.txHash,
+        blockNumber: root.blockNumber,
+        chainId: root.chainId,
+        contract: root.contract,
+        method: root.method === 'graph' ? 'BlobSocialGraph.anchorContent' : 'BlobSocialVerified.createPost',
+      },
+      anchoredRevisions,
+    },
+    anchoredRevisions,
+  };
+}
+
+module.exports = { PostAnchorer, GRAPH_ANCHOR_ABI, SOCIAL_ANCHOR_ABI, anchorProof };
@@ -0,0 +1,298 @@
+const { ethers } = require('ethers');
+const { loadBlobUtils } = require('../../lib/load-blob-utils');
+const { normalizeProfile, canonicalProfile } = require('../../lib/profile');
+const { envelopeHash } = require('../../lib/typed-data');
+
+// Envelope types that turn into feed entries
+const FEED_TYPES = ['post', 'reply', 'batch', 'repost'];
+
+// nextAttemptAt of a chunk anchor waiting for the rest of its payload
+const WAITING_FOR_CHUNKS = Number.MAX_SAFE_INTEGER;
+
+/**
+ * Resolves ContentAnchored blob hashes into posts. Blobs come from a
+ * BlobRetriever (lib/blob-retrieval.js), which checks each one against its
+ * versioned hash; failed fetches are retried with exponential backoff until
+ * maxAttempts. A payload framed across several blobs is decoded once the
+ * anchors of all its chunks have been fetched.
+ */
+class BlobWorker {
+  constructor(store, options) {
+    this.store = store;
+    this.provider = options.provider;
+    this.retriever = options.retriever;
+    this.interval = options.interval || 15000;
+    this.batchSize = options.batchSize || 10;
+    this.maxAttempts = options.maxAttempts || 8;
+    this.retryBase = options.retryBase || 30000;
+    this.retryMax = options.retryMax || 6 * 60 * 60 * 1000;
+    this.onPost = options.onPost || (() => {});
+
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+    const loop = async () => {
+      try {
+        await this.processDue();
+      } catch (e) {
+        console.error('Blob worker error:', e.message);
+      }
+      if (this.running) {
+        this.timer = setTimeout(loop, this.interval);
+      }
+    };
+    loop();
+  }
+
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+  }
+
+  status() {
+    return {
+      endpoints: this.retriever.endpoints,
+      counts: this.store.countBlobAnchorsByStatus(),
+      pending: this.store.getBlobAnchorsByStatus('pending', 20),
+      failed: this.store.getBlobAnchorsByStatus('failed', 20),
+      invalid: this.store.getBlobAnchorsByStatus('invalid', 20),
+    };
+  }
+
+  async processDue() {
+    const due = this.store.getDueBlobAnchors(Date.now(), this.batchSize);
+    for (const anchor of due) {
+      await this.processAnchor(anchor);
+    }
+  }
+
+  async processAnchor(anchor) {
+    const attempts = anchor.attempts + 1;
+
+    let blobData;
+    let author;
+    try {
+      [blobData, author] = await Promise.all([
+        this.fetchBlob(anchor.blobHash),
+        this.fetchAnchorAuthor(anchor.txHash),
+      ]);
+    } catch (e) {
+      const exhausted = attempts >= this.maxAttempts;
+      const delay = Math.min(this.retryBase * 2 ** (attempts - 1), this.retryMax);
+      this.store.updateBlobAnchor(anchor.blobHash, {
+        status: exhausted ? 'failed' : 'pending',
+        attempts,
+        nextAttemptAt: exhausted ? 0 : Date.now() + delay,
+        lastError: e.message,
+      });
+      console.warn(`Blob ${anchor.blobHash} fetch failed (attempt ${attempts}/${this.maxAttempts}): ${e.message}`);
+      return;
+    }
+
+    const { decodeBlobFrame, decodeBlobs, decodeBlobData, validateEnvelope } = await loadBlobUtils();
+
+    // Every anchor the envelope spans; more than one for a multi-blob payload
+    let anchors = [anchor];
+    let payload = null;
+    let envelope;
+    try {
+      const frame = decodeBlobFrame(blobData);
+      if (frame && frame.count > 1) {
+        payload = frame.payloadId;
+        const chunks = this.collectChunk(anchor, frame, blobData, attempts);
+        if (!chunks) return;
+        anchors = chunks.map(chunk => (chunk.blobHash === anchor.blobHash
+          ? anchor
+          : this.store.getBlobAnchor(chunk.blobHash)));
+        [envelope] = decodeBlobs(chunks.map(chunk => chunk.data));
+      } else {
+        envelope = decodeBlobData(blobData);
+      }
+      validateEnvelope(envelope);
+      if (envelope.agent !== anchor.agentId) {
+        throw new Error(`Envelope agent ${envelope.agent} does not match anchoring agent ${anchor.agentId}`);
+      }
+    } catch (e) {
+      // Bad content will not get better with retries
+      this.rejectAnchors(anchors, anchor, attempts, envelope, e.message);
+      if (payload) this.store.deleteBlobChunks(payload, anchor.agentId);
+      console.warn(`Blob ${anchor.blobHash} is not a valid envelope: ${e.message}`);
+      return;
+    }
+
+    // Posts point at the payload's first blob; they carry the block of its
+    // last chunk, so a reorg of any chunk takes them out
+    const latest = anchors.reduce((a, b) => (b.blockNumber > a.blockNumber ? b : a));
+    const source = { ...latest, blobHash: anchors[0].blobHash };
+
+    let newPosts;
+    try {
+      newPosts = this.store.transaction(() => {
+        const stored = FEED_TYPES.includes(envelope.type)
+          ? this.envelopeToPosts(envelope, source, author).map(p => this.store.insertBlobPost(p)).filter(Boolean)
+          : [];
+        if (envelope.type === 'profile') {
+          this.storeProfile(envelope, source, author);
+        }
+        if (envelope.type === 'message') {
+          this.storeMessage(envelope, source, author);
+        }
+        for (const spanned of anchors) {
+          this.store.updateBlobAnchor(spanned.blobHash, {
+            status: 'fetched',
+            envelopeType: envelope.type,
+            attempts: spanned.blobHash === anchor.blobHash ? attempts : spanned.attempts,
+          });
+        }
+        if (payload) this.store.deleteBlobChunks(payload, anchor.agentId);
+        return stored;
+      });
+    } catch (e) {
+      // An envelope that validated but can't be stored would otherwise stay
+      // due and hold up every anchor behind it
+      this.rejectAnchors(anchors, anchor, attempts, envelope, e.message);
+      if (payload) this.store.deleteBlobChunks(payload, anchor.agentId);
+      console.warn(`Blob ${anchor.blobHash} could not be stored: ${e.message}`);
+      return;
+    }
+
+    console.log(`Blob ${anchor.blobHash}: ${envelope.type} from Agent #${envelope.agent} (${newPosts.length} posts)`);
+    for (const post of newPosts) {
+      await this.onPost(post);
+    }
+  }
+
+  // Keep a chunk of a multi-blob payload until the rest arrive. Returns every
+  // chunk once all are in; until then the anchor stays pending, but isn't due
+  // again (a later chunk's anchor completes the payload).
+  collectChunk(anchor, frame, blobData, attempts) {
+    this.store.insertBlobChunk({
+      blobHash: anchor.blobHash,
+      payloadId: frame.payloadId,
+      agentId: anchor.agentId,
+      chunkIndex: frame.index,
+      chunkCount: frame.count,
+      data: blobData,
+    });
+
+    const chunks = this.store.getBlobChunks(frame.payloadId, anchor.agentId);
+    const have = new Set(chunks.map(chunk => chunk.chunkIndex));
+    const missing = [...Array(frame.count).keys()].filter(i => !have.has(i));
+    if (missing.length === 0) return chunks;
+
+    this.store.updateBlobAnchor(anchor.blobHash, {
+      status: 'pending',
+      attempts,
+      nextAttemptAt: WAITING_FOR_CHUNKS,
+      lastError: `Waiting for chunk${missing.length > 1 ? 's' : ''} ${missing.join(', ')} ` +
+        `of ${frame.count} of payload ${frame.payloadId}`,
+    });
+    console.log(`Blob ${anchor.blobHash}: chunk ${frame.index} of ${frame.count} of payload ${frame.payloadId}`);
+    return null;
+  }
+
+  rejectAnchors(anchors, anchor, attempts, envelope, error) {
+    for (const spanned of anchors) {
+      this.store.updateBlobAnchor(spanned.blobHash, {
+        status: 'invalid',
+        envelopeType: envelope && envelope.type,
+        attempts: spanned.blobHash === anchor.blobHash ? attempts : spanned.attempts,
+        lastError: error,
+      });
+    }
+  }
+
+  // Flatten a post/reply/batch/repost envelope into post rows linked to the anchor
+  envelopeToPosts(envelope, anchor, author) {
+    const base = {
+      author,
+      agentId: envelope.agent,
+      txHash: anchor.txHash,
+      blockNumber: anchor.blockNumber,
+      blobHash: anchor.blobHash,
+    };
+
+    const toPost = (entry, index, ts, extra = {}) => ({
+      ...base,
+      ...extra,
+      blobIndex: index,
+      content: entry.content,
+      contentHash: ethers.keccak256(ethers.toUtf8Bytes(entry.content)),
+      timestamp: ts * 1000,
+      tags: entry.tags || [],
+    });
+
+    switch (envelope.type) {
+      case 'post':
+        return [toPost(envelope.data, 0, envelope.ts)];
+      case 'reply':
+        return [toPost(envelope.data, 0, envelope.ts, {
+          replyToBlob: envelope.data.replyTo,
+          rootBlob: envelope.data.rootPost,
+        })];
+      case 'batch':
+        return envelope.data.posts.map((entry, i) => toPost(entry, i, entry.ts || envelope.ts));
+      case 'repost':
+        // Content turns a repost into a quote
+        return [toPost({ ...envelope.data, content: envelope.data.content || '' }, 0, envelope.ts, {
+          kind: envelope.data.content ? 'quote' : 'repost',
+          refBlob: envelope.data.repostOf,
+        })];
+      default:
+        return [];
+    }
+  }
+
+  // A profile envelope becomes the anchoring author's next profile revision
+  storeProfile(envelope, anchor, author) {
+    const document = canonicalProfile(normalizeProfile(envelope.data));
+    this.store.insertProfile({
+      address: author,
+      agentId: envelope.agent,
+      document,
+      profileHash: ethers.keccak256(ethers.toUtf8Bytes(document)),
+      source: 'blob',
+      signature: envelope.sig,
+      blobHash: anchor.blobHash,
+      blockNumber: anchor.blockNumber,
+      createdAt: envelope.ts * 1000,
+    });
+  }
+
+  // A message envelope is stored as is; only the two parties can decrypt it
+  storeMessage(envelope, anchor, author) {
+    if (envelope.data.to.toLowerCase() === author.toLowerCase()) return;
+    this.store.insertMessage({
+      from: author,
+      to: envelope.data.to,
+      envelope,
+      envelopeHash: envelopeHash(envelope),
+      source: 'blob',
+      blobHash: anchor.blobHash,
+      blockNumber: anchor.blockNumber,
+      timestamp: envelope.ts * 1000,
+    });
+  }
+
+  // The anchor names no L1 block, so beacon nodes can't be asked; the
+  // retriever's endpoints are tried and their answer verified
+  async fetchBlob(blobHash) {
+    const blob = await this.retriever.getBlob(blobHash);
+    return blob.data;
+  }
+
+  // anchorContent is onlyAgentOwner, so the tx sender is the agent's owner
+  async fetchAnchorAuthor(txHash) {
+    const tx = await this.provider.getTransaction(txHash);
+    if (!tx) {
+      throw new Error(`Anchor transaction ${txHash} not found`);
+    }
+    return tx.from;
+  }
+}
+
+module.exports = { BlobWorker };
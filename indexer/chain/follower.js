@@ -0,0 +1,238 @@
+const { ethers } = require('ethers');
+
+// Events emitted by BlobSocialVerified
+const SOCIAL_EVENTS_ABI = [
+  'event PostCreated(uint256 indexed postId, address indexed author, uint256 indexed agentId, bytes32 contentHash, uint256 timestamp)',
+  'event Followed(address indexed follower, address indexed following, uint256 timestamp)',
+  'event Unfollowed(address indexed follower, address indexed following, uint256 timestamp)',
+];
+
+// Events we ingest from BlobSocialGraph: content and profile blob anchors,
+// and messaging keys
+const GRAPH_EVENTS_ABI = [
+  'event ContentAnchored(uint256 indexed agentId, bytes32 indexed blobHash, uint256 indexed postIndex, uint256 timestamp)',
+  'event ProfileUpdated(uint256 indexed agentId, bytes32 profileBlobHash, uint256 timestamp)',
+  'event PublicKeySet(uint256 indexed agentId, bytes32 publicKey, uint256 timestamp)',
+];
+
+const CHECKPOINT_KEY = 'chain_checkpoint';
+
+// How many processed block hashes to keep for reorg detection
+const REORG_WINDOW = 128;
+
+/**
+ * Follows BlobSocialVerified (and optionally BlobSocialGraph) logs in block
+ * ranges, stores posts, follow events and blob anchors, and rolls them back
+ * when the chain reorganises under us.
+ */
+class ChainFollower {
+  constructor(store, options) {
+    this.store = store;
+    this.provider = options.provider;
+    this.address = options.contractAddress;
+    this.graphAddress = options.graphAddress || null;
+    this.startBlock = options.startBlock || 0;
+    this.confirmations = options.confirmations ?? 5;
+    this.blockRange = options.blockRange || 2000;
+    this.pollInterval = options.pollInterval || 12000;
+    this.onPost = options.onPost || (() => {});
+
+    // Both contracts emit a Followed event with different arguments, so
+    // each address gets its own interface
+    const socialIface = new ethers.Interface(SOCIAL_EVENTS_ABI);
+    this.interfaces = new Map([[this.address.toLowerCase(), socialIface]]);
+    this.topics = ['PostCreated', 'Followed', 'Unfollowed'].map(name => socialIface.getEvent(name).topicHash);
+
+    if (this.graphAddress) {
+      const graphIface = new ethers.Interface(GRAPH_EVENTS_ABI);
+      this.interfaces.set(this.graphAddress.toLowerCase(), graphIface);
+      this.topics.push(...['ContentAnchored', 'ProfileUpdated', 'PublicKeySet'].map(name => graphIface.getEvent(name).topicHash));
+    }
+
+    this.timer = null;
+    this.running = false;
+    this.lastError = null;
+    this.headBlock = null;
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+    const loop = async () => {
+      try {
+        await this.poll();
+        this.lastError = null;
+      } catch (e) {
+        this.lastError = e.message;
+        console.error('Chain follower error:', e.message);
+      }
+      if (this.running) {
+        this.timer = setTimeout(loop, this.pollInterval);
+      }
+    };
+    loop();
+  }
+
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+  }
+
+  status() {
+    const checkpoint = this.store.getMeta(CHECKPOINT_KEY);
+    return {
+      contract: this.address,
+      graphContract: this.graphAddress,
+      checkpoint: checkpoint ? checkpoint.number : null,
+      head: this.headBlock,
+      confirmations: this.confirmations,
+      lastError: this.lastError,
+    };
+  }
+
+  // Process every confirmed block after the checkpoint
+  async poll() {
+    this.headBlock = await this.provider.getBlockNumber();
+    const safeBlock = this.headBlock - this.confirmations;
+
+    await this.handleReorg();
+
+    const checkpoint = this.store.getMeta(CHECKPOINT_KEY);
+    let from = checkpoint ? checkpoint.number + 1 : this.startBlock;
+
+    while (from <= safeBlock) {
+      const to = Math.min(from + this.blockRange - 1, safeBlock);
+      await this.processRange(from, to);
+      from = to + 1;
+    }
+  }
+
+  async processRange(from, to) {
+    const [logs, toBlock] = await Promise.all([
+      this.provider.getLogs({
+        address: [...this.interfaces.keys()],
+        fromBlock: from,
+        toBlock: to,
+        topics: [this.topics],
+      }),
+      this.provider.getBlock(to),
+    ]);
+
+    const newPosts = [];
+
+    this.store.transaction(() => {
+      for (const log of logs) {
+        // A removed log means the node already saw the reorg; skip it
+        if (log.removed) continue;
+
+        const iface = this.interfaces.get(log.address.toLowerCase());
+        const parsed = iface && iface.parseLog(log);
+        if (!parsed) continue;
+
+        this.store.recordChainBlock(log.blockNumber, log.blockHash);
+        const post = this.applyEvent(parsed, log);
+        if (post) newPosts.push(post);
+      }
+
+      this.store.recordChainBlock(to, toBlock.hash);
+      this.store.pruneChainBlocks(to - REORG_WINDOW);
+      this.store.setMeta(CHECKPOINT_KEY, { number: to, hash: toBlock.hash });
+    });
+
+    if (logs.length > 0) {
+      console.log(`Chain: processed ${logs.length} events in blocks ${from}-${to}`);
+    }
+    for (const post of newPosts) {
+      await this.onPost(post);
+    }
+  }
+
+  applyEvent(parsed, log) {
+    const base = {
+      txHash: log.transactionHash,
+      blockNumber: log.blockNumber,
+      logIndex: log.index,
+      timestamp: Number(parsed.args.timestamp) * 1000,
+    };
+
+    switch (parsed.name) {
+      case 'PostCreated':
+        // Our own anchoring job's roots are not posts
+        if (this.store.getAnchorRootByHash(parsed.args.contentHash)) return null;
+        return this.store.insertChainPost({
+          ...base,
+          chainPostId: Number(parsed.args.postId),
+          author: parsed.args.author,
+          agentId: Number(parsed.args.agentId),
+          contentHash: parsed.args.contentHash,
+        });
+      case 'Followed':
+      case 'Unfollowed':
+        this.store.insertFollowEvent({
+          ...base,
+          follower: parsed.args.follower,
+          following: parsed.args.following,
+          kind: parsed.name === 'Followed' ? 'follow' : 'unfollow',
+        });
+        return null;
+      case 'ContentAnchored':
+        // Anchored post roots have no blob behind them
+        if (this.store.getAnchorRootByHash(parsed.args.blobHash)) return null;
+        this.store.insertBlobAnchor({
+          ...base,
+          blobHash: parsed.args.blobHash,
+          agentId: Number(parsed.args.agentId),
+          postIndex: Number(parsed.args.postIndex),
+        });
+        return null;
+      case 'ProfileUpdated':
+        // The blob worker fetches it like any other anchor and stores the profile
+        this.store.insertBlobAnchor({
+          ...base,
+          blobHash: parsed.args.profileBlobHash,
+          agentId: Number(parsed.args.agentId),
+          postIndex: 0,
+        });
+        return null;
+      case 'PublicKeySet':
+        this.store.setMessagingKey({
+          agentId: Number(parsed.args.agentId),
+          publicKey: parsed.args.publicKey.toLowerCase(),
+          source: 'chain',
+          blockNumber: log.blockNumber,
+          updatedAt: base.timestamp,
+        });
+        return null;
+      default:
+        return null;
+    }
+  }
+
+  // Walk back through recorded block hashes until one still matches the chain
+  async handleReorg() {
+    const recorded = this.store.getChainBlocks(REORG_WINDOW);
+    if (recorded.length === 0) return;
+
+    let ancestor = null;
+    for (const block of recorded) {
+      const onChain = await this.provider.getBlock(block.number);
+      if (onChain && onChain.hash === block.hash) {
+        ancestor = block;
+        break;
+      }
+    }
+
+    if (ancestor && ancestor.number === recorded[0].number) return;
+
+    // Reorg deeper than our window: replay from the oldest block we still trust
+    const rollbackTo = ancestor ? ancestor.number : recorded[recorded.length - 1].number - 1;
+    const removed = this.store.rollbackChain(rollbackTo);
+    this.store.setMeta(CHECKPOINT_KEY, { number: rollbackTo, hash: ancestor ? ancestor.hash : null });
+
+    console.warn(`Chain reorg detected: rolled back to block ${rollbackTo} ` +
+      `(${removed.posts} posts, ${removed.follows} follow events, ${removed.anchors} blob anchors, ${removed.profiles} profiles, ` +
+      `${removed.messagingKeys} messaging keys, ${removed.messages} messages removed)`);
+  }
+}
+
+module.exports = { ChainFollower, SOCIAL_EVENTS_ABI, GRAPH_EVENTS_ABI };
@@ -0,0 +1,63 @@
+const { ethers } = require('ethers');
+
+// Mention parsing. A post mentions an agent by address (@0x...) or by its
+// ERC-8004 id (@agent#22583); ids are resolved to the owning address.
+
+// Caps the notifications a single post can fan out
+const MAX_MENTIONS = 20;
+
+// An @ that starts a word, so email addresses don't count
+const MENTION_PATTERN = /(?<![\p{L}\p{N}_@.])@(?:(0x[0-9a-fA-F]{40})|agent#(\d{1,15}))(?![\p{L}\p{N}_])/giu;
+
+// Mentions in order of first appearance: [{ address, agentId }], one of the
+// two set. Addresses are lowercase, duplicates dropped.
+function extractMentions(content) {
+  const seen = new Set();
+  const mentions = [];
+  for (const [, address, agentId] of (content || '').matchAll(MENTION_PATTERN)) {
+    const key = address ? address.toLowerCase() : `#${Number(agentId)}`;
+    if (seen.has(key)) continue;
+    if (address && !ethers.isAddress(address)) continue;
+    seen.add(key);
+    mentions.push(address
+      ? { address: key, agentId: null }
+      : { address: null, agentId: Number(agentId) });
+    if (mentions.length === MAX_MENTIONS) break;
+  }
+  return mentions;
+}
+
+// Longest a post waits on the registry for its @agent#id lookups
+const RESOLVE_TIMEOUT = 2000;
+
+// extractMentions with agent ids resolved through the registry, all at once
+// and within `timeout` ms overall. An id with no owner, or one the registry
+// didn't answer for in time, keeps a null address.
+async function resolveMentions(content, agentResolver, { timeout = RESOLVE_TIMEOUT } = {}) {
+  const mentions = extractMentions(content);
+  let expired = false;
+  const lookups = mentions.filter(mention => mention.address === null).map(async mention => {
+    try {
+      const owner = await agentResolver.getOwner(mention.agentId);
+      if (!expired) mention.address = owner ? owner.toLowerCase() : null;
+    } catch (e) {
+      console.warn(`⚠️  Could not resolve @agent#${mention.agentId}: ${e.message}`);
+    }
+  });
+
+  let timer;
+  const deadline = new Promise(resolve => {
+    timer = setTimeout(() => {
+      expired = true;
+      resolve();
+    }, timeout);
+  });
+  await Promise.race([Promise.all(lookups), deadline]);
+  clearTimeout(timer);
+  if (expired) {
+    console.warn(`⚠️  Gave up resolving mentions after ${timeout}ms`);
+  }
+  return mentions;
+}
+
+module.exports = { MAX_MENTIONS, extractMentions, resolveMentions };
@@ -0,0 +1,120 @@
+// Opaque keyset cursors for list endpoints.
+//
+// A cursor records the (timestamp, id) of the post it was cut at, which way
+// the client is paging, and the highest post id the indexer had when the page
+// was served (`hw`). Keyset pages don't shift when new posts arrive, and
+// /feed/updates can resume from `hw` without gaps or duplicates.
+
+function encodeCursor({ t, id, hw }, dir) {
+  return Buffer.from(JSON.stringify({ t, id, hw, dir })).toString('base64url');
+}
+
+function decodeCursor(token) {
+  let cursor;
+  try {
+    cursor = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+  } catch (e) {
+    return null;
+  }
+  if (!cursor || !Number.isFinite(cursor.t) || !Number.isInteger(cursor.id) ||
+      !Number.isInteger(cursor.hw) || !['next', 'prev'].includes(cursor.dir)) {
+    return null;
+  }
+  return cursor;
+}
+
+// Relevance-ranked lists have no stable sort key, so their cursors are offsets
+function encodeOffsetCursor(offset) {
+  return Buffer.from(JSON.stringify({ o: offset })).toString('base64url');
+}
+
+function decodeOffsetCursor(token) {
+  let cursor;
+  try {
+    cursor = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+  } catch (e) {
+    return null;
+  }
+  return cursor && Number.isInteger(cursor.o) && cursor.o >= 0 ? cursor : null;
+}
+
+// Lists with their own sequence number, such as an agent's profile
+// revisions, page on it: { r, dir } with r the revision the page was cut at
+function encodeRevisionCursor(revision, dir) {
+  return Buffer.from(JSON.stringify({ r: revision, dir })).toString('base64url');
+}
+
+function decodeRevisionCursor(token) {
+  let cursor;
+  try {
+    cursor = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+  } catch (e) {
+    return null;
+  }
+  if (!cursor || !Number.isInteger(cursor.r) || cursor.r < 0 || !['next', 'prev'].includes(cursor.dir)) {
+    return null;
+  }
+  return cursor;
+}
+
+// next/prev tokens for a newest-first page of revisions, handed out on the
+// same terms as pageCursors
+function revisionCursors({ revisions, hasMore }, { cursor }) {
+  const here = cursor ? cursor.r : null;
+  const first = revisions.length ? revisions[0].revision : here;
+  const last = revisions.length ? revisions[revisions.length - 1].revision : here;
+  const backwards = cursor !== null && cursor.dir === 'prev';
+
+  return {
+    next: last !== null && (hasMore || backwards) ? encodeRevisionCursor(last, 'next') : null,
+    prev: first !== null ? encodeRevisionCursor(first, 'prev') : null,
+  };
+}
+
+// Parse limit/cursor/since/until. Returns { error } on bad input.
+function parsePageQuery(query, { defaultLimit = 50, maxLimit = 100, decode = decodeCursor } = {}) {
+  const limit = Math.min(parseInt(query.limit) || defaultLimit, maxLimit);
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decode(query.cursor);
+    if (!cursor) return { error: 'Invalid cursor' };
+  }
+
+  const since = query.since !== undefined ? Number(query.since) : null;
+  const until = query.until !== undefined ? Number(query.until) : null;
+  if ((since !== null && !Number.isFinite(since)) || (until !== null && !Number.isFinite(until))) {
+    return { error: 'since/until must be timestamps in milliseconds' };
+  }
+
+  return { limit, cursor, since, until };
+}
+
+// next/prev tokens for a page returned by store.pagePosts(). `prev` is always
+// handed out once there is a position, because new items can appear at the
+// head of any list; `next` only when the store saw more, or when the client
+// paged backwards (so there is at least the page it came from).
+function pageCursors({ posts, hasMore }, { cursor }, highWater) {
+  const at = post => ({ t: post.timestamp, id: post.id, hw: highWater });
+  const here = cursor ? at({ timestamp: cursor.t, id: cursor.id }) : null;
+  const first = posts.length ? at(posts[0]) : here;
+  const last = posts.length ? at(posts[posts.length - 1]) : here;
+  const backwards = cursor !== null && cursor.dir === 'prev';
+
+  return {
+    next: last && (hasMore || backwards) ? encodeCursor(last, 'next') : null,
+    prev: first ? encodeCursor(first, 'prev') : null,
+  };
+}
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  encodeOffsetCursor,
+  decodeOffsetCursor,
+  encodeRevisionCursor,
+  decodeRevisionCursor,
+  parsePageQuery,
+  pageCursors,
+  revisionCursors,
+};
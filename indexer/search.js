@@ -0,0 +1,76 @@
+const { ethers } = require('ethers');
+
+// Search query parsing and hashtag extraction.
+//
+// A query is free text plus operators:
+//   word             every bare word must match; `word*` matches a prefix
+//   "exact phrase"   words in this order
+//   #tag             posts carrying the tag (envelope tags or #hashtags in content)
+//   from:0x...       posts by that author (repeat for any of several authors)
+
+const MAX_TAG_LENGTH = 64;
+
+// A # that starts a word, so URLs fragments and HTML entities (&#39;) don't count
+const HASHTAG_PATTERN = /(?:^|[^\p{L}\p{N}_&#/])#([\p{L}\p{N}_]+)/gu;
+
+// Lowercase tag without the leading #, or null if it isn't a valid tag
+function normalizeTag(tag) {
+  const normalized = String(tag).replace(/^#/, '').normalize('NFKC').toLowerCase();
+  if (normalized.length === 0 || normalized.length > MAX_TAG_LENGTH) return null;
+  return /^[\p{L}\p{N}_]+$/u.test(normalized) ? normalized : null;
+}
+
+// Tags for a post: explicit envelope tags plus #hashtags in the content
+function extractTags(content, tags = []) {
+  const found = new Set();
+  for (const tag of tags) {
+    const normalized = normalizeTag(tag);
+    if (normalized) found.add(normalized);
+  }
+  for (const match of (content || '').matchAll(HASHTAG_PATTERN)) {
+    const normalized = normalizeTag(match[1]);
+    if (normalized) found.add(normalized);
+  }
+  return [...found];
+}
+
+// Split q into { terms, phrases, tags, authors }. Returns { error } on bad input.
+function parseSearchQuery(q) {
+  const parsed = { terms: [], phrases: [], tags: [], authors: [] };
+
+  for (const [, phrase, word] of String(q || '').matchAll(/"([^"]*)"?|(\S+)/g)) {
+    if (phrase !== undefined) {
+      if (/[\p{L}\p{N}]/u.test(phrase)) parsed.phrases.push(phrase.trim());
+      continue;
+    }
+
+    if (word.startsWith('#')) {
+      const tag = normalizeTag(word);
+      if (!tag) return { error: `Invalid hashtag: ${word}` };
+      parsed.tags.push(tag);
+    } else if (/^from:/i.test(word)) {
+      const address = word.slice(5);
+      if (!ethers.isAddress(address)) return { error: `from: needs an Ethereum address, got "${address}"` };
+      parsed.authors.push(address.toLowerCase());
+    } else if (/[\p{L}\p{N}]/u.test(word)) {
+      parsed.terms.push(word);
+    }
+  }
+
+  const empty = Object.values(parsed).every(list => list.length === 0);
+  return empty ? { error: 'Query is empty' } : parsed;
+}
+
+// FTS5 MATCH expression for the text part of a parsed query, or null when the
+// query only has operators. Every word is quoted so FTS syntax in user input
+// (AND, NEAR, column filters, ...) is matched literally.
+function toMatchExpression({ terms, phrases }) {
+  const quote = s => `"${s.replace(/"/g, '""')}"`;
+  const parts = [
+    ...terms.map(term => term.endsWith('*') ? `${quote(term.replace(/\*+$/, ''))}*` : quote(term)),
+    ...phrases.map(quote),
+  ];
+  return parts.length ? parts.join(' ') : null;
+}
+
+module.exports = { normalizeTag, extractTags, parseSearchQuery, toMatchExpression };
@@ -1,7 +1,60 @@
 const express = require('express');
 const { ethers } = require('ethers');
-const fs = require('fs');
 const rateLimit = require('express-rate-limit');
+const { createStore } = require('./store');
+const { importJsonData } = require('./store/import-json');
+const { ChainFollower } = require('./chain/follower');
+const { BlobWorker } = require('./blobs/worker');
+const { PostAnchorer, anchorProof } = require('./anchor/anchorer');
+const { BlobAggregator, EnvelopeRejectedError, RegistryUnavailableError } = require('./aggregator/aggregator');
+const { StreamHub, WS_PATH } = require('./stream/hub');
+const { AgentResolver } = require('../lib/agent-resolver');
+const { FailoverProvider } = require('../lib/failover-provider');
+const { BlobRetriever } = require('../lib/blob-retrieval');
+const {
+  POST_TYPES,
+  QUOTE_POST_TYPES,
+  REPOST_TYPES,
+  EDIT_POST_TYPES,
+  DELETE_POST_TYPES,
+  REACT_TYPES,
+  UNREACT_TYPES,
+  FOLLOW_TYPES,
+  UNFOLLOW_TYPES,
+  POST_BATCH_TYPES,
+  MARK_READ_TYPES,
+  PROFILE_TYPES,
+  MESSAGING_KEY_TYPES,
+  DIRECT_MESSAGE_TYPES,
+  buildDomain,
+  postMessage,
+  quotePostMessage,
+  repostMessage,
+  editMessage,
+  deleteMessage,
+  reactionMessage,
+  followMessage,
+  batchMessage,
+  markReadMessage,
+  profileMessage,
+  messagingKeyMessage,
+  directMessage,
+  recoverTypedDataSigner,
+} = require('../lib/typed-data');
+const {
+  encodeCursor,
+  decodeCursor,
+  encodeOffsetCursor,
+  decodeOffsetCursor,
+  decodeRevisionCursor,
+  parsePageQuery,
+  pageCursors,
+  revisionCursors,
+} = require('./pagination');
+const { normalizeTag, parseSearchQuery, toMatchExpression } = require('./search');
+const { resolveMentions } = require('./mentions');
+const { normalizeProfile, canonicalProfile } = require('../lib/profile');
+const { batchEntry, batchLeaf, merkleProof, verifyMerkleProof } = require('../lib/merkle');
 
 const app = express();
 app.use(express.json());
@@ -10,61 +63,204 @@ app.use(express.json());
 const CONFIG = {
   PORT: process.env.PORT || 3040,
   AGENT_REGISTRY: '0x8004A169FB4a3325136EB29fA0ceB6D2e539a432',
-  MAINNET_RPC: 'https://eth.llamarpc.com',
-  DATA_DIR: './data',
+  // Mainnet RPCs for the registry, tried in order
+  MAINNET_RPCS: (process.env.MAINNET_RPCS || 'https://eth.llamarpc.com,https://ethereum.publicnode.com,https://rpc.ankr.com/eth')
+    .split(',').map(s => s.trim()).filter(Boolean),
+  RPC_TIMEOUT: parseInt(process.env.RPC_TIMEOUT || '5000'),
+  MENTION_TIMEOUT: parseInt(process.env.MENTION_TIMEOUT || '2000'), // all of a post's @agent#id lookups
+  RPC_FAILURE_THRESHOLD: parseInt(process.env.RPC_FAILURE_THRESHOLD || '3'),
+  RPC_COOLDOWN: parseInt(process.env.RPC_COOLDOWN || '30000'),
+  RPC_HEALTH_INTERVAL: parseInt(process.env.RPC_HEALTH_INTERVAL || '30000'),
+  REGISTRY_CACHE_TTL: parseInt(process.env.REGISTRY_CACHE_TTL || String(10 * 60 * 1000)),
+  REGISTRY_NEGATIVE_TTL: parseInt(process.env.REGISTRY_NEGATIVE_TTL || '60000'),
+  REGISTRY_START_BLOCK: parseInt(process.env.REGISTRY_START_BLOCK || '0'), // lower bound for agent ID log scans
+
+  // EIP-712 domain for signed posts; defaults to BlobSocialVerified on Base Sepolia
+  EIP712_CHAIN_ID: parseInt(process.env.EIP712_CHAIN_ID || '84532'),
+  EIP712_VERIFYING_CONTRACT: process.env.EIP712_VERIFYING_CONTRACT || null,
+  // Set per deployment so signatures for this indexer don't verify at others
+  // on the same contract
+  EIP712_SALT: process.env.EIP712_SALT || null,
+  // Deprecated personal_sign post signatures; set to false to reject them
+  LEGACY_SIGNATURES: process.env.LEGACY_SIGNATURES !== 'false',
+
+  // Reactions: accepted kinds and how many reactions an agent may send per 15 minutes
+  REACTION_KINDS: (process.env.REACTION_KINDS || 'like,❤️,🔥,😂,🦞,👀')
+    .split(',').map(s => s.trim().normalize('NFC')).filter(Boolean),
+  REACTION_RATE_LIMIT: parseInt(process.env.REACTION_RATE_LIMIT || '60'),
+
+  // Direct messages: largest accepted envelope (bytes of JSON) and how many
+  // messages an agent may send per 15 minutes
+  DM_MAX_BYTES: parseInt(process.env.DM_MAX_BYTES || '16384'),
+  DM_RATE_LIMIT: parseInt(process.env.DM_RATE_LIMIT || '30'),
+
+  // Most posts accepted in one POST /batch
+  BATCH_MAX_POSTS: parseInt(process.env.BATCH_MAX_POSTS || '50'),
+  DATA_DIR: process.env.DATA_DIR || './data',
+  STORE_BACKEND: process.env.STORE_BACKEND || 'sqlite',
+  DB_PATH: process.env.DB_PATH || null,
+
+  // On-chain ingestion (BlobSocialVerified on Base Sepolia)
+  CHAIN_FOLLOWER: process.env.CHAIN_FOLLOWER !== 'false',
+  CHAIN_RPC: process.env.CHAIN_RPC || 'https://sepolia.base.org',
+  SOCIAL_CONTRACT: process.env.SOCIAL_CONTRACT || '0xfF526F405868BA7345E64Cc52Cd8E772b095A829',
+  CHAIN_START_BLOCK: parseInt(process.env.CHAIN_START_BLOCK || '37053869'), // deploy block
+  CHAIN_CONFIRMATIONS: parseInt(process.env.CHAIN_CONFIRMATIONS || '5'),
+  CHAIN_BLOCK_RANGE: parseInt(process.env.CHAIN_BLOCK_RANGE || '2000'),
+  CHAIN_POLL_INTERVAL: parseInt(process.env.CHAIN_POLL_INTERVAL || '12000'),
+
+  // Blob ingestion (BlobSocialGraph.ContentAnchored -> blob sidecars)
+  GRAPH_CONTRACT: process.env.GRAPH_CONTRACT || null, // not deployed yet
+  BLOB_ENDPOINTS: (process.env.BLOB_ENDPOINTS || 'https://api.sepolia.blobscan.com').split(',').map(s => s.trim()).filter(Boolean),
+  BLOB_MAX_ATTEMPTS: parseInt(process.env.BLOB_MAX_ATTEMPTS || '8'),
+  BLOB_RETRY_BASE: parseInt(process.env.BLOB_RETRY_BASE || '30000'),
+
+  // Periodic anchoring of API posts (off unless ANCHOR_PRIVATE_KEY is set).
+  // 'graph' calls BlobSocialGraph.anchorContent as ANCHOR_AGENT_ID; 'social'
+  // calls BlobSocialVerified.createPost, which needs a registered sender
+  ANCHOR_PRIVATE_KEY: process.env.ANCHOR_PRIVATE_KEY || null,
+  ANCHOR_RPC: process.env.ANCHOR_RPC || null, // defaults to CHAIN_RPC
+  ANCHOR_METHOD: process.env.ANCHOR_METHOD || (process.env.GRAPH_CONTRACT ? 'graph' : 'social'),
+  ANCHOR_CONTRACT: process.env.ANCHOR_CONTRACT || null, // defaults to the method's contract
+  ANCHOR_AGENT_ID: process.env.ANCHOR_AGENT_ID ? parseInt(process.env.ANCHOR_AGENT_ID) : null,
+  ANCHOR_INTERVAL: parseInt(process.env.ANCHOR_INTERVAL || String(60 * 60 * 1000)), // longest a post waits
+  ANCHOR_THRESHOLD: parseInt(process.env.ANCHOR_THRESHOLD || '100'), // or anchor once this many wait
+  ANCHOR_MAX_POSTS: parseInt(process.env.ANCHOR_MAX_POSTS || '5000'),
+  ANCHOR_CONFIRMATIONS: parseInt(process.env.ANCHOR_CONFIRMATIONS || '2'),
+  ANCHOR_POLL_INTERVAL: parseInt(process.env.ANCHOR_POLL_INTERVAL || '30000'),
+
+  // Shared-blob aggregation (off unless AGGREGATOR_PRIVATE_KEY is set): signed
+  // envelopes from any agent are packed into one blob per transaction
+  AGGREGATOR_PRIVATE_KEY: process.env.AGGREGATOR_PRIVATE_KEY || null,
+  AGGREGATOR_RPC: process.env.AGGREGATOR_RPC || null, // defaults to CHAIN_RPC
+  AGGREGATOR_INTERVAL: parseInt(process.env.AGGREGATOR_INTERVAL || String(10 * 60 * 1000)), // longest an envelope waits
+  AGGREGATOR_THRESHOLD: parseInt(process.env.AGGREGATOR_THRESHOLD || String(96 * 1024)), // or send once this many bytes wait
+  AGGREGATOR_CONFIRMATIONS: parseInt(process.env.AGGREGATOR_CONFIRMATIONS || '2'),
+  AGGREGATOR_POLL_INTERVAL: parseInt(process.env.AGGREGATOR_POLL_INTERVAL || '30000'),
+
+  // Live streams (GET /stream, WebSocket /stream/ws)
+  STREAM_MAX_CLIENTS: parseInt(process.env.STREAM_MAX_CLIENTS || '1000'),
+  STREAM_MAX_BUFFER: parseInt(process.env.STREAM_MAX_BUFFER || String(1024 * 1024)), // bytes per subscriber
+  STREAM_REPLAY_LIMIT: parseInt(process.env.STREAM_REPLAY_LIMIT || '1000'),
 };
 
-// In-memory store (upgrade to SQLite/Postgres later)
-let posts = [];
-let agents = new Map(); // address -> agentId
-let nonces = new Map(); // address -> nonce for replay protection
+const SIGNING_DOMAIN = buildDomain({
+  chainId: CONFIG.EIP712_CHAIN_ID,
+  verifyingContract: CONFIG.EIP712_VERIFYING_CONTRACT || CONFIG.SOCIAL_CONTRACT,
+  salt: CONFIG.EIP712_SALT,
+});
 
-// ABIs
-const REGISTRY_ABI = [
-  'function balanceOf(address) view returns (uint256)',
-];
+// Persistent store (posts, nonces, agents)
+const store = createStore({
+  backend: CONFIG.STORE_BACKEND,
+  dbPath: CONFIG.DB_PATH || `${CONFIG.DATA_DIR}/blobsocial.db`,
+});
 
-// Provider
-const provider = new ethers.JsonRpcProvider(CONFIG.MAINNET_RPC);
-const registry = new ethers.Contract(CONFIG.AGENT_REGISTRY, REGISTRY_ABI, provider);
+// Registry provider (mainnet, with failover) and cached agent lookups
+const provider = new FailoverProvider(CONFIG.MAINNET_RPCS, {
+  network: 1,
+  timeout: CONFIG.RPC_TIMEOUT,
+  failureThreshold: CONFIG.RPC_FAILURE_THRESHOLD,
+  cooldown: CONFIG.RPC_COOLDOWN,
+  healthInterval: CONFIG.RPC_HEALTH_INTERVAL,
+});
+const agentResolver = new AgentResolver({
+  provider,
+  registryAddress: CONFIG.AGENT_REGISTRY,
+  fromBlock: CONFIG.REGISTRY_START_BLOCK,
+  ttl: CONFIG.REGISTRY_CACHE_TTL,
+  negativeTtl: CONFIG.REGISTRY_NEGATIVE_TTL,
+});
 
-// Load data on start
-function loadData() {
-  const postsFile = `${CONFIG.DATA_DIR}/posts.json`;
-  if (fs.existsSync(postsFile)) {
-    posts = JSON.parse(fs.readFileSync(postsFile));
-    console.log(`Loaded ${posts.length} posts`);
-  }
-  
-  const noncesFile = `${CONFIG.DATA_DIR}/nonces.json`;
-  if (fs.existsSync(noncesFile)) {
-    const nonceData = JSON.parse(fs.readFileSync(noncesFile));
-    nonces = new Map(Object.entries(nonceData));
-    console.log(`Loaded nonces for ${nonces.size} agents`);
+// Live post stream; every path that stores a post publishes to it
+const streamHub = new StreamHub(store, {
+  maxClients: CONFIG.STREAM_MAX_CLIENTS,
+  maxBuffer: CONFIG.STREAM_MAX_BUFFER,
+  replayLimit: CONFIG.STREAM_REPLAY_LIMIT,
+});
+
+// Chain follower
+const chainProvider = new ethers.JsonRpcProvider(CONFIG.CHAIN_RPC);
+const chainFollower = new ChainFollower(store, {
+  provider: chainProvider,
+  contractAddress: CONFIG.SOCIAL_CONTRACT,
+  graphAddress: CONFIG.GRAPH_CONTRACT,
+  startBlock: CONFIG.CHAIN_START_BLOCK,
+  confirmations: CONFIG.CHAIN_CONFIRMATIONS,
+  blockRange: CONFIG.CHAIN_BLOCK_RANGE,
+  pollInterval: CONFIG.CHAIN_POLL_INTERVAL,
+  onPost: post => publishIngestedPost(post),
+});
+
+// Blob worker (only useful when anchors are being ingested)
+const blobWorker = new BlobWorker(store, {
+  provider: chainProvider,
+  retriever: new BlobRetriever({ endpoints: CONFIG.BLOB_ENDPOINTS }),
+  maxAttempts: CONFIG.BLOB_MAX_ATTEMPTS,
+  retryBase: CONFIG.BLOB_RETRY_BASE,
+  onPost: post => publishIngestedPost(post),
+});
+
+// Anchoring job
+const postAnchorer = CONFIG.ANCHOR_PRIVATE_KEY ? new PostAnchorer(store, {
+  signer: new ethers.Wallet(
+    CONFIG.ANCHOR_PRIVATE_KEY,
+    CONFIG.ANCHOR_RPC ? new ethers.JsonRpcProvider(CONFIG.ANCHOR_RPC) : chainProvider,
+  ),
+  method: CONFIG.ANCHOR_METHOD,
+  contractAddress: CONFIG.ANCHOR_CONTRACT ||
+    (CONFIG.ANCHOR_METHOD === 'graph' ? CONFIG.GRAPH_CONTRACT : CONFIG.SOCIAL_CONTRACT),
+  agentId: CONFIG.ANCHOR_AGENT_ID,
+  interval: CONFIG.ANCHOR_INTERVAL,
+  threshold: CONFIG.ANCHOR_THRESHOLD,
+  maxPosts: CONFIG.ANCHOR_MAX_POSTS,
+  confirmations: CONFIG.ANCHOR_CONFIRMATIONS,
+  pollInterval: CONFIG.ANCHOR_POLL_INTERVAL,
+}) : null;
+
+// Shared-blob aggregator
+const blobAggregator = CONFIG.AGGREGATOR_PRIVATE_KEY ? new BlobAggregator(store, {
+  signer: new ethers.Wallet(
+    CONFIG.AGGREGATOR_PRIVATE_KEY,
+    CONFIG.AGGREGATOR_RPC ? new ethers.JsonRpcProvider(CONFIG.AGGREGATOR_RPC) : chainProvider,
+  ),
+  resolver: agentResolver,
+  interval: CONFIG.AGGREGATOR_INTERVAL,
+  threshold: CONFIG.AGGREGATOR_THRESHOLD,
+  confirmations: CONFIG.AGGREGATOR_CONFIRMATIONS,
+  pollInterval: CONFIG.AGGREGATOR_POLL_INTERVAL,
+}) : null;
+
+// Resolve and record a post's @mentions, notifying the agents mentioned.
+// Returns the post as stored afterwards. The post is already stored, so a
+// failure here is logged and the post returned without its mentions rather
+// than failing the request that stored it.
+async function indexPostMentions(post) {
+  try {
+    const mentions = await resolveMentions(post.content, agentResolver, { timeout: CONFIG.MENTION_TIMEOUT });
+    return store.indexMentions(post.id, mentions);
+  } catch (e) {
+    console.warn(`Mention indexing failed for post ${post.id}:`, e.message);
+    return post;
   }
 }
 
-// Save data
-function saveData() {
-  if (!fs.existsSync(CONFIG.DATA_DIR)) {
-    fs.mkdirSync(CONFIG.DATA_DIR, { recursive: true });
-  }
-  fs.writeFileSync(`${CONFIG.DATA_DIR}/posts.json`, JSON.stringify(posts, null, 2));
-  
-  // Save nonces as object for JSON serialization
-  const nonceObj = Object.fromEntries(nonces);
-  fs.writeFileSync(`${CONFIG.DATA_DIR}/nonces.json`, JSON.stringify(nonceObj, null, 2));
+// Chain and blob posts get their mentions indexed before they are streamed
+async function publishIngestedPost(post) {
+  streamHub.publish(await indexPostMentions(post));
 }
 
-// Verify agent registration
+// Verify agent registration. Throws when the registry can't be reached, so
+// an RPC outage is never mistaken for "not registered".
 async function verifyAgent(address) {
-  try {
-    const balance = await registry.balanceOf(address);
-    return balance > 0n;
-  } catch (e) {
-    console.error('Registry check failed:', e.message);
-    return false;
-  }
+  return agentResolver.isRegistered(address);
+}
+
+// 503 for requests we could not check against the registry
+function registryUnavailableResponse(res, error) {
+  console.error('Registry lookup failed:', error.message);
+  res.set('Retry-After', String(Math.ceil(CONFIG.RPC_COOLDOWN / 1000)));
+  return res.status(503).json({ error: 'Agent registry unavailable, try again later' });
 }
 
 // Verify signature
@@ -77,6 +273,208 @@ function verifySignature(message, signature, expectedAddress) {
   }
 }
 
+// Verify an EIP-712 signature over SIGNING_DOMAIN
+function verifyTypedSignature({ types, message }, signature, expectedAddress) {
+  const recovered = recoverTypedDataSigner(SIGNING_DOMAIN, types, message, signature);
+  return recovered !== null && recovered.toLowerCase() === expectedAddress.toLowerCase();
+}
+
+// Checks shared by every signed write (posts, follows, ...): timestamp
+// window, nonce, registration and signature. Sends the error response itself
+// and returns false when the request should stop. The nonce is only
+// consumed later, inside the write's transaction (store.consumeNonce).
+// Pass `typedData` ({ types, message }) for EIP-712 signatures, or the
+// personal_sign `message` string.
+async function authenticateSignedRequest(res, { address, signature, timestamp, nonce, message, typedData }) {
+  // Validate timestamp (within 5 minutes)
+  if (Math.abs(Date.now() - timestamp) > 5 * 60 * 1000) {
+    res.status(400).json({ 
+      error: 'Timestamp too old or too far in future (must be within 5 minutes)' 
+    });
+    return false;
+  }
+  
+  // Check nonce for replay protection
+  const currentNonce = store.getNonce(address);
+  if (nonce <= currentNonce) {
+    res.status(400).json({ 
+      error: 'Invalid nonce - must be greater than current nonce',
+      currentNonce: currentNonce
+    });
+    return false;
+  }
+  
+  // Verify agent registration
+  let isRegistered;
+  try {
+    isRegistered = await verifyAgent(address);
+  } catch (e) {
+    registryUnavailableResponse(res, e);
+    return false;
+  }
+  if (!isRegistered) {
+    res.status(403).json({ 
+      error: 'Not a registered agent', 
+      help: 'Register at https://howtoregister8004.vercel.app' 
+    });
+    return false;
+  }
+  
+  // Verify signature with proper message format
+  const validSignature = typedData
+    ? verifyTypedSignature(typedData, signature, address)
+    : verifySignature(message, signature, address);
+  if (!validSignature) {
+    res.status(403).json({ 
+      error: 'Invalid signature - authentication failed' 
+    });
+    return false;
+  }
+  
+  return true;
+}
+
+// Reply for a nonce that was used between authentication and the write
+function staleNonceResponse(res, address) {
+  return res.status(400).json({ 
+    error: 'Invalid nonce - must be greater than current nonce',
+    currentNonce: store.getNonce(address)
+  });
+}
+
+// Deprecated personal_sign message for POST /post. The Reply-To line is only
+// present for replies, so plain posts keep the original format.
+function buildPostMessage(content, { parentId, timestamp, nonce }) {
+  const replyLine = parentId !== null ? `Reply-To: ${parentId}\n` : '';
+  return `BlobSocial Post:\n${content}\n\n${replyLine}Timestamp: ${timestamp}\nNonce: ${nonce}`;
+}
+
+// What the author signed for one revision, so clients can check it
+// themselves against GET /eip712. Null when no signature was kept, or when a
+// delete removed the text a personal_sign message was made over.
+function revisionProof(post, revision) {
+  if (!revision.signature) return null;
+  if (revision.action === 'post' && post.batch) {
+    const batch = store.getBatchProof(post.id);
+    return {
+      primaryType: 'PostBatch',
+      message: { merkleRoot: batch.merkleRoot, count: batch.size, timestamp: batch.signedAt, nonce: batch.nonce },
+      inclusion: { index: batch.index, leaf: batch.leaf, entry: batch.entry, proof: batch.proof },
+    };
+  }
+  const fields = { timestamp: revision.signedAt, nonce: revision.nonce };
+  if (revision.action === 'edit') {
+    return { primaryType: 'EditPost', message: { postId: post.id, contentHash: revision.contentHash, ...fields } };
+  }
+  if (revision.action === 'delete') {
+    return { primaryType: 'DeletePost', message: deleteMessage(post.id, fields) };
+  }
+  if (post.kind === 'repost') {
+    return { primaryType: 'Repost', message: repostMessage(post.repostOf, fields) };
+  }
+  if (revision.signatureType === 'eip712') {
+    const message = {
+      contentHash: revision.contentHash,
+      ...fields,
+      isReply: post.parentId !== null,
+      parentId: post.parentId ?? 0,
+    };
+    return post.kind === 'quote'
+      ? { primaryType: 'QuotePost', message: { ...message, quotedId: post.quoteOf } }
+      : { primaryType: 'Post', message };
+  }
+  if (post.deleted) return null;
+  return { message: buildPostMessage(revision.content, { parentId: post.parentId, ...fields }) };
+}
+
+// Load the post a repost or quote points at. Sends the error response and
+// returns null when it can't be referenced.
+function findReferencedPost(res, id) {
+  const target = Number.isSafeInteger(id) ? store.getPost(id) : null;
+  if (!target) {
+    res.status(404).json({ error: 'Referenced post not found' });
+    return null;
+  }
+  if (target.deleted) {
+    res.status(410).json({ error: 'Referenced post has been deleted' });
+    return null;
+  }
+  // Point at the original so counts and timelines stay in one place
+  if (target.kind === 'repost') {
+    res.status(400).json({ error: `Post ${id} is a repost; reference post ${target.repostOf} instead`, originalId: target.repostOf });
+    return null;
+  }
+  return target;
+}
+
+// Check a claimed agentId belongs to author. Sends the error response and
+// returns false when it doesn't (or the registry can't be reached).
+async function checkAgentOwnership(res, author, agentId) {
+  let owned;
+  try {
+    owned = await agentResolver.ownsAgent(author, agentId);
+  } catch (e) {
+    registryUnavailableResponse(res, e);
+    return false;
+  }
+  if (!owned) {
+    res.status(403).json({ error: `Agent #${agentId} is not owned by ${author}` });
+    return false;
+  }
+  return true;
+}
+
+// Load the post an edit or delete targets and check it belongs to author.
+// Sends the error response and returns null when the request should stop.
+function findOwnPost(res, id, author) {
+  const post = Number.isSafeInteger(id) ? store.getPost(id) : null;
+  if (!post) {
+    res.status(404).json({ error: 'Post not found' });
+    return null;
+  }
+  if (post.deleted) {
+    res.status(410).json({ error: 'Post has been deleted' });
+    return null;
+  }
+  if (post.author.toLowerCase() !== author.toLowerCase()) {
+    res.status(403).json({ error: 'Only the author can change a post' });
+    return null;
+  }
+  return post;
+}
+
+// Parse cursor/since/until/limit, run a keyset query and shape the
+// { limit, next, prev } part of the response. Sends a 400 and returns null
+// on bad paging parameters.
+function pagedQuery(req, res, fetchPage, options) {
+  const page = parsePageQuery(req.query, options);
+  if (page.error) {
+    res.status(400).json({ error: page.error });
+    return null;
+  }
+  // better-sqlite3 is synchronous, so no post can land between these two calls
+  const result = fetchPage(page);
+  const highWater = store.maxPostId();
+  return { posts: result.posts, limit: page.limit, ...pageCursors(result, page, highWater) };
+}
+
+// Build a nested reply tree from a flat, depth-ordered list of thread posts
+function buildThread(root, posts) {
+  const nodes = new Map([[root.id, { ...root, replies: [] }]]);
+  for (const post of posts) {
+    const parent = nodes.get(post.parentId);
+    if (!parent) continue; // parent fell outside the node limit
+    const node = { ...post, replies: [] };
+    nodes.set(post.id, node);
+    parent.replies.push(node);
+  }
+  // Flag nodes whose replies were cut off by the depth or node limit
+  for (const node of nodes.values()) {
+    node.truncated = node.replies.length < node.replyCount;
+  }
+  return nodes.get(root.id);
+}
+
 // Rate limiting middleware
 const postRateLimit = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -86,71 +484,158 @@ const postRateLimit = rateLimit({
   legacyHeaders: false,
 });
 
-// Per-agent rate limiting
-const agentRateLimits = new Map(); // address -> { count, resetTime }
+// Reactions are cheap and frequent, so they get their own IP budget
+const reactionRateLimit = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: CONFIG.REACTION_RATE_LIMIT,
+  message: { error: 'Too many reactions. Please wait before trying again.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
 
-function checkAgentRateLimit(address) {
-  const now = Date.now();
+// Per-agent rate limiting: returns a check(address) allowing `max` actions
+// per 15 minutes
+function createAgentRateLimit(max) {
   const windowMs = 15 * 60 * 1000; // 15 minutes
-  const maxPosts = 5; // 5 posts per 15 minutes per agent
-  
-  const limit = agentRateLimits.get(address) || { count: 0, resetTime: now + windowMs };
-  
-  if (now > limit.resetTime) {
-    // Reset window
-    limit.count = 0;
-    limit.resetTime = now + windowMs;
-  }
+  const limits = new Map(); // address -> { count, resetTime }
   
-  if (limit.count >= maxPosts) {
-    return false;
-  }
-  
-  limit.count++;
-  agentRateLimits.set(address, limit);
-  return true;
+  return function checkAgentRateLimit(address) {
+    const now = Date.now();
+    const limit = limits.get(address) || { count: 0, resetTime: now + windowMs };
+    
+    if (now > limit.resetTime) {
+      // Reset window
+      limit.count = 0;
+      limit.resetTime = now + windowMs;
+    }
+    
+    if (limit.count >= max) {
+      return false;
+    }
+    
+    limit.count++;
+    limits.set(address, limit);
+    return true;
+  };
 }
 
+const checkAgentRateLimit = createAgentRateLimit(5); // 5 posts per 15 minutes per agent
+const checkReactionRateLimit = createAgentRateLimit(CONFIG.REACTION_RATE_LIMIT);
+const checkMessageRateLimit = createAgentRateLimit(CONFIG.DM_RATE_LIMIT);
+
 // Routes
 
 // Health check
 app.get('/health', (req, res) => {
-  res.json({ status: 'ok', posts: posts.length });
+  res.json({
+    status: 'ok',
+    posts: store.countPosts(),
+    chain: CONFIG.CHAIN_FOLLOWER ? chainFollower.status() : null,
+    anchoring: postAnchorer ? postAnchorer.status() : null,
+    aggregator: blobAggregator ? blobAggregator.status() : null,
+    registry: provider.status(),
+    stream: streamHub.status(),
+  });
 });
 
+// Live posts over Server-Sent Events (WebSocket clients use WS_PATH)
+app.get('/stream', (req, res) => streamHub.handleSse(req, res));
+
 // Get recent posts
 app.get('/feed', (req, res) => {
-  const limit = Math.min(parseInt(req.query.limit) || 50, 100);
-  const offset = parseInt(req.query.offset) || 0;
+  const page = pagedQuery(req, res, p => store.getFeed(p));
+  if (!page) return;
+  
+  res.json({ ...page, total: store.countPosts() });
+});
+
+// Posts accepted since a cursor, oldest first, for polling clients
+app.get('/feed/updates', (req, res) => {
+  const cursor = req.query.after ? decodeCursor(req.query.after) : null;
+  if (!cursor) {
+    return res.status(400).json({ error: 'after must be a cursor returned by a feed endpoint' });
+  }
+  const limit = Math.min(parseInt(req.query.limit) || 100, 500);
   
-  const feed = posts
-    .slice()
-    .reverse()
-    .slice(offset, offset + limit);
+  const { posts, hasMore } = store.getPostsAfterId(cursor.hw, limit);
+  const last = posts[posts.length - 1];
+  const position = last ? { t: last.timestamp, id: last.id } : { t: cursor.t, id: cursor.id };
+  const highWater = hasMore ? last.id : store.maxPostId();
   
   res.json({
-    posts: feed,
-    total: posts.length,
-    limit,
-    offset,
+    posts,
+    hasMore,
+    cursor: encodeCursor({ ...position, hw: highWater }, 'prev'),
   });
 });
 
 // Get posts by agent
 app.get('/agent/:address/posts', (req, res) => {
-  const address = req.params.address.toLowerCase();
-  const agentPosts = posts.filter(p => p.author.toLowerCase() === address);
+  if (!ethers.isAddress(req.params.address)) {
+    return res.status(400).json({ error: 'Invalid Ethereum address format' });
+  }
+  
+  const page = pagedQuery(req, res, p => store.getPostsByAuthor(req.params.address, p));
+  if (!page) return;
   
+  res.json(page);
+});
+
+// Full-text search with "phrases", #tag and from:<address> operators
+app.get('/search', (req, res) => {
+  const parsed = parseSearchQuery(req.query.q);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+
+  const match = toMatchExpression(parsed);
+  const query = { match, tags: parsed.tags, authors: parsed.authors };
+  const sort = req.query.sort || (match ? 'relevance' : 'recent');
+  if (!['relevance', 'recent'].includes(sort)) {
+    return res.status(400).json({ error: 'sort must be "relevance" or "recent"' });
+  }
+
+  // Operator-only queries have nothing to score, so they are always by recency
+  if (sort === 'recent' || !match) {
+    const page = pagedQuery(req, res, p => store.searchPosts(query, p));
+    if (!page) return;
+    return res.json({ query: req.query.q, sort: 'recent', ...page });
+  }
+
+  const page = parsePageQuery(req.query, { decode: decodeOffsetCursor });
+  if (page.error) {
+    return res.status(400).json({ error: page.error });
+  }
+  const offset = page.cursor ? page.cursor.o : 0;
+  const { posts, hasMore } = store.rankPosts(query, { ...page, offset });
+
   res.json({
-    posts: agentPosts.reverse(),
-    total: agentPosts.length,
+    query: req.query.q,
+    sort,
+    posts,
+    limit: page.limit,
+    next: hasMore ? encodeOffsetCursor(offset + posts.length) : null,
+    prev: offset > 0 ? encodeOffsetCursor(Math.max(0, offset - page.limit)) : null,
   });
 });
 
+// Posts carrying a tag, newest first
+app.get('/tags/:tag', (req, res) => {
+  const tag = normalizeTag(req.params.tag);
+  if (!tag) {
+    return res.status(400).json({ error: 'Invalid tag' });
+  }
+
+  const page = pagedQuery(req, res, p => store.getPostsByTag(tag, p));
+  if (!page) return;
+
+  res.json({ tag, ...page, total: store.countPostsByTag(tag) });
+});
+
 // Get single post
 app.get('/post/:id', (req, res) => {
   const id = parseInt(req.params.id);
-  const post = posts.find(p => p.id === id);
+  const post = store.getPost(id);
   
   if (!post) {
     return res.status(404).json({ error: 'Post not found' });
@@ -159,15 +644,171 @@ app.get('/post/:id', (req, res) => {
   res.json({ post });
 });
 
+// Direct replies to a post (oldest first)
+app.get('/post/:id/replies', (req, res) => {
+  const id = parseInt(req.params.id);
+  
+  if (!store.getPost(id)) {
+    return res.status(404).json({ error: 'Post not found' });
+  }
+  
+  const page = pagedQuery(req, res, p => store.getReplies(id, p));
+  if (!page) return;
+  
+  const { posts, ...paging } = page;
+  res.json({ replies: posts, total: store.countReplies(id), ...paging });
+});
+
+// Agents that reacted to a post, most recent first
+app.get('/post/:id/reactions', (req, res) => {
+  const id = parseInt(req.params.id);
+  
+  if (!store.getPost(id)) {
+    return res.status(404).json({ error: 'Post not found' });
+  }
+  
+  const kind = req.query.kind ? req.query.kind.normalize('NFC') : null;
+  const page = parsePageQuery(req.query, { defaultLimit: 100, maxLimit: 500 });
+  if (page.error) {
+    return res.status(400).json({ error: page.error });
+  }
+  const result = store.getReactions(id, { kind }, page);
+  const highWater = store.maxReactionId();
+  const counts = store.countReactions(id);
+  
+  res.json({
+    postId: id,
+    counts,
+    reactions: result.reactions,
+    total: kind ? counts[kind] || 0 : Object.values(counts).reduce((a, b) => a + b, 0),
+    limit: page.limit,
+    ...pageCursors({
+      posts: result.reactions.map(r => ({ id: r.id, timestamp: r.createdAt })),
+      hasMore: result.hasMore,
+    }, page, highWater),
+  });
+});
+
+// Every signed revision of a post, oldest first
+app.get('/post/:id/history', (req, res) => {
+  const id = parseInt(req.params.id);
+  const post = store.getPost(id);
+  
+  if (!post) {
+    return res.status(404).json({ error: 'Post not found' });
+  }
+  
+  const revisions = store.getRevisions(id).map(revision => ({
+    ...revision,
+    signed: revisionProof(post, revision),
+  }));
+  
+  res.json({ post, revisions, domain: SIGNING_DOMAIN });
+});
+
+// Whole conversation a post belongs to, as a nested tree from its root
+app.get('/post/:id/thread', (req, res) => {
+  const id = parseInt(req.params.id);
+  const maxDepth = Math.min(parseInt(req.query.depth) || 5, 10);
+  const limit = Math.min(parseInt(req.query.limit) || 200, 500);
+  
+  const post = store.getPost(id);
+  if (!post) {
+    return res.status(404).json({ error: 'Post not found' });
+  }
+  
+  const root = post.rootId !== null ? store.getPost(post.rootId) : post;
+  if (!root) {
+    return res.status(404).json({ error: 'Thread root no longer exists' });
+  }
+  
+  const posts = store.getThreadPosts(root.id, { maxDepth, limit });
+  
+  res.json({
+    thread: buildThread(root, posts),
+    focus: id,
+    depth: maxDepth,
+    count: posts.length + 1,
+  });
+});
+
+// Blob ingestion status
+app.get('/blobs/status', (req, res) => {
+  res.json(blobWorker.status());
+});
+
+// Status of a single anchored blob
+app.get('/blobs/:hash', (req, res) => {
+  const anchor = store.getBlobAnchor(req.params.hash.toLowerCase());
+  
+  if (!anchor) {
+    return res.status(404).json({ error: 'Blob anchor not found' });
+  }
+  
+  res.json({ anchor });
+});
+
+// Queue a signed envelope for a shared blob. The envelope is signed as for a
+// blob of its own (blob-utils createPost and friends); its signer must own or
+// operate envelope.agent. The receipt names the blob and byte range once the
+// envelope is packed; poll GET /aggregate/:id until status is 'confirmed'.
+const AGGREGATE_REJECTIONS = { invalid: 400, unverified: 403, 'too-large': 413 };
+
+app.post('/aggregate', postRateLimit, async (req, res) => {
+  if (!blobAggregator) {
+    return res.status(404).json({ error: 'Blob aggregation is not enabled on this indexer' });
+  }
+  const { envelope } = req.body;
+  if (!envelope || typeof envelope !== 'object' || Array.isArray(envelope)) {
+    return res.status(400).json({ error: 'Missing required field: envelope' });
+  }
+  
+  let accepted;
+  try {
+    accepted = await blobAggregator.accept(envelope);
+  } catch (e) {
+    if (e instanceof EnvelopeRejectedError) {
+      return res.status(AGGREGATE_REJECTIONS[e.reason]).json({ error: e.message });
+    }
+    if (e instanceof RegistryUnavailableError) {
+      return registryUnavailableResponse(res, e.cause);
+    }
+    console.error('Aggregate failed:', e.message);
+    return res.status(500).json({ error: 'Failed to queue envelope' });
+  }
+  
+  res.status(accepted.created ? 202 : 200).json({ success: true, receipt: accepted.receipt });
+});
+
+// Aggregator queue and blob counts
+app.get('/aggregate/status', (req, res) => {
+  if (!blobAggregator) {
+    return res.status(404).json({ error: 'Blob aggregation is not enabled on this indexer' });
+  }
+  res.json(blobAggregator.status());
+});
+
+// Receipt for a queued envelope, by receipt id or envelope hash
+app.get('/aggregate/:id', (req, res) => {
+  if (!blobAggregator) {
+    return res.status(404).json({ error: 'Blob aggregation is not enabled on this indexer' });
+  }
+  const key = /^0x[0-9a-fA-F]{64}$/.test(req.params.id) ? req.params.id : parseInt(req.params.id);
+  const record = typeof key === 'string' || Number.isSafeInteger(key) ? store.getAggregateEnvelope(key) : null;
+  if (!record) {
+    return res.status(404).json({ error: 'Envelope not found' });
+  }
+  
+  res.json({ receipt: blobAggregator.receipt(record) });
+});
+
 // Get current nonce for an agent
 app.get('/agent/:address/nonce', (req, res) => {
-  const address = req.params.address.toLowerCase();
-  
   if (!ethers.isAddress(req.params.address)) {
     return res.status(400).json({ error: 'Invalid Ethereum address format' });
   }
   
-  const currentNonce = nonces.get(address) || 0;
+  const currentNonce = store.getNonce(req.params.address);
   
   res.json({ 
     address: req.params.address,
@@ -176,9 +817,33 @@ app.get('/agent/:address/nonce', (req, res) => {
   });
 });
 
+// EIP-712 domain and types for signing posts
+app.get('/eip712', (req, res) => {
+  res.json({
+    domain: SIGNING_DOMAIN,
+    types: POST_TYPES,
+    primaryType: 'Post',
+    quote: { types: QUOTE_POST_TYPES, primaryType: 'QuotePost' },
+    repost: { types: REPOST_TYPES, primaryType: 'Repost' },
+    edit: { types: EDIT_POST_TYPES, primaryType: 'EditPost' },
+    delete: { types: DELETE_POST_TYPES, primaryType: 'DeletePost' },
+    react: { types: REACT_TYPES, primaryType: 'React' },
+    unreact: { types: UNREACT_TYPES, primaryType: 'Unreact' },
+    follow: { types: FOLLOW_TYPES, primaryType: 'Follow' },
+    unfollow: { types: UNFOLLOW_TYPES, primaryType: 'Unfollow' },
+    batch: { types: POST_BATCH_TYPES, primaryType: 'PostBatch' },
+    markRead: { types: MARK_READ_TYPES, primaryType: 'MarkNotificationsRead' },
+    profile: { types: PROFILE_TYPES, primaryType: 'Profile' },
+    messagingKey: { types: MESSAGING_KEY_TYPES, primaryType: 'MessagingKey' },
+    directMessage: { types: DIRECT_MESSAGE_TYPES, primaryType: 'DirectMessage' },
+    reactionKinds: CONFIG.REACTION_KINDS,
+    legacySignatures: CONFIG.LEGACY_SIGNATURES,
+  });
+});
+
 // Create post (requires signature)
 app.post('/post', postRateLimit, async (req, res) => {
-  const { content, author, agentId, signature, timestamp, nonce } = req.body;
+  const { content, author, agentId, signature, timestamp, nonce, parentId, quoteOf, signatureType = 'personal' } = req.body;
   
   // Validate input
   if (!content || !author || !signature || !timestamp || nonce === undefined) {
@@ -196,33 +861,63 @@ app.post('/post', postRateLimit, async (req, res) => {
     return res.status(400).json({ error: 'Content too long (max 10000 chars)' });
   }
   
+  if (signatureType !== 'eip712' && signatureType !== 'personal') {
+    return res.status(400).json({ error: 'signatureType must be "eip712" or "personal"' });
+  }
+  if (signatureType === 'personal') {
+    if (!CONFIG.LEGACY_SIGNATURES) {
+      return res.status(400).json({ 
+        error: 'personal_sign post signatures are no longer accepted; sign EIP-712 typed data (see GET /eip712)' 
+      });
+    }
+    res.set('Deprecation', 'true');
+    res.set('Warning', '299 - "personal_sign post signatures are deprecated; sign EIP-712 typed data (see GET /eip712)"');
+  }
+  
+  const hasAgentId = agentId !== undefined && agentId !== null;
+  if (hasAgentId && !(Number.isSafeInteger(agentId) && agentId >= 0)) {
+    return res.status(400).json({ error: 'agentId must be an ERC-8004 token id' });
+  }
+  
+  // Replies must point at an existing post
+  const isReply = parentId !== undefined && parentId !== null;
+  if (isReply) {
+    if (!Number.isInteger(parentId) || parentId < 0) {
+      return res.status(400).json({ error: 'parentId must be a post id' });
+    }
+    if (!store.getPost(parentId)) {
+      return res.status(404).json({ error: 'Parent post not found' });
+    }
+  }
+  
+  // Quotes embed an existing post; the id is part of the signed QuotePost
+  const isQuote = quoteOf !== undefined && quoteOf !== null;
+  if (isQuote) {
+    if (signatureType !== 'eip712') {
+      return res.status(400).json({ error: 'Quote posts must be signed as EIP-712 QuotePost' });
+    }
+    if (!findReferencedPost(res, quoteOf)) return;
+  }
+  
   // Sanitize content (strip HTML)
   const sanitizedContent = content.replace(/<[^>]*>?/gm, '');
   
-  // Validate timestamp (within 5 minutes)
-  const now = Date.now();
-  if (Math.abs(now - timestamp) > 5 * 60 * 1000) {
-    return res.status(400).json({ 
-      error: 'Timestamp too old or too far in future (must be within 5 minutes)' 
-    });
+  const fields = { parentId: isReply ? parentId : null, timestamp, nonce };
+  let auth;
+  if (isQuote) {
+    auth = { typedData: { types: QUOTE_POST_TYPES, message: quotePostMessage(sanitizedContent, { ...fields, quotedId: quoteOf }) } };
+  } else if (signatureType === 'eip712') {
+    auth = { typedData: { types: POST_TYPES, message: postMessage(sanitizedContent, fields) } };
+  } else {
+    auth = { message: buildPostMessage(sanitizedContent, fields) };
   }
-  
-  // Check nonce for replay protection
-  const currentNonce = nonces.get(author.toLowerCase()) || 0;
-  if (nonce <= currentNonce) {
-    return res.status(400).json({ 
-      error: 'Invalid nonce - must be greater than current nonce',
-      currentNonce: currentNonce
-    });
+  if (!await authenticateSignedRequest(res, { address: author, signature, timestamp, nonce, ...auth })) {
+    return;
   }
   
-  // Verify agent registration
-  const isRegistered = await verifyAgent(author);
-  if (!isRegistered) {
-    return res.status(403).json({ 
-      error: 'Not a registered agent', 
-      help: 'Register at https://howtoregister8004.vercel.app' 
-    });
+  // The claimed agent number must belong to the signer
+  if (hasAgentId && !await checkAgentOwnership(res, author, agentId)) {
+    return;
   }
   
   // Check per-agent rate limiting
@@ -232,70 +927,1126 @@ app.post('/post', postRateLimit, async (req, res) => {
     });
   }
   
-  // Verify signature with proper message format
-  const message = `BlobSocial Post:\n${sanitizedContent}\n\nTimestamp: ${timestamp}\nNonce: ${nonce}`;
-  const isValidSignature = verifySignature(message, signature, author);
-  
-  if (!isValidSignature) {
-    return res.status(403).json({ 
-      error: 'Invalid signature - authentication failed' 
+  // Update nonce and create post atomically
+  const now = Date.now();
+  const post = store.transaction(() => {
+    // A concurrent request may have used this nonce since we checked it
+    if (!store.consumeNonce(author, nonce)) {
+      return null;
+    }
+    store.recordAgent(author, hasAgentId ? agentId : null);
+    return store.insertPost({
+      content: sanitizedContent,
+      author,
+      agentId: hasAgentId ? agentId : null,
+      contentHash: ethers.keccak256(ethers.toUtf8Bytes(sanitizedContent)),
+      timestamp: now,
+      verified: true,
+      nonce: nonce,
+      parentId: isReply ? parentId : null,
+      quoteOf: isQuote ? quoteOf : null,
+      signature,
+      signatureType,
+      signedAt: timestamp,
     });
+  });
+  
+  if (!post) {
+    return staleNonceResponse(res, author);
   }
   
-  // Update nonce to prevent replay
-  nonces.set(author.toLowerCase(), nonce);
-  
-  // Create post
-  const post = {
-    id: posts.length,
-    content: sanitizedContent,
-    author,
-    agentId: agentId || null,
-    contentHash: ethers.keccak256(ethers.toUtf8Bytes(sanitizedContent)),
-    timestamp: now,
-    verified: true,
-    nonce: nonce,
-  };
-  
-  posts.push(post);
-  saveData();
-  
-  console.log(`New post from Agent #${agentId || 'unknown'} (nonce: ${nonce}): ${sanitizedContent.slice(0, 50)}...`);
+  console.log(`New post from Agent #${agentId || 'unknown'} (nonce: ${nonce}): ${sanitizedContent.slice(0, 50)}...`);
+  const published = await indexPostMentions(post);
+  streamHub.publish(published);
   
   res.status(201).json({ 
     success: true, 
-    post,
+    post: published,
     message: 'Post created successfully',
     nextNonce: nonce + 1
   });
 });
 
-// Stats
-app.get('/stats', (req, res) => {
-  const uniqueAuthors = new Set(posts.map(p => p.author)).size;
+// Check the posts of a batch; returns their entries as hashed, or an error
+// string. Entries are stored exactly as signed, so HTML is rejected rather
+// than stripped.
+function checkBatchEntries(posts) {
+  if (!Array.isArray(posts) || posts.length === 0 || posts.length > CONFIG.BATCH_MAX_POSTS) {
+    return `posts must be a list of 1 to ${CONFIG.BATCH_MAX_POSTS} entries`;
+  }
+  const entries = [];
+  for (const [i, post] of posts.entries()) {
+    const entry = post && typeof post === 'object' ? batchEntry(post) : {};
+    if (typeof entry.content !== 'string' || !entry.content || entry.content.length > 10000) {
+      return `posts[${i}].content must be 1 to 10000 characters`;
+    }
+    if (entry.content.replace(/<[^>]*>?/gm, '') !== entry.content) {
+      return `posts[${i}].content must not contain HTML`;
+    }
+    if (typeof entry.contentType !== 'string' || !Number.isSafeInteger(entry.ts) || entry.ts < 0) {
+      return `posts[${i}] needs a contentType and ts (unix seconds)`;
+    }
+    if (!Array.isArray(entry.tags) || !entry.tags.every(tag => typeof tag === 'string')) {
+      return `posts[${i}].tags must be a list of strings`;
+    }
+    entries.push(entry);
+  }
+  return entries;
+}
+
+// Create several posts with one EIP-712 PostBatch signature over the Merkle
+// root of their entries. Each post keeps its inclusion proof
+// (GET /post/:id/proof), so it can be checked without the rest of the batch.
+app.post('/batch', postRateLimit, async (req, res) => {
+  const { author, agentId, posts, signature, timestamp, nonce } = req.body;
+  
+  if (!author || !posts || !signature || !timestamp || nonce === undefined) {
+    return res.status(400).json({ 
+      error: 'Missing required fields: author, posts, signature, timestamp, nonce' 
+    });
+  }
+  
+  if (!ethers.isAddress(author)) {
+    return res.status(400).json({ error: 'Invalid Ethereum address format' });
+  }
+  
+  const hasAgentId = agentId !== undefined && agentId !== null;
+  if (hasAgentId && !(Number.isSafeInteger(agentId) && agentId >= 0)) {
+    return res.status(400).json({ error: 'agentId must be an ERC-8004 token id' });
+  }
+  
+  const entries = checkBatchEntries(posts);
+  if (typeof entries === 'string') {
+    return res.status(400).json({ error: entries });
+  }
+  
+  const typedData = { types: POST_BATCH_TYPES, message: batchMessage(entries, { timestamp, nonce }) };
+  if (!await authenticateSignedRequest(res, { address: author, signature, timestamp, nonce, typedData })) {
+    return;
+  }
+  
+  if (hasAgentId && !await checkAgentOwnership(res, author, agentId)) {
+    return;
+  }
+  
+  // A batch counts as one post against the per-agent limit
+  if (!checkAgentRateLimit(author.toLowerCase())) {
+    return res.status(429).json({ 
+      error: 'Agent rate limit exceeded. Please wait before posting again.' 
+    });
+  }
+  
+  const leaves = entries.map(batchLeaf);
+  const now = Date.now();
+  const stored = store.transaction(() => {
+    if (!store.consumeNonce(author, nonce)) {
+      return null;
+    }
+    store.recordAgent(author, hasAgentId ? agentId : null);
+    return store.insertBatch({
+      author,
+      agentId: hasAgentId ? agentId : null,
+      merkleRoot: typedData.message.merkleRoot,
+      signature,
+      signedAt: timestamp,
+      nonce,
+      createdAt: now,
+      posts: entries.map((entry, i) => ({
+        content: entry.content,
+        author,
+        agentId: hasAgentId ? agentId : null,
+        contentHash: ethers.keccak256(ethers.toUtf8Bytes(entry.content)),
+        timestamp: now,
+        verified: true,
+        nonce,
+        tags: entry.tags,
+        signature,
+        signatureType: 'eip712',
+        signedAt: timestamp,
+        entry,
+        leaf: leaves[i],
+        proof: merkleProof(leaves, i),
+      })),
+    });
+  });
+  
+  if (!stored) {
+    return staleNonceResponse(res, author);
+  }
+  
+  console.log(`New batch of ${stored.length} posts from Agent #${agentId || 'unknown'} (nonce: ${nonce})`);
+  // Every post's lookups run at once, so the batch waits one deadline at most
+  const published = await Promise.all(stored.map(indexPostMentions));
+  for (const post of published) {
+    streamHub.publish(post);
+  }
+  
+  const { id: batchId, merkleRoot, size } = published[0].batch;
+  res.status(201).json({
+    success: true,
+    batch: { id: batchId, merkleRoot, size },
+    posts: published,
+    nextNonce: nonce + 1
+  });
+});
+
+// Inclusion proof for a post submitted in a batch: the entry and leaf it was
+// hashed to, the sibling hashes up to merkleRoot, and the PostBatch message
+// the author signed over that root
+app.get('/post/:id/proof', (req, res) => {
+  const id = parseInt(req.params.id);
+  const batch = Number.isSafeInteger(id) ? store.getBatchProof(id) : null;
+  if (!batch) {
+    return res.status(404).json({ error: 'Post not found or not part of a batch' });
+  }
   
   res.json({
-    totalPosts: posts.length,
-    uniqueAgents: uniqueAuthors,
-    oldestPost: posts[0]?.timestamp || null,
-    newestPost: posts[posts.length - 1]?.timestamp || null,
+    postId: batch.postId,
+    author: batch.author,
+    agentId: batch.agentId,
+    entry: batch.entry,
+    leaf: batch.leaf,
+    index: batch.index,
+    leafCount: batch.size,
+    proof: batch.proof,
+    merkleRoot: batch.merkleRoot,
+    valid: verifyMerkleProof({ ...batch, leafCount: batch.size, root: batch.merkleRoot }),
+    signature: batch.signature,
+    signed: {
+      primaryType: 'PostBatch',
+      message: { merkleRoot: batch.merkleRoot, count: batch.size, timestamp: batch.signedAt, nonce: batch.nonce },
+    },
+    domain: SIGNING_DOMAIN,
+  });
+});
+
+// On-chain anchor of a post revision (default: the latest one anchored): the
+// leaf it was hashed to, the sibling hashes up to the committed root, and the
+// transaction that carries the root. Until status is 'confirmed' the root may
+// still be replaced.
+app.get('/post/:id/anchor', (req, res) => {
+  const id = parseInt(req.params.id);
+  const post = Number.isSafeInteger(id) ? store.getPost(id) : null;
+  if (!post) {
+    return res.status(404).json({ error: 'Post not found' });
+  }
+  
+  const wanted = req.query.revision !== undefined ? parseInt(req.query.revision) : null;
+  const { proof, anchoredRevisions } = anchorProof(store, post, wanted);
+  if (!proof) {
+    return res.status(404).json({
+      error: wanted === null ? 'Post not anchored yet' : `Revision ${req.query.revision} not anchored yet`,
+      anchoredRevisions,
+    });
+  }
+  
+  res.json(proof);
+});
+
+// Repost (EIP-712 Repost). Reposts are posts without content that embed
+// their target; undo one by deleting it.
+app.post('/post/:id/repost', postRateLimit, async (req, res) => {
+  const id = parseInt(req.params.id);
+  const { author, agentId, signature, timestamp, nonce } = req.body;
+  
+  if (!author || !signature || !timestamp || nonce === undefined) {
+    return res.status(400).json({ 
+      error: 'Missing required fields: author, signature, timestamp, nonce' 
+    });
+  }
+  
+  if (!ethers.isAddress(author)) {
+    return res.status(400).json({ error: 'Invalid Ethereum address format' });
+  }
+  
+  const hasAgentId = agentId !== undefined && agentId !== null;
+  if (hasAgentId && !(Number.isSafeInteger(agentId) && agentId >= 0)) {
+    return res.status(400).json({ error: 'agentId must be an ERC-8004 token id' });
+  }
+  
+  if (!findReferencedPost(res, id)) return;
+  
+  const existing = store.findRepost(author, id);
+  if (existing !== null) {
+    return res.status(409).json({ error: `Already reposted as post ${existing}`, postId: existing });
+  }
+  
+  const typedData = { types: REPOST_TYPES, message: repostMessage(id, { timestamp, nonce }) };
+  if (!await authenticateSignedRequest(res, { address: author, signature, timestamp, nonce, typedData })) {
+    return;
+  }
+  
+  if (hasAgentId && !await checkAgentOwnership(res, author, agentId)) {
+    return;
+  }
+  
+  if (!checkAgentRateLimit(author.toLowerCase())) {
+    return res.status(429).json({ 
+      error: 'Agent rate limit exceeded. Please wait before posting again.' 
+    });
+  }
+  
+  const result = store.transaction(() => {
+    if (!store.consumeNonce(author, nonce)) {
+      return null;
+    }
+    // Reposted by a concurrent request since the check above
+    const existing = store.findRepost(author, id);
+    if (existing !== null) {
+      return { existing };
+    }
+    store.recordAgent(author, hasAgentId ? agentId : null);
+    return {
+      post: store.insertPost({
+        content: '',
+        author,
+        agentId: hasAgentId ? agentId : null,
+        contentHash: ethers.keccak256(ethers.toUtf8Bytes('')),
+        timestamp: Date.now(),
+        verified: true,
+        nonce,
+        repostOf: id,
+        signature,
+        signatureType: 'eip712',
+        signedAt: timestamp,
+      }),
+    };
+  });
+  
+  if (!result) {
+    return staleNonceResponse(res, author);
+  }
+  if (result.existing) {
+    return res.status(409).json({ error: `Already reposted as post ${result.existing}`, postId: result.existing });
+  }
+  
+  console.log(`Post ${id} reposted by ${author}`);
+  streamHub.publish(result.post);
+  
+  res.status(201).json({ success: true, post: result.post, nextNonce: nonce + 1 });
+});
+
+// Edit a post (EIP-712 EditPost signed by the author)
+app.post('/post/:id/edit', postRateLimit, async (req, res) => {
+  const id = parseInt(req.params.id);
+  const { content, author, signature, timestamp, nonce } = req.body;
+  
+  if (!content || !author || !signature || !timestamp || nonce === undefined) {
+    return res.status(400).json({ 
+      error: 'Missing required fields: content, author, signature, timestamp, nonce' 
+    });
+  }
+  
+  if (!ethers.isAddress(author)) {
+    return res.status(400).json({ error: 'Invalid Ethereum address format' });
+  }
+  
+  if (content.length > 10000) {
+    return res.status(400).json({ error: 'Content too long (max 10000 chars)' });
+  }
+  
+  const post = findOwnPost(res, id, author);
+  if (!post) return;
+  
+  // Chain and blob posts are anchored by their hash and can't change
+  if (post.source !== 'api') {
+    return res.status(409).json({ error: `Posts from ${post.source} ingestion can't be edited` });
+  }
+  if (post.kind === 'repost') {
+    return res.status(409).json({ error: 'Reposts have no content to edit' });
+  }
+  
+  const sanitizedContent = content.replace(/<[^>]*>?/gm, '');
+  const contentHash = ethers.keccak256(ethers.toUtf8Bytes(sanitizedContent));
+  if (contentHash === post.contentHash) {
+    return res.status(400).json({ error: 'Content is unchanged' });
+  }
+  
+  const typedData = { types: EDIT_POST_TYPES, message: editMessage(id, sanitizedContent, { timestamp, nonce }) };
+  if (!await authenticateSignedRequest(res, { address: author, signature, timestamp, nonce, typedData })) {
+    return;
+  }
+  
+  if (!checkAgentRateLimit(author.toLowerCase())) {
+    return res.status(429).json({ 
+      error: 'Agent rate limit exceeded. Please wait before posting again.' 
+    });
+  }
+  
+  const edited = store.transaction(() => {
+    if (!store.consumeNonce(author, nonce)) {
+      return null;
+    }
+    // Deleted while the signature was being checked
+    if (store.getPost(id).deleted) {
+      return false;
+    }
+    return store.editPost(id, {
+      content: sanitizedContent,
+      contentHash,
+      signature,
+      signatureType: 'eip712',
+      signedAt: timestamp,
+      nonce,
+      editedAt: Date.now(),
+    });
+  });
+  
+  if (edited === null) {
+    return staleNonceResponse(res, author);
+  }
+  if (!edited) {
+    return res.status(410).json({ error: 'Post has been deleted' });
+  }
+  
+  console.log(`Post ${id} edited by ${author} (revision ${edited.revision})`);
+  
+  res.json({ success: true, post: await indexPostMentions(edited), nextNonce: nonce + 1 });
+});
+
+// Delete a post, leaving a tombstone (EIP-712 DeletePost signed by the author)
+app.post('/post/:id/delete', postRateLimit, async (req, res) => {
+  const id = parseInt(req.params.id);
+  const { author, signature, timestamp, nonce } = req.body;
+  
+  if (!author || !signature || !timestamp || nonce === undefined) {
+    return res.status(400).json({ 
+      error: 'Missing required fields: author, signature, timestamp, nonce' 
+    });
+  }
+  
+  if (!ethers.isAddress(author)) {
+    return res.status(400).json({ error: 'Invalid Ethereum address format' });
+  }
+  
+  if (!findOwnPost(res, id, author)) return;
+  
+  const typedData = { types: DELETE_POST_TYPES, message: deleteMessage(id, { timestamp, nonce }) };
+  if (!await authenticateSignedRequest(res, { address: author, signature, timestamp, nonce, typedData })) {
+    return;
+  }
+  
+  if (!checkAgentRateLimit(author.toLowerCase())) {
+    return res.status(429).json({ 
+      error: 'Agent rate limit exceeded. Please wait before posting again.' 
+    });
+  }
+  
+  const deleted = store.transaction(() => {
+    if (!store.consumeNonce(author, nonce)) {
+      return null;
+    }
+    if (store.getPost(id).deleted) {
+      return false;
+    }
+    return store.deletePost(id, {
+      signature,
+      signatureType: 'eip712',
+      signedAt: timestamp,
+      nonce,
+      deletedAt: Date.now(),
+    });
   });
+  
+  if (deleted === null) {
+    return staleNonceResponse(res, author);
+  }
+  if (!deleted) {
+    return res.status(410).json({ error: 'Post has been deleted' });
+  }
+  
+  console.log(`Post ${id} deleted by ${author}`);
+  
+  res.json({ success: true, post: deleted, nextNonce: nonce + 1 });
+});
+
+// Reactions (EIP-712 React / Unreact). Idempotent: reacting twice with the
+// same kind, or retracting a reaction that isn't there, changes nothing.
+async function handleReaction(action, req, res) {
+  const id = parseInt(req.params.id);
+  const { agent, kind, signature, timestamp, nonce } = req.body;
+  
+  if (!agent || !kind || !signature || !timestamp || nonce === undefined) {
+    return res.status(400).json({ 
+      error: 'Missing required fields: agent, kind, signature, timestamp, nonce' 
+    });
+  }
+  
+  if (!ethers.isAddress(agent)) {
+    return res.status(400).json({ error: 'Invalid Ethereum address format' });
+  }
+  
+  if (typeof kind !== 'string' || !CONFIG.REACTION_KINDS.includes(kind.normalize('NFC'))) {
+    return res.status(400).json({ error: `kind must be one of: ${CONFIG.REACTION_KINDS.join(' ')}` });
+  }
+  
+  const post = Number.isSafeInteger(id) ? store.getPost(id) : null;
+  if (!post) {
+    return res.status(404).json({ error: 'Post not found' });
+  }
+  // Reactions on a tombstone can still be retracted
+  if (action === 'react' && post.deleted) {
+    return res.status(410).json({ error: 'Post has been deleted' });
+  }
+  
+  const types = action === 'react' ? REACT_TYPES : UNREACT_TYPES;
+  const typedData = { types, message: reactionMessage(id, kind, { timestamp, nonce }) };
+  if (!await authenticateSignedRequest(res, { address: agent, signature, timestamp, nonce, typedData })) {
+    return;
+  }
+  
+  if (!checkReactionRateLimit(agent.toLowerCase())) {
+    return res.status(429).json({ 
+      error: 'Agent rate limit exceeded. Please wait before reacting again.' 
+    });
+  }
+  
+  const normalizedKind = kind.normalize('NFC');
+  const changed = store.transaction(() => {
+    if (!store.consumeNonce(agent, nonce)) {
+      return null;
+    }
+    store.recordAgent(agent, null);
+    return action === 'react'
+      ? store.addReaction(id, agent, normalizedKind, Date.now())
+      : store.removeReaction(id, agent, normalizedKind);
+  });
+  
+  if (changed === null) {
+    return staleNonceResponse(res, agent);
+  }
+  
+  res.json({
+    success: true,
+    postId: id,
+    kind: normalizedKind,
+    reacted: action === 'react',
+    changed,
+    reactions: store.countReactions(id),
+    nextNonce: nonce + 1,
+  });
+}
+
+app.post('/post/:id/react', reactionRateLimit, (req, res) => handleReaction('react', req, res));
+app.post('/post/:id/unreact', reactionRateLimit, (req, res) => handleReaction('unreact', req, res));
+
+// Follow graph
+
+async function handleFollow(action, req, res) {
+  const { follower, following, signature, timestamp, nonce } = req.body;
+  
+  if (!follower || !following || !signature || !timestamp || nonce === undefined) {
+    return res.status(400).json({ 
+      error: 'Missing required fields: follower, following, signature, timestamp, nonce' 
+    });
+  }
+  
+  if (!ethers.isAddress(follower) || !ethers.isAddress(following)) {
+    return res.status(400).json({ error: 'Invalid Ethereum address format' });
+  }
+  
+  if (follower.toLowerCase() === following.toLowerCase()) {
+    return res.status(400).json({ error: 'Cannot follow yourself' });
+  }
+  
+  const types = action === 'follow' ? FOLLOW_TYPES : UNFOLLOW_TYPES;
+  const typedData = { types, message: followMessage(following, { timestamp, nonce }) };
+  if (!await authenticateSignedRequest(res, { address: follower, signature, timestamp, nonce, typedData })) {
+    return;
+  }
+  
+  // Same rule as BlobSocialVerified.follow: both sides must be agents
+  if (action === 'follow') {
+    let targetRegistered;
+    try {
+      targetRegistered = await verifyAgent(following);
+    } catch (e) {
+      return registryUnavailableResponse(res, e);
+    }
+    if (!targetRegistered) {
+      return res.status(404).json({ error: 'Target is not a registered agent' });
+    }
+  }
+  
+  const ok = store.transaction(() => {
+    if (!store.consumeNonce(follower, nonce)) {
+      return false;
+    }
+    if (action === 'follow') {
+      store.setSignedFollow(follower, following, Date.now());
+    } else {
+      store.removeSignedFollow(follower, following);
+    }
+    return true;
+  });
+  
+  if (!ok) {
+    return staleNonceResponse(res, follower);
+  }
+  
+  res.json({
+    success: true,
+    follower,
+    following,
+    // An on-chain follow still counts after a signed unfollow
+    isFollowing: store.isFollowing(follower, following),
+    nextNonce: nonce + 1,
+  });
+}
+
+app.post('/follow', postRateLimit, (req, res) => handleFollow('follow', req, res));
+app.post('/unfollow', postRateLimit, (req, res) => handleFollow('unfollow', req, res));
+
+// Agents following an address
+app.get('/agent/:address/followers', (req, res) => {
+  if (!ethers.isAddress(req.params.address)) {
+    return res.status(400).json({ error: 'Invalid Ethereum address format' });
+  }
+  
+  const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+  const offset = parseInt(req.query.offset) || 0;
+  
+  res.json({
+    followers: store.getFollowers(req.params.address, { limit, offset }),
+    total: store.countFollowers(req.params.address),
+    limit,
+    offset,
+  });
+});
+
+// Agents an address follows
+app.get('/agent/:address/following', (req, res) => {
+  if (!ethers.isAddress(req.params.address)) {
+    return res.status(400).json({ error: 'Invalid Ethereum address format' });
+  }
+  
+  const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+  const offset = parseInt(req.query.offset) || 0;
+  
+  res.json({
+    following: store.getFollowing(req.params.address, { limit, offset }),
+    total: store.countFollowing(req.params.address),
+    limit,
+    offset,
+  });
+});
+
+// Home timeline: posts from followed agents, newest first
+app.get('/agent/:address/home', (req, res) => {
+  if (!ethers.isAddress(req.params.address)) {
+    return res.status(400).json({ error: 'Invalid Ethereum address format' });
+  }
+  
+  const page = pagedQuery(req, res, p => store.getHomeFeed(req.params.address, p));
+  if (!page) return;
+  
+  res.json(page);
+});
+
+// Agent overview: current profile plus post and follow counts
+app.get('/agent/:address', (req, res) => {
+  if (!ethers.isAddress(req.params.address)) {
+    return res.status(400).json({ error: 'Invalid Ethereum address format' });
+  }
+  
+  const address = ethers.getAddress(req.params.address);
+  const profile = store.getProfile(address);
+  
+  res.json({
+    address,
+    agentId: profile ? profile.agentId : store.getAgentId(address),
+    profile,
+    postCount: store.countPostsByAuthor(address),
+    followerCount: store.countFollowers(address),
+    followingCount: store.countFollowing(address),
+  });
+});
+
+// Set a profile (EIP-712 Profile signed by the owner of agentId). Every
+// update is kept as a revision.
+app.post('/agent/:address/profile', postRateLimit, async (req, res) => {
+  const address = req.params.address;
+  const { agentId, profile, signature, timestamp, nonce } = req.body;
+  
+  if (agentId === undefined || !profile || !signature || !timestamp || nonce === undefined) {
+    return res.status(400).json({ 
+      error: 'Missing required fields: agentId, profile, signature, timestamp, nonce' 
+    });
+  }
+  
+  if (!ethers.isAddress(address)) {
+    return res.status(400).json({ error: 'Invalid Ethereum address format' });
+  }
+  
+  if (!Number.isSafeInteger(agentId) || agentId < 0) {
+    return res.status(400).json({ error: 'agentId must be an ERC-8004 agent ID' });
+  }
+  
+  let normalized;
+  try {
+    normalized = normalizeProfile(profile);
+  } catch (e) {
+    return res.status(400).json({ error: `Invalid profile: ${e.message}` });
+  }
+  
+  const typedData = { types: PROFILE_TYPES, message: profileMessage(agentId, normalized, { timestamp, nonce }) };
+  if (!await authenticateSignedRequest(res, { address, signature, timestamp, nonce, typedData })) {
+    return;
+  }
+  
+  if (!await checkAgentOwnership(res, address, agentId)) return;
+  
+  const saved = store.transaction(() => {
+    if (!store.consumeNonce(address, nonce)) {
+      return null;
+    }
+    store.recordAgent(address, agentId);
+    return store.insertProfile({
+      address,
+      agentId,
+      document: canonicalProfile(normalized),
+      profileHash: typedData.message.profileHash,
+      source: 'api',
+      signature,
+      signedAt: timestamp,
+      nonce,
+      createdAt: Date.now(),
+    });
+  });
+  
+  if (!saved) {
+    return staleNonceResponse(res, address);
+  }
+  
+  console.log(`Profile of Agent #${agentId} updated (revision ${saved.revision})`);
+  
+  res.status(201).json({ success: true, profile: saved, nextNonce: nonce + 1 });
+});
+
+// Every profile revision, newest first. API revisions carry the signed
+// Profile message; blob revisions are vouched for by their on-chain anchor.
+app.get('/agent/:address/profile/history', (req, res) => {
+  if (!ethers.isAddress(req.params.address)) {
+    return res.status(400).json({ error: 'Invalid Ethereum address format' });
+  }
+  
+  const page = parsePageQuery(req.query, { defaultLimit: 20, decode: decodeRevisionCursor });
+  if (page.error) {
+    return res.status(400).json({ error: page.error });
+  }
+  const result = store.getProfileHistory(req.params.address, page);
+  
+  const revisions = result.revisions.map(entry => ({
+    ...entry,
+    signed: entry.source === 'api' && entry.signature ? {
+      primaryType: 'Profile',
+      message: { agentId: entry.agentId, profileHash: entry.profileHash, timestamp: entry.signedAt, nonce: entry.nonce },
+    } : null,
+  }));
+  
+  res.json({
+    revisions,
+    total: store.countProfileRevisions(req.params.address),
+    limit: page.limit,
+    ...revisionCursors(result, page),
+    domain: SIGNING_DOMAIN,
+  });
+});
+
+// Notifications: mentions, replies, follows and reactions addressed to an
+// agent, newest first. ?unread=true skips read ones, ?type=mention,reply
+// filters by type.
+const NOTIFICATION_TYPES = ['mention', 'reply', 'follow', 'reaction'];
+
+app.get('/agent/:address/notifications', (req, res) => {
+  if (!ethers.isAddress(req.params.address)) {
+    return res.status(400).json({ error: 'Invalid Ethereum address format' });
+  }
+  
+  const types = req.query.type ? String(req.query.type).split(',').map(t => t.trim()) : [];
+  const unknown = types.find(t => !NOTIFICATION_TYPES.includes(t));
+  if (unknown) {
+    return res.status(400).json({ error: `Unknown notification type: ${unknown}. Use: ${NOTIFICATION_TYPES.join(', ')}` });
+  }
+  const filter = { unread: req.query.unread === 'true', types };
+  
+  const page = parsePageQuery(req.query);
+  if (page.error) {
+    return res.status(400).json({ error: page.error });
+  }
+  const result = store.getNotifications(req.params.address, filter, page);
+  const highWater = store.maxNotificationId();
+  
+  res.json({
+    notifications: result.notifications,
+    unread: store.countUnreadNotifications(req.params.address),
+    limit: page.limit,
+    ...pageCursors({ posts: result.notifications, hasMore: result.hasMore }, page, highWater),
+  });
+});
+
+// Mark notifications read (EIP-712 MarkNotificationsRead signed by the
+// recipient): the listed ids plus everything up to upToId
+app.post('/agent/:address/notifications/read', postRateLimit, async (req, res) => {
+  const address = req.params.address;
+  const { ids = [], upToId = 0, signature, timestamp, nonce } = req.body;
+  
+  if (!signature || !timestamp || nonce === undefined) {
+    return res.status(400).json({ 
+      error: 'Missing required fields: signature, timestamp, nonce' 
+    });
+  }
+  
+  if (!ethers.isAddress(address)) {
+    return res.status(400).json({ error: 'Invalid Ethereum address format' });
+  }
+  
+  if (!Array.isArray(ids) || ids.length > 500 || !ids.every(Number.isSafeInteger) || !Number.isSafeInteger(upToId) ||
+      ids.some(id => id < 0) || upToId < 0) {
+    return res.status(400).json({ error: 'ids must be up to 500 notification ids and upToId a notification id (0 for none)' });
+  }
+  
+  const typedData = { types: MARK_READ_TYPES, message: markReadMessage({ ids, upToId }, { timestamp, nonce }) };
+  if (!await authenticateSignedRequest(res, { address, signature, timestamp, nonce, typedData })) {
+    return;
+  }
+  
+  const marked = store.transaction(() => {
+    if (!store.consumeNonce(address, nonce)) {
+      return null;
+    }
+    return store.markNotificationsRead(address, { ids, upToId }, Date.now());
+  });
+  
+  if (marked === null) {
+    return staleNonceResponse(res, address);
+  }
+  
+  res.json({
+    success: true,
+    marked,
+    unread: store.countUnreadNotifications(address),
+    nextNonce: nonce + 1,
+  });
+});
+
+// Direct messages. Agents publish an x-only secp256k1 key (here, or with
+// BlobSocialGraph.setPublicKey) and send envelopes encrypted to the
+// recipient's key with scripts/blob-utils.js createMessage. The indexer
+// stores and serves ciphertext; it never sees keys or plaintext.
+
+const HEX_32 = /^0x[0-9a-fA-F]{64}$/;
+
+// A 32-byte x coordinate that lies on secp256k1
+function isMessagingKey(publicKey) {
+  if (typeof publicKey !== 'string' || !HEX_32.test(publicKey)) return false;
+  try {
+    ethers.SigningKey.computePublicKey('0x02' + publicKey.slice(2));
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// Shape check for a message envelope; returns an error string or null
+function checkMessageEnvelope(envelope, from) {
+  if (!envelope || typeof envelope !== 'object' || envelope.type !== 'message') {
+    return 'envelope must be a message envelope';
+  }
+  if (!Number.isSafeInteger(envelope.agent) || !Number.isSafeInteger(envelope.ts) || typeof envelope.sig !== 'string') {
+    return 'envelope needs agent, ts and sig';
+  }
+  const data = envelope.data || {};
+  const isHex = (value, pattern) => typeof value === 'string' && pattern.test(value);
+  if (typeof data.alg !== 'string' || !isHex(data.to, /^0x[0-9a-fA-F]{40}$/) ||
+      !isHex(data.senderKey, HEX_32) || !isHex(data.recipientKey, HEX_32) || !isHex(data.iv, /^0x[0-9a-fA-F]{24}$/) ||
+      !isHex(data.ciphertext, /^0x(?:[0-9a-fA-F]{2})*$/) || !isHex(data.tag, /^0x[0-9a-fA-F]{32}$/)) {
+    return 'envelope.data needs alg, to, senderKey, recipientKey, iv, ciphertext and tag';
+  }
+  if (data.to.toLowerCase() === from.toLowerCase()) {
+    return 'Cannot message yourself';
+  }
+  if (Buffer.byteLength(JSON.stringify(envelope)) > CONFIG.DM_MAX_BYTES) {
+    return `envelope is larger than ${CONFIG.DM_MAX_BYTES} bytes`;
+  }
+  return null;
+}
+
+// Current messaging key for an address
+app.get('/agent/:address/key', (req, res) => {
+  if (!ethers.isAddress(req.params.address)) {
+    return res.status(400).json({ error: 'Invalid Ethereum address format' });
+  }
+  
+  const key = store.getMessagingKey(req.params.address);
+  if (!key) {
+    return res.status(404).json({ error: 'No messaging key published' });
+  }
+  
+  res.json({ address: ethers.getAddress(req.params.address), ...key });
+});
+
+// Publish a messaging key (EIP-712 MessagingKey signed by the address).
+// Replaces the previous one; messages already sent stay readable with it.
+app.post('/agent/:address/key', postRateLimit, async (req, res) => {
+  const address = req.params.address;
+  const { publicKey, signature, timestamp, nonce } = req.body;
+  
+  if (!publicKey || !signature || !timestamp || nonce === undefined) {
+    return res.status(400).json({ 
+      error: 'Missing required fields: publicKey, signature, timestamp, nonce' 
+    });
+  }
+  
+  if (!ethers.isAddress(address)) {
+    return res.status(400).json({ error: 'Invalid Ethereum address format' });
+  }
+  
+  if (!isMessagingKey(publicKey)) {
+    return res.status(400).json({ error: 'publicKey must be the 32-byte x coordinate of a secp256k1 public key' });
+  }
+  
+  const typedData = { types: MESSAGING_KEY_TYPES, message: messagingKeyMessage(publicKey, { timestamp, nonce }) };
+  if (!await authenticateSignedRequest(res, { address, signature, timestamp, nonce, typedData })) {
+    return;
+  }
+  
+  const ok = store.transaction(() => {
+    if (!store.consumeNonce(address, nonce)) {
+      return false;
+    }
+    store.setMessagingKey({
+      address,
+      agentId: store.getAgentId(address),
+      publicKey: publicKey.toLowerCase(),
+      source: 'api',
+      signature,
+      updatedAt: Date.now(),
+    });
+    return true;
+  });
+  
+  if (!ok) {
+    return staleNonceResponse(res, address);
+  }
+  
+  res.json({ success: true, key: store.getMessagingKey(address), nextNonce: nonce + 1 });
+});
+
+// Send a direct message (EIP-712 DirectMessage signed by the sender, over
+// the keccak256 of the envelope JSON). Both sides must have published keys,
+// and the envelope must be encrypted between exactly those keys.
+app.post('/messages', postRateLimit, async (req, res) => {
+  const { from, envelope, signature, timestamp, nonce } = req.body;
+  
+  if (!from || !envelope || !signature || !timestamp || nonce === undefined) {
+    return res.status(400).json({ 
+      error: 'Missing required fields: from, envelope, signature, timestamp, nonce' 
+    });
+  }
+  
+  if (!ethers.isAddress(from)) {
+    return res.status(400).json({ error: 'Invalid Ethereum address format' });
+  }
+  
+  const invalid = checkMessageEnvelope(envelope, from);
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+  const to = envelope.data.to;
+  
+  const recipientKey = store.getMessagingKey(to);
+  if (!recipientKey) {
+    return res.status(404).json({ error: 'Recipient has not published a messaging key' });
+  }
+  if (recipientKey.publicKey !== envelope.data.recipientKey.toLowerCase()) {
+    return res.status(409).json({ 
+      error: 'Message is encrypted to an old key of the recipient',
+      publicKey: recipientKey.publicKey
+    });
+  }
+  const senderKey = store.getMessagingKey(from);
+  if (!senderKey || senderKey.publicKey !== envelope.data.senderKey.toLowerCase()) {
+    return res.status(409).json({ 
+      error: 'senderKey must be your published messaging key (POST /agent/:address/key)',
+      publicKey: senderKey ? senderKey.publicKey : null
+    });
+  }
+  
+  const typedData = { types: DIRECT_MESSAGE_TYPES, message: directMessage(to, envelope, { timestamp, nonce }) };
+  if (!await authenticateSignedRequest(res, { address: from, signature, timestamp, nonce, typedData })) {
+    return;
+  }
+  
+  if (!await checkAgentOwnership(res, from, envelope.agent)) return;
+  
+  if (!checkMessageRateLimit(from.toLowerCase())) {
+    return res.status(429).json({ 
+      error: `Rate limit exceeded: max ${CONFIG.DM_RATE_LIMIT} messages per 15 minutes per agent` 
+    });
+  }
+  
+  const result = store.transaction(() => {
+    if (!store.consumeNonce(from, nonce)) {
+      return null;
+    }
+    store.recordAgent(from, envelope.agent);
+    const message = store.insertMessage({
+      from,
+      to,
+      envelope,
+      envelopeHash: typedData.message.envelopeHash,
+      source: 'api',
+      timestamp: Date.now(),
+    });
+    return { message };
+  });
+  
+  if (!result) {
+    return staleNonceResponse(res, from);
+  }
+  if (!result.message) {
+    return res.status(409).json({ error: 'Message already stored', nextNonce: nonce + 1 });
+  }
+  
+  console.log(`Message ${result.message.id} from Agent #${envelope.agent} (${from}) to ${to}`);
+  
+  res.status(201).json({ success: true, message: result.message, nextNonce: nonce + 1 });
+});
+
+// Conversations of an address, most recently active first. Anyone can list
+// them: who talks to whom is public, what they say is not.
+app.get('/agent/:address/messages', (req, res) => {
+  if (!ethers.isAddress(req.params.address)) {
+    return res.status(400).json({ error: 'Invalid Ethereum address format' });
+  }
+  
+  const page = parsePageQuery(req.query, { maxLimit: 200 });
+  if (page.error) {
+    return res.status(400).json({ error: page.error });
+  }
+  const result = store.getConversations(req.params.address, page);
+  const highWater = store.maxMessageId();
+  // Cursors sit on each conversation's last message
+  const positions = result.conversations.map(c => ({ id: c.lastMessageId, timestamp: c.lastMessageAt }));
+  
+  res.json({
+    conversations: result.conversations,
+    total: store.countConversations(req.params.address),
+    limit: page.limit,
+    ...pageCursors({ posts: positions, hasMore: result.hasMore }, page, highWater),
+  });
+});
+
+// Messages between two addresses, newest first, as stored envelopes
+app.get('/agent/:address/messages/:other', (req, res) => {
+  if (!ethers.isAddress(req.params.address) || !ethers.isAddress(req.params.other)) {
+    return res.status(400).json({ error: 'Invalid Ethereum address format' });
+  }
+  
+  const page = parsePageQuery(req.query);
+  if (page.error) {
+    return res.status(400).json({ error: page.error });
+  }
+  const result = store.getConversation(req.params.address, req.params.other, page);
+  const highWater = store.maxMessageId();
+  
+  res.json({
+    messages: result.messages,
+    limit: page.limit,
+    ...pageCursors({ posts: result.messages, hasMore: result.hasMore }, page, highWater),
+  });
+});
+
+// Stats
+app.get('/stats', (req, res) => {
+  res.json(store.getStats());
 });
 
 // Start server
-loadData();
-app.listen(CONFIG.PORT, () => {
+importJsonData(store, CONFIG.DATA_DIR);
+if (CONFIG.CHAIN_FOLLOWER) {
+  chainFollower.start();
+  if (CONFIG.GRAPH_CONTRACT) {
+    blobWorker.start();
+  }
+}
+streamHub.start();
+provider.startHealthChecks();
+if (postAnchorer) {
+  postAnchorer.start();
+}
+if (blobAggregator) {
+  blobAggregator.start();
+}
+const server = app.listen(CONFIG.PORT, () => {
   console.log(`
 🦞 BlobSocial Indexer running on port ${CONFIG.PORT}
 
 Endpoints:
   GET  /health           - Health check
   GET  /feed             - Recent posts
+  GET  /feed/updates     - Posts since a cursor
+  GET  /stream           - Live posts (SSE)
+  WS   ${WS_PATH}        - Live posts (WebSocket)
   GET  /agent/:addr/posts - Posts by agent
+  GET  /search?q=        - Search posts
+  GET  /tags/:tag        - Posts with a tag
   GET  /post/:id         - Single post
+  GET  /post/:id/replies - Direct replies
+  GET  /post/:id/thread  - Conversation tree
+  GET  /post/:id/history - Signed revisions
+  GET  /post/:id/reactions - Reacting agents
+  GET  /eip712           - Post signing domain and types
   POST /post             - Create post (requires signature)
+  POST /batch            - Create several posts with one signature
+  GET  /post/:id/proof   - Batch inclusion proof
+  GET  /post/:id/anchor  - On-chain anchor inclusion proof
+  POST /post/:id/repost  - Repost a post (requires signature)
+  POST /post/:id/edit    - Edit a post (requires signature)
+  POST /post/:id/delete  - Delete a post (requires signature)
+  POST /post/:id/react   - React to a post (requires signature)
+  POST /post/:id/unreact - Retract a reaction (requires signature)
+  POST /follow           - Follow an agent (requires signature)
+  POST /unfollow         - Unfollow an agent (requires signature)
+  GET  /agent/:addr/followers - Followers
+  GET  /agent/:addr/following - Followed agents
+  GET  /agent/:addr/home - Home timeline
+  GET  /agent/:addr       - Profile and counts
+  POST /agent/:addr/profile - Set profile (requires signature)
+  GET  /agent/:addr/profile/history - Profile revisions
+  GET  /agent/:addr/notifications - Mentions, replies, follows, reactions
+  POST /agent/:addr/notifications/read - Mark read (requires signature)
+  GET  /agent/:addr/key  - Messaging public key
+  POST /agent/:addr/key  - Publish messaging key (requires signature)
+  POST /messages         - Send an encrypted message (requires signature)
+  GET  /agent/:addr/messages - Conversations
+  GET  /agent/:addr/messages/:other - Messages with one agent (ciphertext)
   GET  /stats            - Network stats
+  GET  /blobs/status     - Blob ingestion status
+  POST /aggregate        - Queue a signed envelope for a shared blob
+  GET  /aggregate/status - Aggregator queue
+  GET  /aggregate/:id    - Shared-blob receipt
 
 Verification: ERC-8004 @ ${CONFIG.AGENT_REGISTRY}
+Store: ${CONFIG.STORE_BACKEND}
+Chain: ${CONFIG.CHAIN_FOLLOWER ? `${CONFIG.SOCIAL_CONTRACT} (${CONFIG.CHAIN_CONFIRMATIONS} confirmations)` : 'disabled'}
+Anchoring: ${postAnchorer ? `${postAnchorer.method} @ ${postAnchorer.contractAddress} as ${postAnchorer.signer.address}` : 'disabled'}
+Aggregator: ${blobAggregator ? `as ${blobAggregator.signer.address}` : 'disabled'}
   `);
 });
+server.on('upgrade', (req, socket, head) => streamHub.handleUpgrade(req, socket, head));
+
+// Flush and close the database on shutdown
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, () => {
+    chainFollower.stop();
+    blobWorker.stop();
+    if (postAnchorer) postAnchorer.stop();
+    if (blobAggregator) blobAggregator.stop();
+    streamHub.stop();
+    provider.destroy();
+    store.close();
+    process.exit(0);
+  });
+}
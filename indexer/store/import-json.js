@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+// One-time importer for the legacy data/posts.json + data/nonces.json files.
+//
+// Runs automatically when the indexer starts; can also be run by hand:
+//   node indexer/store/import-json.js [dataDir] [dbPath]
+
+const fs = require('fs');
+const path = require('path');
+
+const IMPORT_MARKER = 'json_import';
+
+function readJson(file) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file)) : null;
+}
+
+function importJsonData(store, dataDir) {
+  if (store.getMeta(IMPORT_MARKER)) {
+    return { skipped: true };
+  }
+
+  const posts = readJson(path.join(dataDir, 'posts.json')) || [];
+  const nonces = readJson(path.join(dataDir, 'nonces.json')) || {};
+
+  store.transaction(() => {
+    for (const post of posts) {
+      store.insertPost(post);
+      store.recordAgent(post.author, post.agentId);
+    }
+    for (const [address, nonce] of Object.entries(nonces)) {
+      store.setNonce(address, nonce);
+    }
+    store.setMeta(IMPORT_MARKER, {
+      importedAt: Date.now(),
+      posts: posts.length,
+      nonces: Object.keys(nonces).length,
+    });
+  });
+
+  if (posts.length > 0 || Object.keys(nonces).length > 0) {
+    console.log(`Imported ${posts.length} posts and nonces for ${Object.keys(nonces).length} agents from ${dataDir}`);
+  }
+
+  return { skipped: false, posts: posts.length, nonces: Object.keys(nonces).length };
+}
+
+module.exports = { importJsonData };
+
+if (require.main === module) {
+  const { createStore } = require('./index');
+  const dataDir = process.argv[2] || './data';
+  const dbPath = process.argv[3] || path.join(dataDir, 'blobsocial.db');
+
+  const store = createStore({ backend: 'sqlite', dbPath });
+  const result = importJsonData(store, dataDir);
+  if (result.skipped) {
+    console.log(`JSON data already imported into ${dbPath}`);
+  }
+  store.close();
+}
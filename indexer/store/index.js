@@ -0,0 +1,160 @@
+const { SqliteStore } = require('./sqlite');
+
+/*
+ * Storage interface used by the indexer routes.
+ *
+ * Every backend must provide:
+ *   transaction(fn)                    - run fn atomically, return its result
+ *   close()
+ *   insertPost(post) -> post           - id is assigned when post.id is absent;
+ *                                        post.parentId makes it a reply, post.repostOf
+ *                                        a repost and post.quoteOf a quote; records
+ *                                        revision 0 with post.signature/signatureType/signedAt
+ *   getPost(id) -> post | null
+ *   findRepost(address, postId) -> id | null   - the address's live repost of postId
+ *   getReplies(id, page) -> { posts, hasMore }   oldest first
+ *   countReplies(id) -> number
+ *   getThreadPosts(rootId, { maxDepth, limit }) -> post[]
+ *   getFeed(page) -> { posts, hasMore }   newest first, without deleted posts or reposts
+ *   getPostsByAuthor(address, page) -> { posts, hasMore }   newest first, case-insensitive, without deleted posts
+ *   getPostsAfterId(afterId, limit) -> { posts, hasMore }   insertion order, same filter as getFeed
+ *   maxPostId() -> number
+ *   countPosts() -> number             - deleted posts and reposts not included
+ *   countPostsByAuthor(address) -> number   same, for one author
+ *
+ * Batches (posts carry `batch`, { id, merkleRoot, index, size }, or null):
+ *   insertBatch({ author, agentId, merkleRoot, signature, signedAt, nonce, createdAt,
+ *                 posts: [{ ...post, entry, leaf, proof }] }) -> post[]   batch order
+ *   getBatchProof(postId) -> { merkleRoot, size, index, leaf, entry, proof, signature, ... } | null
+ *
+ * Revisions (feeds, search and the home timeline skip deleted posts; replies
+ * and threads keep their tombstones):
+ *   editPost(id, { content, contentHash, signature, signatureType, signedAt, nonce, editedAt }) -> post
+ *   deletePost(id, { signature, signatureType, signedAt, nonce, deletedAt }) -> post   tombstone
+ *   getRevisions(id) -> revision[]     oldest first
+ *   getStats() -> { totalPosts, uniqueAgents, oldestPost, newestPost }
+ *   getNonce(address) -> number        - 0 when the agent has never posted
+ *   setNonce(address, nonce)
+ *   consumeNonce(address, nonce) -> bool   - advance only if nonce is newer
+ *   recordAgent(address, agentId)
+ *   getAgentId(address) -> number | null
+ *   getMeta(key) / setMeta(key, value) - small JSON values
+ *
+ * Follow graph (a pair follows if either the chain or a signed message says so):
+ *   setSignedFollow(follower, following, timestamp)
+ *   removeSignedFollow(follower, following)
+ *   isFollowing(follower, following) -> bool
+ *   getFollowers(address, { limit, offset }) / getFollowing(...) -> { address, since, sources }[]
+ *   countFollowers(address) / countFollowing(address) -> number
+ *   getHomeFeed(address, page) -> { posts, hasMore }   posts and reposts by followed agents,
+ *                                        newest first, each post at most once
+ *
+ * `page` is { limit, cursor, since, until } from pagination.parsePageQuery.
+ *
+ * Reactions (posts carry `reactions`, a { kind: count } map):
+ *   addReaction(postId, address, kind, timestamp) -> bool   - false if already present
+ *   removeReaction(postId, address, kind) -> bool            - false if absent; drops its notification
+ *   getReactions(postId, { kind }, page) -> { reactions, hasMore }   newest first;
+ *                                        each { id, address, agentId, kind, createdAt }
+ *   maxReactionId() -> number
+ *   countReactions(postId) -> { kind: count }
+ *
+ * Mentions and notifications (posts carry `mentions`, { address, agentId }[];
+ * replies, follows and added reactions notify as part of their write):
+ *   indexMentions(postId, mentions) -> post   replaces the post's mentions, notifies new ones
+ *   addNotification({ recipient, type, actor, postId, detail, createdAt })   no-op if already recorded
+ *   getNotifications(address, { unread, types }, page) -> { notifications, hasMore }   newest first
+ *   countUnreadNotifications(address) -> number
+ *   maxNotificationId() -> number
+ *   markNotificationsRead(address, { ids, upToId }, readAt) -> number   how many were unread
+ *
+ * Profiles (posts carry `authorCard`, { address, agentId, name, avatarHash }
+ * from the author's current profile):
+ *   insertProfile({ address, agentId, document, profileHash, source, signature, signedAt,
+ *                   nonce, blobHash, blockNumber, createdAt }) -> profile   next revision
+ *   getProfile(address) -> profile | null   highest revision
+ *   getProfileHistory(address, page) -> { revisions, hasMore }   newest first; page.cursor
+ *                                        is a revision cursor ({ r, dir })
+ *   countProfileRevisions(address) -> number
+ *
+ * Direct messages (envelopes hold ciphertext only; the indexer never sees keys):
+ *   setMessagingKey({ address, agentId, publicKey, source, signature, blockNumber, updatedAt })
+ *                                      - api keys replace the address's; chain keys add to the agent's history
+ *   getMessagingKey(address) -> key | null   newest of the address's own and its agent's chain key
+ *   insertMessage({ from, to, envelope, envelopeHash, source, blobHash, blockNumber, timestamp })
+ *     -> message | null                  - null if the envelope was already stored
+ *   getConversation(a, b, page) -> { messages, hasMore }   newest first
+ *   getConversations(address, { limit, cursor, since, until })
+ *     -> { conversations: { with, count, lastMessageId, lastMessageAt }[], hasMore }
+ *   countConversations(address) -> number
+ *   maxMessageId() -> number
+ *
+ * Search (query is { match, tags, authors }; match is an FTS5 expression or null):
+ *   searchPosts(query, page) -> { posts, hasMore }   newest first
+ *   rankPosts(query, { limit, offset, since, until }) -> { posts, hasMore }   best match first
+ *   getPostsByTag(tag, page) -> { posts, hasMore }   newest first
+ *   countPostsByTag(tag) -> number
+ * Every insert* method indexes the post's text and tags as part of the write.
+ * Every method returning posts embeds the target of each repost or quote as `embed`.
+ *
+ * Chain ingestion:
+ *   insertChainPost(post) -> post | null   - null if the log was already seen
+ *   insertFollowEvent(event)
+ *   recordChainBlock(number, hash)
+ *   getChainBlocks(limit) -> { number, hash }[]   newest first
+ *   pruneChainBlocks(belowNumber)
+ *   rollbackChain(blockNumber) -> { posts, follows, anchors, profiles, messagingKeys, messages }   drops rows after blockNumber
+ *
+ * Post anchoring (roots over API post revisions; failed roots release their revisions):
+ *   getUnanchoredRevisions(limit) -> { postId, revision, action, author, contentHash, createdAt }[]
+ *   countUnanchoredRevisions() -> { count, oldest }
+ *   createAnchorRoot({ merkleRoot, method, contract, chainId, createdAt, entries }) -> root
+ *   getAnchorRoot(id) / getAnchorRootByHash(merkleRoot) -> root | null
+ *   getAnchorRootsByStatus(status, limit) -> root[]
+ *   countAnchorRootsByStatus() -> { pending, submitted, confirmed, failed }
+ *   updateAnchorRoot(id, { status, txHash, blockNumber, lastError, submittedAt, confirmedAt })
+ *   releaseAnchorRoot(id, error)
+ *   getPostAnchors(postId) -> { postId, revision, index, leaf, proof, root }[]   oldest revision first
+ *
+ * Blob aggregation (envelopes packed into shared blobs; failed blobs requeue their envelopes):
+ *   insertAggregateEnvelope({ envelopeHash, agentId, signer, envelope, bytes, createdAt }) -> envelope | null
+ *                                        null if the envelope was already queued
+ *   getAggregateEnvelope(id | envelopeHash) -> envelope | null   with its blob, null while queued
+ *   getQueuedEnvelopes(limit) -> envelope[]   oldest first
+ *   countQueuedEnvelopes() -> { count, bytes, oldest }
+ *   createAggregateBlob({ blobHash, bytes, createdAt, entries }) -> blob
+ *   getAggregateBlob(id) -> blob | null
+ *   getAggregateBlobsByStatus(status, limit) -> blob[]
+ *   countAggregateBlobsByStatus() -> { pending, submitted, confirmed, failed }
+ *   updateAggregateBlob(id, { status, txHash, blockNumber, lastError, submittedAt, confirmedAt })
+ *   releaseAggregateBlob(id, error)
+ *
+ * Blob ingestion:
+ *   insertBlobAnchor(anchor)
+ *   getBlobAnchor(blobHash) -> anchor | null
+ *   getDueBlobAnchors(now, limit) -> anchor[]
+ *   getBlobAnchorsByStatus(status, limit) -> anchor[]
+ *   countBlobAnchorsByStatus() -> { pending, fetched, invalid, failed }
+ *   updateBlobAnchor(blobHash, { status, envelopeType, attempts, nextAttemptAt, lastError })
+ *   insertBlobChunk({ blobHash, payloadId, agentId, chunkIndex, chunkCount, data })
+ *                                      - data is the blob's hex; tags the anchor with payloadId
+ *   getBlobChunks(payloadId, agentId) -> chunk[]   chunk order
+ *   deleteBlobChunks(payloadId, agentId)
+ *   insertBlobPost(post) -> post | null   - null if the entry was already stored
+ *                                        post.kind 'repost'/'quote' with post.refBlob links a target
+ */
+
+const BACKENDS = {
+  sqlite: (options) => new SqliteStore(options.dbPath),
+};
+
+function createStore(options) {
+  const backend = options.backend || 'sqlite';
+  const factory = BACKENDS[backend];
+  if (!factory) {
+    throw new Error(`Unknown store backend: ${backend}. Available: ${Object.keys(BACKENDS).join(', ')}`);
+  }
+  return factory(options);
+}
+
+module.exports = { createStore };
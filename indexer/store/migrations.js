@@ -0,0 +1,510 @@
+// Schema migrations for the SQLite store.
+// Append new entries; never edit one that has already shipped.
+
+const { extractTags } = require('../search');
+
+module.exports = [
+  {
+    version: 1,
+    name: 'initial-schema',
+    up: `
+      CREATE TABLE posts (
+        id           INTEGER PRIMARY KEY,
+        content      TEXT    NOT NULL,
+        author       TEXT    NOT NULL,
+        agent_id     INTEGER,
+        content_hash TEXT    NOT NULL,
+        timestamp    INTEGER NOT NULL,
+        verified     INTEGER NOT NULL DEFAULT 0,
+        nonce        INTEGER
+      );
+      CREATE INDEX idx_posts_author ON posts(author COLLATE NOCASE);
+      CREATE INDEX idx_posts_timestamp ON posts(timestamp);
+      CREATE INDEX idx_posts_content_hash ON posts(content_hash);
+
+      CREATE TABLE nonces (
+        address TEXT PRIMARY KEY,
+        nonce   INTEGER NOT NULL
+      );
+
+      CREATE TABLE agents (
+        address    TEXT PRIMARY KEY,
+        agent_id   INTEGER,
+        first_seen INTEGER NOT NULL
+      );
+
+      CREATE TABLE meta (
+        key   TEXT PRIMARY KEY,
+        value TEXT
+      );
+    `,
+  },
+  {
+    version: 2,
+    name: 'chain-ingestion',
+    up: `
+      ALTER TABLE posts ADD COLUMN source TEXT NOT NULL DEFAULT 'api';
+      ALTER TABLE posts ADD COLUMN chain_post_id INTEGER;
+      ALTER TABLE posts ADD COLUMN tx_hash TEXT;
+      ALTER TABLE posts ADD COLUMN block_number INTEGER;
+      ALTER TABLE posts ADD COLUMN log_index INTEGER;
+      CREATE UNIQUE INDEX idx_posts_chain_log ON posts(tx_hash, log_index) WHERE tx_hash IS NOT NULL;
+      CREATE INDEX idx_posts_block_number ON posts(block_number) WHERE block_number IS NOT NULL;
+
+      CREATE TABLE follow_events (
+        id           INTEGER PRIMARY KEY,
+        follower     TEXT    NOT NULL,
+        following    TEXT    NOT NULL,
+        kind         TEXT    NOT NULL CHECK (kind IN ('follow', 'unfollow')),
+        timestamp    INTEGER NOT NULL,
+        tx_hash      TEXT    NOT NULL,
+        block_number INTEGER NOT NULL,
+        log_index    INTEGER NOT NULL,
+        UNIQUE (tx_hash, log_index)
+      );
+      CREATE INDEX idx_follow_events_block ON follow_events(block_number);
+
+      CREATE TABLE chain_blocks (
+        number INTEGER PRIMARY KEY,
+        hash   TEXT NOT NULL
+      );
+    `,
+  },
+  {
+    version: 3,
+    name: 'blob-ingestion',
+    up: `
+      CREATE TABLE blob_anchors (
+        blob_hash       TEXT PRIMARY KEY,
+        agent_id        INTEGER NOT NULL,
+        post_index      INTEGER NOT NULL,
+        timestamp       INTEGER NOT NULL,
+        tx_hash         TEXT    NOT NULL,
+        block_number    INTEGER NOT NULL,
+        log_index       INTEGER NOT NULL,
+        status          TEXT    NOT NULL DEFAULT 'pending'
+                        CHECK (status IN ('pending', 'fetched', 'invalid', 'failed')),
+        envelope_type   TEXT,
+        attempts        INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at INTEGER NOT NULL DEFAULT 0,
+        last_error      TEXT
+      );
+      CREATE INDEX idx_blob_anchors_status ON blob_anchors(status, next_attempt_at);
+      CREATE INDEX idx_blob_anchors_block ON blob_anchors(block_number);
+
+      ALTER TABLE posts ADD COLUMN blob_hash TEXT;
+      ALTER TABLE posts ADD COLUMN blob_index INTEGER;
+      ALTER TABLE posts ADD COLUMN tags TEXT;
+      ALTER TABLE posts ADD COLUMN reply_to_blob TEXT;
+      ALTER TABLE posts ADD COLUMN root_blob TEXT;
+      CREATE UNIQUE INDEX idx_posts_blob_entry ON posts(blob_hash, blob_index) WHERE blob_hash IS NOT NULL;
+    `,
+  },
+  {
+    version: 4,
+    name: 'threaded-replies',
+    up: `
+      ALTER TABLE posts ADD COLUMN parent_id INTEGER REFERENCES posts(id) ON DELETE SET NULL;
+      ALTER TABLE posts ADD COLUMN root_id INTEGER;
+      ALTER TABLE posts ADD COLUMN depth INTEGER NOT NULL DEFAULT 0;
+      CREATE INDEX idx_posts_parent ON posts(parent_id, timestamp) WHERE parent_id IS NOT NULL;
+      CREATE INDEX idx_posts_root ON posts(root_id, depth) WHERE root_id IS NOT NULL;
+    `,
+  },
+  {
+    version: 5,
+    name: 'follow-graph',
+    up: (db) => {
+      db.exec(`
+        -- One row per (pair, source); a pair follows if any source says so
+        CREATE TABLE follows (
+          follower     TEXT    NOT NULL,
+          following    TEXT    NOT NULL,
+          source       TEXT    NOT NULL CHECK (source IN ('chain', 'signed')),
+          created_at   INTEGER NOT NULL,
+          block_number INTEGER,
+          PRIMARY KEY (follower, following, source)
+        );
+        CREATE INDEX idx_follows_following ON follows(following, created_at);
+
+        ALTER TABLE posts ADD COLUMN author_key TEXT GENERATED ALWAYS AS (lower(author)) VIRTUAL;
+        CREATE INDEX idx_posts_author_key_timestamp ON posts(author_key, timestamp);
+      `);
+
+      // Seed chain follows from events ingested before this table existed
+      db.exec(`
+        INSERT INTO follows (follower, following, source, created_at, block_number)
+        SELECT e.follower, e.following, 'chain', e.timestamp, e.block_number
+        FROM follow_events e
+        WHERE e.kind = 'follow' AND e.id = (
+          SELECT l.id FROM follow_events l
+          WHERE l.follower = e.follower AND l.following = e.following
+          ORDER BY l.block_number DESC, l.log_index DESC LIMIT 1
+        )
+      `);
+    },
+  },
+  {
+    version: 6,
+    name: 'search-index',
+    up: (db) => {
+      db.exec(`
+        -- Full-text index over post content, kept in sync by triggers
+        CREATE VIRTUAL TABLE posts_fts USING fts5(
+          content,
+          content = 'posts',
+          content_rowid = 'id',
+          tokenize = 'unicode61 remove_diacritics 2'
+        );
+        CREATE TRIGGER posts_fts_insert AFTER INSERT ON posts BEGIN
+          INSERT INTO posts_fts (rowid, content) VALUES (new.id, new.content);
+        END;
+        CREATE TRIGGER posts_fts_delete AFTER DELETE ON posts BEGIN
+          INSERT INTO posts_fts (posts_fts, rowid, content) VALUES ('delete', old.id, old.content);
+        END;
+        CREATE TRIGGER posts_fts_update AFTER UPDATE OF content ON posts BEGIN
+          INSERT INTO posts_fts (posts_fts, rowid, content) VALUES ('delete', old.id, old.content);
+          INSERT INTO posts_fts (rowid, content) VALUES (new.id, new.content);
+        END;
+        INSERT INTO posts_fts (posts_fts) VALUES ('rebuild');
+
+        -- Normalised tags (envelope tags and #hashtags), filled in by the store
+        CREATE TABLE post_tags (
+          tag     TEXT    NOT NULL,
+          post_id INTEGER NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+          PRIMARY KEY (tag, post_id)
+        ) WITHOUT ROWID;
+        CREATE INDEX idx_post_tags_post ON post_tags(post_id);
+      `);
+
+      const insertTag = db.prepare('INSERT OR IGNORE INTO post_tags (tag, post_id) VALUES (?, ?)');
+      for (const row of db.prepare('SELECT id, content, tags FROM posts').iterate()) {
+        for (const tag of extractTags(row.content, row.tags ? JSON.parse(row.tags) : [])) {
+          insertTag.run(tag, row.id);
+        }
+      }
+    },
+  },
+  {
+    version: 7,
+    name: 'post-revisions',
+    up: `
+      ALTER TABLE posts ADD COLUMN revision INTEGER NOT NULL DEFAULT 0;
+      ALTER TABLE posts ADD COLUMN edited_at INTEGER;
+      ALTER TABLE posts ADD COLUMN deleted_at INTEGER;
+
+      -- Every signed change to a post: revision 0 is the post itself. A
+      -- delete blanks the content of every revision but keeps the hashes and
+      -- signatures, so EIP-712 revisions stay verifiable.
+      CREATE TABLE post_revisions (
+        post_id        INTEGER NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+        revision       INTEGER NOT NULL,
+        action         TEXT    NOT NULL CHECK (action IN ('post', 'edit', 'delete')),
+        content        TEXT    NOT NULL,
+        content_hash   TEXT    NOT NULL,
+        signature      TEXT,
+        signature_type TEXT    CHECK (signature_type IN ('eip712', 'personal')),
+        signed_at      INTEGER,
+        nonce          INTEGER,
+        created_at     INTEGER NOT NULL,
+        PRIMARY KEY (post_id, revision)
+      ) WITHOUT ROWID;
+
+      -- Signatures were not kept before this migration
+      INSERT INTO post_revisions (post_id, revision, action, content, content_hash, nonce, created_at)
+      SELECT id, 0, 'post', content, content_hash, nonce, timestamp FROM posts WHERE source = 'api';
+    `,
+  },
+  {
+    version: 8,
+    name: 'reactions',
+    up: `
+      -- One row per (post, agent, kind); reacting twice is a no-op
+      CREATE TABLE reactions (
+        post_id    INTEGER NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+        agent      TEXT    NOT NULL,
+        kind       TEXT    NOT NULL,
+        created_at INTEGER NOT NULL,
+        PRIMARY KEY (post_id, agent, kind)
+      ) WITHOUT ROWID;
+      CREATE INDEX idx_reactions_post_kind ON reactions(post_id, kind, created_at);
+    `,
+  },
+  {
+    version: 9,
+    name: 'reposts',
+    up: `
+      -- Reposts (no content) and quote posts point at ref_id; blob
+      -- envelopes name their target by blob hash in ref_blob
+      ALTER TABLE posts ADD COLUMN kind TEXT NOT NULL DEFAULT 'post' CHECK (kind IN ('post', 'repost', 'quote'));
+      ALTER TABLE posts ADD COLUMN ref_id INTEGER REFERENCES posts(id) ON DELETE SET NULL;
+      ALTER TABLE posts ADD COLUMN ref_blob TEXT;
+      CREATE INDEX idx_posts_ref ON posts(ref_id, kind) WHERE ref_id IS NOT NULL;
+      CREATE UNIQUE INDEX idx_posts_one_repost ON posts(author_key, ref_id) WHERE kind = 'repost' AND deleted_at IS NULL;
+    `,
+  },
+  {
+    version: 10,
+    name: 'notifications',
+    up: `
+      -- @0x... and @agent#N mentions; address is null for an agent id the
+      -- registry couldn't resolve
+      CREATE TABLE post_mentions (
+        post_id  INTEGER NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+        address  TEXT,
+        agent_id INTEGER
+      );
+      CREATE INDEX idx_post_mentions_post ON post_mentions(post_id);
+      CREATE INDEX idx_post_mentions_address ON post_mentions(address, post_id) WHERE address IS NOT NULL;
+
+      -- Per-agent inbox. post_id is the mentioning post, the reply, or the
+      -- post reacted to; detail is the reaction kind. The unique index makes
+      -- re-ingesting the same event a no-op.
+      CREATE TABLE notifications (
+        id         INTEGER PRIMARY KEY,
+        recipient  TEXT    NOT NULL,
+        type       TEXT    NOT NULL CHECK (type IN ('mention', 'reply', 'follow', 'reaction')),
+        actor      TEXT    NOT NULL,
+        post_id    INTEGER REFERENCES posts(id) ON DELETE CASCADE,
+        detail     TEXT,
+        created_at INTEGER NOT NULL,
+        read_at    INTEGER
+      );
+      CREATE UNIQUE INDEX idx_notifications_once
+        ON notifications(recipient, type, actor, COALESCE(post_id, 0), COALESCE(detail, ''));
+      CREATE INDEX idx_notifications_recipient ON notifications(recipient, created_at, id);
+      CREATE INDEX idx_notifications_unread ON notifications(recipient, created_at, id) WHERE read_at IS NULL;
+    `,
+  },
+  {
+    version: 11,
+    name: 'profiles',
+    up: `
+      -- Every accepted profile document; an address's profile is its highest
+      -- revision. document is the canonical JSON that profile_hash covers.
+      -- Blob profiles carry the block they were anchored in for rollbacks.
+      CREATE TABLE profiles (
+        address      TEXT    NOT NULL,
+        revision     INTEGER NOT NULL,
+        agent_id     INTEGER,
+        document     TEXT    NOT NULL,
+        profile_hash TEXT    NOT NULL,
+        source       TEXT    NOT NULL CHECK (source IN ('api', 'blob')),
+        signature    TEXT,
+        signed_at    INTEGER,
+        nonce        INTEGER,
+        blob_hash    TEXT,
+        block_number INTEGER,
+        created_at   INTEGER NOT NULL,
+        PRIMARY KEY (address, revision)
+      ) WITHOUT ROWID;
+      CREATE INDEX idx_profiles_block ON profiles(block_number) WHERE block_number IS NOT NULL;
+    `,
+  },
+  {
+    version: 12,
+    name: 'direct-messages',
+    up: `
+      -- Published x-only secp256k1 keys for direct messages. Keys set through
+      -- the API belong to an address, BlobSocialGraph.PublicKeySet keys to an
+      -- agent id.
+      CREATE TABLE messaging_keys (
+        address      TEXT,
+        agent_id     INTEGER,
+        public_key   TEXT    NOT NULL,
+        source       TEXT    NOT NULL CHECK (source IN ('api', 'chain')),
+        signature    TEXT,
+        block_number INTEGER,
+        updated_at   INTEGER NOT NULL,
+        CHECK ((source = 'api' AND address IS NOT NULL) OR (source = 'chain' AND agent_id IS NOT NULL))
+      );
+      CREATE UNIQUE INDEX idx_messaging_keys_address ON messaging_keys(address) WHERE source = 'api';
+      CREATE UNIQUE INDEX idx_messaging_keys_agent ON messaging_keys(agent_id) WHERE source = 'chain';
+
+      -- Encrypted direct messages, stored as the sender's envelope (ciphertext
+      -- only). pair is the two addresses sorted and joined with ':'.
+      CREATE TABLE messages (
+        id            INTEGER PRIMARY KEY,
+        sender        TEXT    NOT NULL,
+        recipient     TEXT    NOT NULL,
+        pair          TEXT    NOT NULL,
+        envelope      TEXT    NOT NULL,
+        envelope_hash TEXT    NOT NULL UNIQUE,
+        source        TEXT    NOT NULL CHECK (source IN ('api', 'blob')),
+        blob_hash     TEXT,
+        block_number  INTEGER,
+        created_at    INTEGER NOT NULL
+      );
+      CREATE INDEX idx_messages_pair ON messages(pair, created_at, id);
+      CREATE INDEX idx_messages_sender ON messages(sender, pair);
+      CREATE INDEX idx_messages_recipient ON messages(recipient, pair);
+    `,
+  },
+  {
+    version: 13,
+    name: 'post-batches',
+    up: `
+      -- Posts submitted together under one PostBatch signature over the
+      -- Merkle root of their entries (lib/merkle.js)
+      CREATE TABLE post_batches (
+        id          INTEGER PRIMARY KEY,
+        author      TEXT    NOT NULL,
+        agent_id    INTEGER,
+        merkle_root TEXT    NOT NULL,
+        size        INTEGER NOT NULL,
+        signature   TEXT    NOT NULL,
+        signed_at   INTEGER NOT NULL,
+        nonce       INTEGER NOT NULL,
+        created_at  INTEGER NOT NULL
+      );
+
+      -- Each post's place in its batch. entry is the JSON the leaf was hashed
+      -- from (NULL once the post is deleted); proof is the JSON array of
+      -- sibling hashes.
+      CREATE TABLE batch_posts (
+        post_id    INTEGER PRIMARY KEY REFERENCES posts(id) ON DELETE CASCADE,
+        batch_id   INTEGER NOT NULL REFERENCES post_batches(id) ON DELETE CASCADE,
+        leaf_index INTEGER NOT NULL,
+        leaf       TEXT    NOT NULL,
+        entry      TEXT,
+        proof      TEXT    NOT NULL
+      );
+      CREATE UNIQUE INDEX idx_batch_posts_leaf ON batch_posts(batch_id, leaf_index);
+    `,
+  },
+  {
+    version: 14,
+    name: 'post-anchoring',
+    up: `
+      -- Merkle roots over API post revisions, committed on chain by the
+      -- anchoring job (indexer/anchor/anchorer.js)
+      CREATE TABLE anchor_roots (
+        id           INTEGER PRIMARY KEY,
+        merkle_root  TEXT    NOT NULL,
+        size         INTEGER NOT NULL,
+        method       TEXT    NOT NULL CHECK (method IN ('graph', 'social')),
+        contract     TEXT    NOT NULL,
+        chain_id     INTEGER NOT NULL,
+        status       TEXT    NOT NULL DEFAULT 'pending'
+                     CHECK (status IN ('pending', 'submitted', 'confirmed', 'failed')),
+        tx_hash      TEXT,
+        block_number INTEGER,
+        last_error   TEXT,
+        created_at   INTEGER NOT NULL,
+        submitted_at INTEGER,
+        confirmed_at INTEGER
+      );
+      CREATE INDEX idx_anchor_roots_status ON anchor_roots(status);
+      -- Not unique: revisions released by a failed root can hash to it again
+      CREATE INDEX idx_anchor_roots_root ON anchor_roots(merkle_root);
+
+      -- Which root each post revision went into, with its inclusion proof
+      -- (JSON array of sibling hashes). Failed roots release their rows so
+      -- the revisions are picked up again.
+      CREATE TABLE post_anchors (
+        post_id    INTEGER NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+        revision   INTEGER NOT NULL,
+        root_id    INTEGER NOT NULL REFERENCES anchor_roots(id) ON DELETE CASCADE,
+        leaf_index INTEGER NOT NULL,
+        leaf       TEXT    NOT NULL,
+        proof      TEXT    NOT NULL,
+        PRIMARY KEY (post_id, revision)
+      ) WITHOUT ROWID;
+      CREATE INDEX idx_post_anchors_root ON post_anchors(root_id);
+    `,
+  },
+  {
+    version: 15,
+    name: 'blob-aggregation',
+    up: `
+      -- Shared blobs packed by the aggregator (indexer/aggregator/aggregator.js)
+      CREATE TABLE aggregate_blobs (
+        id           INTEGER PRIMARY KEY,
+        blob_hash    TEXT    NOT NULL,
+        size         INTEGER NOT NULL,
+        bytes        INTEGER NOT NULL,
+        status       TEXT    NOT NULL DEFAULT 'pending'
+                     CHECK (status IN ('pending', 'submitted', 'confirmed', 'failed')),
+        tx_hash      TEXT,
+        block_number INTEGER,
+        last_error   TEXT,
+        created_at   INTEGER NOT NULL,
+        submitted_at INTEGER,
+        confirmed_at INTEGER
+      );
+      CREATE INDEX idx_aggregate_blobs_status ON aggregate_blobs(status);
+      CREATE INDEX idx_aggregate_blobs_hash ON aggregate_blobs(blob_hash);
+
+      -- Signed envelopes handed to the aggregator, and where each one landed.
+      -- blob_id is null while queued; failed blobs put their envelopes back.
+      CREATE TABLE aggregate_envelopes (
+        id            INTEGER PRIMARY KEY,
+        envelope_hash TEXT    NOT NULL UNIQUE,
+        agent_id      INTEGER NOT NULL,
+        signer        TEXT    NOT NULL,
+        envelope      TEXT    NOT NULL,
+        bytes         INTEGER NOT NULL,
+        blob_id       INTEGER REFERENCES aggregate_blobs(id) ON DELETE SET NULL,
+        blob_index    INTEGER,
+        byte_offset   INTEGER,
+        created_at    INTEGER NOT NULL
+      );
+      CREATE INDEX idx_aggregate_envelopes_blob ON aggregate_envelopes(blob_id);
+      CREATE INDEX idx_aggregate_envelopes_queue ON aggregate_envelopes(created_at) WHERE blob_id IS NULL;
+    `,
+  },
+  {
+    version: 16,
+    name: 'chunked-blob-payloads',
+    up: `
+      -- Anchors of one chunk of a multi-blob payload carry its payload id
+      ALTER TABLE blob_anchors ADD COLUMN payload_id TEXT;
+      CREATE INDEX idx_blob_anchors_payload ON blob_anchors(payload_id) WHERE payload_id IS NOT NULL;
+
+      -- Chunks fetched while their payload waits for the rest; removed once
+      -- it is decoded
+      CREATE TABLE blob_chunks (
+        blob_hash   TEXT    PRIMARY KEY REFERENCES blob_anchors(blob_hash) ON DELETE CASCADE,
+        payload_id  TEXT    NOT NULL,
+        agent_id    INTEGER NOT NULL,
+        chunk_index INTEGER NOT NULL,
+        chunk_count INTEGER NOT NULL,
+        data        BLOB    NOT NULL
+      );
+      CREATE INDEX idx_blob_chunks_payload ON blob_chunks(payload_id, agent_id);
+    `,
+  },
+  {
+    version: 17,
+    name: 'messaging-key-history',
+    up: `
+      -- Every PublicKeySet is kept, like profile revisions, so rolling back a
+      -- reorged one leaves the agent's previous key in place
+      DROP INDEX idx_messaging_keys_agent;
+      CREATE UNIQUE INDEX idx_messaging_keys_agent ON messaging_keys(agent_id, block_number, public_key)
+        WHERE source = 'chain';
+    `,
+  },
+  {
+    version: 18,
+    name: 'reaction-ids',
+    up: `
+      -- Reactions get a rowid so lists can page on (created_at, id); one
+      -- reaction per (post, agent, kind) as before
+      CREATE TABLE reactions_new (
+        id         INTEGER PRIMARY KEY,
+        post_id    INTEGER NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+        agent      TEXT    NOT NULL,
+        kind       TEXT    NOT NULL,
+        created_at INTEGER NOT NULL,
+        UNIQUE (post_id, agent, kind)
+      );
+      INSERT INTO reactions_new (post_id, agent, kind, created_at)
+        SELECT post_id, agent, kind, created_at FROM reactions ORDER BY created_at, agent;
+      DROP TABLE reactions;
+      ALTER TABLE reactions_new RENAME TO reactions;
+      CREATE INDEX idx_reactions_post_kind ON reactions(post_id, kind, created_at);
+      CREATE INDEX idx_reactions_post_created ON reactions(post_id, created_at);
+    `,
+  },
+];
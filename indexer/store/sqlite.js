@@ -0,0 +1,1705 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const migrations = require('./migrations');
+const { extractTags } = require('../search');
+
+// Follow count above which home timelines scan by time instead of by author
+const HOME_SCAN_THRESHOLD = 200;
+
+// Posts with their direct reply count, live repost and quote counts,
+// reaction counts by kind, mentioned agents, the author's current profile and
+// the batch the post was submitted in
+const SELECT_POSTS = `
+  SELECT posts.*,
+    (SELECT COUNT(*) FROM posts r WHERE r.parent_id = posts.id) AS reply_count,
+    (SELECT COUNT(*) FROM posts q WHERE q.ref_id = posts.id AND q.kind = 'repost' AND q.deleted_at IS NULL) AS repost_count,
+    (SELECT COUNT(*) FROM posts q WHERE q.ref_id = posts.id AND q.kind = 'quote' AND q.deleted_at IS NULL) AS quote_count,
+    (SELECT json_group_object(kind, n) FROM (
+      SELECT kind, COUNT(*) AS n FROM reactions WHERE post_id = posts.id GROUP BY kind
+    )) AS reaction_counts,
+    (SELECT json_group_array(json_object('address', address, 'agentId', agent_id))
+      FROM post_mentions WHERE post_id = posts.id) AS mentions,
+    (SELECT json_object('agentId', agent_id, 'name', json_extract(document, '$.name'),
+        'avatarHash', json_extract(document, '$.avatarHash'))
+      FROM profiles WHERE address = posts.author_key ORDER BY revision DESC LIMIT 1) AS author_card,
+    (SELECT json_object('id', b.id, 'merkleRoot', b.merkle_root, 'index', bp.leaf_index, 'size', b.size)
+      FROM batch_posts bp JOIN post_batches b ON b.id = bp.batch_id WHERE bp.post_id = posts.id) AS batch
+  FROM posts
+`;
+
+// Map a posts row back to the shape the API has always returned
+function rowToPost(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    content: row.content,
+    author: row.author,
+    agentId: row.agent_id,
+    contentHash: row.content_hash,
+    timestamp: row.timestamp,
+    verified: row.verified === 1,
+    nonce: row.nonce,
+    source: row.source,
+    txHash: row.tx_hash,
+    blockNumber: row.block_number,
+    blobHash: row.blob_hash,
+    tags: row.tags ? JSON.parse(row.tags) : [],
+    replyToBlob: row.reply_to_blob,
+    rootBlob: row.root_blob,
+    parentId: row.parent_id,
+    rootId: row.root_id,
+    depth: row.depth,
+    replyCount: row.reply_count || 0,
+    kind: row.kind,
+    repostOf: row.kind === 'repost' ? row.ref_id : null,
+    quoteOf: row.kind === 'quote' ? row.ref_id : null,
+    refBlob: row.ref_blob,
+    repostCount: row.repost_count || 0,
+    quoteCount: row.quote_count || 0,
+    reactions: row.reaction_counts ? JSON.parse(row.reaction_counts) : {},
+    mentions: row.mentions ? JSON.parse(row.mentions) : [],
+    authorCard: rowToAuthorCard(row),
+    batch: row.batch ? JSON.parse(row.batch) : null,
+    revision: row.revision,
+    edited: row.edited_at !== null,
+    editedAt: row.edited_at,
+    deleted: row.deleted_at !== null,
+    deletedAt: row.deleted_at,
+  };
+}
+
+// What feeds show about an author: address and agent, plus the display name
+// and avatar when the author has a profile
+function rowToAuthorCard(row) {
+  const card = row.author_card ? JSON.parse(row.author_card) : {};
+  return {
+    address: row.author,
+    agentId: row.agent_id ?? card.agentId ?? null,
+    name: card.name ?? null,
+    avatarHash: card.avatarHash ?? null,
+  };
+}
+
+function rowToProfile(row) {
+  if (!row) return null;
+  return {
+    address: row.address,
+    revision: row.revision,
+    agentId: row.agent_id,
+    profile: JSON.parse(row.document),
+    profileHash: row.profile_hash,
+    source: row.source,
+    signature: row.signature,
+    signedAt: row.signed_at,
+    nonce: row.nonce,
+    blobHash: row.blob_hash,
+    blockNumber: row.block_number,
+    updatedAt: row.created_at,
+  };
+}
+
+function rowToMessagingKey(row) {
+  if (!row) return null;
+  return {
+    publicKey: row.public_key,
+    agentId: row.agent_id,
+    source: row.source,
+    signature: row.signature,
+    blockNumber: row.block_number,
+    updatedAt: row.updated_at,
+  };
+}
+
+function rowToMessage(row) {
+  return {
+    id: row.id,
+    from: row.sender,
+    to: row.recipient,
+    envelope: JSON.parse(row.envelope),
+    envelopeHash: row.envelope_hash,
+    source: row.source,
+    blobHash: row.blob_hash,
+    blockNumber: row.block_number,
+    timestamp: row.created_at,
+  };
+}
+
+// Conversation key for two addresses, independent of direction
+function messagePair(a, b) {
+  return [a.toLowerCase(), b.toLowerCase()].sort().join(':');
+}
+
+function rowToBatchProof(row) {
+  if (!row) return null;
+  return {
+    postId: row.post_id,
+    batchId: row.batch_id,
+    author: row.author,
+    agentId: row.agent_id,
+    merkleRoot: row.merkle_root,
+    size: row.size,
+    index: row.leaf_index,
+    leaf: row.leaf,
+    entry: row.entry ? JSON.parse(row.entry) : null,
+    proof: JSON.parse(row.proof),
+    signature: row.signature,
+    signedAt: row.signed_at,
+    nonce: row.nonce,
+  };
+}
+
+function rowToAnchorRoot(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    merkleRoot: row.merkle_root,
+    size: row.size,
+    method: row.method,
+    contract: row.contract,
+    chainId: row.chain_id,
+    status: row.status,
+    txHash: row.tx_hash,
+    blockNumber: row.block_number,
+    lastError: row.last_error,
+    createdAt: row.created_at,
+    submittedAt: row.submitted_at,
+    confirmedAt: row.confirmed_at,
+  };
+}
+
+function rowToAggregateBlob(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    blobHash: row.blob_hash,
+    size: row.size,
+    bytes: row.bytes,
+    status: row.status,
+    txHash: row.tx_hash,
+    blockNumber: row.block_number,
+    lastError: row.last_error,
+    createdAt: row.created_at,
+    submittedAt: row.submitted_at,
+    confirmedAt: row.confirmed_at,
+  };
+}
+
+function rowToAggregateEnvelope(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    envelopeHash: row.envelope_hash,
+    agentId: row.agent_id,
+    signer: row.signer,
+    envelope: row.envelope,
+    bytes: row.bytes,
+    blobId: row.blob_id,
+    index: row.blob_index,
+    offset: row.byte_offset,
+    createdAt: row.created_at,
+  };
+}
+
+function rowToRevision(row) {
+  return {
+    revision: row.revision,
+    action: row.action,
+    content: row.content,
+    contentHash: row.content_hash,
+    signature: row.signature,
+    signatureType: row.signature_type,
+    signedAt: row.signed_at,
+    nonce: row.nonce,
+    createdAt: row.created_at,
+  };
+}
+
+function rowToReaction(row) {
+  return {
+    id: row.id,
+    address: row.agent,
+    agentId: row.agent_id,
+    kind: row.kind,
+    createdAt: row.created_at,
+  };
+}
+
+function rowToNotification(row) {
+  return {
+    id: row.id,
+    type: row.type,
+    actor: row.actor,
+    postId: row.post_id,
+    reaction: row.type === 'reaction' ? row.detail : null,
+    timestamp: row.created_at,
+    read: row.read_at !== null,
+    readAt: row.read_at,
+  };
+}
+
+function rowToFollow(row) {
+  return {
+    address: row.address,
+    since: row.since,
+    sources: row.sources.split(','),
+  };
+}
+
+function rowToAnchor(row) {
+  if (!row) return null;
+  return {
+    blobHash: row.blob_hash,
+    agentId: row.agent_id,
+    postIndex: row.post_index,
+    timestamp: row.timestamp,
+    txHash: row.tx_hash,
+    blockNumber: row.block_number,
+    status: row.status,
+    envelopeType: row.envelope_type,
+    attempts: row.attempts,
+    nextAttemptAt: row.next_attempt_at,
+    lastError: row.last_error,
+    payloadId: row.payload_id,
+  };
+}
+
+// kind/ref_id columns for a post that may repost or quote another
+function postReference(post) {
+  if (post.repostOf !== undefined && post.repostOf !== null) {
+    return { kind: 'repost', refId: post.repostOf };
+  }
+  if (post.quoteOf !== undefined && post.quoteOf !== null) {
+    return { kind: 'quote', refId: post.quoteOf };
+  }
+  return { kind: 'post', refId: null };
+}
+
+class SqliteStore {
+  constructor(dbPath) {
+    if (dbPath !== ':memory:') {
+      fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+    }
+    this.db = new Database(dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+    this.migrate();
+  }
+
+  // Apply any migrations newer than the recorded schema version
+  migrate() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version    INTEGER PRIMARY KEY,
+        name       TEXT NOT NULL,
+        applied_at INTEGER NOT NULL
+      )
+    `);
+
+    const current = this.db.prepare('SELECT MAX(version) AS v FROM schema_migrations').get().v || 0;
+    const pending = migrations.filter(m => m.version > current);
+
+    for (const migration of pending) {
+      this.transaction(() => {
+        if (typeof migration.up === 'function') {
+          migration.up(this.db);
+        } else {
+          this.db.exec(migration.up);
+        }
+        this.db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)')
+          .run(migration.version, migration.name, Date.now());
+      });
+    }
+  }
+
+  transaction(fn) {
+    return this.db.transaction(fn)();
+  }
+
+  close() {
+    this.db.close();
+  }
+
+  // Posts
+
+  insertPost(post) {
+    const thread = this.threadPosition(post.parentId);
+    const result = this.db.prepare(`
+      INSERT INTO posts
+        (id, content, author, agent_id, content_hash, timestamp, verified, nonce, tags, parent_id, root_id, depth, kind, ref_id)
+      VALUES
+        (@id, @content, @author, @agentId, @contentHash, @timestamp, @verified, @nonce, @tags, @parentId, @rootId, @depth, @kind, @refId)
+    `).run({
+      ...thread,
+      ...postReference(post),
+      id: post.id ?? null,
+      content: post.content,
+      author: post.author,
+      agentId: post.agentId ?? null,
+      contentHash: post.contentHash,
+      timestamp: post.timestamp,
+      verified: post.verified ? 1 : 0,
+      nonce: post.nonce ?? null,
+      tags: post.tags ? JSON.stringify(post.tags) : null,
+    });
+    const id = Number(result.lastInsertRowid);
+    this.indexTags(id, post.content, post.tags);
+    this.notifyReply(id);
+    this.insertRevision(id, 0, 'post', {
+      content: post.content,
+      contentHash: post.contentHash,
+      signature: post.signature,
+      signatureType: post.signatureType,
+      signedAt: post.signedAt,
+      nonce: post.nonce,
+      createdAt: post.timestamp,
+    });
+    return this.getPost(id);
+  }
+
+  getPost(id) {
+    const post = rowToPost(this.db.prepare(`${SELECT_POSTS} WHERE id = ?`).get(id));
+    return post && this.embedReferenced([post])[0];
+  }
+
+  // Live repost of postId by address, if any
+  findRepost(address, postId) {
+    const row = this.db.prepare(`
+      SELECT id FROM posts WHERE author_key = ? AND ref_id = ? AND kind = 'repost' AND deleted_at IS NULL
+    `).get(address.toLowerCase(), postId);
+    return row ? row.id : null;
+  }
+
+  // Attach the post each repost or quote points at as `embed` (one level deep)
+  embedReferenced(posts) {
+    const ids = [...new Set(posts.map(p => p.repostOf ?? p.quoteOf).filter(id => id !== null))];
+    const embeds = new Map();
+    if (ids.length) {
+      const rows = this.db.prepare(`${SELECT_POSTS} WHERE id IN (${ids.map(() => '?').join(', ')})`).all(...ids);
+      for (const row of rows) embeds.set(row.id, rowToPost(row));
+    }
+    for (const post of posts) {
+      if (post.kind !== 'post') {
+        post.embed = embeds.get(post.repostOf ?? post.quoteOf) || null;
+      }
+    }
+    return posts;
+  }
+
+  // parent/root/depth columns for a post replying to parentId (or to nothing)
+  threadPosition(parentId) {
+    if (parentId === null || parentId === undefined) {
+      return { parentId: null, rootId: null, depth: 0 };
+    }
+    const parent = this.db.prepare('SELECT id, root_id, depth FROM posts WHERE id = ?').get(parentId);
+    if (!parent) {
+      throw new Error(`Parent post ${parentId} not found`);
+    }
+    return { parentId: parent.id, rootId: parent.root_id ?? parent.id, depth: parent.depth + 1 };
+  }
+
+  // Direct replies, oldest first
+  getReplies(id, page) {
+    return this.pagePosts('parent_id = ?', [id], page, { newestFirst: false });
+  }
+
+  countReplies(id) {
+    return this.db.prepare('SELECT COUNT(*) AS n FROM posts WHERE parent_id = ?').get(id).n;
+  }
+
+  // Every reply under rootId down to maxDepth, oldest first
+  getThreadPosts(rootId, { maxDepth, limit }) {
+    const posts = this.db.prepare(`
+      ${SELECT_POSTS}
+      WHERE root_id = ? AND depth <= ?
+      ORDER BY depth ASC, timestamp ASC, id ASC
+      LIMIT ?
+    `).all(rootId, maxDepth, limit).map(rowToPost);
+    return this.embedReferenced(posts);
+  }
+
+  // Listings skip tombstones; replies and threads keep them so the
+  // conversation structure survives a delete. Reposts only show up on their
+  // author's page and in followers' home timelines.
+  getFeed(page) {
+    return this.pagePosts("deleted_at IS NULL AND kind != 'repost'", [], page);
+  }
+
+  getPostsByAuthor(address, page) {
+    return this.pagePosts('author_key = ? AND deleted_at IS NULL', [address.toLowerCase()], page);
+  }
+
+  // Posts accepted after post id `afterId`, in the order the indexer stored
+  // them; the same posts getFeed lists
+  getPostsAfterId(afterId, limit) {
+    const rows = this.db.prepare(`
+      ${SELECT_POSTS} WHERE id > ? AND deleted_at IS NULL AND kind != 'repost' ORDER BY id ASC LIMIT ?
+    `).all(afterId, limit + 1);
+    return { posts: this.embedReferenced(rows.slice(0, limit).map(rowToPost)), hasMore: rows.length > limit };
+  }
+
+  maxPostId() {
+    return this.db.prepare('SELECT MAX(id) AS id FROM posts').get().id ?? 0;
+  }
+
+  // Keyset page over posts matching `where`, ordered by (timestamp, id).
+  // page: { limit, cursor, since, until } as produced by pagination.parsePageQuery
+  pagePosts(where, params, { limit, cursor = null, since = null, until = null }, { newestFirst = true } = {}) {
+    const clauses = [where];
+    const args = [...params];
+
+    if (since !== null) {
+      clauses.push('timestamp >= ?');
+      args.push(since);
+    }
+    if (until !== null) {
+      clauses.push('timestamp <= ?');
+      args.push(until);
+    }
+
+    // Paging backwards walks the list in reverse and flips the page afterwards
+    const backwards = cursor !== null && cursor.dir === 'prev';
+    const descending = newestFirst !== backwards;
+    if (cursor) {
+      clauses.push(`(timestamp, id) ${descending ? '<' : '>'} (?, ?)`);
+      args.push(cursor.t, cursor.id);
+    }
+
+    const order = descending ? 'DESC' : 'ASC';
+    const rows = this.db.prepare(`
+      ${SELECT_POSTS}
+      WHERE ${clauses.join(' AND ')}
+      ORDER BY timestamp ${order}, id ${order}
+      LIMIT ?
+    `).all(...args, limit + 1);
+
+    const posts = this.embedReferenced(rows.slice(0, limit).map(rowToPost));
+    if (backwards) posts.reverse();
+    return { posts, hasMore: rows.length > limit };
+  }
+
+  // Live posts by address, reposts not included
+  countPostsByAuthor(address) {
+    return this.db.prepare(`
+      SELECT COUNT(*) AS n FROM posts WHERE author_key = ? AND deleted_at IS NULL AND kind != 'repost'
+    `).get(address.toLowerCase()).n;
+  }
+
+  countPosts() {
+    return this.db.prepare("SELECT COUNT(*) AS n FROM posts WHERE deleted_at IS NULL AND kind != 'repost'").get().n;
+  }
+
+  getStats() {
+    const row = this.db.prepare(`
+      SELECT COUNT(*) AS totalPosts,
+             COUNT(DISTINCT lower(author)) AS uniqueAgents,
+             MIN(timestamp) AS oldestPost,
+             MAX(timestamp) AS newestPost
+      FROM posts WHERE deleted_at IS NULL AND kind != 'repost'
+    `).get();
+    return {
+      totalPosts: row.totalPosts,
+      uniqueAgents: row.uniqueAgents,
+      oldestPost: row.oldestPost,
+      newestPost: row.newestPost,
+    };
+  }
+
+  // Revisions (edits and deletes signed by the author)
+
+  insertRevision(postId, revision, action, fields) {
+    this.db.prepare(`
+      INSERT INTO post_revisions
+        (post_id, revision, action, content, content_hash, signature, signature_type, signed_at, nonce, created_at)
+      VALUES
+        (@postId, @revision, @action, @content, @contentHash, @signature, @signatureType, @signedAt, @nonce, @createdAt)
+    `).run({
+      postId,
+      revision,
+      action,
+      content: fields.content,
+      contentHash: fields.contentHash,
+      signature: fields.signature ?? null,
+      signatureType: fields.signatureType ?? null,
+      signedAt: fields.signedAt ?? null,
+      nonce: fields.nonce ?? null,
+      createdAt: fields.createdAt,
+    });
+  }
+
+  // Replace a post's content with a new revision and re-index its tags.
+  // edit: { content, contentHash, signature, signatureType, signedAt, nonce, editedAt }
+  editPost(id, edit) {
+    return this.transaction(() => {
+      const current = this.db.prepare('SELECT revision, tags FROM posts WHERE id = ?').get(id);
+      if (!current) {
+        throw new Error(`Post ${id} not found`);
+      }
+      const revision = current.revision + 1;
+      this.db.prepare(`
+        UPDATE posts SET content = ?, content_hash = ?, revision = ?, edited_at = ? WHERE id = ?
+      `).run(edit.content, edit.contentHash, revision, edit.editedAt, id);
+      this.insertRevision(id, revision, 'edit', { ...edit, createdAt: edit.editedAt });
+
+      this.db.prepare('DELETE FROM post_tags WHERE post_id = ?').run(id);
+      this.indexTags(id, edit.content, current.tags ? JSON.parse(current.tags) : []);
+      return this.getPost(id);
+    });
+  }
+
+  // Turn a post into a tombstone: the id, author and contentHash stay, the
+  // text is removed from the post, its revisions and the search index, and
+  // notifications about it are withdrawn.
+  // deletion: { signature, signatureType, signedAt, nonce, deletedAt }
+  deletePost(id, deletion) {
+    return this.transaction(() => {
+      const current = this.db.prepare('SELECT revision, content_hash FROM posts WHERE id = ?').get(id);
+      if (!current) {
+        throw new Error(`Post ${id} not found`);
+      }
+      const revision = current.revision + 1;
+      this.db.prepare(`
+        UPDATE posts SET content = '', tags = NULL, revision = ?, deleted_at = ? WHERE id = ?
+      `).run(revision, deletion.deletedAt, id);
+      this.db.prepare("UPDATE post_revisions SET content = '' WHERE post_id = ?").run(id);
+      this.insertRevision(id, revision, 'delete', {
+        ...deletion,
+        content: '',
+        contentHash: current.content_hash,
+        createdAt: deletion.deletedAt,
+      });
+      this.db.prepare('DELETE FROM post_tags WHERE post_id = ?').run(id);
+      this.db.prepare('DELETE FROM post_mentions WHERE post_id = ?').run(id);
+      this.db.prepare('DELETE FROM notifications WHERE post_id = ?').run(id);
+      this.db.prepare('UPDATE batch_posts SET entry = NULL WHERE post_id = ?').run(id);
+      return this.getPost(id);
+    });
+  }
+
+  // Store a signed batch: every post goes through insertPost, and keeps its
+  // entry, leaf and inclusion proof. Returns the stored posts in batch order.
+  // batch: { author, agentId, merkleRoot, signature, signedAt, nonce, createdAt,
+  //          posts: [{ ...post, entry, leaf, proof }] }
+  insertBatch(batch) {
+    return this.transaction(() => {
+      const { lastInsertRowid: batchId } = this.db.prepare(`
+        INSERT INTO post_batches (author, agent_id, merkle_root, size, signature, signed_at, nonce, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(batch.author, batch.agentId ?? null, batch.merkleRoot, batch.posts.length,
+        batch.signature, batch.signedAt, batch.nonce, batch.createdAt);
+
+      const link = this.db.prepare(`
+        INSERT INTO batch_posts (post_id, batch_id, leaf_index, leaf, entry, proof) VALUES (?, ?, ?, ?, ?, ?)
+      `);
+      const ids = batch.posts.map(({ entry, leaf, proof, ...post }, index) => {
+        const { id } = this.insertPost(post);
+        link.run(id, batchId, index, leaf, JSON.stringify(entry), JSON.stringify(proof));
+        return id;
+      });
+      return ids.map(id => this.getPost(id));
+    });
+  }
+
+  // The batch a post came in and its inclusion proof, or null
+  getBatchProof(postId) {
+    return rowToBatchProof(this.db.prepare(`
+      SELECT bp.*, b.author, b.agent_id, b.merkle_root, b.size, b.signature, b.signed_at, b.nonce
+      FROM batch_posts bp JOIN post_batches b ON b.id = bp.batch_id
+      WHERE bp.post_id = ?
+    `).get(postId));
+  }
+
+  // Oldest revision first
+  getRevisions(id) {
+    return this.db.prepare('SELECT * FROM post_revisions WHERE post_id = ? ORDER BY revision')
+      .all(id).map(rowToRevision);
+  }
+
+  // Reactions (addresses are stored lowercase)
+
+  // false when the agent already reacted with this kind
+  addReaction(postId, address, kind, timestamp) {
+    const agent = address.toLowerCase();
+    const added = this.db.prepare(`
+      INSERT OR IGNORE INTO reactions (post_id, agent, kind, created_at) VALUES (?, ?, ?, ?)
+    `).run(postId, agent, kind, timestamp).changes > 0;
+    if (added) {
+      this.db.prepare(`
+        INSERT OR IGNORE INTO notifications (recipient, type, actor, post_id, detail, created_at)
+        SELECT author_key, 'reaction', ?, id, ?, ? FROM posts WHERE id = ? AND author_key != ?
+      `).run(agent, kind, timestamp, postId, agent);
+    }
+    return added;
+  }
+
+  // false when there was nothing to retract. The author's notification of
+  // the reaction goes with it.
+  removeReaction(postId, address, kind) {
+    const agent = address.toLowerCase();
+    const removed = this.db.prepare('DELETE FROM reactions WHERE post_id = ? AND agent = ? AND kind = ?')
+      .run(postId, agent, kind).changes > 0;
+    if (removed) {
+      this.db.prepare(`
+        DELETE FROM notifications WHERE type = 'reaction' AND post_id = ? AND actor = ? AND detail = ?
+      `).run(postId, agent, kind);
+    }
+    return removed;
+  }
+
+  // Reacting agents, most recent first, keyset-paged on (created_at, id) like
+  // notifications; kind null lists every kind
+  getReactions(postId, { kind = null }, { limit, cursor = null, since = null, until = null }) {
+    const clauses = ['post_id = ?'];
+    const args = [postId];
+
+    if (kind !== null) {
+      clauses.push('kind = ?');
+      args.push(kind);
+    }
+    if (since !== null) {
+      clauses.push('created_at >= ?');
+      args.push(since);
+    }
+    if (until !== null) {
+      clauses.push('created_at <= ?');
+      args.push(until);
+    }
+
+    const backwards = cursor !== null && cursor.dir === 'prev';
+    if (cursor) {
+      clauses.push(`(created_at, reactions.id) ${backwards ? '>' : '<'} (?, ?)`);
+      args.push(cursor.t, cursor.id);
+    }
+
+    const order = backwards ? 'ASC' : 'DESC';
+    const rows = this.db.prepare(`
+      SELECT reactions.*, agents.agent_id FROM reactions
+      LEFT JOIN agents ON agents.address = reactions.agent
+      WHERE ${clauses.join(' AND ')}
+      ORDER BY created_at ${order}, reactions.id ${order}
+      LIMIT ?
+    `).all(...args, limit + 1);
+
+    const reactions = rows.slice(0, limit).map(rowToReaction);
+    if (backwards) reactions.reverse();
+    return { reactions, hasMore: rows.length > limit };
+  }
+
+  maxReactionId() {
+    return this.db.prepare('SELECT MAX(id) AS id FROM reactions').get().id ?? 0;
+  }
+
+  countReactions(postId) {
+    const counts = {};
+    for (const row of this.db.prepare('SELECT kind, COUNT(*) AS n FROM reactions WHERE post_id = ? GROUP BY kind').all(postId)) {
+      counts[row.kind] = row.n;
+    }
+    return counts;
+  }
+
+  // Mentions and notifications (addresses are stored lowercase). A
+  // notification is recorded once per (recipient, type, actor, post, detail);
+  // agents are never notified about themselves.
+
+  addNotification({ recipient, type, actor, postId = null, detail = null, createdAt }) {
+    if (recipient.toLowerCase() === actor.toLowerCase()) return;
+    this.db.prepare(`
+      INSERT OR IGNORE INTO notifications (recipient, type, actor, post_id, detail, created_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(recipient.toLowerCase(), type, actor.toLowerCase(), postId, detail, createdAt);
+  }
+
+  // Tell the parent's author about a reply
+  notifyReply(id) {
+    this.db.prepare(`
+      INSERT OR IGNORE INTO notifications (recipient, type, actor, post_id, created_at)
+      SELECT parent.author_key, 'reply', reply.author_key, reply.id, reply.timestamp
+      FROM posts reply JOIN posts parent ON parent.id = reply.parent_id
+      WHERE reply.id = ? AND parent.author_key != reply.author_key
+    `).run(id);
+  }
+
+  // Replace a post's mentions ([{ address, agentId }] from mentions.resolveMentions)
+  // and notify newly mentioned agents. Agents an edit no longer mentions lose
+  // their notification.
+  indexMentions(postId, mentions) {
+    return this.transaction(() => {
+      this.db.prepare('DELETE FROM post_mentions WHERE post_id = ?').run(postId);
+      const insert = this.db.prepare('INSERT INTO post_mentions (post_id, address, agent_id) VALUES (?, ?, ?)');
+      for (const mention of mentions) {
+        insert.run(postId, mention.address ? mention.address.toLowerCase() : null, mention.agentId ?? null);
+      }
+
+      this.db.prepare(`
+        DELETE FROM notifications WHERE post_id = ? AND type = 'mention'
+          AND recipient NOT IN (SELECT address FROM post_mentions WHERE post_id = ? AND address IS NOT NULL)
+      `).run(postId, postId);
+      this.db.prepare(`
+        INSERT OR IGNORE INTO notifications (recipient, type, actor, post_id, created_at)
+        SELECT DISTINCT m.address, 'mention', p.author_key, p.id, COALESCE(p.edited_at, p.timestamp)
+        FROM post_mentions m JOIN posts p ON p.id = m.post_id
+        WHERE m.post_id = ? AND m.address IS NOT NULL AND m.address != p.author_key
+      `).run(postId);
+      return this.getPost(postId);
+    });
+  }
+
+  // Keyset page of address's notifications, newest first, ordered by
+  // (timestamp, id) like pagePosts. Each carries the post it is about.
+  // filter: { unread, types }
+  getNotifications(address, { unread = false, types = [] }, { limit, cursor = null, since = null, until = null }) {
+    const clauses = ['recipient = ?'];
+    const args = [address.toLowerCase()];
+
+    if (unread) clauses.push('read_at IS NULL');
+    if (types.length) {
+      clauses.push(`type IN (${types.map(() => '?').join(', ')})`);
+      args.push(...types);
+    }
+    if (since !== null) {
+      clauses.push('created_at >= ?');
+      args.push(since);
+    }
+    if (until !== null) {
+      clauses.push('created_at <= ?');
+      args.push(until);
+    }
+
+    const backwards = cursor !== null && cursor.dir === 'prev';
+    if (cursor) {
+      clauses.push(`(created_at, id) ${backwards ? '>' : '<'} (?, ?)`);
+      args.push(cursor.t, cursor.id);
+    }
+
+    const order = backwards ? 'ASC' : 'DESC';
+    const rows = this.db.prepare(`
+      SELECT * FROM notifications
+      WHERE ${clauses.join(' AND ')}
+      ORDER BY created_at ${order}, id ${order}
+      LIMIT ?
+    `).all(...args, limit + 1);
+
+    const notifications = rows.slice(0, limit).map(rowToNotification);
+    if (backwards) notifications.reverse();
+
+    const ids = [...new Set(notifications.map(n => n.postId).filter(id => id !== null))];
+    const posts = new Map();
+    if (ids.length) {
+      const found = this.db.prepare(`${SELECT_POSTS} WHERE id IN (${ids.map(() => '?').join(', ')})`).all(...ids);
+      for (const post of this.embedReferenced(found.map(rowToPost))) posts.set(post.id, post);
+    }
+    for (const notification of notifications) {
+      notification.post = notification.postId !== null ? posts.get(notification.postId) || null : null;
+    }
+    return { notifications, hasMore: rows.length > limit };
+  }
+
+  countUnreadNotifications(address) {
+    return this.db.prepare('SELECT COUNT(*) AS n FROM notifications WHERE recipient = ? AND read_at IS NULL')
+      .get(address.toLowerCase()).n;
+  }
+
+  maxNotificationId() {
+    return this.db.prepare('SELECT MAX(id) AS id FROM notifications').get().id ?? 0;
+  }
+
+  // Mark the listed notifications, and every one with id <= upToId, as read.
+  // Returns how many were unread.
+  markNotificationsRead(address, { ids = [], upToId = 0 }, readAt) {
+    return this.db.prepare(`
+      UPDATE notifications SET read_at = ?
+      WHERE recipient = ? AND read_at IS NULL
+        AND (id <= ? OR id IN (SELECT value FROM json_each(?)))
+    `).run(readAt, address.toLowerCase(), upToId, JSON.stringify(ids)).changes;
+  }
+
+  // Profiles (addresses are stored lowercase)
+
+  // Record a new profile revision for entry.address and return it.
+  // entry: { address, agentId, document, profileHash, source, signature,
+  //          signedAt, nonce, blobHash, blockNumber, createdAt }
+  insertProfile(entry) {
+    return this.transaction(() => {
+      const address = entry.address.toLowerCase();
+      const { revision } = this.db.prepare('SELECT COALESCE(MAX(revision), -1) + 1 AS revision FROM profiles WHERE address = ?')
+        .get(address);
+      this.db.prepare(`
+        INSERT INTO profiles
+          (address, revision, agent_id, document, profile_hash, source, signature, signed_at, nonce,
+           blob_hash, block_number, created_at)
+        VALUES (@address, @revision, @agentId, @document, @profileHash, @source, @signature, @signedAt, @nonce,
+           @blobHash, @blockNumber, @createdAt)
+      `).run({
+        signature: null,
+        signedAt: null,
+        nonce: null,
+        blobHash: null,
+        blockNumber: null,
+        ...entry,
+        agentId: entry.agentId ?? null,
+        address,
+        revision,
+      });
+      return this.getProfile(address);
+    });
+  }
+
+  // Current profile, or null if the address never published one
+  getProfile(address) {
+    return rowToProfile(this.db.prepare('SELECT * FROM profiles WHERE address = ? ORDER BY revision DESC LIMIT 1')
+      .get(address.toLowerCase()));
+  }
+
+  // Newest revision first, keyset-paged on the revision number
+  // (pagination.decodeRevisionCursor)
+  getProfileHistory(address, { limit, cursor = null, since = null, until = null }) {
+    const clauses = ['address = ?'];
+    const args = [address.toLowerCase()];
+
+    if (since !== null) {
+      clauses.push('created_at >= ?');
+      args.push(since);
+    }
+    if (until !== null) {
+      clauses.push('created_at <= ?');
+      args.push(until);
+    }
+
+    const backwards = cursor !== null && cursor.dir === 'prev';
+    if (cursor) {
+      clauses.push(`revision ${backwards ? '>' : '<'} ?`);
+      args.push(cursor.r);
+    }
+
+    const rows = this.db.prepare(`
+      SELECT * FROM profiles WHERE ${clauses.join(' AND ')}
+      ORDER BY revision ${backwards ? 'ASC' : 'DESC'} LIMIT ?
+    `).all(...args, limit + 1);
+
+    const revisions = rows.slice(0, limit).map(rowToProfile);
+    if (backwards) revisions.reverse();
+    return { revisions, hasMore: rows.length > limit };
+  }
+
+  countProfileRevisions(address) {
+    return this.db.prepare('SELECT COUNT(*) AS n FROM profiles WHERE address = ?').get(address.toLowerCase()).n;
+  }
+
+  // Direct messages (the store only ever sees envelopes with ciphertext)
+
+  // key: { address, agentId, publicKey, source, signature, blockNumber, updatedAt }.
+  // API keys replace the address's previous one. Chain keys are kept as the
+  // agent's history (the newest is served), so a rollback uncovers the one
+  // before.
+  setMessagingKey(key) {
+    const row = {
+      address: null,
+      agentId: null,
+      signature: null,
+      blockNumber: null,
+      ...key,
+    };
+    row.address = row.address && row.address.toLowerCase();
+    if (row.source !== 'chain') {
+      this.db.prepare('DELETE FROM messaging_keys WHERE source = ? AND address = ?').run('api', row.address);
+    }
+    this.db.prepare(`
+      INSERT OR IGNORE INTO messaging_keys (address, agent_id, public_key, source, signature, block_number, updated_at)
+      VALUES (@address, @agentId, @publicKey, @source, @signature, @blockNumber, @updatedAt)
+    `).run(row);
+  }
+
+  // The newest of the key published by the address and the one set on chain
+  // for its agent
+  getMessagingKey(address) {
+    const key = address.toLowerCase();
+    return rowToMessagingKey(this.db.prepare(`
+      SELECT * FROM messaging_keys
+      WHERE (source = 'api' AND address = ?)
+         OR (source = 'chain' AND agent_id = (SELECT agent_id FROM agents WHERE address = ?))
+      ORDER BY updated_at DESC, block_number DESC, rowid DESC LIMIT 1
+    `).get(key, key));
+  }
+
+  // message: { from, to, envelope, envelopeHash, source, blobHash, blockNumber, timestamp }.
+  // Returns the stored message, or null if the envelope was already stored.
+  insertMessage(message) {
+    const result = this.db.prepare(`
+      INSERT OR IGNORE INTO messages
+        (sender, recipient, pair, envelope, envelope_hash, source, blob_hash, block_number, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      message.from.toLowerCase(),
+      message.to.toLowerCase(),
+      messagePair(message.from, message.to),
+      JSON.stringify(message.envelope),
+      message.envelopeHash,
+      message.source,
+      message.blobHash ?? null,
+      message.blockNumber ?? null,
+      message.timestamp,
+    );
+    if (result.changes === 0) return null;
+    return rowToMessage(this.db.prepare('SELECT * FROM messages WHERE id = ?').get(result.lastInsertRowid));
+  }
+
+  // Keyset page of the messages between a and b, newest first
+  getConversation(a, b, { limit, cursor = null, since = null, until = null }) {
+    const clauses = ['pair = ?'];
+    const args = [messagePair(a, b)];
+
+    if (since !== null) {
+      clauses.push('created_at >= ?');
+      args.push(since);
+    }
+    if (until !== null) {
+      clauses.push('created_at <= ?');
+      args.push(until);
+    }
+
+    const backwards = cursor !== null && cursor.dir === 'prev';
+    if (cursor) {
+      clauses.push(`(created_at, id) ${backwards ? '>' : '<'} (?, ?)`);
+      args.push(cursor.t, cursor.id);
+    }
+
+    const order = backwards ? 'ASC' : 'DESC';
+    const rows = this.db.prepare(`
+      SELECT * FROM messages
+      WHERE ${clauses.join(' AND ')}
+      ORDER BY created_at ${order}, id ${order}
+      LIMIT ?
+    `).all(...args, limit + 1);
+
+    const messages = rows.slice(0, limit).map(rowToMessage);
+    if (backwards) messages.reverse();
+    return { messages, hasMore: rows.length > limit };
+  }
+
+  // The address's conversations, most recently active first:
+  // { with, count, lastMessageId, lastMessageAt }. Keyset-paged on
+  // (lastMessageAt, lastMessageId), so a cursor holds its place while other
+  // conversations move to the top.
+  getConversations(address, { limit, cursor = null, since = null, until = null }) {
+    const key = address.toLowerCase();
+    const having = [];
+    const args = [key, key];
+
+    if (since !== null) {
+      having.push('last_at >= ?');
+      args.push(since);
+    }
+    if (until !== null) {
+      having.push('last_at <= ?');
+      args.push(until);
+    }
+
+    const backwards = cursor !== null && cursor.dir === 'prev';
+    if (cursor) {
+      having.push(`(last_at, last_id) ${backwards ? '>' : '<'} (?, ?)`);
+      args.push(cursor.t, cursor.id);
+    }
+
+    const order = backwards ? 'ASC' : 'DESC';
+    const rows = this.db.prepare(`
+      SELECT pair, COUNT(*) AS count, MAX(id) AS last_id, MAX(created_at) AS last_at
+      FROM messages
+      WHERE sender = ? OR recipient = ?
+      GROUP BY pair
+      ${having.length ? `HAVING ${having.join(' AND ')}` : ''}
+      ORDER BY last_at ${order}, last_id ${order}
+      LIMIT ?
+    `).all(...args, limit + 1);
+
+    const conversations = rows.slice(0, limit).map(row => ({
+      with: row.pair.split(':').find(side => side !== key),
+      count: row.count,
+      lastMessageId: row.last_id,
+      lastMessageAt: row.last_at,
+    }));
+    if (backwards) conversations.reverse();
+    return { conversations, hasMore: rows.length > limit };
+  }
+
+  maxMessageId() {
+    return this.db.prepare('SELECT MAX(id) AS id FROM messages').get().id ?? 0;
+  }
+
+  countConversations(address) {
+    const key = address.toLowerCase();
+    return this.db.prepare('SELECT COUNT(DISTINCT pair) AS n FROM messages WHERE sender = ? OR recipient = ?')
+      .get(key, key).n;
+  }
+
+  // Search (posts_fts is maintained by triggers; tags are indexed here)
+
+  indexTags(postId, content, tags = []) {
+    const insert = this.db.prepare('INSERT OR IGNORE INTO post_tags (tag, post_id) VALUES (?, ?)');
+    for (const tag of extractTags(content, tags)) {
+      insert.run(tag, postId);
+    }
+  }
+
+  // WHERE clause for the operator part of a search: { tags, authors }
+  searchFilter({ tags = [], authors = [] }) {
+    const clauses = ["deleted_at IS NULL AND kind != 'repost'"];
+    const params = [];
+    for (const tag of tags) {
+      clauses.push('id IN (SELECT post_id FROM post_tags WHERE tag = ?)');
+      params.push(tag);
+    }
+    if (authors.length) {
+      clauses.push(`author_key IN (${authors.map(() => '?').join(', ')})`);
+      params.push(...authors);
+    }
+    return { where: clauses.join(' AND '), params };
+  }
+
+  // Matching posts newest first, keyset paged like the feed.
+  // query: { match, tags, authors } where match is an FTS5 expression or null
+  searchPosts(query, page) {
+    const { where, params } = this.searchFilter(query);
+    if (!query.match) {
+      return this.pagePosts(where, params, page);
+    }
+    return this.pagePosts(
+      `${where} AND id IN (SELECT rowid FROM posts_fts WHERE posts_fts MATCH ?)`,
+      [...params, query.match],
+      page
+    );
+  }
+
+  // Matching posts by BM25 score, best first. Scores move as the corpus
+  // grows, so these pages use an offset instead of a keyset cursor.
+  rankPosts(query, { limit, offset = 0, since = null, until = null }) {
+    const { where, params } = this.searchFilter(query);
+    const clauses = [where];
+    const args = [...params];
+    if (since !== null) {
+      clauses.push('timestamp >= ?');
+      args.push(since);
+    }
+    if (until !== null) {
+      clauses.push('timestamp <= ?');
+      args.push(until);
+    }
+
+    const rows = this.db.prepare(`
+      ${SELECT_POSTS}
+      JOIN posts_fts ON posts_fts.rowid = posts.id
+      WHERE posts_fts MATCH ? AND ${clauses.join(' AND ')}
+      ORDER BY bm25(posts_fts), posts.id DESC
+      LIMIT ? OFFSET ?
+    `).all(query.match, ...args, limit + 1, offset);
+
+    return { posts: this.embedReferenced(rows.slice(0, limit).map(rowToPost)), hasMore: rows.length > limit };
+  }
+
+  getPostsByTag(tag, page) {
+    return this.pagePosts('id IN (SELECT post_id FROM post_tags WHERE tag = ?)', [tag], page);
+  }
+
+  countPostsByTag(tag) {
+    return this.db.prepare('SELECT COUNT(*) AS n FROM post_tags WHERE tag = ?').get(tag).n;
+  }
+
+  // On-chain ingestion
+
+  // Returns null when the log was already ingested
+  insertChainPost(post) {
+    // The contract only anchors a hash; reuse content we already hold for it
+    const known = this.db.prepare(
+      "SELECT content FROM posts WHERE content_hash = ? AND source = 'api' LIMIT 1"
+    ).get(post.contentHash);
+
+    const result = this.db.prepare(`
+      INSERT OR IGNORE INTO posts
+        (content, author, agent_id, content_hash, timestamp, verified, source,
+         chain_post_id, tx_hash, block_number, log_index)
+      VALUES (@content, @author, @agentId, @contentHash, @timestamp, 1, 'chain',
+         @chainPostId, @txHash, @blockNumber, @logIndex)
+    `).run({
+      content: known ? known.content : '',
+      author: post.author,
+      agentId: post.agentId,
+      contentHash: post.contentHash,
+      timestamp: post.timestamp,
+      chainPostId: post.chainPostId,
+      txHash: post.txHash,
+      blockNumber: post.blockNumber,
+      logIndex: post.logIndex,
+    });
+    if (!result.changes) return null;
+    const id = Number(result.lastInsertRowid);
+    this.indexTags(id, known ? known.content : '');
+    return this.getPost(id);
+  }
+
+  insertFollowEvent(event) {
+    const follower = event.follower.toLowerCase();
+    const following = event.following.toLowerCase();
+    const result = this.db.prepare(`
+      INSERT OR IGNORE INTO follow_events
+        (follower, following, kind, timestamp, tx_hash, block_number, log_index)
+      VALUES (@follower, @following, @kind, @timestamp, @txHash, @blockNumber, @logIndex)
+    `).run({ ...event, follower, following });
+
+    if (result.changes) {
+      this.refreshChainFollow(follower, following);
+    }
+  }
+
+  // Re-derive the chain layer of the follow graph for one pair from its latest event
+  refreshChainFollow(follower, following) {
+    const latest = this.db.prepare(`
+      SELECT kind, timestamp, block_number FROM follow_events
+      WHERE follower = ? AND following = ?
+      ORDER BY block_number DESC, log_index DESC LIMIT 1
+    `).get(follower, following);
+
+    if (latest && latest.kind === 'follow') {
+      this.db.prepare(`
+        INSERT OR REPLACE INTO follows (follower, following, source, created_at, block_number)
+        VALUES (?, ?, 'chain', ?, ?)
+      `).run(follower, following, latest.timestamp, latest.block_number);
+      this.addNotification({ recipient: following, type: 'follow', actor: follower, createdAt: latest.timestamp });
+    } else {
+      this.db.prepare("DELETE FROM follows WHERE follower = ? AND following = ? AND source = 'chain'")
+        .run(follower, following);
+    }
+  }
+
+  recordChainBlock(number, hash) {
+    this.db.prepare('INSERT OR REPLACE INTO chain_blocks (number, hash) VALUES (?, ?)').run(number, hash);
+  }
+
+  // Most recent processed blocks first
+  getChainBlocks(limit) {
+    return this.db.prepare('SELECT number, hash FROM chain_blocks ORDER BY number DESC LIMIT ?').all(limit);
+  }
+
+  pruneChainBlocks(belowNumber) {
+    this.db.prepare('DELETE FROM chain_blocks WHERE number < ?').run(belowNumber);
+  }
+
+  // Drop everything ingested from blocks after blockNumber
+  rollbackChain(blockNumber) {
+    return this.transaction(() => {
+      const posts = this.db.prepare('DELETE FROM posts WHERE block_number > ?').run(blockNumber).changes;
+      const pairs = this.db.prepare('SELECT DISTINCT follower, following FROM follow_events WHERE block_number > ?')
+        .all(blockNumber);
+      const follows = this.db.prepare('DELETE FROM follow_events WHERE block_number > ?').run(blockNumber).changes;
+      for (const pair of pairs) {
+        this.refreshChainFollow(pair.follower, pair.following);
+      }
+      // A payload's posts carry its last chunk's block, so they are gone; the
+      // chunks that stay are fetched again and wait for the rest to return
+      this.db.prepare(`
+        UPDATE blob_anchors
+        SET status = 'pending', attempts = 0, next_attempt_at = 0, last_error = NULL
+        WHERE block_number <= ? AND payload_id IN (
+          SELECT payload_id FROM blob_anchors WHERE block_number > ? AND payload_id IS NOT NULL
+        )
+      `).run(blockNumber, blockNumber);
+      const anchors = this.db.prepare('DELETE FROM blob_anchors WHERE block_number > ?').run(blockNumber).changes;
+      const profiles = this.db.prepare('DELETE FROM profiles WHERE block_number > ?').run(blockNumber).changes;
+      const messagingKeys = this.db.prepare('DELETE FROM messaging_keys WHERE block_number > ?').run(blockNumber).changes;
+      const messages = this.db.prepare('DELETE FROM messages WHERE block_number > ?').run(blockNumber).changes;
+      this.db.prepare('DELETE FROM chain_blocks WHERE number > ?').run(blockNumber);
+      return { posts, follows, anchors, profiles, messagingKeys, messages };
+    });
+  }
+
+  // Post anchoring (Merkle roots over API post revisions, committed on chain)
+
+  // Revisions of API posts not yet in a root (or whose root failed), oldest
+  // first: { postId, revision, action, author, contentHash, createdAt }
+  getUnanchoredRevisions(limit) {
+    return this.db.prepare(`
+      SELECT r.post_id, r.revision, r.action, p.author, r.content_hash, r.created_at
+      FROM post_revisions r JOIN posts p ON p.id = r.post_id
+      WHERE p.source = 'api'
+        AND NOT EXISTS (SELECT 1 FROM post_anchors a WHERE a.post_id = r.post_id AND a.revision = r.revision)
+      ORDER BY r.created_at, r.post_id, r.revision
+      LIMIT ?
+    `).all(limit).map(row => ({
+      postId: row.post_id,
+      revision: row.revision,
+      action: row.action,
+      author: row.author,
+      contentHash: row.content_hash,
+      createdAt: row.created_at,
+    }));
+  }
+
+  // { count, oldest } of the revisions getUnanchoredRevisions would return
+  countUnanchoredRevisions() {
+    const row = this.db.prepare(`
+      SELECT COUNT(*) AS count, MIN(r.created_at) AS oldest
+      FROM post_revisions r JOIN posts p ON p.id = r.post_id
+      WHERE p.source = 'api'
+        AND NOT EXISTS (SELECT 1 FROM post_anchors a WHERE a.post_id = r.post_id AND a.revision = r.revision)
+    `).get();
+    return { count: row.count, oldest: row.oldest };
+  }
+
+  // Record a root and claim its revisions; returns the root (status pending).
+  // root: { merkleRoot, method, contract, chainId, createdAt,
+  //         entries: [{ postId, revision, leaf, proof }] } in leaf order
+  createAnchorRoot(root) {
+    return this.transaction(() => {
+      const { lastInsertRowid: id } = this.db.prepare(`
+        INSERT INTO anchor_roots (merkle_root, size, method, contract, chain_id, created_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `).run(root.merkleRoot, root.entries.length, root.method, root.contract, root.chainId, root.createdAt);
+      const insert = this.db.prepare(`
+        INSERT INTO post_anchors (post_id, revision, root_id, leaf_index, leaf, proof) VALUES (?, ?, ?, ?, ?, ?)
+      `);
+      root.entries.forEach((entry, index) => {
+        insert.run(entry.postId, entry.revision, id, index, entry.leaf, JSON.stringify(entry.proof));
+      });
+      return this.getAnchorRoot(id);
+    });
+  }
+
+  getAnchorRoot(id) {
+    return rowToAnchorRoot(this.db.prepare('SELECT * FROM anchor_roots WHERE id = ?').get(id));
+  }
+
+  // The newest root with this hash, preferring ones that did not fail
+  getAnchorRootByHash(merkleRoot) {
+    return rowToAnchorRoot(this.db.prepare(`
+      SELECT * FROM anchor_roots WHERE merkle_root = ? ORDER BY status = 'failed', id DESC LIMIT 1
+    `).get(merkleRoot.toLowerCase()));
+  }
+
+  getAnchorRootsByStatus(status, limit) {
+    return this.db.prepare('SELECT * FROM anchor_roots WHERE status = ? ORDER BY id LIMIT ?')
+      .all(status, limit).map(rowToAnchorRoot);
+  }
+
+  countAnchorRootsByStatus() {
+    const counts = { pending: 0, submitted: 0, confirmed: 0, failed: 0 };
+    for (const row of this.db.prepare('SELECT status, COUNT(*) AS n FROM anchor_roots GROUP BY status').all()) {
+      counts[row.status] = row.n;
+    }
+    return counts;
+  }
+
+  // fields: { status, txHash, blockNumber, lastError, submittedAt, confirmedAt }
+  updateAnchorRoot(id, fields) {
+    const columns = {
+      status: 'status',
+      txHash: 'tx_hash',
+      blockNumber: 'block_number',
+      lastError: 'last_error',
+      submittedAt: 'submitted_at',
+      confirmedAt: 'confirmed_at',
+    };
+    const sets = [];
+    const values = [];
+    for (const [key, column] of Object.entries(columns)) {
+      if (fields[key] !== undefined) {
+        sets.push(`${column} = ?`);
+        values.push(fields[key]);
+      }
+    }
+    if (sets.length === 0) return;
+    this.db.prepare(`UPDATE anchor_roots SET ${sets.join(', ')} WHERE id = ?`).run(...values, id);
+  }
+
+  // Mark a root failed and hand its revisions back to the next root
+  releaseAnchorRoot(id, error) {
+    this.transaction(() => {
+      this.updateAnchorRoot(id, { status: 'failed', lastError: error });
+      this.db.prepare('DELETE FROM post_anchors WHERE root_id = ?').run(id);
+    });
+  }
+
+  // Anchors of a post's revisions, oldest revision first, each with its root:
+  // { postId, revision, index, leaf, proof, root }
+  getPostAnchors(postId) {
+    return this.db.prepare(`
+      SELECT a.*, r.* FROM post_anchors a JOIN anchor_roots r ON r.id = a.root_id
+      WHERE a.post_id = ? ORDER BY a.revision
+    `).all(postId).map(row => ({
+      postId: row.post_id,
+      revision: row.revision,
+      index: row.leaf_index,
+      leaf: row.leaf,
+      proof: JSON.parse(row.proof),
+      root: rowToAnchorRoot(row),
+    }));
+  }
+
+  // Blob aggregation (envelopes from many agents packed into shared blobs)
+
+  // Queue a signed envelope; returns it, or null if this envelope (by hash)
+  // was already taken. envelope: { envelopeHash, agentId, signer, envelope,
+  // bytes, createdAt } with envelope the JSON text to pack
+  insertAggregateEnvelope(envelope) {
+    const { changes, lastInsertRowid } = this.db.prepare(`
+      INSERT OR IGNORE INTO aggregate_envelopes (envelope_hash, agent_id, signer, envelope, bytes, created_at)
+      VALUES (@envelopeHash, @agentId, @signer, @envelope, @bytes, @createdAt)
+    `).run({ ...envelope, envelopeHash: envelope.envelopeHash.toLowerCase() });
+    return changes ? this.getAggregateEnvelope(lastInsertRowid) : null;
+  }
+
+  // An envelope by id or envelope hash, with the blob it went into (or null
+  // while queued)
+  getAggregateEnvelope(idOrHash) {
+    const row = typeof idOrHash === 'string'
+      ? this.db.prepare('SELECT * FROM aggregate_envelopes WHERE envelope_hash = ?').get(idOrHash.toLowerCase())
+      : this.db.prepare('SELECT * FROM aggregate_envelopes WHERE id = ?').get(idOrHash);
+    const envelope = rowToAggregateEnvelope(row);
+    if (!envelope) return null;
+    return { ...envelope, blob: envelope.blobId === null ? null : this.getAggregateBlob(envelope.blobId) };
+  }
+
+  // Envelopes waiting for a blob, oldest first
+  getQueuedEnvelopes(limit) {
+    return this.db.prepare(`
+      SELECT * FROM aggregate_envelopes WHERE blob_id IS NULL ORDER BY created_at, id LIMIT ?
+    `).all(limit).map(rowToAggregateEnvelope);
+  }
+
+  // { count, bytes, oldest } of the queue
+  countQueuedEnvelopes() {
+    const row = this.db.prepare(`
+      SELECT COUNT(*) AS count, COALESCE(SUM(bytes), 0) AS bytes, MIN(created_at) AS oldest
+      FROM aggregate_envelopes WHERE blob_id IS NULL
+    `).get();
+    return { count: row.count, bytes: row.bytes, oldest: row.oldest };
+  }
+
+  // Record a packed blob and place its envelopes; returns the blob (status
+  // pending). blob: { blobHash, bytes, createdAt,
+  //                   entries: [{ id, index, offset }] } in packing order
+  createAggregateBlob(blob) {
+    return this.transaction(() => {
+      const { lastInsertRowid: id } = this.db.prepare(`
+        INSERT INTO aggregate_blobs (blob_hash, size, bytes, created_at) VALUES (?, ?, ?, ?)
+      `).run(blob.blobHash.toLowerCase(), blob.entries.length, blob.bytes, blob.createdAt);
+      const place = this.db.prepare(`
+        UPDATE aggregate_envelopes SET blob_id = ?, blob_index = ?, byte_offset = ? WHERE id = ?
+      `);
+      for (const entry of blob.entries) {
+        place.run(id, entry.index, entry.offset, entry.id);
+      }
+      return this.getAggregateBlob(id);
+    });
+  }
+
+  getAggregateBlob(id) {
+    return rowToAggregateBlob(this.db.prepare('SELECT * FROM aggregate_blobs WHERE id = ?').get(id));
+  }
+
+  getAggregateBlobsByStatus(status, limit) {
+    return this.db.prepare('SELECT * FROM aggregate_blobs WHERE status = ? ORDER BY id LIMIT ?')
+      .all(status, limit).map(rowToAggregateBlob);
+  }
+
+  countAggregateBlobsByStatus() {
+    const counts = { pending: 0, submitted: 0, confirmed: 0, failed: 0 };
+    for (const row of this.db.prepare('SELECT status, COUNT(*) AS n FROM aggregate_blobs GROUP BY status').all()) {
+      counts[row.status] = row.n;
+    }
+    return counts;
+  }
+
+  // fields: { status, txHash, blockNumber, lastError, submittedAt, confirmedAt }
+  updateAggregateBlob(id, fields) {
+    const columns = {
+      status: 'status',
+      txHash: 'tx_hash',
+      blockNumber: 'block_number',
+      lastError: 'last_error',
+      submittedAt: 'submitted_at',
+      confirmedAt: 'confirmed_at',
+    };
+    const sets = [];
+    const values = [];
+    for (const [key, column] of Object.entries(columns)) {
+      if (fields[key] !== undefined) {
+        sets.push(`${column} = ?`);
+        values.push(fields[key]);
+      }
+    }
+    if (sets.length === 0) return;
+    this.db.prepare(`UPDATE aggregate_blobs SET ${sets.join(', ')} WHERE id = ?`).run(...values, id);
+  }
+
+  // Mark a blob failed and put its envelopes back in the queue
+  releaseAggregateBlob(id, error) {
+    this.transaction(() => {
+      this.updateAggregateBlob(id, { status: 'failed', lastError: error });
+      this.db.prepare(`
+        UPDATE aggregate_envelopes SET blob_id = NULL, blob_index = NULL, byte_offset = NULL WHERE blob_id = ?
+      `).run(id);
+    });
+  }
+
+  // Blob anchors (BlobSocialGraph.ContentAnchored)
+
+  insertBlobAnchor(anchor) {
+    this.db.prepare(`
+      INSERT OR IGNORE INTO blob_anchors
+        (blob_hash, agent_id, post_index, timestamp, tx_hash, block_number, log_index)
+      VALUES (@blobHash, @agentId, @postIndex, @timestamp, @txHash, @blockNumber, @logIndex)
+    `).run(anchor);
+  }
+
+  getBlobAnchor(blobHash) {
+    return rowToAnchor(this.db.prepare('SELECT * FROM blob_anchors WHERE blob_hash = ?').get(blobHash));
+  }
+
+  // Pending anchors whose retry time has come, oldest first
+  getDueBlobAnchors(now, limit) {
+    return this.db.prepare(`
+      SELECT * FROM blob_anchors
+      WHERE status = 'pending' AND next_attempt_at <= ?
+      ORDER BY block_number, log_index
+      LIMIT ?
+    `).all(now, limit).map(rowToAnchor);
+  }
+
+  getBlobAnchorsByStatus(status, limit) {
+    return this.db.prepare(`
+      SELECT * FROM blob_anchors WHERE status = ? ORDER BY block_number DESC LIMIT ?
+    `).all(status, limit).map(rowToAnchor);
+  }
+
+  countBlobAnchorsByStatus() {
+    const counts = { pending: 0, fetched: 0, invalid: 0, failed: 0 };
+    for (const row of this.db.prepare('SELECT status, COUNT(*) AS n FROM blob_anchors GROUP BY status').all()) {
+      counts[row.status] = row.n;
+    }
+    return counts;
+  }
+
+  updateBlobAnchor(blobHash, fields) {
+    this.db.prepare(`
+      UPDATE blob_anchors
+      SET status = @status,
+          envelope_type = COALESCE(@envelopeType, envelope_type),
+          attempts = @attempts,
+          next_attempt_at = @nextAttemptAt,
+          last_error = @lastError
+      WHERE blob_hash = @blobHash
+    `).run({
+      blobHash,
+      status: fields.status,
+      envelopeType: fields.envelopeType ?? null,
+      attempts: fields.attempts,
+      nextAttemptAt: fields.nextAttemptAt ?? 0,
+      lastError: fields.lastError ?? null,
+    });
+  }
+
+  // One chunk of a multi-blob payload; its anchor is tagged with the payload
+  insertBlobChunk(chunk) {
+    this.transaction(() => {
+      this.db.prepare(`
+        INSERT OR REPLACE INTO blob_chunks (blob_hash, payload_id, agent_id, chunk_index, chunk_count, data)
+        VALUES (@blobHash, @payloadId, @agentId, @chunkIndex, @chunkCount, @data)
+      `).run({ ...chunk, data: Buffer.from(chunk.data.replace(/^0x/, ''), 'hex') });
+      this.db.prepare('UPDATE blob_anchors SET payload_id = ? WHERE blob_hash = ?').run(chunk.payloadId, chunk.blobHash);
+    });
+  }
+
+  // The chunks of an agent's payload fetched so far, in chunk order
+  getBlobChunks(payloadId, agentId) {
+    return this.db.prepare(`
+      SELECT * FROM blob_chunks WHERE payload_id = ? AND agent_id = ? ORDER BY chunk_index, blob_hash
+    `).all(payloadId, agentId).map(row => ({
+      blobHash: row.blob_hash,
+      payloadId: row.payload_id,
+      agentId: row.agent_id,
+      chunkIndex: row.chunk_index,
+      chunkCount: row.chunk_count,
+      data: '0x' + row.data.toString('hex'),
+    }));
+  }
+
+  deleteBlobChunks(payloadId, agentId) {
+    this.db.prepare('DELETE FROM blob_chunks WHERE payload_id = ? AND agent_id = ?').run(payloadId, agentId);
+  }
+
+  // Store one decoded envelope entry; returns null if it was already stored
+  insertBlobPost(post) {
+    // Replies point at their parent by blob hash; link them if we have it
+    const parent = post.replyToBlob
+      ? this.db.prepare('SELECT id FROM posts WHERE blob_hash = ? ORDER BY blob_index LIMIT 1').get(post.replyToBlob)
+      : null;
+    const thread = this.threadPosition(parent ? parent.id : null);
+    // Reposts and quotes name their target the same way
+    const target = post.refBlob
+      ? this.db.prepare('SELECT id FROM posts WHERE blob_hash = ? ORDER BY blob_index LIMIT 1').get(post.refBlob)
+      : null;
+
+    const result = this.db.prepare(`
+      INSERT OR IGNORE INTO posts
+        (content, author, agent_id, content_hash, timestamp, verified, source,
+         tx_hash, block_number, blob_hash, blob_index, tags, reply_to_blob, root_blob,
+         parent_id, root_id, depth, kind, ref_id, ref_blob)
+      VALUES (@content, @author, @agentId, @contentHash, @timestamp, 1, 'blob',
+         @txHash, @blockNumber, @blobHash, @blobIndex, @tags, @replyToBlob, @rootBlob,
+         @parentId, @rootId, @depth, @kind, @refId, @refBlob)
+    `).run({
+      ...thread,
+      kind: post.kind || 'post',
+      refId: target ? target.id : null,
+      refBlob: post.refBlob ?? null,
+      content: post.content,
+      author: post.author,
+      agentId: post.agentId,
+      contentHash: post.contentHash,
+      timestamp: post.timestamp,
+      txHash: post.txHash,
+      blockNumber: post.blockNumber,
+      blobHash: post.blobHash,
+      blobIndex: post.blobIndex,
+      tags: JSON.stringify(post.tags || []),
+      replyToBlob: post.replyToBlob ?? null,
+      rootBlob: post.rootBlob ?? null,
+    });
+    if (!result.changes) return null;
+    const id = Number(result.lastInsertRowid);
+    this.indexTags(id, post.content, post.tags);
+    this.notifyReply(id);
+    return this.getPost(id);
+  }
+
+  // Follow graph (addresses are stored lowercase)
+
+  // Off-chain follows signed by the follower; the chain layer is untouched
+  setSignedFollow(follower, following, timestamp) {
+    const added = this.db.prepare(`
+      INSERT OR IGNORE INTO follows (follower, following, source, created_at)
+      VALUES (?, ?, 'signed', ?)
+    `).run(follower.toLowerCase(), following.toLowerCase(), timestamp).changes > 0;
+    if (added) {
+      this.addNotification({ recipient: following, type: 'follow', actor: follower, createdAt: timestamp });
+    }
+  }
+
+  removeSignedFollow(follower, following) {
+    this.db.prepare("DELETE FROM follows WHERE follower = ? AND following = ? AND source = 'signed'")
+      .run(follower.toLowerCase(), following.toLowerCase());
+  }
+
+  isFollowing(follower, following) {
+    return !!this.db.prepare('SELECT 1 FROM follows WHERE follower = ? AND following = ? LIMIT 1')
+      .get(follower.toLowerCase(), following.toLowerCase());
+  }
+
+  // Agents following address, most recent first
+  getFollowers(address, { limit, offset = 0 }) {
+    return this.db.prepare(`
+      SELECT follower AS address, MIN(created_at) AS since, GROUP_CONCAT(source) AS sources
+      FROM follows WHERE following = ?
+      GROUP BY follower ORDER BY since DESC, follower LIMIT ? OFFSET ?
+    `).all(address.toLowerCase(), limit, offset).map(rowToFollow);
+  }
+
+  countFollowers(address) {
+    return this.db.prepare('SELECT COUNT(DISTINCT follower) AS n FROM follows WHERE following = ?')
+      .get(address.toLowerCase()).n;
+  }
+
+  // Agents address follows, most recent first
+  getFollowing(address, { limit, offset = 0 }) {
+    return this.db.prepare(`
+      SELECT following AS address, MIN(created_at) AS since, GROUP_CONCAT(source) AS sources
+      FROM follows WHERE follower = ?
+      GROUP BY following ORDER BY since DESC, following LIMIT ? OFFSET ?
+    `).all(address.toLowerCase(), limit, offset).map(rowToFollow);
+  }
+
+  countFollowing(address) {
+    return this.db.prepare('SELECT COUNT(DISTINCT following) AS n FROM follows WHERE follower = ?')
+      .get(address.toLowerCase()).n;
+  }
+
+  // Posts and reposts by everyone address follows, newest first.
+  // With few follows it is cheapest to read each author's index and sort; with
+  // many, walk the global timestamp index and stop after `limit` matches
+  // (the unary + keeps SQLite off the author index).
+  // Each post shows up once: a repost is hidden when its target was deleted,
+  // is itself by a followed agent, or was reposted earlier by another
+  // followed agent. The earliest repost wins so pages stay stable.
+  getHomeFeed(address, page) {
+    const authorColumn = this.countFollowing(address) > HOME_SCAN_THRESHOLD ? '+author_key' : 'author_key';
+    const followed = 'SELECT following FROM follows WHERE follower = ?';
+    const key = address.toLowerCase();
+    return this.pagePosts(
+      `${authorColumn} IN (${followed}) AND deleted_at IS NULL AND (kind != 'repost' OR (
+        NOT EXISTS (
+          SELECT 1 FROM posts o WHERE o.id = posts.ref_id
+            AND (o.deleted_at IS NOT NULL OR o.author_key IN (${followed}))
+        )
+        AND NOT EXISTS (
+          SELECT 1 FROM posts e WHERE e.ref_id = posts.ref_id AND e.kind = 'repost' AND e.deleted_at IS NULL
+            AND e.author_key IN (${followed}) AND (e.timestamp, e.id) < (posts.timestamp, posts.id)
+        )
+      ))`,
+      [key, key, key],
+      page
+    );
+  }
+
+  // Nonces (keyed by lowercase address)
+
+  getNonce(address) {
+    const row = this.db.prepare('SELECT nonce FROM nonces WHERE address = ?').get(address.toLowerCase());
+    return row ? row.nonce : 0;
+  }
+
+  // Atomically advance the nonce; false if nonce is not greater than the current one
+  consumeNonce(address, nonce) {
+    return this.transaction(() => {
+      if (nonce <= this.getNonce(address)) {
+        return false;
+      }
+      this.setNonce(address, nonce);
+      return true;
+    });
+  }
+
+  setNonce(address, nonce) {
+    this.db.prepare(`
+      INSERT INTO nonces (address, nonce) VALUES (?, ?)
+      ON CONFLICT(address) DO UPDATE SET nonce = excluded.nonce
+    `).run(address.toLowerCase(), nonce);
+  }
+
+  // Agents seen by this indexer
+
+  getAgentId(address) {
+    const row = this.db.prepare('SELECT agent_id FROM agents WHERE address = ?').get(address.toLowerCase());
+    return row ? row.agent_id : null;
+  }
+
+  recordAgent(address, agentId) {
+    this.db.prepare(`
+      INSERT INTO agents (address, agent_id, first_seen) VALUES (?, ?, ?)
+      ON CONFLICT(address) DO UPDATE SET agent_id = COALESCE(excluded.agent_id, agents.agent_id)
+    `).run(address.toLowerCase(), agentId ?? null, Date.now());
+  }
+
+  // Key/value metadata (import markers, checkpoints, ...)
+
+  getMeta(key) {
+    const row = this.db.prepare('SELECT value FROM meta WHERE key = ?').get(key);
+    return row ? JSON.parse(row.value) : null;
+  }
+
+  setMeta(key, value) {
+    this.db.prepare(`
+      INSERT INTO meta (key, value) VALUES (?, ?)
+      ON CONFLICT(key) DO UPDATE SET value = excluded.value
+    `).run(key, JSON.stringify(value));
+  }
+}
+
+module.exports = { SqliteStore };
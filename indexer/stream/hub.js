@@ -0,0 +1,215 @@
+const { ethers } = require('ethers');
+const { WebSocketServer } = require('ws');
+const { extractTags, normalizeTag } = require('../search');
+
+const WS_PATH = '/stream/ws';
+
+// Posts read per store query while replaying for a reconnecting client
+const REPLAY_BATCH = 200;
+
+// Last-Event-ID header / lastEventId param -> post id, or null
+function parseLastEventId(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const id = Number(value);
+  return Number.isInteger(id) && id >= 0 ? id : null;
+}
+
+/**
+ * Pushes newly stored posts to SSE (GET /stream) and WebSocket (/stream/ws)
+ * subscribers. Event ids are post ids, which only grow, so a client that
+ * reconnects with its last id gets the posts it missed replayed from the
+ * store. A subscriber that stops reading is disconnected once its send buffer
+ * passes maxBuffer bytes; it can resume the same way.
+ */
+class StreamHub {
+  constructor(store, options = {}) {
+    this.store = store;
+    this.maxClients = options.maxClients || 1000;
+    this.maxBuffer = options.maxBuffer || 1024 * 1024;
+    this.replayLimit = options.replayLimit || 1000;
+    this.heartbeat = options.heartbeat || 25000;
+
+    this.clients = new Set();
+    this.wss = new WebSocketServer({ noServer: true, maxPayload: 1024 });
+    this.timer = null;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      for (const client of this.clients) client.ping();
+    }, this.heartbeat);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    for (const client of this.clients) client.close();
+    this.clients.clear();
+  }
+
+  status() {
+    const counts = { sse: 0, ws: 0 };
+    for (const client of this.clients) counts[client.kind]++;
+    return { subscribers: this.clients.size, ...counts, maxClients: this.maxClients };
+  }
+
+  // author / tag (repeatable or comma-separated) and following=<address>.
+  // Returns { error } on bad input.
+  parseFilter(params) {
+    const list = name => params.getAll(name).flatMap(v => v.split(',')).map(s => s.trim()).filter(Boolean);
+
+    const authors = list('author');
+    const invalidAuthor = authors.find(a => !ethers.isAddress(a));
+    if (invalidAuthor) return { error: `Invalid author address: ${invalidAuthor}` };
+
+    const tags = list('tag').map(normalizeTag);
+    if (tags.includes(null)) return { error: 'Invalid tag' };
+
+    const following = params.get('following');
+    if (following && !ethers.isAddress(following)) return { error: 'Invalid following address' };
+
+    return {
+      authors: new Set(authors.map(a => a.toLowerCase())),
+      tags: new Set(tags),
+      following: following ? following.toLowerCase() : null,
+    };
+  }
+
+  // A post matches when no filter is set, or when it satisfies any of them
+  matches(filter, post) {
+    if (filter.authors.size === 0 && filter.tags.size === 0 && !filter.following) return true;
+
+    const author = post.author.toLowerCase();
+    if (filter.authors.has(author)) return true;
+    if (filter.following && this.store.isFollowing(filter.following, author)) return true;
+    if (filter.tags.size > 0) {
+      return extractTags(post.content, post.tags).some(tag => filter.tags.has(tag));
+    }
+    return false;
+  }
+
+  publish(post) {
+    for (const client of this.clients) {
+      if (this.matches(client.filter, post)) {
+        this.deliver(client, 'post', post, post.id);
+      }
+    }
+  }
+
+  // GET /stream
+  handleSse(req, res) {
+    const params = new URL(req.url, 'http://localhost').searchParams;
+    const filter = this.parseFilter(params);
+    if (filter.error) {
+      return res.status(400).json({ error: filter.error });
+    }
+    if (this.clients.size >= this.maxClients) {
+      return res.status(503).json({ error: 'Too many stream subscribers, try again later' });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+    res.write('retry: 3000\n\n');
+
+    const client = {
+      kind: 'sse',
+      filter,
+      send: (event, data, id) => {
+        const idLine = id !== undefined ? `id: ${id}\n` : '';
+        res.write(`${idLine}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      },
+      ping: () => res.write(': ping\n\n'),
+      buffered: () => res.writableLength,
+      close: () => res.end(),
+    };
+    res.on('close', () => this.clients.delete(client));
+
+    const lastEventId = parseLastEventId(req.get('Last-Event-ID') ?? params.get('lastEventId'));
+    this.subscribe(client, lastEventId);
+  }
+
+  // HTTP upgrade handler for the server; only WS_PATH is accepted
+  handleUpgrade(req, socket, head) {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== WS_PATH) {
+      socket.destroy();
+      return;
+    }
+
+    const filter = this.parseFilter(url.searchParams);
+    if (filter.error || this.clients.size >= this.maxClients) {
+      const status = filter.error ? '400 Bad Request' : '503 Service Unavailable';
+      socket.end(`HTTP/1.1 ${status}\r\nConnection: close\r\n\r\n`);
+      return;
+    }
+
+    this.wss.handleUpgrade(req, socket, head, (ws) => {
+      const client = {
+        kind: 'ws',
+        filter,
+        send: (event, data, id) => ws.send(JSON.stringify({ type: event, id, data })),
+        ping: () => ws.ping(),
+        buffered: () => ws.bufferedAmount,
+        close: () => ws.close(1013, 'Subscriber is not keeping up'),
+      };
+      ws.on('close', () => this.clients.delete(client));
+      ws.on('error', () => this.clients.delete(client));
+
+      this.subscribe(client, parseLastEventId(url.searchParams.get('lastEventId')));
+    });
+  }
+
+  // Replay and registration run synchronously, so no post can slip between them
+  subscribe(client, lastEventId) {
+    if (lastEventId !== null && !this.replay(client, lastEventId)) return;
+
+    // Everything up to here was replayed or skipped; fresh subscribers need
+    // this id too so their first reconnect can resume
+    const position = this.store.maxPostId();
+    if (!this.deliver(client, 'ready', { lastEventId: position }, position)) return;
+    this.clients.add(client);
+  }
+
+  // Send stored posts after lastEventId that match the client's filter. Past
+  // replayLimit posts the client gets a `resync` event and should reload
+  // from GET /feed instead. Returns false if the client was dropped.
+  replay(client, lastEventId) {
+    let after = lastEventId;
+    let scanned = 0;
+    for (;;) {
+      const { posts, hasMore } = this.store.getPostsAfterId(after, REPLAY_BATCH);
+      for (const post of posts) {
+        if (this.matches(client.filter, post) && !this.deliver(client, 'post', post, post.id)) {
+          return false;
+        }
+      }
+      if (!hasMore) return true;
+
+      after = posts[posts.length - 1].id;
+      scanned += posts.length;
+      if (scanned >= this.replayLimit) {
+        return this.deliver(client, 'resync', { skippedAfter: after });
+      }
+    }
+  }
+
+  // Write one event unless the client is already too far behind
+  deliver(client, event, data, id) {
+    if (client.buffered() > this.maxBuffer) {
+      this.clients.delete(client);
+      client.close();
+      console.warn(`Stream: dropped slow ${client.kind} subscriber (${client.buffered()} bytes buffered)`);
+      return false;
+    }
+    client.send(event, data, id);
+    return true;
+  }
+}
+
+module.exports = { StreamHub, WS_PATH };
@@ -0,0 +1,120 @@
+/**
+ * Base for background jobs that keep one transaction in flight (the post
+ * anchorer and the blob aggregator). Each tick releases records a crash left
+ * 'pending', settles the 'submitted' one, and once that is done with submits
+ * the next if isDue(). A submitted transaction is confirmed after
+ * `confirmations` blocks; one that reverts, or that the node has forgotten
+ * for `dropTimeout` ms, is released so its work goes back in the queue.
+ *
+ * Subclasses keep the records in the store and provide:
+ *   getRecords(status, limit) -> record[]   { id, txHash, submittedAt, size }
+ *   getRecord(id) -> record
+ *   updateRecord(id, fields)                status, txHash, submittedAt,
+ *                                           blockNumber, confirmedAt
+ *   releaseRecord(id, reason)
+ *   describe(record) -> string              for log lines
+ *   isDue() -> bool
+ *   submit() -> record                      builds a record, then send()s it
+ */
+class TxJob {
+  constructor(options, { name, icon, unit, requeue }) {
+    this.signer = options.signer;
+    this.confirmations = options.confirmations ?? 2;
+    this.pollInterval = options.pollInterval || 30000;
+    this.dropTimeout = options.dropTimeout || 10 * 60 * 1000;
+
+    this.name = name;       // 'Anchor job'
+    this.icon = icon;       // log prefix
+    this.unit = unit;       // what a record's size counts
+    this.requeue = requeue; // what a released record's work does next
+
+    this.timer = null;
+    this.running = false;
+    this.lastError = null;
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+    const loop = async () => {
+      try {
+        await this.tick();
+        this.lastError = null;
+      } catch (e) {
+        this.lastError = e.shortMessage || e.message;
+        console.error(`${this.name} error:`, this.lastError);
+      }
+      if (this.running) {
+        this.timer = setTimeout(loop, this.pollInterval);
+      }
+    };
+    loop();
+  }
+
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+  }
+
+  // Settle the record in flight, then submit the next if it's time. Returns
+  // the record submitted, if any.
+  async tick() {
+    // Pending records never reached the chain (the indexer stopped mid-submit)
+    for (const record of this.getRecords('pending', 100)) {
+      this.releaseRecord(record.id, 'interrupted before submission');
+    }
+
+    const [inFlight] = this.getRecords('submitted', 1);
+    if (inFlight && !await this.settle(inFlight)) return null;
+
+    return this.isDue() ? this.submit() : null;
+  }
+
+  // Whether the submitted record is done with, confirmed or released
+  async settle(record) {
+    const provider = this.signer.provider;
+    const receipt = await provider.getTransactionReceipt(record.txHash);
+
+    if (!receipt) {
+      const tx = await provider.getTransaction(record.txHash);
+      if (tx || Date.now() - record.submittedAt < this.dropTimeout) return false;
+      this.releaseRecord(record.id, 'transaction dropped');
+      console.warn(`${this.icon} ${this.describe(record)} dropped (tx ${record.txHash}); ${this.requeue}`);
+      return true;
+    }
+
+    if (receipt.status !== 1) {
+      this.releaseRecord(record.id, 'transaction reverted');
+      console.warn(`${this.icon} ${this.describe(record)} reverted (tx ${record.txHash}); ${this.requeue}`);
+      return true;
+    }
+
+    if (await receipt.confirmations() < this.confirmations) return false;
+
+    this.updateRecord(record.id, {
+      status: 'confirmed',
+      blockNumber: receipt.blockNumber,
+      confirmedAt: Date.now(),
+    });
+    console.log(`${this.icon} ${this.describe(record)} confirmed in block ${receipt.blockNumber} ` +
+      `(${record.size} ${this.unit})`);
+    return true;
+  }
+
+  // Send the record's transaction and mark it submitted; a failed send
+  // releases the record and rethrows
+  async send(record, sendTransaction) {
+    let tx;
+    try {
+      tx = await sendTransaction();
+    } catch (e) {
+      this.releaseRecord(record.id, e.shortMessage || e.message);
+      throw e;
+    }
+
+    this.updateRecord(record.id, { status: 'submitted', txHash: tx.hash, submittedAt: Date.now() });
+    return this.getRecord(record.id);
+  }
+}
+
+module.exports = { TxJob };
@@ -0,0 +1,192 @@
+const { ethers } = require('ethers');
+
+// ERC-8004 Identity Registry (an ERC-721 where each token is an agent)
+const REGISTRY_ABI = [
+  'function balanceOf(address) view returns (uint256)',
+  'function ownerOf(uint256) view returns (address)',
+  'function getApproved(uint256) view returns (address)',
+  'function isApprovedForAll(address, address) view returns (bool)',
+  'function tokenOfOwnerByIndex(address, uint256) view returns (uint256)',
+  'function supportsInterface(bytes4) view returns (bool)',
+  'event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)',
+  'event Registered(uint256 indexed agentId, string agentURI, address indexed owner)',
+];
+
+const ERC721_ENUMERABLE_INTERFACE = '0x780e9d63';
+
+// Small TTL map; `undefined` means missing or expired
+class TtlCache {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expires <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    return entry.value;
+  }
+
+  set(key, value, ttl) {
+    this.entries.set(key, { value, expires: Date.now() + ttl });
+  }
+}
+
+/**
+ * Maps addresses to the ERC-8004 agent IDs they own and agent IDs back to
+ * their owner. Uses tokenOfOwnerByIndex when the registry is enumerable;
+ * otherwise scans Transfer/Registered logs backwards from the head and
+ * confirms each candidate with ownerOf. Answers are cached; "not
+ * registered", "owns nothing" and "no such agent" use the shorter negativeTtl.
+ */
+class AgentResolver {
+  constructor(options) {
+    this.provider = options.provider;
+    this.registry = new ethers.Contract(options.registryAddress, REGISTRY_ABI, options.provider);
+    this.fromBlock = options.fromBlock || 0;
+    this.blockRange = options.blockRange || 10000;
+    this.ttl = options.ttl || 10 * 60 * 1000;
+    this.negativeTtl = options.negativeTtl || 60 * 1000;
+
+    this.registered = new TtlCache(); // lowercase address -> bool
+    this.agentIds = new TtlCache();   // lowercase address -> bigint[]
+    this.owners = new TtlCache();     // agent id string -> checksummed address | null
+    this.operators = new TtlCache();  // "id:owner:address" -> bool
+    this.enumerable = null;           // unknown until first lookup
+  }
+
+  // Does address own at least one agent?
+  async isRegistered(address) {
+    const key = address.toLowerCase();
+    const cached = this.registered.get(key);
+    if (cached !== undefined) return cached;
+
+    const registered = (await this.registry.balanceOf(address)) > 0n;
+    this.registered.set(key, registered, registered ? this.ttl : this.negativeTtl);
+    return registered;
+  }
+
+  // Agent IDs owned by address, ascending
+  async getAgentIds(address) {
+    const key = address.toLowerCase();
+    const cached = this.agentIds.get(key);
+    if (cached !== undefined) return cached;
+
+    const balance = await this.registry.balanceOf(address);
+    let ids = [];
+    if (balance > 0n) {
+      ids = await this.isEnumerable()
+        ? await this.enumerateTokens(address, balance)
+        : await this.scanTokens(address, balance);
+    }
+    ids.sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+
+    this.agentIds.set(key, ids, ids.length ? this.ttl : this.negativeTtl);
+    this.registered.set(key, ids.length > 0, ids.length ? this.ttl : this.negativeTtl);
+    for (const id of ids) {
+      this.owners.set(id.toString(), ethers.getAddress(address), this.ttl);
+    }
+    return ids;
+  }
+
+  // Current owner of agentId, or null if it was never minted (or was burned)
+  async getOwner(agentId) {
+    const key = BigInt(agentId).toString();
+    const cached = this.owners.get(key);
+    if (cached !== undefined) return cached;
+
+    let owner = null;
+    try {
+      owner = await this.registry.ownerOf(agentId);
+    } catch (e) {
+      // ownerOf reverts for unknown tokens; anything else is an RPC problem
+      if (e.code !== 'CALL_EXCEPTION') throw e;
+    }
+    this.owners.set(key, owner, owner ? this.ttl : this.negativeTtl);
+    return owner;
+  }
+
+  async ownsAgent(address, agentId) {
+    const owner = await this.getOwner(agentId);
+    return owner !== null && owner.toLowerCase() === address.toLowerCase();
+  }
+
+  // The owner, or an operator the owner approved for this agent or for all
+  // of theirs (ERC-721 getApproved / isApprovedForAll)
+  async operatesAgent(address, agentId) {
+    const owner = await this.getOwner(agentId);
+    if (owner === null) return false;
+    if (owner.toLowerCase() === address.toLowerCase()) return true;
+
+    const key = `${BigInt(agentId)}:${owner.toLowerCase()}:${address.toLowerCase()}`;
+    const cached = this.operators.get(key);
+    if (cached !== undefined) return cached;
+
+    const [approved, approvedForAll] = await Promise.all([
+      this.registry.getApproved(agentId),
+      this.registry.isApprovedForAll(owner, address),
+    ]);
+    const operates = approvedForAll || approved.toLowerCase() === address.toLowerCase();
+    this.operators.set(key, operates, operates ? this.ttl : this.negativeTtl);
+    return operates;
+  }
+
+  async isEnumerable() {
+    if (this.enumerable === null) {
+      try {
+        this.enumerable = await this.registry.supportsInterface(ERC721_ENUMERABLE_INTERFACE);
+      } catch (e) {
+        if (e.code !== 'CALL_EXCEPTION') throw e;
+        this.enumerable = false;
+      }
+    }
+    return this.enumerable;
+  }
+
+  async enumerateTokens(address, balance) {
+    const ids = [];
+    for (let i = 0n; i < balance; i++) {
+      ids.push(await this.registry.tokenOfOwnerByIndex(address, i));
+    }
+    return ids;
+  }
+
+  // Walk logs from the head back to fromBlock, stopping once every token the
+  // balance accounts for has been found
+  async scanTokens(address, balance) {
+    const transfer = this.registry.interface.getEvent('Transfer').topicHash;
+    const registered = this.registry.interface.getEvent('Registered').topicHash;
+    const ownerTopic = ethers.zeroPadValue(address, 32);
+
+    const owned = new Set();
+    const checked = new Set();
+    let to = await this.provider.getBlockNumber();
+
+    while (to >= this.fromBlock && BigInt(owned.size) < balance) {
+      const from = Math.max(this.fromBlock, to - this.blockRange + 1);
+      // Both events index the receiving owner in the same topic slot
+      const logs = await this.provider.getLogs({
+        address: this.registry.target,
+        fromBlock: from,
+        toBlock: to,
+        topics: [[transfer, registered], null, ownerTopic],
+      });
+
+      const candidates = logs
+        .map(log => BigInt(log.topics[log.topics[0] === transfer ? 3 : 1]))
+        .filter(id => !checked.has(id));
+
+      for (const id of new Set(candidates)) {
+        checked.add(id);
+        if (await this.ownsAgent(address, id)) owned.add(id);
+      }
+      to = from - 1;
+    }
+    return [...owned];
+  }
+}
+
+module.exports = { AgentResolver, TtlCache, REGISTRY_ABI };
@@ -0,0 +1,270 @@
+const { createHash } = require('crypto');
+
+// Blob retrieval that trusts no source. A blob is only returned once its KZG
+// commitment has been recomputed from the data and the versioned hash
+// derived from it (0x01 || sha256(commitment)[1:], EIP-4844) matches the one
+// asked for, so a beacon node, Blobscan or an archiver can fail to answer but
+// can't answer wrongly. Shared by scripts/read-blob.js and the indexer's blob
+// worker.
+//
+// Sources, in order:
+//   beacon     GET {url}/eth/v1/beacon/blob_sidecars/{blockId} on each beacon
+//              API until one answers. Needs the block: a slot, a block root,
+//              or the execution block's timestamp to work the slot out from.
+//   endpoints  Blobscan-compatible endpoints and archivers, for whatever the
+//              beacon nodes didn't return (pruned, or no block known). A URL
+//              with {hash} in it is used as is, anything else gets
+//              /blobs/{hash} appended; the JSON answer carries the blob in
+//              `data` and may carry a `commitment` to check as well.
+
+const BYTES_PER_BLOB = 131072;
+const VERSIONED_HASH_VERSION_KZG = '0x01';
+
+// Thrown when a source's blob doesn't match its commitment or versioned hash
+class BlobVerificationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BlobVerificationError';
+    this.code = 'BLOB_MISMATCH';
+  }
+}
+
+// Thrown when no source returned a verified copy of every blob asked for
+class BlobUnavailableError extends Error {
+  constructor(missing, attempts) {
+    const detail = attempts.length ? attempts.join('; ') : 'no blob sources configured';
+    super(`Blob${missing.length > 1 ? 's' : ''} ${missing.join(', ')} not available (${detail})`);
+    this.name = 'BlobUnavailableError';
+    this.code = 'BLOB_UNAVAILABLE';
+    this.missing = missing;
+  }
+}
+
+// c-kzg with its bundled mainnet trusted setup, loaded on first use
+let defaultKzg = null;
+function loadKzg() {
+  if (!defaultKzg) {
+    const cKzg = require('c-kzg');
+    cKzg.loadTrustedSetup(0);
+    defaultKzg = cKzg;
+  }
+  return defaultKzg;
+}
+
+function toBytes(hex) {
+  if (typeof hex !== 'string' || !/^(0x)?([0-9a-fA-F]{2})*$/.test(hex)) {
+    throw new BlobVerificationError('Blob data is not hex');
+  }
+  return Buffer.from(hex.replace(/^0x/, ''), 'hex');
+}
+
+/**
+ * Versioned hash of a KZG commitment
+ * @param {string|Uint8Array} commitment - 48-byte commitment
+ * @returns {string} 0x01-prefixed 32-byte hash
+ */
+function commitmentToVersionedHash(commitment) {
+  const bytes = typeof commitment === 'string' ? toBytes(commitment) : commitment;
+  return VERSIONED_HASH_VERSION_KZG + createHash('sha256').update(bytes).digest('hex').slice(2);
+}
+
+/**
+ * Recompute a blob's commitment and versioned hash and check them against
+ * what is expected of it
+ * @param {object} kzg - Anything with c-kzg's blobToKzgCommitment
+ * @param {string} data - Hex blob
+ * @param {object} expected
+ * @param {string} expected.versionedHash - Versioned hash the blob must have
+ * @param {string} expected.commitment - Commitment a source claimed for it
+ * @returns {object} { versionedHash, commitment, data }
+ */
+function verifyBlob(kzg, data, { versionedHash, commitment } = {}) {
+  const bytes = toBytes(data);
+  if (bytes.length !== BYTES_PER_BLOB) {
+    throw new BlobVerificationError(`Blob is ${bytes.length} bytes, expected ${BYTES_PER_BLOB}`);
+  }
+
+  let computed;
+  try {
+    computed = '0x' + Buffer.from(kzg.blobToKzgCommitment(bytes)).toString('hex');
+  } catch (e) {
+    // c-kzg rejects field elements that aren't canonical
+    throw new BlobVerificationError(`Blob is not a valid KZG blob: ${e.message}`);
+  }
+  if (commitment && commitment.toLowerCase() !== computed) {
+    throw new BlobVerificationError(`Blob does not match its claimed commitment ${commitment}`);
+  }
+
+  const hash = commitmentToVersionedHash(computed);
+  if (versionedHash && versionedHash.toLowerCase() !== hash) {
+    throw new BlobVerificationError(`Blob hashes to ${hash}, not ${versionedHash}`);
+  }
+  return { versionedHash: hash, commitment: computed, data: '0x' + bytes.toString('hex') };
+}
+
+/**
+ * Fetches blobs by versioned hash from beacon nodes, then from
+ * Blobscan-compatible endpoints and archivers, verifying every one against
+ * its KZG commitment before handing it out.
+ */
+class BlobRetriever {
+  constructor(options = {}) {
+    this.beaconUrls = (options.beaconUrls || []).map(url => url.replace(/\/$/, ''));
+    this.endpoints = (options.endpoints || []).map(url => url.replace(/\/$/, ''));
+    this.kzg = options.kzg || null;
+    this.timeout = options.timeout || 10000;
+
+    // Beacon chain clock, read from the first beacon node that answers
+    this.genesisTime = options.genesisTime ?? null;
+    this.secondsPerSlot = options.secondsPerSlot ?? null;
+  }
+
+  getKzg() {
+    if (!this.kzg) this.kzg = loadKzg();
+    return this.kzg;
+  }
+
+  async getJson(url) {
+    const response = await fetch(url, {
+      headers: { accept: 'application/json' },
+      signal: AbortSignal.timeout(this.timeout),
+    });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    return response.json();
+  }
+
+  // First beacon node that answers wins
+  async getFromBeacon(path) {
+    if (this.beaconUrls.length === 0) {
+      throw new Error('no beacon API configured');
+    }
+    const errors = [];
+    for (const url of this.beaconUrls) {
+      try {
+        return await this.getJson(`${url}${path}`);
+      } catch (e) {
+        errors.push(`${url}: ${e.message}`);
+      }
+    }
+    throw new Error(errors.join('; '));
+  }
+
+  /**
+   * Slot of the beacon block that carries the execution block with this
+   * timestamp
+   * @param {number} timestamp - Execution block timestamp (seconds)
+   * @returns {number} Slot
+   */
+  async slotAt(timestamp) {
+    if (this.genesisTime === null) {
+      const { data } = await this.getFromBeacon('/eth/v1/beacon/genesis');
+      this.genesisTime = Number(data.genesis_time);
+    }
+    if (this.secondsPerSlot === null) {
+      const { data } = await this.getFromBeacon('/eth/v1/config/spec');
+      this.secondsPerSlot = Number(data.SECONDS_PER_SLOT || 12);
+    }
+    const elapsed = Number(timestamp) - this.genesisTime;
+    if (elapsed < 0 || elapsed % this.secondsPerSlot !== 0) {
+      throw new Error(`Timestamp ${timestamp} is not on a slot boundary`);
+    }
+    return elapsed / this.secondsPerSlot;
+  }
+
+  /**
+   * Every blob sidecar of a beacon block, each checked against its
+   * commitment
+   * @param {string|number} blockId - Slot, block root, "head" or "finalized"
+   * @returns {object[]} { index, versionedHash, commitment, proof, data }
+   */
+  async getSidecars(blockId) {
+    const { data } = await this.getFromBeacon(`/eth/v1/beacon/blob_sidecars/${blockId}`);
+    if (!Array.isArray(data)) {
+      throw new Error(`Beacon answer for block ${blockId} has no sidecars`);
+    }
+    return data.map(sidecar => ({
+      index: Number(sidecar.index),
+      ...verifyBlob(this.getKzg(), sidecar.blob, { commitment: sidecar.kzg_commitment }),
+      proof: sidecar.kzg_proof,
+    }));
+  }
+
+  // Try each endpoint in order; a copy that fails verification counts as a miss
+  async getFromEndpoints(versionedHash, attempts) {
+    for (const endpoint of this.endpoints) {
+      const url = endpoint.includes('{hash}')
+        ? endpoint.replace('{hash}', versionedHash)
+        : `${endpoint}/blobs/${versionedHash}`;
+      try {
+        const body = await this.getJson(url);
+        if (!body.data) {
+          throw new Error('response has no blob data');
+        }
+        return {
+          ...verifyBlob(this.getKzg(), body.data, { versionedHash, commitment: body.commitment }),
+          source: endpoint,
+        };
+      } catch (e) {
+        attempts.push(`${endpoint}: ${e.message}`);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Fetch and verify blobs
+   * @param {string[]} versionedHashes - Blobs to fetch
+   * @param {object} where - Optional block hint for the beacon nodes
+   * @param {string|number} where.blockId - Beacon block id (slot or root)
+   * @param {number} where.timestamp - Execution block timestamp, used when
+   *   there is no blockId
+   * @returns {object[]} { versionedHash, commitment, data, source } per hash,
+   *   in the order asked
+   */
+  async getBlobs(versionedHashes, { blockId, timestamp } = {}) {
+    const wanted = versionedHashes.map(hash => hash.toLowerCase());
+    const found = new Map();
+    const attempts = [];
+
+    if (this.beaconUrls.length > 0 && (blockId != null || timestamp != null)) {
+      try {
+        const block = blockId ?? await this.slotAt(timestamp);
+        for (const sidecar of await this.getSidecars(block)) {
+          if (wanted.includes(sidecar.versionedHash)) {
+            found.set(sidecar.versionedHash, { ...sidecar, source: 'beacon' });
+          }
+        }
+      } catch (e) {
+        attempts.push(`beacon: ${e.message}`);
+      }
+    }
+
+    for (const hash of wanted) {
+      if (found.has(hash)) continue;
+      const blob = await this.getFromEndpoints(hash, attempts);
+      if (blob) found.set(hash, blob);
+    }
+
+    const missing = wanted.filter(hash => !found.has(hash));
+    if (missing.length > 0) {
+      throw new BlobUnavailableError(missing, attempts);
+    }
+    return wanted.map(hash => found.get(hash));
+  }
+
+  /**
+   * Fetch and verify one blob
+   * @param {string} versionedHash - Blob to fetch
+   * @param {object} where - Optional block hint, as for getBlobs
+   * @returns {object} { versionedHash, commitment, data, source }
+   */
+  async getBlob(versionedHash, where) {
+    const [blob] = await this.getBlobs([versionedHash], where);
+    return blob;
+  }
+}
+
+module.exports = { BYTES_PER_BLOB, BlobRetriever, BlobVerificationError, BlobUnavailableError,
+  commitmentToVersionedHash, verifyBlob, loadKzg };
@@ -0,0 +1,111 @@
+const { ethers } = require('ethers');
+
+// Signing and verification of blob envelopes, shared by scripts/blob-utils.js
+// (createPost and friends, verifyEnvelope) and scripts/read-blob.js.
+//
+// The signed bytes are the envelope's canonical JSON: every field except
+// `sig`, object keys sorted (JavaScript's default string order) at every
+// level, array order kept, no whitespace. The signature is an EIP-191
+// personal_sign over the 32-byte keccak256 of those bytes. Canonical JSON
+// survives any reader that re-serializes the envelope, so anyone can re-verify
+// a blob post from its decoded JSON alone.
+//
+// Envelopes written before this were signed over JSON.stringify of the
+// envelope in creation order. That order survives a JSON round trip, so such
+// a signature can still be checked, but nothing in the envelope says which
+// encoding it used. A wrong hash recovers some other address rather than
+// failing, so legacy signatures are only accepted once the recovered address
+// turns out to control the agent.
+
+function sortKeys(value) {
+  if (Array.isArray(value)) return value.map(sortKeys);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort().map(key => [key, sortKeys(value[key])]));
+  }
+  return value;
+}
+
+function unsigned(envelope) {
+  const { sig, ...rest } = envelope;
+  return rest;
+}
+
+// The bytes an envelope's signature covers, as a string
+function canonicalEnvelope(envelope) {
+  return JSON.stringify(sortKeys(unsigned(envelope)));
+}
+
+// keccak256 of the canonical JSON; this is what createPost and friends sign
+function envelopeSigningHash(envelope) {
+  return ethers.keccak256(ethers.toUtf8Bytes(canonicalEnvelope(envelope)));
+}
+
+// keccak256 of the envelope as it was serialized before canonical signing
+function legacySigningHash(envelope) {
+  return ethers.keccak256(ethers.toUtf8Bytes(JSON.stringify(unsigned(envelope))));
+}
+
+function recover(hash, sig) {
+  try {
+    return ethers.verifyMessage(ethers.getBytes(hash), sig);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Address that signed the envelope's canonical encoding
+ * @param {object} envelope - Signed envelope
+ * @returns {string|null} Checksummed address, or null if sig is malformed
+ */
+function recoverEnvelopeSigner(envelope) {
+  if (typeof envelope.sig !== 'string') return null;
+  return recover(envelopeSigningHash(envelope), envelope.sig);
+}
+
+/**
+ * Check an envelope's signature and that its signer controls envelope.agent:
+ * the agent's owner in the ERC-8004 registry, or an operator the owner
+ * approved
+ * @param {object} envelope - Signed envelope
+ * @param {object} resolver - AgentResolver (lib/agent-resolver.js)
+ * @returns {object} { verified, signer, owner, encoding, reason }; encoding is
+ *   "canonical" or "legacy", reason says why an envelope didn't verify
+ */
+async function verifyEnvelope(envelope, resolver) {
+  if (typeof envelope.sig !== 'string') {
+    return { verified: false, signer: null, owner: null, encoding: null, reason: 'Envelope is not signed' };
+  }
+  if (!Number.isSafeInteger(envelope.agent) || envelope.agent < 0) {
+    return { verified: false, signer: null, owner: null, encoding: null, reason: 'Envelope names no agent' };
+  }
+
+  const owner = await resolver.getOwner(envelope.agent);
+  if (owner === null) {
+    return {
+      verified: false, signer: recoverEnvelopeSigner(envelope), owner, encoding: null,
+      reason: `Agent #${envelope.agent} is not registered`,
+    };
+  }
+
+  const candidates = [
+    { encoding: 'canonical', signer: recover(envelopeSigningHash(envelope), envelope.sig) },
+    { encoding: 'legacy', signer: recover(legacySigningHash(envelope), envelope.sig) },
+  ];
+  for (const { encoding, signer } of candidates) {
+    if (signer && await resolver.operatesAgent(signer, envelope.agent)) {
+      return { verified: true, signer, owner, encoding, reason: null };
+    }
+  }
+
+  const [{ signer }] = candidates;
+  return {
+    verified: false, signer, owner, encoding: null,
+    reason: signer
+      ? `Signer ${signer} neither owns nor operates Agent #${envelope.agent}`
+      : 'Signature is malformed',
+  };
+}
+
+module.exports = { canonicalEnvelope, envelopeSigningHash, legacySigningHash, recoverEnvelopeSigner,
+  verifyEnvelope };
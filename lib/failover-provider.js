@@ -0,0 +1,168 @@
+const { ethers } = require('ethers');
+
+// Errors that are about the request, not the endpoint: another endpoint
+// would give the same answer, so they go straight back to the caller.
+// Everything else (timeouts, HTTP errors, refused connections, ...) fails over.
+const REQUEST_ERRORS = new Set([
+  'CALL_EXCEPTION',
+  'INSUFFICIENT_FUNDS',
+  'NONCE_EXPIRED',
+  'REPLACEMENT_UNDERPRICED',
+  'INVALID_ARGUMENT',
+  'MISSING_ARGUMENT',
+  'UNEXPECTED_ARGUMENT',
+  'NUMERIC_FAULT',
+]);
+
+// Thrown when no endpoint could answer: every circuit is open or every try failed
+class RpcUnavailableError extends Error {
+  constructor(attempts) {
+    const detail = attempts.length ? attempts.join('; ') : 'every endpoint is cooling down';
+    super(`No RPC endpoint available (${detail})`);
+    this.name = 'RpcUnavailableError';
+    this.code = 'RPC_UNAVAILABLE';
+  }
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      reject(ethers.makeError(`RPC request timed out after ${ms}ms`, 'TIMEOUT', { operation: 'request' }));
+    }, ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * An ethers provider over an ordered list of JSON-RPC URLs. Each request goes
+ * to the first endpoint whose circuit is closed; endpoint failures (timeouts,
+ * HTTP and network errors) fall through to the next one. After
+ * failureThreshold consecutive failures an endpoint's circuit opens for
+ * cooldown ms, then a single trial request (or a health check) decides
+ * whether it closes again.
+ */
+class FailoverProvider extends ethers.AbstractProvider {
+  constructor(urls, options = {}) {
+    const network = ethers.Network.from(options.network ?? 1);
+    super(network);
+
+    if (!urls.length) {
+      throw new Error('FailoverProvider needs at least one RPC URL');
+    }
+
+    this.staticNetwork = network;
+    this.timeout = options.timeout || 5000;
+    this.failureThreshold = options.failureThreshold || 3;
+    this.cooldown = options.cooldown || 30000;
+    this.healthInterval = options.healthInterval || 30000;
+    this.healthTimer = null;
+
+    this.endpoints = urls.map(url => ({
+      url,
+      provider: new ethers.JsonRpcProvider(url, network, { staticNetwork: network }),
+      failures: 0,
+      openUntil: 0,
+      trialInFlight: false,
+      lastError: null,
+      latency: null,
+    }));
+  }
+
+  async _detectNetwork() {
+    return this.staticNetwork;
+  }
+
+  async _perform(req) {
+    const attempts = [];
+    for (const endpoint of this.endpoints) {
+      if (!this.acquire(endpoint)) continue;
+
+      const started = Date.now();
+      try {
+        const result = await withTimeout(endpoint.provider._perform(req), this.timeout);
+        this.recordSuccess(endpoint, Date.now() - started);
+        return result;
+      } catch (e) {
+        if (REQUEST_ERRORS.has(e.code)) {
+          // The endpoint answered; the request itself was bad
+          this.recordSuccess(endpoint, Date.now() - started);
+          throw e;
+        }
+        this.recordFailure(endpoint, e);
+        attempts.push(`${endpoint.url}: ${e.shortMessage || e.message}`);
+      }
+    }
+    throw new RpcUnavailableError(attempts);
+  }
+
+  // May this endpoint take a request now? An expired open circuit lets one
+  // trial through (half-open) and holds the rest back until it resolves.
+  acquire(endpoint) {
+    if (endpoint.failures < this.failureThreshold) return true;
+    if (Date.now() < endpoint.openUntil || endpoint.trialInFlight) return false;
+    endpoint.trialInFlight = true;
+    return true;
+  }
+
+  recordSuccess(endpoint, latency) {
+    endpoint.failures = 0;
+    endpoint.openUntil = 0;
+    endpoint.trialInFlight = false;
+    endpoint.latency = latency;
+  }
+
+  recordFailure(endpoint, error) {
+    endpoint.failures++;
+    endpoint.trialInFlight = false;
+    endpoint.lastError = error.shortMessage || error.message;
+    if (endpoint.failures >= this.failureThreshold) {
+      if (endpoint.openUntil === 0) {
+        console.warn(`RPC ${endpoint.url}: circuit open after ${endpoint.failures} failures (${endpoint.lastError})`);
+      }
+      endpoint.openUntil = Date.now() + this.cooldown;
+    }
+  }
+
+  // Probe every endpoint with eth_blockNumber so open circuits close as soon
+  // as their endpoint recovers, without waiting for user traffic
+  async checkHealth() {
+    await Promise.all(this.endpoints.map(async (endpoint) => {
+      const started = Date.now();
+      try {
+        await withTimeout(endpoint.provider._perform({ method: 'getBlockNumber' }), this.timeout);
+        this.recordSuccess(endpoint, Date.now() - started);
+      } catch (e) {
+        this.recordFailure(endpoint, e);
+      }
+    }));
+  }
+
+  startHealthChecks() {
+    if (this.healthTimer) return;
+    this.healthTimer = setInterval(() => this.checkHealth(), this.healthInterval);
+    this.healthTimer.unref();
+  }
+
+  status() {
+    const now = Date.now();
+    return this.endpoints.map(endpoint => ({
+      url: endpoint.url,
+      state: endpoint.failures < this.failureThreshold ? 'closed' : now < endpoint.openUntil ? 'open' : 'half-open',
+      failures: endpoint.failures,
+      latency: endpoint.latency,
+      lastError: endpoint.lastError,
+    }));
+  }
+
+  destroy() {
+    clearInterval(this.healthTimer);
+    this.healthTimer = null;
+    for (const endpoint of this.endpoints) {
+      endpoint.provider.destroy();
+    }
+    super.destroy();
+  }
+}
+
+module.exports = { FailoverProvider, RpcUnavailableError };
@@ -0,0 +1,17 @@
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+// scripts/blob-utils.js (blob encoding and envelope validation) is an ES
+// module. CommonJS code loads it through here, once, on first use; its
+// dependencies (viem, c-kzg) are in the root package.json.
+
+let blobUtils = null;
+
+async function loadBlobUtils() {
+  if (!blobUtils) {
+    blobUtils = await import(pathToFileURL(path.join(__dirname, '../scripts/blob-utils.js')).href);
+  }
+  return blobUtils;
+}
+
+module.exports = { loadBlobUtils };
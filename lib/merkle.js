@@ -0,0 +1,127 @@
+const { ethers } = require('ethers');
+
+// Merkle trees over batch entries, shared by scripts/blob-utils.js
+// (createBatch) and the indexer (POST /batch, GET /post/:id/proof).
+//
+// The tree, precisely:
+//   leaf    keccak256 of the UTF-8 JSON of the entry, keys in the order
+//           content, contentType, ts, tags, with contentType defaulting to
+//           "text/plain" and tags to [] (see batchEntry)
+//   node    keccak256(left || right), both 32 bytes, left to right as listed
+//           (pairs are not sorted)
+//   odd     a level with an odd number of nodes pairs its last node with
+//           itself: keccak256(last || last)
+//   root    the single node left; a one-entry batch's root is its leaf and
+//           an empty batch's is 32 zero bytes
+//
+// A proof lists the sibling of each node on the way from the leaf to the
+// root; where the node was paired with itself the sibling is the node. Bit
+// k of the leaf index says whether the node is on the right at level k.
+// Because pairing the last node with itself makes [a, b, c] and
+// [a, b, c, c] share a root, verification also takes the number of leaves
+// and rejects proofs that don't fit a tree of that size. Take that number
+// from the signed batch (PostBatch.count), not from the proof's supplier.
+//
+// The indexer's anchoring job (indexer/anchor/anchorer.js) builds the same
+// tree over post revisions, with revisionLeaf as the leaf. Its leafCount is
+// the size recorded with the anchored root.
+
+const ZERO_ROOT = '0x' + '0'.repeat(64);
+
+// A batch entry as it is hashed: { content, contentType, ts, tags }
+function batchEntry(post) {
+  return {
+    content: post.content,
+    contentType: post.contentType ?? 'text/plain',
+    ts: post.ts,
+    tags: post.tags ?? [],
+  };
+}
+
+function batchLeaf(entry) {
+  return ethers.keccak256(ethers.toUtf8Bytes(JSON.stringify(batchEntry(entry))));
+}
+
+// keccak256(abi.encode(uint256 postId, uint256 revision, string action,
+// address author, bytes32 contentHash, uint256 createdAt)), createdAt in ms
+function revisionLeaf(revision) {
+  return ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(
+    ['uint256', 'uint256', 'string', 'address', 'bytes32', 'uint256'],
+    [revision.postId, revision.revision, revision.action, revision.author, revision.contentHash, revision.createdAt],
+  ));
+}
+
+function hashPair(left, right) {
+  return ethers.keccak256(ethers.concat([left, right]));
+}
+
+// The level above `level`
+function nextLevel(level) {
+  const next = [];
+  for (let i = 0; i < level.length; i += 2) {
+    next.push(hashPair(level[i], level[i + 1] ?? level[i]));
+  }
+  return next;
+}
+
+function merkleRoot(leaves) {
+  if (leaves.length === 0) return ZERO_ROOT;
+  let level = leaves.map(leaf => leaf.toLowerCase());
+  while (level.length > 1) level = nextLevel(level);
+  return level[0];
+}
+
+// Sibling hashes from leaves[index] up to the root
+function merkleProof(leaves, index) {
+  if (!Number.isInteger(index) || index < 0 || index >= leaves.length) {
+    throw new Error(`No leaf ${index} in a tree of ${leaves.length}`);
+  }
+  const proof = [];
+  let level = leaves.map(leaf => leaf.toLowerCase());
+  for (let i = index; level.length > 1; i >>= 1) {
+    proof.push(level[i ^ 1] ?? level[i]);
+    level = nextLevel(level);
+  }
+  return proof;
+}
+
+// Proofs for every leaf at once, for trees too large to walk once per leaf
+function merkleProofs(leaves) {
+  const proofs = leaves.map(() => []);
+  let level = leaves.map(leaf => leaf.toLowerCase());
+  // positions[j] is where leaf j's ancestor sits in the current level
+  const positions = leaves.map((_, j) => j);
+  while (level.length > 1) {
+    positions.forEach((i, j) => {
+      proofs[j].push(level[i ^ 1] ?? level[i]);
+      positions[j] = i >> 1;
+    });
+    level = nextLevel(level);
+  }
+  return proofs;
+}
+
+// Whether `leaf` is entry `index` of a `leafCount`-entry tree with `root`
+function verifyMerkleProof({ leaf, index, leafCount, proof, root }) {
+  if (!Number.isInteger(leafCount) || !Number.isInteger(index) || index < 0 || index >= leafCount ||
+      !Array.isArray(proof)) {
+    return false;
+  }
+  let node = leaf.toLowerCase();
+  let size = leafCount;
+  let i = index;
+  let depth = 0;
+  for (; size > 1; size = Math.ceil(size / 2), i >>= 1, depth++) {
+    const sibling = proof[depth];
+    if (typeof sibling !== 'string' || !/^0x[0-9a-fA-F]{64}$/.test(sibling)) return false;
+    const paired = sibling.toLowerCase();
+    // Only the last node of an odd level is its own sibling
+    const alone = i === size - 1 && size % 2 === 1;
+    if (alone && paired !== node) return false;
+    node = i % 2 === 0 ? hashPair(node, paired) : hashPair(paired, node);
+  }
+  return depth === proof.length && node === root.toLowerCase();
+}
+
+module.exports = { ZERO_ROOT, batchEntry, batchLeaf, revisionLeaf, merkleRoot, merkleProof, merkleProofs,
+  verifyMerkleProof };
@@ -0,0 +1,112 @@
+// Agent profile documents, shared by the indexer, the CLI and the blob
+// scripts (no dependencies, so the ES module side can import it too).
+//
+// A profile is a versioned JSON document:
+//   v                schema version, currently 1
+//   name             display name
+//   bio              free text
+//   avatarHash       0x-prefixed 32-byte hash of the avatar image (a blob
+//                    versioned hash or the keccak256 of the file)
+//   links            { label: url }, e.g. { website, a2a, mcp }
+//   capabilities     what the agent does, as lowercase tokens ("post", "dm", "mcp:tools")
+//   operatorContact  how to reach the human or org running the agent
+// Every field but v is optional; unknown fields are rejected so new ones
+// come with a new version.
+
+const PROFILE_VERSION = 1;
+
+const PROFILE_LIMITS = {
+  name: 64,
+  bio: 500,
+  links: 10,
+  linkLabel: 32,
+  url: 256,
+  capabilities: 32,
+  capability: 64,
+  operatorContact: 256,
+};
+
+const FIELDS = ['v', 'name', 'bio', 'avatarHash', 'links', 'capabilities', 'operatorContact'];
+
+function checkString(value, field, max) {
+  if (typeof value !== 'string' || value.length === 0 || value.length > max) {
+    throw new Error(`${field} must be a non-empty string of at most ${max} characters`);
+  }
+  return value;
+}
+
+// The profile with absent fields dropped and capabilities deduplicated.
+// Throws on anything that doesn't fit the schema.
+function normalizeProfile(doc) {
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+    throw new Error('Profile must be a JSON object');
+  }
+  const unknown = Object.keys(doc).find(key => !FIELDS.includes(key));
+  if (unknown) {
+    throw new Error(`Unknown profile field: ${unknown}`);
+  }
+  if (doc.v !== PROFILE_VERSION) {
+    throw new Error(`Unsupported profile version: ${doc.v} (expected ${PROFILE_VERSION})`);
+  }
+
+  const profile = { v: PROFILE_VERSION };
+  if (doc.name !== undefined) profile.name = checkString(doc.name, 'name', PROFILE_LIMITS.name);
+  if (doc.bio !== undefined) profile.bio = checkString(doc.bio, 'bio', PROFILE_LIMITS.bio);
+  if (doc.avatarHash !== undefined) {
+    if (typeof doc.avatarHash !== 'string' || !/^0x[0-9a-fA-F]{64}$/.test(doc.avatarHash)) {
+      throw new Error('avatarHash must be a 0x-prefixed 32-byte hex hash');
+    }
+    profile.avatarHash = doc.avatarHash.toLowerCase();
+  }
+  if (doc.links !== undefined) {
+    if (!doc.links || typeof doc.links !== 'object' || Array.isArray(doc.links)) {
+      throw new Error('links must be an object of label -> URL');
+    }
+    const labels = Object.keys(doc.links);
+    if (labels.length > PROFILE_LIMITS.links) {
+      throw new Error(`At most ${PROFILE_LIMITS.links} links`);
+    }
+    profile.links = {};
+    for (const label of labels) {
+      if (!/^[a-z0-9_-]+$/.test(label) || label.length > PROFILE_LIMITS.linkLabel) {
+        throw new Error(`Link label "${label}" must be up to ${PROFILE_LIMITS.linkLabel} of a-z, 0-9, _ and -`);
+      }
+      const url = checkString(doc.links[label], `links.${label}`, PROFILE_LIMITS.url);
+      if (!/^(https?|ipfs|ar):\/\//.test(url)) {
+        throw new Error(`links.${label} must be an http(s), ipfs or ar URL`);
+      }
+      profile.links[label] = url;
+    }
+  }
+  if (doc.capabilities !== undefined) {
+    if (!Array.isArray(doc.capabilities) || doc.capabilities.length > PROFILE_LIMITS.capabilities) {
+      throw new Error(`capabilities must be a list of at most ${PROFILE_LIMITS.capabilities} entries`);
+    }
+    for (const capability of doc.capabilities) {
+      if (typeof capability !== 'string' || !/^[a-z0-9][a-z0-9._:-]*$/.test(capability) ||
+          capability.length > PROFILE_LIMITS.capability) {
+        throw new Error(`Capability "${capability}" must be a lowercase token (a-z, 0-9, . _ : -)`);
+      }
+    }
+    profile.capabilities = [...new Set(doc.capabilities)];
+  }
+  if (doc.operatorContact !== undefined) {
+    profile.operatorContact = checkString(doc.operatorContact, 'operatorContact', PROFILE_LIMITS.operatorContact);
+  }
+  return profile;
+}
+
+// JSON with object keys sorted and no whitespace; its keccak256 is the
+// profileHash agents sign
+function canonicalProfile(profile) {
+  const sortKeys = value => {
+    if (Array.isArray(value)) return value.map(sortKeys);
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.keys(value).sort().map(key => [key, sortKeys(value[key])]));
+    }
+    return value;
+  };
+  return JSON.stringify(sortKeys(profile));
+}
+
+module.exports = { PROFILE_VERSION, PROFILE_LIMITS, normalizeProfile, canonicalProfile };
@@ -0,0 +1,326 @@
+const { ethers } = require('ethers');
+const { normalizeProfile, canonicalProfile } = require('./profile');
+const { batchLeaf, merkleRoot } = require('./merkle');
+const { canonicalEnvelope } = require('./envelope');
+
+// EIP-712 typed data for requests signed by agents and verified by the indexer
+
+const DOMAIN_NAME = 'BlobSocial';
+const DOMAIN_VERSION = '1';
+
+// isReply says whether parentId names the post replied to; a top-level post
+// signs isReply false and parentId 0. Post #0 can exist (legacy imports keep
+// their ids), so parentId alone can't tell the two apart.
+const POST_TYPES = {
+  Post: [
+    { name: 'contentHash', type: 'bytes32' },
+    { name: 'timestamp', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'isReply', type: 'bool' },
+    { name: 'parentId', type: 'uint256' },
+  ],
+};
+
+// A post embedding quotedId under its own content
+const QUOTE_POST_TYPES = {
+  QuotePost: [
+    { name: 'contentHash', type: 'bytes32' },
+    { name: 'timestamp', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'isReply', type: 'bool' },
+    { name: 'parentId', type: 'uint256' },
+    { name: 'quotedId', type: 'uint256' },
+  ],
+};
+
+const REPOST_TYPES = {
+  Repost: [
+    { name: 'postId', type: 'uint256' },
+    { name: 'timestamp', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+  ],
+};
+
+// Replaces the content of postId; contentHash is the new revision's
+const EDIT_POST_TYPES = {
+  EditPost: [
+    { name: 'postId', type: 'uint256' },
+    { name: 'contentHash', type: 'bytes32' },
+    { name: 'timestamp', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+  ],
+};
+
+const DELETE_POST_TYPES = {
+  DeletePost: [
+    { name: 'postId', type: 'uint256' },
+    { name: 'timestamp', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+  ],
+};
+
+// Reactions and their retraction sign the same fields under different names
+const REACTION_FIELDS = [
+  { name: 'postId', type: 'uint256' },
+  { name: 'kind', type: 'string' },
+  { name: 'timestamp', type: 'uint256' },
+  { name: 'nonce', type: 'uint256' },
+];
+const REACT_TYPES = { React: REACTION_FIELDS };
+const UNREACT_TYPES = { Unreact: REACTION_FIELDS };
+
+// Follows and unfollows likewise; `following` is the other agent's address
+const FOLLOW_FIELDS = [
+  { name: 'following', type: 'address' },
+  { name: 'timestamp', type: 'uint256' },
+  { name: 'nonce', type: 'uint256' },
+];
+const FOLLOW_TYPES = { Follow: FOLLOW_FIELDS };
+const UNFOLLOW_TYPES = { Unfollow: FOLLOW_FIELDS };
+
+// Publishes a batch of posts with one signature; merkleRoot commits to the
+// entries (see lib/merkle.js) and count pins the size of the tree
+const POST_BATCH_TYPES = {
+  PostBatch: [
+    { name: 'merkleRoot', type: 'bytes32' },
+    { name: 'count', type: 'uint256' },
+    { name: 'timestamp', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+  ],
+};
+
+// Marks the listed notifications, and every one with id <= upToId, as read
+const MARK_READ_TYPES = {
+  MarkNotificationsRead: [
+    { name: 'ids', type: 'uint256[]' },
+    { name: 'upToId', type: 'uint256' },
+    { name: 'timestamp', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+  ],
+};
+
+// Sets the signer's profile; profileHash is keccak256 of the normalized
+// profile's canonical JSON (see profileHash). agentId must be owned by the signer.
+const PROFILE_TYPES = {
+  Profile: [
+    { name: 'agentId', type: 'uint256' },
+    { name: 'profileHash', type: 'bytes32' },
+    { name: 'timestamp', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+  ],
+};
+
+// Publishes the x-only secp256k1 key others encrypt direct messages to
+const MESSAGING_KEY_TYPES = {
+  MessagingKey: [
+    { name: 'publicKey', type: 'bytes32' },
+    { name: 'timestamp', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+  ],
+};
+
+// Sends an encrypted message envelope; envelopeHash is keccak256 of its
+// canonical JSON (lib/envelope.js), so any key order hashes the same
+const DIRECT_MESSAGE_TYPES = {
+  DirectMessage: [
+    { name: 'to', type: 'address' },
+    { name: 'envelopeHash', type: 'bytes32' },
+    { name: 'timestamp', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+  ],
+};
+
+// Domain binding signatures to one chain and verifying contract. Indexers
+// sharing both accept each other's signatures (nonces are per indexer, so a
+// request signed for one can be replayed at another); a per-deployment salt
+// (32 bytes hex) gives each indexer a domain of its own.
+function buildDomain({ chainId, verifyingContract, salt = null }) {
+  const domain = {
+    name: DOMAIN_NAME,
+    version: DOMAIN_VERSION,
+    chainId,
+    verifyingContract: ethers.getAddress(verifyingContract),
+  };
+  if (salt !== null) {
+    if (!ethers.isHexString(salt, 32)) {
+      throw new Error('EIP-712 salt must be 32 bytes of hex');
+    }
+    domain.salt = salt.toLowerCase();
+  }
+  return domain;
+}
+
+function contentHash(content) {
+  return ethers.keccak256(ethers.toUtf8Bytes(content));
+}
+
+function postMessage(content, { timestamp, nonce, parentId = null }) {
+  return {
+    contentHash: contentHash(content),
+    timestamp,
+    nonce,
+    isReply: parentId !== null,
+    parentId: parentId ?? 0,
+  };
+}
+
+function quotePostMessage(content, { timestamp, nonce, parentId = null, quotedId }) {
+  return { ...postMessage(content, { timestamp, nonce, parentId }), quotedId };
+}
+
+function repostMessage(postId, { timestamp, nonce }) {
+  return { postId, timestamp, nonce };
+}
+
+function editMessage(postId, content, { timestamp, nonce }) {
+  return { postId, contentHash: contentHash(content), timestamp, nonce };
+}
+
+function deleteMessage(postId, { timestamp, nonce }) {
+  return { postId, timestamp, nonce };
+}
+
+function reactionMessage(postId, kind, { timestamp, nonce }) {
+  return { postId, kind, timestamp, nonce };
+}
+
+function followMessage(following, { timestamp, nonce }) {
+  return { following, timestamp, nonce };
+}
+
+// Throws if the profile doesn't fit the schema
+function profileHash(profile) {
+  return contentHash(canonicalProfile(normalizeProfile(profile)));
+}
+
+function profileMessage(agentId, profile, { timestamp, nonce }) {
+  return { agentId, profileHash: profileHash(profile), timestamp, nonce };
+}
+
+function messagingKeyMessage(publicKey, { timestamp, nonce }) {
+  return { publicKey, timestamp, nonce };
+}
+
+function envelopeHash(envelope) {
+  return contentHash(canonicalEnvelope(envelope));
+}
+
+function directMessage(to, envelope, { timestamp, nonce }) {
+  return { to, envelopeHash: envelopeHash(envelope), timestamp, nonce };
+}
+
+function batchMessage(entries, { timestamp, nonce }) {
+  return { merkleRoot: merkleRoot(entries.map(batchLeaf)), count: entries.length, timestamp, nonce };
+}
+
+function markReadMessage({ ids = [], upToId = 0 }, { timestamp, nonce }) {
+  return { ids, upToId, timestamp, nonce };
+}
+
+// Sign a post with an ethers signer
+async function signPost(signer, domain, content, fields) {
+  return signer.signTypedData(domain, POST_TYPES, postMessage(content, fields));
+}
+
+async function signQuotePost(signer, domain, content, fields) {
+  return signer.signTypedData(domain, QUOTE_POST_TYPES, quotePostMessage(content, fields));
+}
+
+async function signRepost(signer, domain, postId, fields) {
+  return signer.signTypedData(domain, REPOST_TYPES, repostMessage(postId, fields));
+}
+
+async function signEdit(signer, domain, postId, content, fields) {
+  return signer.signTypedData(domain, EDIT_POST_TYPES, editMessage(postId, content, fields));
+}
+
+async function signDelete(signer, domain, postId, fields) {
+  return signer.signTypedData(domain, DELETE_POST_TYPES, deleteMessage(postId, fields));
+}
+
+// Address that signed the typed data, or null if the signature is malformed
+function recoverTypedDataSigner(domain, types, message, signature) {
+  try {
+    return ethers.verifyTypedData(domain, types, message, signature);
+  } catch (e) {
+    return null;
+  }
+}
+
+// retract=true signs an Unreact
+async function signReaction(signer, domain, postId, kind, fields, { retract = false } = {}) {
+  return signer.signTypedData(domain, retract ? UNREACT_TYPES : REACT_TYPES, reactionMessage(postId, kind, fields));
+}
+
+// unfollow=true signs an Unfollow
+async function signFollow(signer, domain, following, fields, { unfollow = false } = {}) {
+  return signer.signTypedData(domain, unfollow ? UNFOLLOW_TYPES : FOLLOW_TYPES, followMessage(following, fields));
+}
+
+async function signProfile(signer, domain, agentId, profile, fields) {
+  return signer.signTypedData(domain, PROFILE_TYPES, profileMessage(agentId, profile, fields));
+}
+
+async function signMessagingKey(signer, domain, publicKey, fields) {
+  return signer.signTypedData(domain, MESSAGING_KEY_TYPES, messagingKeyMessage(publicKey, fields));
+}
+
+async function signDirectMessage(signer, domain, to, envelope, fields) {
+  return signer.signTypedData(domain, DIRECT_MESSAGE_TYPES, directMessage(to, envelope, fields));
+}
+
+async function signBatch(signer, domain, entries, fields) {
+  return signer.signTypedData(domain, POST_BATCH_TYPES, batchMessage(entries, fields));
+}
+
+async function signMarkRead(signer, domain, selection, fields) {
+  return signer.signTypedData(domain, MARK_READ_TYPES, markReadMessage(selection, fields));
+}
+
+module.exports = {
+  DOMAIN_NAME,
+  DOMAIN_VERSION,
+  POST_TYPES,
+  QUOTE_POST_TYPES,
+  REPOST_TYPES,
+  EDIT_POST_TYPES,
+  DELETE_POST_TYPES,
+  REACT_TYPES,
+  UNREACT_TYPES,
+  FOLLOW_TYPES,
+  UNFOLLOW_TYPES,
+  POST_BATCH_TYPES,
+  MARK_READ_TYPES,
+  PROFILE_TYPES,
+  MESSAGING_KEY_TYPES,
+  DIRECT_MESSAGE_TYPES,
+  buildDomain,
+  contentHash,
+  postMessage,
+  quotePostMessage,
+  repostMessage,
+  editMessage,
+  deleteMessage,
+  reactionMessage,
+  followMessage,
+  batchMessage,
+  markReadMessage,
+  profileHash,
+  profileMessage,
+  messagingKeyMessage,
+  envelopeHash,
+  directMessage,
+  signPost,
+  signQuotePost,
+  signRepost,
+  signEdit,
+  signDelete,
+  signReaction,
+  signFollow,
+  signBatch,
+  signMarkRead,
+  signProfile,
+  signMessagingKey,
+  signDirectMessage,
+  recoverTypedDataSigner,
+};
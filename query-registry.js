@@ -3,6 +3,7 @@
 const { ethers } = require('ethers');
 const fs = require('fs').promises;
 const path = require('path');
+const { FailoverProvider } = require('./lib/failover-provider');
 
 // ERC-8004 registry contract address
 const REGISTRY_ADDRESS = '0x8004A169FB4a3325136EB29fA0ceB6D2e539a432';
@@ -26,23 +27,14 @@ const RPC_URLS = [
 ];
 
 async function createProvider() {
-  for (const url of RPC_URLS) {
-    try {
-      console.log(`Trying RPC endpoint: ${url}`);
-      const provider = new ethers.JsonRpcProvider(url, null, {
-        staticNetwork: ethers.Network.from(1),
-        timeout: 10000
-      });
-      
-      // Test the connection
-      await provider.getBlockNumber();
-      console.log(`Successfully connected to ${url}`);
-      return provider;
-    } catch (error) {
-      console.log(`Failed to connect to ${url}: ${error.message}`);
-    }
+  const provider = new FailoverProvider(RPC_URLS, { network: 1, timeout: 10000 });
+  
+  // Fail early if none of the endpoints answer
+  await provider.getBlockNumber();
+  for (const endpoint of provider.status()) {
+    console.log(`RPC ${endpoint.url}: ${endpoint.state}`);
   }
-  throw new Error('Could not connect to any RPC endpoint');
+  return provider;
 }
 
 async function fetchMetadata(uri) {
@@ -2,20 +2,78 @@
  * Blob utilities for creating and managing blob transactions
  */
 
-import { toBlobs, toHex, stringToHex, hexToString, keccak256 } from 'viem';
-import { setupKzg } from 'viem';
-import * as cKzg from 'c-kzg';
-import { mainnetTrustedSetupPath } from 'viem/node';
+import { toBlobs, toHex, hexToString, hexToBytes, bytesToHex, keccak256 } from 'viem';
+import { loadKzg } from '../lib/blob-retrieval.js';
 import { PROTOCOL, CONTENT_TYPES } from './config.js';
+import { normalizeProfile } from '../lib/profile.js';
+import { batchEntry, batchLeaf, merkleRoot, merkleProof, verifyMerkleProof } from '../lib/merkle.js';
+import { canonicalEnvelope, envelopeSigningHash, recoverEnvelopeSigner, verifyEnvelope } from '../lib/envelope.js';
+import { createECDH, createCipheriv, createDecipheriv, hkdfSync, randomBytes } from 'node:crypto';
+import { gzipSync, gunzipSync, brotliCompressSync, brotliDecompressSync } from 'node:zlib';
 
-// Initialize KZG
-let kzg = null;
+// Direct messages: ECDH on secp256k1 between the sender's key and the
+// recipient's published key, HKDF-SHA256 to derive an AES-256-GCM key.
+// Public keys are x-only (32 bytes, as stored by BlobSocialGraph.setPublicKey);
+// the shared x coordinate is the same whichever y the key is lifted to.
+export const DM_ALGORITHM = 'secp256k1-ecdh+hkdf-sha256+aes-256-gcm';
+const DM_KDF_INFO = 'BlobSocial DM v1';
 
+// Merkle trees over batch entries (odd levels pair their last node with
+// itself; lib/merkle.js has the full definition)
+export { batchEntry, batchLeaf, merkleRoot, merkleProof, verifyMerkleProof };
+
+// Envelopes are signed over their canonical JSON (sorted keys, no sig);
+// verifyEnvelope also checks the signer against the ERC-8004 registry
+// (lib/envelope.js has the full definition)
+export { canonicalEnvelope, envelopeSigningHash, recoverEnvelopeSigner, verifyEnvelope };
+
+// Framed blob encoding. The envelope JSON, optionally compressed, is the
+// payload; it is cut into chunks and each chunk goes into its own blob behind
+// a 48-byte header (integers big-endian):
+//
+//   0   2   magic 0xb1 0x0b
+//   2   1   frame version (PROTOCOL.frameVersion)
+//   3   1   compression: 0 none, 1 gzip, 2 brotli
+//   4   32  payload id: keccak256 of the whole payload
+//   36  2   chunk index
+//   38  2   chunk count
+//   40  4   payload length
+//   44  4   chunk length
+//   48  ... chunk
+//
+// Frames are packed into field elements like any viem blob (a zero byte, then
+// 31 data bytes), so a blob carries up to 126,975 frame bytes. Chunks of one
+// payload may be spread over several transactions; the payload id, index and
+// count are all a reader needs to put them back together. Blobs that don't
+// start with the magic are the original format: bare envelope JSON.
+const FRAME_MAGIC = [0xb1, 0x0b];
+const FRAME_HEADER_SIZE = 48;
+const FRAME_CAPACITY = 4096 * 31 - 1; // field element data bytes, less viem's 0x80 terminator
+const CHUNK_SIZE = FRAME_CAPACITY - FRAME_HEADER_SIZE;
+const COMPRESSION = ['none', 'gzip', 'brotli'];
+
+// Packed blobs: envelopes from many agents sharing one blob, each stored
+// whole so it can be sliced out and verified on its own. Data bytes (after
+// field element unpacking; offsets count from the start of them):
+//
+//   0   2   magic 0xb1 0x0c
+//   2   1   pack version (PROTOCOL.packVersion)
+//   3   1   reserved, 0
+//   4   2   entry count n
+//   6   8n  index: offset and length (4 bytes each) of every entry
+//   ...     entries: envelope JSON, back to back, uncompressed
+const PACK_MAGIC = [0xb1, 0x0c];
+const PACK_HEADER_SIZE = 6;
+const PACK_ENTRY_SIZE = 8;
+export const PACK_CAPACITY = FRAME_CAPACITY;
+
+const GAS_PER_BLOB = 131072n; // 2^17
+const TX_BASE_GAS = 21000n;
+
+// c-kzg with the mainnet trusted setup (lib/blob-retrieval.js loads it once
+// for everything in this process); viem takes it as is
 export async function initKzg() {
-  if (!kzg) {
-    kzg = setupKzg(cKzg, mainnetTrustedSetupPath);
-  }
-  return kzg;
+  return loadKzg();
 }
 
 /**
@@ -41,8 +99,8 @@ export async function createPost({ agentId, content, contentType = 'text/plain',
     },
   };
 
-  // Sign the envelope
-  const contentHash = keccak256(stringToHex(JSON.stringify(envelope)));
+  // Sign the envelope's canonical encoding
+  const contentHash = envelopeSigningHash(envelope);
   envelope.sig = await signFn(contentHash);
 
   return envelope;
@@ -72,12 +130,172 @@ export async function createReply({ agentId, content, replyTo, rootPost }, signF
     },
   };
 
-  const contentHash = keccak256(stringToHex(JSON.stringify(envelope)));
+  const contentHash = envelopeSigningHash(envelope);
+  envelope.sig = await signFn(contentHash);
+
+  return envelope;
+}
+
+/**
+ * Create a repost envelope; with content it is a quote post
+ * @param {object} params Repost parameters
+ * @param {number} params.agentId - ERC-8004 agent ID
+ * @param {string} params.repostOf - Blob hash of the reposted post
+ * @param {string} params.content - Optional quote text
+ * @param {string[]} params.tags - Optional tags
+ * @param {function} signFn - Function to sign the content hash
+ * @returns {object} Signed repost envelope
+ */
+export async function createRepost({ agentId, repostOf, content, tags = [] }, signFn) {
+  if (!repostOf) {
+    throw new Error('repostOf (blob hash) is required');
+  }
+
+  const data = { repostOf };
+  if (content) {
+    data.content = content;
+    data.contentType = 'text/plain';
+    data.tags = tags;
+  }
+
+  const envelope = {
+    v: PROTOCOL.version,
+    type: CONTENT_TYPES.REPOST,
+    agent: agentId,
+    ts: Math.floor(Date.now() / 1000),
+    data,
+  };
+
+  const contentHash = envelopeSigningHash(envelope);
+  envelope.sig = await signFn(contentHash);
+
+  return envelope;
+}
+
+/**
+ * Create a profile envelope. The profile is checked against the schema in
+ * lib/profile.js; anchor the blob with BlobSocialGraph.updateProfile.
+ * @param {object} params Profile parameters
+ * @param {number} params.agentId - ERC-8004 agent ID
+ * @param {object} params.profile - Profile document ({ v: 1, name, bio, avatarHash, links, capabilities, operatorContact })
+ * @param {function} signFn - Function to sign the content hash
+ * @returns {object} Signed profile envelope
+ */
+export async function createProfile({ agentId, profile }, signFn) {
+  const envelope = {
+    v: PROTOCOL.version,
+    type: CONTENT_TYPES.PROFILE,
+    agent: agentId,
+    ts: Math.floor(Date.now() / 1000),
+    data: normalizeProfile(profile),
+  };
+
+  const contentHash = envelopeSigningHash(envelope);
   envelope.sig = await signFn(contentHash);
 
   return envelope;
 }
 
+/**
+ * X-only public key for a messaging private key, as published with
+ * BlobSocialGraph.setPublicKey or POST /agent/:address/key
+ * @param {string} privateKey - Hex private key (an agent wallet key works)
+ * @returns {string} 0x-prefixed 32-byte public key
+ */
+export function messagingPublicKey(privateKey) {
+  const ecdh = createECDH('secp256k1');
+  ecdh.setPrivateKey(Buffer.from(privateKey.replace(/^0x/, ''), 'hex'));
+  return '0x' + ecdh.getPublicKey('hex', 'compressed').slice(2);
+}
+
+function conversationKey(privateKey, otherPublicKey) {
+  const ecdh = createECDH('secp256k1');
+  ecdh.setPrivateKey(Buffer.from(privateKey.replace(/^0x/, ''), 'hex'));
+  const shared = ecdh.computeSecret(Buffer.from('02' + otherPublicKey.replace(/^0x/, ''), 'hex'));
+  return Buffer.from(hkdfSync('sha256', shared, Buffer.alloc(0), DM_KDF_INFO, 32));
+}
+
+// Envelope fields the ciphertext is bound to, so they can't be swapped
+function messageAad(envelope) {
+  const { to, senderKey, recipientKey } = envelope.data;
+  return Buffer.from(JSON.stringify({ v: envelope.v, agent: envelope.agent, ts: envelope.ts, to, senderKey, recipientKey }));
+}
+
+/**
+ * Create an encrypted direct message envelope. Only the two parties can
+ * read it: the content is encrypted to a key both derive with ECDH.
+ * @param {object} params Message parameters
+ * @param {number} params.agentId - Sender's ERC-8004 agent ID
+ * @param {string} params.to - Recipient address
+ * @param {string} params.recipientKey - Recipient's published x-only public key
+ * @param {string} params.content - Message text
+ * @param {string} params.privateKey - Sender's messaging private key
+ * @param {function} signFn - Function to sign the content hash
+ * @returns {object} Signed message envelope (ciphertext only)
+ */
+export async function createMessage({ agentId, to, recipientKey, content, privateKey }, signFn) {
+  if (!/^0x[0-9a-fA-F]{40}$/.test(to)) {
+    throw new Error('to must be an Ethereum address');
+  }
+  if (!/^0x[0-9a-fA-F]{64}$/.test(recipientKey)) {
+    throw new Error('recipientKey must be a 32-byte x-only public key');
+  }
+
+  const envelope = {
+    v: PROTOCOL.version,
+    type: CONTENT_TYPES.MESSAGE,
+    agent: agentId,
+    ts: Math.floor(Date.now() / 1000),
+    data: {
+      alg: DM_ALGORITHM,
+      to,
+      senderKey: messagingPublicKey(privateKey),
+      recipientKey: recipientKey.toLowerCase(),
+    },
+  };
+
+  const iv = randomBytes(12);
+  const cipher = createCipheriv('aes-256-gcm', conversationKey(privateKey, recipientKey), iv);
+  cipher.setAAD(messageAad(envelope));
+  const ciphertext = Buffer.concat([cipher.update(content, 'utf8'), cipher.final()]);
+  envelope.data.iv = toHex(iv);
+  envelope.data.ciphertext = toHex(ciphertext);
+  envelope.data.tag = toHex(cipher.getAuthTag());
+
+  const contentHash = envelopeSigningHash(envelope);
+  envelope.sig = await signFn(contentHash);
+
+  return envelope;
+}
+
+/**
+ * Decrypt a direct message envelope as either party
+ * @param {object} envelope - Message envelope from createMessage
+ * @param {string} privateKey - Sender's or recipient's messaging private key
+ * @returns {string} Message text
+ */
+export function decryptMessage(envelope, privateKey) {
+  const { alg, senderKey, recipientKey, iv, ciphertext, tag } = envelope.data;
+  if (alg !== DM_ALGORITHM) {
+    throw new Error(`Unsupported message algorithm: ${alg}`);
+  }
+
+  const ownKey = messagingPublicKey(privateKey);
+  if (ownKey !== senderKey && ownKey !== recipientKey) {
+    throw new Error('Message was not encrypted for this key');
+  }
+  const otherKey = ownKey === senderKey ? recipientKey : senderKey;
+
+  const decipher = createDecipheriv('aes-256-gcm', conversationKey(privateKey, otherKey), Buffer.from(iv.slice(2), 'hex'));
+  decipher.setAAD(messageAad(envelope));
+  decipher.setAuthTag(Buffer.from(tag.slice(2), 'hex'));
+  try {
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext.slice(2), 'hex')), decipher.final()]).toString('utf8');
+  } catch (e) {
+    throw new Error('Message failed authentication (tampered, or wrong key)');
+  }
+}
+
 /**
  * Create a batch of posts
  * @param {object[]} posts - Array of post objects
@@ -92,96 +310,383 @@ export async function createBatch(posts, agentId, signFn) {
     agent: agentId,
     ts: Math.floor(Date.now() / 1000),
     data: {
-      posts: posts.map(p => ({
-        content: p.content,
+      posts: posts.map(p => batchEntry({
+        ...p,
         contentType: p.contentType || 'text/plain',
         ts: p.ts || Math.floor(Date.now() / 1000),
-        tags: p.tags || [],
       })),
     },
   };
 
   // Create merkle root of individual post hashes
-  const postHashes = envelope.data.posts.map(p => 
-    keccak256(stringToHex(JSON.stringify(p)))
-  );
-  envelope.data.merkleRoot = createMerkleRoot(postHashes);
+  envelope.data.merkleRoot = merkleRoot(envelope.data.posts.map(batchLeaf));
 
-  const contentHash = keccak256(stringToHex(JSON.stringify(envelope)));
+  const contentHash = envelopeSigningHash(envelope);
   envelope.sig = await signFn(contentHash);
 
   return envelope;
 }
 
 /**
- * Create a simple merkle root from an array of hashes
- * @param {string[]} hashes - Array of hex hashes
- * @returns {string} Merkle root
+ * Inclusion proofs for every post of a batch envelope, so each post can be
+ * checked against the batch's merkleRoot on its own
+ * @param {object} envelope - Batch envelope from createBatch
+ * @returns {object[]} { index, leaf, proof } per post, in batch order
  */
-function createMerkleRoot(hashes) {
-  if (hashes.length === 0) return '0x' + '0'.repeat(64);
-  if (hashes.length === 1) return hashes[0];
+export function batchProofs(envelope) {
+  const leaves = envelope.data.posts.map(batchLeaf);
+  return leaves.map((leaf, index) => ({ index, leaf, proof: merkleProof(leaves, index) }));
+}
+
+// Envelope JSON, compressed the smallest way among the candidates
+function encodePayload(envelope, compression) {
+  const json = Buffer.from(JSON.stringify(envelope), 'utf8');
+  if (json.length > PROTOCOL.maxEnvelopeSize) {
+    throw new Error(`Envelope is ${json.length} bytes; the limit is ${PROTOCOL.maxEnvelopeSize}`);
+  }
 
-  const nextLevel = [];
-  for (let i = 0; i < hashes.length; i += 2) {
-    const left = hashes[i];
-    const right = hashes[i + 1] || left;
-    nextLevel.push(keccak256(left + right.slice(2)));
+  const candidates = compression === 'auto' ? COMPRESSION : [compression];
+  if (!candidates.every(c => COMPRESSION.includes(c))) {
+    throw new Error(`Unknown compression: ${compression}. Available: auto, ${COMPRESSION.join(', ')}`);
   }
-  return createMerkleRoot(nextLevel);
+  const [best] = candidates
+    .map(method => ({ method, payload: compress(json, method) }))
+    .sort((a, b) => a.payload.length - b.payload.length);
+
+  return { size: json.length, compression: best.method, payload: best.payload, payloadId: keccak256(best.payload) };
+}
+
+function encodeFrame({ compression, payload, payloadId }, index, count, chunk) {
+  const frame = Buffer.alloc(FRAME_HEADER_SIZE + chunk.length);
+  frame.set(FRAME_MAGIC, 0);
+  frame.writeUInt8(PROTOCOL.frameVersion, 2);
+  frame.writeUInt8(COMPRESSION.indexOf(compression), 3);
+  frame.set(hexToBytes(payloadId), 4);
+  frame.writeUInt16BE(index, 36);
+  frame.writeUInt16BE(count, 38);
+  frame.writeUInt32BE(payload.length, 40);
+  frame.writeUInt32BE(chunk.length, 44);
+  frame.set(chunk, FRAME_HEADER_SIZE);
+  return frame;
 }
 
 /**
- * Convert content to blobs
+ * Convert an envelope to framed blobs, split into as many transactions as
+ * PROTOCOL.maxBlobsPerTx requires
  * @param {object} envelope - Post envelope
- * @returns {object} Blobs and related data
+ * @param {object} options
+ * @param {string} options.compression - none, gzip, brotli or auto (default:
+ *   auto, whichever is smallest)
+ * @returns {object} Blobs, per-transaction blob lists and related data
  */
-export async function envelopeToBlobs(envelope) {
+export async function envelopeToBlobs(envelope, { compression = 'auto' } = {}) {
   const kzg = await initKzg();
-  const jsonStr = JSON.stringify(envelope);
-  const data = stringToHex(jsonStr);
+  const encoded = encodePayload(envelope, compression);
+  const { payload } = encoded;
+  const count = Math.max(1, Math.ceil(payload.length / CHUNK_SIZE));
+  if (count > 0xffff) {
+    throw new Error(`Payload needs ${count} blobs; a frame can number at most 65535`);
+  }
 
-  // Create blobs
-  const blobs = toBlobs({ data });
+  const blobs = [];
+  for (let index = 0; index < count; index++) {
+    const chunk = payload.subarray(index * CHUNK_SIZE, (index + 1) * CHUNK_SIZE);
+    blobs.push(...toBlobs({ data: bytesToHex(encodeFrame(encoded, index, count, chunk)) }));
+  }
+
+  const transactions = [];
+  for (let i = 0; i < blobs.length; i += PROTOCOL.maxBlobsPerTx) {
+    transactions.push(blobs.slice(i, i + PROTOCOL.maxBlobsPerTx));
+  }
 
   return {
     blobs,
+    transactions,
     kzg,
-    data,
-    size: jsonStr.length,
+    payloadId: encoded.payloadId,
+    compression: encoded.compression,
+    size: encoded.size,
+    payloadSize: payload.length,
     blobCount: blobs.length,
   };
 }
 
 /**
- * Decode blob data back to envelope
+ * Encode an envelope as transaction calldata: the whole payload in a single
+ * frame, which decodeBlobData reads like a blob
+ * @param {object} envelope - Post envelope
+ * @param {object} options
+ * @param {string} options.compression - As for envelopeToBlobs
+ * @returns {object} { data, size, payloadSize, compression, payloadId }
+ */
+export function envelopeToCalldata(envelope, { compression = 'auto' } = {}) {
+  const encoded = encodePayload(envelope, compression);
+  const data = bytesToHex(encodeFrame(encoded, 0, 1, encoded.payload));
+  if ((data.length - 2) / 2 > PROTOCOL.maxCalldataSize) {
+    throw new Error(`Calldata would be ${(data.length - 2) / 2} bytes; the limit is ${PROTOCOL.maxCalldataSize}`);
+  }
+  return {
+    data,
+    size: encoded.size,
+    payloadSize: encoded.payload.length,
+    compression: encoded.compression,
+    payloadId: encoded.payloadId,
+  };
+}
+
+/**
+ * Bytes a packed blob of entries this long takes
+ * @param {number[]} lengths - Byte length of each entry's JSON
+ * @returns {number} Packed size; it fits if it's at most PACK_CAPACITY
+ */
+export function packedSize(lengths) {
+  return PACK_HEADER_SIZE + PACK_ENTRY_SIZE * lengths.length + lengths.reduce((sum, n) => sum + n, 0);
+}
+
+/**
+ * Pack signed envelopes from any number of agents into one blob
+ * @param {string[]} entries - Envelope JSON, exactly as it should be stored
+ * @returns {object} { blob, entries: [{ index, offset, length }], size }
+ */
+export function packEnvelopes(entries) {
+  const bytes = entries.map(json => Buffer.from(json, 'utf8'));
+  const size = packedSize(bytes.map(b => b.length));
+  if (entries.length === 0 || entries.length > 0xffff) {
+    throw new Error(`A packed blob holds 1 to 65535 envelopes, not ${entries.length}`);
+  }
+  if (size > PACK_CAPACITY) {
+    throw new Error(`Packed envelopes take ${size} bytes; a blob holds ${PACK_CAPACITY}`);
+  }
+
+  const data = Buffer.alloc(size);
+  data.set(PACK_MAGIC, 0);
+  data.writeUInt8(PROTOCOL.packVersion, 2);
+  data.writeUInt16BE(entries.length, 4);
+  let offset = PACK_HEADER_SIZE + PACK_ENTRY_SIZE * entries.length;
+  const index = bytes.map((entry, i) => {
+    data.writeUInt32BE(offset, PACK_HEADER_SIZE + PACK_ENTRY_SIZE * i);
+    data.writeUInt32BE(entry.length, PACK_HEADER_SIZE + PACK_ENTRY_SIZE * i + 4);
+    data.set(entry, offset);
+    const placed = { index: i, offset, length: entry.length };
+    offset += entry.length;
+    return placed;
+  });
+
+  const [blob] = toBlobs({ data: bytesToHex(data) });
+  return { blob, entries: index, size };
+}
+
+/**
+ * Split a packed blob into its envelopes
  * @param {string} blobHex - Hex-encoded blob data
- * @returns {object} Decoded envelope
+ * @returns {object[]|null} { index, offset, length, envelope } per entry, or
+ *   null if the blob isn't packed
  */
-export function decodeBlobData(blobHex) {
-  // Blobs are padded with zeros, find the actual content
-  let trimmed = blobHex;
-  
-  // Remove 0x prefix if present
-  if (trimmed.startsWith('0x')) {
-    trimmed = trimmed.slice(2);
+export function decodePackedBlob(blobHex) {
+  const bytes = Buffer.from(blobBytes(blobHex));
+  if (bytes[0] !== PACK_MAGIC[0] || bytes[1] !== PACK_MAGIC[1]) return null;
+  if (bytes.length < PACK_HEADER_SIZE) {
+    throw new Error('Packed blob header is truncated');
+  }
+  const version = bytes.readUInt8(2);
+  if (version !== PROTOCOL.packVersion) {
+    throw new Error(`Unsupported packed blob version: ${version}`);
+  }
+
+  const count = bytes.readUInt16BE(4);
+  const dataStart = PACK_HEADER_SIZE + PACK_ENTRY_SIZE * count;
+  if (dataStart > bytes.length) {
+    throw new Error('Packed blob index is truncated');
+  }
+  return [...Array(count).keys()].map(index => {
+    const offset = bytes.readUInt32BE(PACK_HEADER_SIZE + PACK_ENTRY_SIZE * index);
+    const length = bytes.readUInt32BE(PACK_HEADER_SIZE + PACK_ENTRY_SIZE * index + 4);
+    if (offset < dataStart || offset + length > bytes.length) {
+      throw new Error(`Packed entry ${index} is out of range`);
+    }
+    try {
+      return { index, offset, length, envelope: JSON.parse(bytes.subarray(offset, offset + length).toString('utf8')) };
+    } catch (e) {
+      throw new Error(`Failed to decode packed entry ${index}: ${e.message}`);
+    }
+  });
+}
+
+function compress(data, method) {
+  switch (method) {
+    case 'gzip': return gzipSync(data);
+    case 'brotli': return brotliCompressSync(data);
+    default: return data;
+  }
+}
+
+function decompress(data, method) {
+  const options = { maxOutputLength: PROTOCOL.maxEnvelopeSize };
+  switch (method) {
+    case 'gzip': return gunzipSync(data, options);
+    case 'brotli': return brotliDecompressSync(data, options);
+    default: return data;
+  }
+}
+
+// The data bytes of a blob: a full-size blob is unpacked from its field
+// elements, anything shorter is taken as already unpacked
+function blobBytes(blobHex) {
+  const bytes = hexToBytes(blobHex.startsWith('0x') ? blobHex : `0x${blobHex}`);
+  if (bytes.length !== PROTOCOL.maxBlobSize) return bytes;
+
+  const data = new Uint8Array(bytes.length / 32 * 31);
+  for (let i = 0, j = 0; i < bytes.length; i += 32, j += 31) {
+    data.set(bytes.subarray(i + 1, i + 32), j);
+  }
+  return data;
+}
+
+/**
+ * Read the frame header of a blob
+ * @param {string} blobHex - Hex-encoded blob data
+ * @returns {object|null} { version, compression, payloadId, index, count,
+ *   payloadLength, chunk }, or null for an unframed (original format) blob
+ */
+export function decodeBlobFrame(blobHex) {
+  const bytes = Buffer.from(blobBytes(blobHex));
+  if (bytes[0] !== FRAME_MAGIC[0] || bytes[1] !== FRAME_MAGIC[1]) return null;
+  if (bytes.length < FRAME_HEADER_SIZE) {
+    throw new Error('Blob frame header is truncated');
+  }
+
+  const version = bytes.readUInt8(2);
+  if (version !== PROTOCOL.frameVersion) {
+    throw new Error(`Unsupported blob frame version: ${version}`);
+  }
+  const compression = COMPRESSION[bytes.readUInt8(3)];
+  if (!compression) {
+    throw new Error(`Unknown blob compression: ${bytes.readUInt8(3)}`);
   }
 
-  // Find trailing zeros and trim
-  let endIndex = trimmed.length;
-  while (endIndex > 0 && trimmed.slice(endIndex - 2, endIndex) === '00') {
-    endIndex -= 2;
+  const frame = {
+    version,
+    compression,
+    payloadId: bytesToHex(bytes.subarray(4, 36)),
+    index: bytes.readUInt16BE(36),
+    count: bytes.readUInt16BE(38),
+    payloadLength: bytes.readUInt32BE(40),
+  };
+  const chunkLength = bytes.readUInt32BE(44);
+  if (frame.count === 0 || frame.index >= frame.count) {
+    throw new Error(`Blob frame claims chunk ${frame.index} of ${frame.count}`);
+  }
+  if (FRAME_HEADER_SIZE + chunkLength > bytes.length || chunkLength > frame.payloadLength) {
+    throw new Error('Blob frame chunk length is out of range');
   }
-  trimmed = '0x' + trimmed.slice(0, endIndex);
+  frame.chunk = bytes.subarray(FRAME_HEADER_SIZE, FRAME_HEADER_SIZE + chunkLength);
+  return frame;
+}
+
+// The original format: envelope JSON followed by padding
+function decodeLegacyBlob(blobHex) {
+  const bytes = blobBytes(blobHex);
+  let end = bytes.length;
+  while (end > 0 && bytes[end - 1] === 0) end--;
+  // viem's toBlobs marks the end of the data with 0x80
+  if (bytes.length === PROTOCOL.maxBlobSize / 32 * 31 && bytes[end - 1] === 0x80) end--;
 
   try {
-    const str = hexToString(trimmed);
-    return JSON.parse(str);
+    return JSON.parse(hexToString(bytesToHex(bytes.subarray(0, end))));
   } catch (e) {
     throw new Error(`Failed to decode blob data: ${e.message}`);
   }
 }
 
+// Join the frames of one payload and check them against its id
+function assemblePayload(frames) {
+  const [first] = frames;
+  const byIndex = new Map();
+  for (const frame of frames) {
+    if (frame.count !== first.count || frame.payloadLength !== first.payloadLength ||
+        frame.compression !== first.compression) {
+      throw new Error(`Chunks of payload ${first.payloadId} disagree on its layout`);
+    }
+    byIndex.set(frame.index, frame.chunk);
+  }
+
+  const missing = [];
+  for (let i = 0; i < first.count; i++) {
+    if (!byIndex.has(i)) missing.push(i);
+  }
+  if (missing.length > 0) {
+    throw new Error(`Payload ${first.payloadId} is missing chunk${missing.length > 1 ? 's' : ''} ` +
+      `${missing.join(', ')} of ${first.count}`);
+  }
+
+  const payload = Buffer.concat([...Array(first.count).keys()].map(i => byIndex.get(i)));
+  if (payload.length !== first.payloadLength) {
+    throw new Error(`Payload ${first.payloadId} is ${payload.length} bytes, expected ${first.payloadLength}`);
+  }
+  if (keccak256(payload) !== first.payloadId) {
+    throw new Error(`Payload ${first.payloadId} does not match its hash`);
+  }
+
+  try {
+    return JSON.parse(decompress(payload, first.compression).toString('utf8'));
+  } catch (e) {
+    throw new Error(`Failed to decode payload ${first.payloadId}: ${e.message}`);
+  }
+}
+
+/**
+ * Decode blobs back to envelopes, reassembling chunked payloads
+ * @param {string[]} blobHexes - Hex-encoded blob data, in any order; may span
+ *   several transactions
+ * @returns {object[]} Decoded envelopes, in order of each one's first blob
+ */
+export function decodeBlobs(blobHexes) {
+  const payloads = new Map();
+  for (const blobHex of blobHexes) {
+    const packed = decodePackedBlob(blobHex);
+    if (packed) {
+      payloads.set(Symbol('packed'), packed.map(entry => entry.envelope));
+      continue;
+    }
+    const frame = decodeBlobFrame(blobHex);
+    if (!frame) {
+      payloads.set(Symbol('legacy'), blobHex);
+    } else if (payloads.has(frame.payloadId)) {
+      payloads.get(frame.payloadId).push(frame);
+    } else {
+      payloads.set(frame.payloadId, [frame]);
+    }
+  }
+
+  return [...payloads.entries()].flatMap(([key, value]) => {
+    if (typeof value === 'string') return [decodeLegacyBlob(value)];
+    // Packed blobs are already split into envelopes
+    return typeof key === 'symbol' ? value : [assemblePayload(value)];
+  });
+}
+
+/**
+ * Decode a single blob back to an envelope
+ * @param {string} blobHex - Hex-encoded blob data
+ * @returns {object} Decoded envelope
+ */
+export function decodeBlobData(blobHex) {
+  const packed = decodePackedBlob(blobHex);
+  if (packed) {
+    if (packed.length !== 1) {
+      throw new Error(`Blob packs ${packed.length} envelopes; decode it with decodeBlobs or decodePackedBlob`);
+    }
+    return packed[0].envelope;
+  }
+  const frame = decodeBlobFrame(blobHex);
+  if (!frame) return decodeLegacyBlob(blobHex);
+  if (frame.count > 1) {
+    throw new Error(`Blob holds chunk ${frame.index} of ${frame.count} of payload ${frame.payloadId}; ` +
+      'decode it together with the other chunks');
+  }
+  return assemblePayload([frame]);
+}
+
 /**
  * Estimate blob gas for a transaction
  * @param {number} blobCount - Number of blobs
@@ -189,10 +694,57 @@ export function decodeBlobData(blobHex) {
  * @returns {bigint} Estimated blob gas cost
  */
 export function estimateBlobGas(blobCount, blobBaseFee) {
-  const GAS_PER_BLOB = 131072n; // 2^17
   return BigInt(blobCount) * GAS_PER_BLOB * blobBaseFee;
 }
 
+/**
+ * Intrinsic gas of a transaction carrying this calldata: EIP-2028 pricing or
+ * the EIP-7623 floor, whichever is higher
+ * @param {string} data - Hex calldata
+ * @returns {bigint} Gas
+ */
+export function calldataGas(data) {
+  const bytes = hexToBytes(data);
+  const zeros = BigInt(bytes.filter(b => b === 0).length);
+  const tokens = zeros + (BigInt(bytes.length) - zeros) * 4n;
+  const standard = TX_BASE_GAS + tokens * 4n;
+  const floor = TX_BASE_GAS + tokens * 10n;
+  return standard > floor ? standard : floor;
+}
+
+/**
+ * What posting costs as blobs and as calldata
+ * @param {object} encoded
+ * @param {number[]} encoded.blobsPerTx - Blob count of each blob transaction
+ * @param {string} encoded.calldata - Calldata hex, or null if it doesn't fit
+ * @param {object} fees - { baseFeePerGas, maxFeePerGas, maxPriorityFeePerGas,
+ *   blobBaseFee, maxFeePerBlobGas }, all bigint wei
+ * @returns {object} { blob, calldata, cheapest }; each path has transactions,
+ *   executionGas, blobGas, expected (wei at current fees) and max (wei at the
+ *   fee caps). calldata is null when the payload is too big for it.
+ */
+export function estimatePostCost({ blobsPerTx, calldata }, fees) {
+  const gasPrice = fees.baseFeePerGas + fees.maxPriorityFeePerGas;
+  const path = (transactions, executionGas, blobGas) => ({
+    transactions,
+    executionGas,
+    blobGas,
+    expected: executionGas * gasPrice + blobGas * fees.blobBaseFee,
+    max: executionGas * fees.maxFeePerGas + blobGas * fees.maxFeePerBlobGas,
+  });
+
+  const blobCount = blobsPerTx.reduce((sum, n) => sum + n, 0);
+  const blob = path(blobsPerTx.length, TX_BASE_GAS * BigInt(blobsPerTx.length),
+    GAS_PER_BLOB * BigInt(blobCount));
+  const viaCalldata = calldata ? path(1, calldataGas(calldata), 0n) : null;
+
+  return {
+    blob,
+    calldata: viaCalldata,
+    cheapest: viaCalldata && viaCalldata.expected < blob.expected ? 'calldata' : 'blob',
+  };
+}
+
 /**
  * Format blob hash for display
  * @param {string} hash - Full blob hash
@@ -202,6 +754,16 @@ export function shortHash(hash) {
   return `${hash.slice(0, 10)}...${hash.slice(-8)}`;
 }
 
+// A post, reply, repost or batch entry: text content and optional string tags
+function validateFeedEntry(entry, where) {
+  if (!entry || typeof entry.content !== 'string') {
+    throw new Error(`${where}.content must be a string`);
+  }
+  if (entry.tags != null && (!Array.isArray(entry.tags) || !entry.tags.every(tag => typeof tag === 'string'))) {
+    throw new Error(`${where}.tags must be an array of strings`);
+  }
+}
+
 /**
  * Validate envelope format
  * @param {object} envelope - Post envelope
@@ -226,5 +788,36 @@ export function validateEnvelope(envelope) {
   if (!envelope.sig) {
     throw new Error('Signature is required');
   }
+  if (envelope.type === CONTENT_TYPES.POST || envelope.type === CONTENT_TYPES.REPLY) {
+    validateFeedEntry(envelope.data, 'data');
+  }
+  if (envelope.type === CONTENT_TYPES.REPOST) {
+    if (typeof envelope.data.repostOf !== 'string') {
+      throw new Error('Repost must name the reposted blob in data.repostOf');
+    }
+    // Content is optional here; it turns the repost into a quote
+    validateFeedEntry({ ...envelope.data, content: envelope.data.content ?? '' }, 'data');
+  }
+  if (envelope.type === CONTENT_TYPES.PROFILE) {
+    normalizeProfile(envelope.data);
+  }
+  if (envelope.type === CONTENT_TYPES.BATCH) {
+    if (!Array.isArray(envelope.data.posts) || envelope.data.posts.length === 0) {
+      throw new Error('Batch needs data.posts');
+    }
+    envelope.data.posts.forEach((entry, i) => validateFeedEntry(entry, `data.posts[${i}]`));
+    if (envelope.data.merkleRoot !== merkleRoot(envelope.data.posts.map(batchLeaf))) {
+      throw new Error('Batch merkleRoot does not match its posts');
+    }
+  }
+  if (envelope.type === CONTENT_TYPES.MESSAGE) {
+    const { to, senderKey, recipientKey, iv, ciphertext, tag } = envelope.data;
+    const isHex = (value, bytes) => typeof value === 'string' &&
+      new RegExp(`^0x[0-9a-fA-F]{${bytes ? bytes * 2 : '0,'}}$`).test(value);
+    if (!isHex(to, 20) || !isHex(senderKey, 32) || !isHex(recipientKey, 32) ||
+        !isHex(iv, 12) || !isHex(ciphertext) || !isHex(tag, 16)) {
+      throw new Error('Message needs data.to, senderKey, recipientKey, iv, ciphertext and tag');
+    }
+  }
   return true;
 }
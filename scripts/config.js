@@ -11,7 +11,7 @@ export const NETWORKS = {
     rpcUrl: process.env.MAINNET_RPC_URL || 'https://eth.llamarpc.com',
     blobSocialGraph: null, // Not deployed yet
     archiverRegistry: null,
-    agentRegistry: '0x...', // ERC-8004 address
+    agentRegistry: '0x8004A169FB4a3325136EB29fA0ceB6D2e539a432', // ERC-8004 Identity Registry
   },
   sepolia: {
     chain: sepolia,
@@ -36,18 +36,29 @@ export const NETWORKS = {
   },
 };
 
+// Where envelope signers are checked: every agent is registered on mainnet
+export const AGENT_REGISTRY = {
+  address: NETWORKS.mainnet.agentRegistry,
+  rpcUrl: process.env.REGISTRY_RPC_URL || NETWORKS.mainnet.rpcUrl,
+};
+
 // Blob Social protocol constants
 export const PROTOCOL = {
   version: 1,
   maxPostLength: 100000, // ~100KB text, leaves room for metadata
   maxBlobSize: 131072,   // 128KB per blob
   maxBlobsPerTx: 6,      // EIP-4844 limit
+  frameVersion: 1,       // framed blob encoding (see blob-utils.js)
+  packVersion: 1,        // packed (shared) blobs from the aggregator
+  maxEnvelopeSize: 1048576, // largest envelope a reader will reassemble or decompress
+  maxCalldataSize: 122880, // calldata posts; txpools reject transactions over 128KB
 };
 
 // Content types
 export const CONTENT_TYPES = {
   POST: 'post',
   REPLY: 'reply',
+  REPOST: 'repost',
   BATCH: 'batch',
   MESSAGE: 'message',
   PROFILE: 'profile',
@@ -59,6 +70,17 @@ export const BLOBSCAN_API = {
   sepolia: 'https://api.sepolia.blobscan.com',
 };
 
+// Beacon APIs for blob sidecars; there is no public default, so set one to
+// read blobs straight from the consensus layer
+export const BEACON_API = {
+  mainnet: process.env.MAINNET_BEACON_URL || null,
+  sepolia: process.env.SEPOLIA_BEACON_URL || null,
+};
+
+// Extra Blobscan-compatible endpoints or archivers to fall back to
+// (comma-separated; a URL may contain {hash})
+export const BLOB_ARCHIVERS = (process.env.BLOB_ARCHIVERS || '').split(',').map(s => s.trim()).filter(Boolean);
+
 export function getNetwork(name) {
   const network = NETWORKS[name];
   if (!network) {
@@ -4,6 +4,9 @@
  * 
  * Usage:
  *   node post.js "Hello blob world!" --agent 12345 --network sepolia
+ *   node post.js "$(cat essay.md)" --agent 12345 --compression brotli
+ *   node post.js "gm" --agent 12345 --estimate
+ *   node post.js "gm" --agent 12345 --mode auto --max-spend 0.001
  */
 
 import 'dotenv/config';
@@ -12,11 +15,22 @@ import {
   createPublicClient,
   http, 
   parseGwei,
+  parseEther,
   formatEther,
+  formatGwei,
 } from 'viem';
 import { privateKeyToAccount } from 'viem/accounts';
 import { getNetwork } from './config.js';
-import { createPost, envelopeToBlobs, shortHash } from './blob-utils.js';
+import {
+  createPost,
+  envelopeToBlobs,
+  envelopeToCalldata,
+  estimatePostCost,
+  estimateBlobGas,
+  shortHash,
+} from './blob-utils.js';
+
+const NULL_ADDRESS = '0x0000000000000000000000000000000000000000'; // we only care about the data
 
 // Parse command line arguments
 function parseArgs() {
@@ -26,6 +40,12 @@ function parseArgs() {
     agentId: parseInt(process.env.AGENT_ID || '0'),
     network: process.env.NETWORK || 'sepolia',
     dryRun: false,
+    compression: 'auto',
+    estimate: false,
+    mode: 'blob',
+    maxSpend: null,
+    bumpAfter: 60,
+    maxBumps: 3,
     tags: [],
   };
 
@@ -38,6 +58,18 @@ function parseArgs() {
       result.dryRun = true;
     } else if (args[i] === '--tag') {
       result.tags.push(args[++i]);
+    } else if (args[i] === '--compression') {
+      result.compression = args[++i];
+    } else if (args[i] === '--estimate') {
+      result.estimate = true;
+    } else if (args[i] === '--mode') {
+      result.mode = args[++i];
+    } else if (args[i] === '--max-spend') {
+      result.maxSpend = parseEther(args[++i]);
+    } else if (args[i] === '--bump-after') {
+      result.bumpAfter = parseInt(args[++i]);
+    } else if (args[i] === '--max-bumps') {
+      result.maxBumps = parseInt(args[++i]);
     } else if (!args[i].startsWith('--')) {
       result.content = args[i];
     }
@@ -51,6 +83,13 @@ async function main() {
 
   if (!args.content) {
     console.error('Usage: node post.js "Your message" --agent <agentId> --network <network>');
+    console.error('  [--estimate] [--mode blob|calldata|auto] [--max-spend <eth>]');
+    console.error('  [--bump-after <seconds>] [--max-bumps <n>] [--compression auto|none|gzip|brotli]');
+    process.exit(1);
+  }
+
+  if (!['blob', 'calldata', 'auto'].includes(args.mode)) {
+    console.error(`Error: Unknown mode ${args.mode}. Available: blob, calldata, auto`);
     process.exit(1);
   }
 
@@ -90,7 +129,7 @@ async function main() {
   const balance = await publicClient.getBalance({ address: account.address });
   console.log(`💰 Balance: ${formatEther(balance)} ETH`);
 
-  if (balance === 0n) {
+  if (balance === 0n && !args.estimate) {
     console.error('Error: No ETH balance for gas');
     process.exit(1);
   }
@@ -113,9 +152,14 @@ async function main() {
 
   // Convert to blobs
   console.log('\n🔮 Creating blobs...');
-  const { blobs, kzg, size, blobCount } = await envelopeToBlobs(envelope);
+  const { transactions, kzg, size, payloadSize, compression, payloadId, blobCount } =
+    await envelopeToBlobs(envelope, { compression: args.compression });
   console.log(`   Content size: ${size} bytes`);
+  console.log(`   Payload: ${payloadSize} bytes (${compression})`);
   console.log(`   Blob count: ${blobCount}`);
+  if (transactions.length > 1) {
+    console.log(`   Transactions: ${transactions.length} (payload ${shortHash(payloadId)})`);
+  }
 
   if (args.dryRun) {
     console.log('\n🏃 Dry run mode - not submitting transaction');
@@ -125,45 +169,79 @@ async function main() {
 
   // Get current gas prices
   console.log('\n⛽ Fetching gas prices...');
-  const gasPrice = await publicClient.getGasPrice();
-  const blobBaseFee = await publicClient.getBlobBaseFee().catch(() => parseGwei('1'));
-  
-  console.log(`   Gas price: ${formatEther(gasPrice * 21000n)} ETH (for 21k gas)`);
-  console.log(`   Blob base fee: ${formatEther(blobBaseFee)} ETH per blob gas`);
-
-  // Prepare transaction
-  console.log('\n📤 Sending blob transaction...');
-  
+  const fees = await fetchFees(publicClient);
+  console.log(`   Base fee: ${formatGwei(fees.baseFeePerGas)} gwei (tip ${formatGwei(fees.maxPriorityFeePerGas)} gwei)`);
+  console.log(`   Blob base fee: ${formatGwei(fees.blobBaseFee)} gwei per blob gas`);
+
+  // The same bytes as calldata, if they fit in one transaction
+  let calldata = null;
   try {
-    const hash = await walletClient.sendTransaction({
-      blobs,
-      kzg,
-      maxFeePerBlobGas: blobBaseFee * 2n, // 2x current for safety
-      to: '0x0000000000000000000000000000000000000000', // Null address - we only care about the blob
-      value: 0n,
-    });
-
-    console.log(`\n✅ Transaction submitted!`);
-    console.log(`   Tx hash: ${hash}`);
-    console.log(`   Explorer: https://${args.network === 'mainnet' ? '' : args.network + '.'}etherscan.io/tx/${hash}`);
-
-    // Wait for confirmation
-    console.log('\n⏳ Waiting for confirmation...');
-    const receipt = await publicClient.waitForTransactionReceipt({ hash });
-    
-    console.log(`\n🎉 Transaction confirmed!`);
-    console.log(`   Block: ${receipt.blockNumber}`);
-    console.log(`   Gas used: ${receipt.gasUsed}`);
-    console.log(`   Status: ${receipt.status === 'success' ? '✅ Success' : '❌ Failed'}`);
-
-    // Get blob versioned hashes
-    const tx = await publicClient.getTransaction({ hash });
-    if (tx.blobVersionedHashes) {
-      console.log(`\n📋 Blob hashes:`);
-      tx.blobVersionedHashes.forEach((blobHash, i) => {
-        console.log(`   [${i}] ${blobHash}`);
+    calldata = envelopeToCalldata(envelope, { compression: args.compression });
+  } catch (e) {
+    if (args.mode === 'calldata') {
+      console.error(`\n❌ ${e.message}`);
+      process.exit(1);
+    }
+  }
+
+  const cost = estimatePostCost({
+    blobsPerTx: transactions.map(blobs => blobs.length),
+    calldata: calldata && calldata.data,
+  }, fees);
+  printCost(cost);
+
+  if (args.estimate) return;
+
+  const mode = args.mode === 'auto' ? cost.cheapest : args.mode;
+  const path = cost[mode];
+  console.log(`\n🛣️  Posting as ${mode}${args.mode === 'auto' ? ' (cheapest)' : ''}`);
+  if (args.maxSpend !== null && path.max > args.maxSpend) {
+    console.error(`\n❌ Up to ${formatEther(path.max)} ETH at current fee caps; --max-spend is ${formatEther(args.maxSpend)} ETH`);
+    process.exit(1);
+  }
+
+  // Prepare transactions; a payload larger than one transaction's blobs is
+  // sent in parts, and readers reassemble it by payload id
+  const requests = mode === 'calldata'
+    ? [{ to: NULL_ADDRESS, data: calldata.data, value: 0n }]
+    : transactions.map(blobs => ({ blobs, kzg, to: NULL_ADDRESS, value: 0n }));
+  const hashes = [];
+  try {
+    for (let t = 0; t < requests.length; t++) {
+      const part = requests.length > 1 ? ` ${t + 1}/${requests.length}` : '';
+      console.log(`\n📤 Sending ${mode} transaction${part}...`);
+
+      const { hash, receipt } = await sendWithFeeBumps(publicClient, walletClient, requests[t], fees, {
+        blob: mode === 'blob',
+        bumpAfter: args.bumpAfter,
+        maxBumps: args.maxBumps,
+        // Each part gets an equal share of the budget
+        maxSpend: args.maxSpend === null ? null : args.maxSpend / BigInt(requests.length),
+        gas: path.executionGas / BigInt(path.transactions),
+        network: args.network,
       });
-      console.log(`\n🔗 View on Blobscan: https://blobscan.com/tx/${hash}`);
+      hashes.push(hash);
+
+      console.log(`\n🎉 Transaction confirmed!`);
+      console.log(`   Block: ${receipt.blockNumber}`);
+      console.log(`   Gas used: ${receipt.gasUsed}`);
+      console.log(`   Paid: ${formatEther(receipt.gasUsed * receipt.effectiveGasPrice +
+        (receipt.blobGasUsed || 0n) * (receipt.blobGasPrice || 0n))} ETH`);
+      console.log(`   Status: ${receipt.status === 'success' ? '✅ Success' : '❌ Failed'}`);
+
+      // Get blob versioned hashes
+      const tx = await publicClient.getTransaction({ hash });
+      if (tx.blobVersionedHashes) {
+        console.log(`\n📋 Blob hashes:`);
+        tx.blobVersionedHashes.forEach((blobHash, i) => {
+          console.log(`   [${i}] ${blobHash}`);
+        });
+        console.log(`\n🔗 View on Blobscan: https://blobscan.com/tx/${hash}`);
+      }
+    }
+
+    if (hashes.length > 1) {
+      console.log(`\n📚 Read it back with: node read-blob.js ${hashes.join(' ')} --network ${args.network}`);
     }
 
   } catch (error) {
@@ -172,4 +250,114 @@ async function main() {
   }
 }
 
+// Current fees and the caps we are willing to pay: EIP-1559 caps from the
+// node, and twice the blob base fee for safety
+async function fetchFees(publicClient) {
+  const [block, { maxFeePerGas, maxPriorityFeePerGas }, blobBaseFee] = await Promise.all([
+    publicClient.getBlock(),
+    publicClient.estimateFeesPerGas(),
+    publicClient.getBlobBaseFee().catch(() => parseGwei('1')),
+  ]);
+  return {
+    baseFeePerGas: block.baseFeePerGas,
+    maxFeePerGas,
+    maxPriorityFeePerGas,
+    blobBaseFee,
+    maxFeePerBlobGas: blobBaseFee * 2n,
+  };
+}
+
+function printCost(cost) {
+  console.log('\n💸 Estimated cost:');
+  const row = (name, path) => {
+    if (!path) {
+      console.log(`   ${name}: too large for one transaction`);
+      return;
+    }
+    console.log(`   ${name}: ${formatEther(path.expected)} ETH (at most ${formatEther(path.max)} ETH)`);
+    console.log(`      Execution gas: ${path.executionGas}, blob gas: ${path.blobGas}, transactions: ${path.transactions}`);
+  };
+  row('Blob    ', cost.blob);
+  row('Calldata', cost.calldata);
+  console.log(`   Cheapest: ${cost.cheapest}`);
+}
+
+// Fees for a replacement. Blob pools (EIP-4844 in geth and reth) only accept
+// a replacement blob transaction if its tip, fee cap and blob fee cap are all
+// at least double the original's; other pools want 10% more.
+function bumpFees(fees, blob) {
+  const bump = value => (blob ? value * 2n : value + value / 10n + 1n);
+  return {
+    ...fees,
+    maxFeePerGas: bump(fees.maxFeePerGas),
+    maxPriorityFeePerGas: bump(fees.maxPriorityFeePerGas),
+    maxFeePerBlobGas: blob ? bump(fees.maxFeePerBlobGas) : fees.maxFeePerBlobGas,
+  };
+}
+
+// Most a transaction can cost at these fee caps
+function maxCost(request, fees, gas) {
+  return gas * fees.maxFeePerGas +
+    (request.blobs ? estimateBlobGas(request.blobs.length, fees.maxFeePerBlobGas) : 0n);
+}
+
+/**
+ * Send a transaction and wait for it to be mined. If it is still pending
+ * after bumpAfter seconds it is replaced (same nonce, bumped fees), up to
+ * maxBumps times and as long as the new caps stay within maxSpend; after
+ * that we keep waiting for whichever version gets mined.
+ */
+async function sendWithFeeBumps(publicClient, walletClient, request, fees, options) {
+  const nonce = await publicClient.getTransactionCount({
+    address: walletClient.account.address,
+    blockTag: 'pending',
+  });
+  const { gas } = options;
+
+  const hashes = [];
+  let current = fees;
+  let bumps = 0;
+  let canBump = true;
+  for (;;) {
+    if (canBump) {
+      const hash = await walletClient.sendTransaction({
+        ...request,
+        nonce,
+        gas,
+        maxFeePerGas: current.maxFeePerGas,
+        maxPriorityFeePerGas: current.maxPriorityFeePerGas,
+        ...(options.blob && { maxFeePerBlobGas: current.maxFeePerBlobGas }),
+      });
+      hashes.push(hash);
+      console.log(`\n✅ Transaction submitted${bumps ? ` (replacement ${bumps})` : ''}!`);
+      console.log(`   Tx hash: ${hash}`);
+      console.log(`   Explorer: https://${options.network === 'mainnet' ? '' : options.network + '.'}etherscan.io/tx/${hash}`);
+      console.log('\n⏳ Waiting for confirmation...');
+    }
+
+    const deadline = Date.now() + options.bumpAfter * 1000;
+    while (!canBump || Date.now() < deadline) {
+      for (const hash of hashes) {
+        const receipt = await publicClient.getTransactionReceipt({ hash }).catch(() => null);
+        if (receipt) return { hash, receipt };
+      }
+      await new Promise(resolve => setTimeout(resolve, 4000));
+    }
+
+    const next = bumpFees(current, options.blob);
+    if (bumps >= options.maxBumps) {
+      console.log(`\n⚠️  Still pending after ${bumps} fee bump${bumps === 1 ? '' : 's'}; waiting`);
+      canBump = false;
+    } else if (options.maxSpend !== null && maxCost(request, next, gas) > options.maxSpend) {
+      console.log(`\n⚠️  Still pending, but bumping fees would exceed --max-spend; waiting`);
+      canBump = false;
+    } else {
+      bumps++;
+      current = next;
+      console.log(`\n🔁 Still pending after ${options.bumpAfter}s; bumping fees to ${formatGwei(current.maxFeePerGas)} gwei` +
+        (options.blob ? ` and ${formatGwei(current.maxFeePerBlobGas)} gwei per blob gas` : ''));
+    }
+  }
+}
+
 main().catch(console.error);
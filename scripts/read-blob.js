@@ -1,23 +1,32 @@
 #!/usr/bin/env node
 /**
- * Read and decode blob data from a transaction
+ * Read and decode blob data from a transaction. The blob hashes come from the
+ * transaction itself; each blob is fetched from a beacon node (--beacon, or
+ * <NETWORK>_BEACON_URL), Blobscan or an archiver and checked against its KZG
+ * commitment before it is decoded. Blobs packed by the indexer's aggregator
+ * decode into every envelope they carry, each with its own verdict.
  * 
  * Usage:
  *   node read-blob.js <txHash> --network sepolia
+ *   node read-blob.js <txHash> <txHash>... # a payload chunked over several transactions
  */
 
 import 'dotenv/config';
 import { createPublicClient, http } from 'viem';
-import { getNetwork, BLOBSCAN_API } from './config.js';
-import { decodeBlobData, validateEnvelope } from './blob-utils.js';
+import { ethers } from 'ethers';
+import { getNetwork, BLOBSCAN_API, BEACON_API, BLOB_ARCHIVERS, AGENT_REGISTRY } from './config.js';
+import { decodeBlobs, decodeBlobFrame, decodePackedBlob, initKzg, validateEnvelope, verifyEnvelope } from './blob-utils.js';
+import { BlobRetriever } from '../lib/blob-retrieval.js';
+import { AgentResolver } from '../lib/agent-resolver.js';
 
 // Parse command line arguments
 function parseArgs() {
   const args = process.argv.slice(2);
   const result = {
-    txHash: '',
+    txHashes: [],
     network: process.env.NETWORK || 'sepolia',
     raw: false,
+    beacon: null,
   };
 
   for (let i = 0; i < args.length; i++) {
@@ -25,8 +34,10 @@ function parseArgs() {
       result.network = args[++i];
     } else if (args[i] === '--raw') {
       result.raw = true;
+    } else if (args[i] === '--beacon') {
+      result.beacon = args[++i];
     } else if (!args[i].startsWith('--')) {
-      result.txHash = args[i];
+      result.txHashes.push(args[i]);
     }
   }
 
@@ -34,168 +45,233 @@ function parseArgs() {
 }
 
 /**
- * Fetch blob data from Blobscan API
+ * Print a decoded Blob Social envelope
  */
-async function fetchBlobsFromBlobscan(txHash, network) {
-  const baseUrl = BLOBSCAN_API[network] || BLOBSCAN_API.mainnet;
-  const url = `${baseUrl}/transactions/${txHash}`;
-  
-  console.log(`   Fetching from: ${url}`);
-  
-  const response = await fetch(url);
-  if (!response.ok) {
-    throw new Error(`Blobscan API error: ${response.status} ${response.statusText}`);
+function printEnvelope(envelope) {
+  console.log(`\n   ✅ Decoded Blob Social Post:`);
+  console.log(`   Version: ${envelope.v}`);
+  console.log(`   Type: ${envelope.type}`);
+  console.log(`   Agent: ${envelope.agent}`);
+  console.log(`   Time: ${new Date(envelope.ts * 1000).toISOString()}`);
+
+  if (envelope.type === 'post' || envelope.type === 'reply') {
+    console.log(`\n   📝 Content:`);
+    console.log(`   "${envelope.data.content}"`);
+
+    if (envelope.data.tags?.length > 0) {
+      console.log(`   Tags: ${envelope.data.tags.join(', ')}`);
+    }
+
+    if (envelope.type === 'reply') {
+      console.log(`   Reply to: ${envelope.data.replyTo}`);
+    }
+  } else if (envelope.type === 'batch') {
+    console.log(`\n   📚 Batch (${envelope.data.posts.length} posts):`);
+    envelope.data.posts.forEach((post, j) => {
+      console.log(`   [${j}] "${post.content.slice(0, 50)}${post.content.length > 50 ? '...' : ''}"`);
+    });
   }
-  
-  const data = await response.json();
-  return data;
+
+  console.log(`\n   Signature: ${envelope.sig?.slice(0, 20)}...`);
 }
 
 /**
- * Fetch individual blob data
+ * Print whether the envelope's signer controls the agent it claims to be
  */
-async function fetchBlobData(blobId, network) {
-  const baseUrl = BLOBSCAN_API[network] || BLOBSCAN_API.mainnet;
-  const url = `${baseUrl}/blobs/${blobId}`;
-  
-  const response = await fetch(url);
-  if (!response.ok) {
-    throw new Error(`Failed to fetch blob ${blobId}: ${response.status}`);
+async function printVerdict(envelope, resolver) {
+  let result;
+  try {
+    result = await verifyEnvelope(envelope, resolver);
+  } catch (e) {
+    console.log(`   ⚠️  UNVERIFIED: could not check the ERC-8004 registry (${e.shortMessage || e.message})`);
+    return;
+  }
+
+  if (!result.verified) {
+    console.log(`   ❌ UNVERIFIED: ${result.reason}`);
+    return;
+  }
+  const role = result.signer === result.owner ? 'owner' : 'operator';
+  console.log(`   ✅ VERIFIED: signed by ${result.signer}, ${role} of Agent #${envelope.agent}`);
+  if (result.encoding === 'legacy') {
+    console.log(`   ℹ️  Signed with the legacy (key-order dependent) encoding`);
+  }
+}
+
+/**
+ * Fetch, verify and list the blobs of one transaction
+ * @returns {string[]} Verified blob data, in transaction order
+ */
+async function readTransaction(txHash, args, publicClient, retriever) {
+  const tx = await publicClient.getTransaction({ hash: txHash });
+  const block = tx.blockNumber ? await publicClient.getBlock({ blockNumber: tx.blockNumber }) : null;
+
+  console.log(`\n📋 Transaction Info:`);
+  console.log(`   Block: ${tx.blockNumber || 'pending'}`);
+  console.log(`   From: ${tx.from}`);
+  console.log(`   Blob count: ${tx.blobVersionedHashes?.length || 0}`);
+
+  if (!tx.blobVersionedHashes) {
+    // post.js --mode calldata puts a single frame in the input instead
+    if (tx.input && tx.input !== '0x' && decodeBlobFrame(tx.input)) {
+      console.log(`\n📜 Calldata post (${(tx.input.length - 2) / 2} bytes)`);
+      return [tx.input];
+    }
+    console.log(`\n   ⚠️  This is not a blob transaction (no blobVersionedHashes)`);
+    return [];
+  }
+
+  // Blobs the retriever can't vouch for are left out; the rest still decode
+  const hashes = tx.blobVersionedHashes;
+  const where = block ? { timestamp: Number(block.timestamp) } : {};
+  const found = new Map();
+  try {
+    for (const blob of await retriever.getBlobs(hashes, where)) found.set(blob.versionedHash, blob);
+  } catch (e) {
+    console.log(`\n   ⚠️  ${e.message}`);
+    const missing = e.missing || [];
+    for (const hash of hashes.filter(h => !missing.includes(h.toLowerCase()))) {
+      try {
+        found.set(hash.toLowerCase(), await retriever.getBlob(hash, where));
+      } catch (retryError) {
+        // reported below as not available
+      }
+    }
+  }
+
+  console.log(`\n📦 Blobs:`);
+  const blobs = [];
+  hashes.forEach((hash, i) => {
+    const blob = found.get(hash.toLowerCase());
+    console.log(`\n   [Blob ${i}]`);
+    console.log(`   Versioned Hash: ${hash}`);
+    if (!blob) {
+      console.log(`   ⚠️  Not available from any source`);
+      return;
+    }
+    console.log(`   Source: ${blob.source}`);
+    console.log(`   KZG commitment: ${blob.commitment.slice(0, 20)}... ✅ matches`);
+
+    if (args.raw) {
+      console.log(`\n   Raw data (first 200 chars):`);
+      console.log(`   ${blob.data.slice(0, 200)}...`);
+      return;
+    }
+
+    try {
+      const packed = decodePackedBlob(blob.data);
+      const frame = packed ? null : decodeBlobFrame(blob.data);
+      if (packed) {
+        console.log(`   Packed: ${packed.length} envelope${packed.length > 1 ? 's' : ''} from ` +
+          `${new Set(packed.map(entry => entry.envelope.agent)).size} agent(s)`);
+        packed.forEach(entry => console.log(`   [${entry.index}] bytes ${entry.offset}-${entry.offset + entry.length - 1}`));
+      } else {
+        console.log(frame
+          ? `   Frame: chunk ${frame.index + 1}/${frame.count} of payload ${frame.payloadId.slice(0, 18)}... (${frame.compression})`
+          : `   Frame: none (original format)`);
+      }
+    } catch (frameError) {
+      console.log(`   ⚠️  Bad frame: ${frameError.message}`);
+    }
+    blobs.push(blob.data);
+  });
+
+  return blobs;
+}
+
+/**
+ * Decode blobs one payload at a time, so one bad payload doesn't hide the rest
+ */
+async function decodeAll(blobs, resolver) {
+  const groups = new Map();
+  for (const blobData of blobs) {
+    let key;
+    try {
+      key = decodeBlobFrame(blobData)?.payloadId || Symbol('unframed');
+    } catch (e) {
+      key = Symbol('invalid');
+    }
+    groups.set(key, [...(groups.get(key) || []), blobData]);
+  }
+
+  for (const group of groups.values()) {
+    let envelopes;
+    try {
+      envelopes = decodeBlobs(group);
+    } catch (decodeError) {
+      console.log(`\n   ⚠️  Not a Blob Social post (or invalid format)`);
+      console.log(`   ${decodeError.message}`);
+
+      // Try to show as plain text
+      try {
+        const text = Buffer.from(group[0].slice(2), 'hex')
+          .toString('utf8')
+          .replace(/\0/g, '')
+          .slice(0, 500);
+        console.log(`\n   Raw text preview:`);
+        console.log(`   "${text}"`);
+      } catch (e) {
+        console.log(`   (Binary data)`);
+      }
+      continue;
+    }
+
+    for (const envelope of envelopes) {
+      printEnvelope(envelope);
+      await printVerdict(envelope, resolver);
+    }
   }
-  
-  const data = await response.json();
-  return data.data; // The actual blob data
 }
 
 async function main() {
   const args = parseArgs();
 
-  if (!args.txHash) {
-    console.error('Usage: node read-blob.js <txHash> [--network <network>] [--raw]');
+  if (args.txHashes.length === 0) {
+    console.error('Usage: node read-blob.js <txHash>... [--network <network>] [--beacon <url>] [--raw]');
     console.error('\nExamples:');
     console.error('  node read-blob.js 0x123... --network mainnet');
+    console.error('  node read-blob.js 0x123... 0x456...  # Reassemble a post sent in several transactions');
+    console.error('  node read-blob.js 0x123... --beacon http://localhost:5052  # Read from your own beacon node');
     console.error('  node read-blob.js 0x123... --raw  # Show raw blob data');
     process.exit(1);
   }
 
-  console.log(`\n🔍 Reading blob transaction`);
-  console.log(`   Tx: ${args.txHash}`);
+  console.log(`\n🔍 Reading blob transaction${args.txHashes.length > 1 ? 's' : ''}`);
+  args.txHashes.forEach(txHash => console.log(`   Tx: ${txHash}`));
   console.log(`   Network: ${args.network}`);
 
+  const networkConfig = getNetwork(args.network);
+  const publicClient = createPublicClient({
+    chain: networkConfig.chain,
+    transport: http(networkConfig.rpcUrl),
+  });
+  const retriever = new BlobRetriever({
+    beaconUrls: [args.beacon || BEACON_API[args.network]].filter(Boolean),
+    endpoints: [BLOBSCAN_API[args.network], ...BLOB_ARCHIVERS].filter(Boolean),
+    kzg: await initKzg(),
+  });
+  console.log(`   Beacon: ${retriever.beaconUrls[0] || 'none (set --beacon)'}`);
+
+  // Signers are checked against the ERC-8004 registry on mainnet
+  const resolver = new AgentResolver({
+    provider: new ethers.JsonRpcProvider(AGENT_REGISTRY.rpcUrl),
+    registryAddress: AGENT_REGISTRY.address,
+  });
+
   try {
-    // Method 1: Try Blobscan first
-    console.log(`\n📡 Fetching from Blobscan...`);
-    
-    try {
-      const txData = await fetchBlobsFromBlobscan(args.txHash, args.network);
-      
-      console.log(`\n📋 Transaction Info:`);
-      console.log(`   Block: ${txData.block?.number || 'pending'}`);
-      console.log(`   From: ${txData.from}`);
-      console.log(`   Blob count: ${txData.blobs?.length || 0}`);
-      
-      if (txData.blobs && txData.blobs.length > 0) {
-        console.log(`\n📦 Blobs:`);
-        
-        for (let i = 0; i < txData.blobs.length; i++) {
-          const blobInfo = txData.blobs[i];
-          console.log(`\n   [Blob ${i}]`);
-          console.log(`   Versioned Hash: ${blobInfo.versionedHash}`);
-          console.log(`   Size: ${blobInfo.size} bytes`);
-          
-          // Fetch actual blob data
-          try {
-            console.log(`   Fetching data...`);
-            const blobData = await fetchBlobData(blobInfo.versionedHash, args.network);
-            
-            if (args.raw) {
-              console.log(`\n   Raw data (first 200 chars):`);
-              console.log(`   ${blobData.slice(0, 200)}...`);
-            } else {
-              // Try to decode as Blob Social envelope
-              console.log(`   Decoding...`);
-              try {
-                const envelope = decodeBlobData(blobData);
-                
-                console.log(`\n   ✅ Decoded Blob Social Post:`);
-                console.log(`   Version: ${envelope.v}`);
-                console.log(`   Type: ${envelope.type}`);
-                console.log(`   Agent: ${envelope.agent}`);
-                console.log(`   Time: ${new Date(envelope.ts * 1000).toISOString()}`);
-                
-                if (envelope.type === 'post' || envelope.type === 'reply') {
-                  console.log(`\n   📝 Content:`);
-                  console.log(`   "${envelope.data.content}"`);
-                  
-                  if (envelope.data.tags?.length > 0) {
-                    console.log(`   Tags: ${envelope.data.tags.join(', ')}`);
-                  }
-                  
-                  if (envelope.type === 'reply') {
-                    console.log(`   Reply to: ${envelope.data.replyTo}`);
-                  }
-                } else if (envelope.type === 'batch') {
-                  console.log(`\n   📚 Batch (${envelope.data.posts.length} posts):`);
-                  envelope.data.posts.forEach((post, j) => {
-                    console.log(`   [${j}] "${post.content.slice(0, 50)}${post.content.length > 50 ? '...' : ''}"`);
-                  });
-                }
-                
-                console.log(`\n   Signature: ${envelope.sig?.slice(0, 20)}...`);
-                
-              } catch (decodeError) {
-                console.log(`\n   ⚠️  Not a Blob Social post (or invalid format)`);
-                console.log(`   ${decodeError.message}`);
-                
-                // Try to show as plain text
-                try {
-                  const text = Buffer.from(blobData.slice(2), 'hex')
-                    .toString('utf8')
-                    .replace(/\0/g, '')
-                    .slice(0, 500);
-                  console.log(`\n   Raw text preview:`);
-                  console.log(`   "${text}"`);
-                } catch (e) {
-                  console.log(`   (Binary data)`);
-                }
-              }
-            }
-          } catch (fetchError) {
-            console.log(`   ⚠️  Could not fetch blob data: ${fetchError.message}`);
-          }
-        }
-      }
-      
-    } catch (blobscanError) {
-      console.log(`   ⚠️  Blobscan lookup failed: ${blobscanError.message}`);
-      
-      // Fallback: Get transaction from RPC
-      console.log(`\n📡 Falling back to RPC...`);
-      const networkConfig = getNetwork(args.network);
-      const publicClient = createPublicClient({
-        chain: networkConfig.chain,
-        transport: http(networkConfig.rpcUrl),
-      });
-      
-      const tx = await publicClient.getTransaction({ hash: args.txHash });
-      
-      console.log(`\n📋 Transaction Info (from RPC):`);
-      console.log(`   Block: ${tx.blockNumber || 'pending'}`);
-      console.log(`   From: ${tx.from}`);
-      console.log(`   To: ${tx.to}`);
-      console.log(`   Type: ${tx.type}`);
-      
-      if (tx.blobVersionedHashes) {
-        console.log(`\n   Blob versioned hashes:`);
-        tx.blobVersionedHashes.forEach((hash, i) => {
-          console.log(`   [${i}] ${hash}`);
-        });
-        console.log(`\n   ℹ️  To get blob data, wait for Blobscan to index or use a beacon node`);
-      } else {
-        console.log(`\n   ⚠️  This is not a blob transaction (no blobVersionedHashes)`);
-      }
+    // Chunks of one payload can span transactions, so collect every blob
+    // before decoding
+    const blobs = [];
+    for (const txHash of args.txHashes) {
+      console.log(`\n📡 Fetching ${txHash}...`);
+      blobs.push(...await readTransaction(txHash, args, publicClient, retriever));
     }
-    
+
+    if (!args.raw && blobs.length > 0) {
+      console.log(`\n🧩 Decoding ${blobs.length} blob${blobs.length > 1 ? 's' : ''}...`);
+      await decodeAll(blobs, resolver);
+    }
+
   } catch (error) {
     console.error(`\n❌ Error: ${error.message}`);
     process.exit(1);
@@ -0,0 +1,137 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const { AgentResolver, TtlCache, REGISTRY_ABI } = require('../lib/agent-resolver');
+
+const REGISTRY = '0x8004A169FB4a3325136EB29fA0ceB6D2e539a432';
+const ALICE = '0x00000000000000000000000000000000000A11cE';
+const BOB = '0x0000000000000000000000000000000000000B0b';
+const iface = new ethers.Interface(REGISTRY_ABI);
+
+function revert() {
+  return Object.assign(new Error('execution reverted'), { code: 'CALL_EXCEPTION' });
+}
+
+// An ERC-8004 registry over `owners` (token id -> address). Logs are
+// [blockNumber, eventName, args] and only served when `enumerable` is false.
+function fakeRegistry({ owners, enumerable = true, logs = [], head = 100 }) {
+  const registry = {
+    calls: [],
+    ranges: [],
+    down: false,
+    call: async ({ data }) => {
+      if (registry.down) throw Object.assign(new Error('connect ECONNREFUSED'), { code: 'NETWORK_ERROR' });
+      const { name, args } = iface.parseTransaction({ data });
+      registry.calls.push(name);
+      const owned = address => [...owners.entries()].filter(([, owner]) => owner === address).map(([id]) => BigInt(id));
+      switch (name) {
+        case 'balanceOf':
+          return iface.encodeFunctionResult(name, [owned(args[0]).length]);
+        case 'ownerOf':
+          if (!owners.has(Number(args[0]))) throw revert();
+          return iface.encodeFunctionResult(name, [owners.get(Number(args[0]))]);
+        case 'tokenOfOwnerByIndex':
+          return iface.encodeFunctionResult(name, [owned(args[0])[Number(args[1])]]);
+        case 'supportsInterface':
+          return iface.encodeFunctionResult(name, [enumerable && args[0] === '0x780e9d63']);
+      }
+      throw revert();
+    },
+    getBlockNumber: async () => head,
+    getLogs: async ({ fromBlock, toBlock, topics }) => {
+      registry.ranges.push([fromBlock, toBlock]);
+      return logs
+        .filter(([block]) => block >= fromBlock && block <= toBlock)
+        .map(([, name, args]) => iface.encodeEventLog(name, args))
+        .filter(log => topics[0].includes(log.topics[0]) && log.topics[2] === topics[2]);
+    },
+  };
+  return registry;
+}
+
+function resolver(provider, options = {}) {
+  return new AgentResolver({ provider, registryAddress: REGISTRY, ...options });
+}
+
+test('an enumerable registry lists tokens in ascending order and caches both ways', async () => {
+  const registry = fakeRegistry({ owners: new Map([[22583, ALICE], [7, ALICE], [9, BOB]]) });
+  const agents = resolver(registry);
+
+  assert.deepStrictEqual(await agents.getAgentIds(ALICE.toLowerCase()), [7n, 22583n]);
+  assert.deepStrictEqual(registry.calls, ['balanceOf', 'supportsInterface', 'tokenOfOwnerByIndex', 'tokenOfOwnerByIndex']);
+
+  registry.calls.length = 0;
+  assert.deepStrictEqual(await agents.getAgentIds(ALICE), [7n, 22583n]);
+  assert.strictEqual(await agents.getOwner(22583), ALICE);
+  assert.strictEqual(await agents.ownsAgent(ALICE.toLowerCase(), 7n), true);
+  assert.deepStrictEqual(registry.calls, []);
+
+  assert.strictEqual(await agents.ownsAgent(ALICE, 9), false);
+  assert.deepStrictEqual(registry.calls, ['ownerOf']);
+});
+
+test('without enumeration, logs are scanned backwards until the balance is found', async () => {
+  const registry = fakeRegistry({
+    enumerable: false,
+    head: 95,
+    owners: new Map([[3, ALICE], [4, BOB], [5, ALICE]]),
+    logs: [
+      [12, 'Registered', [3, 'ipfs://a', ALICE]],
+      [40, 'Transfer', [ethers.ZeroAddress, ALICE, 4]], // since passed on to Bob
+      [41, 'Transfer', [ALICE, BOB, 4]],
+      [80, 'Transfer', [BOB, ALICE, 5]],
+    ],
+  });
+  const agents = resolver(registry, { blockRange: 30, fromBlock: 5 });
+
+  assert.deepStrictEqual(await agents.getAgentIds(ALICE), [3n, 5n]);
+  assert.deepStrictEqual(registry.ranges, [[66, 95], [36, 65], [6, 35]]);
+
+  // Stops as soon as the balance is accounted for
+  registry.ranges.length = 0;
+  assert.deepStrictEqual(await resolver(registry, { blockRange: 30 }).getAgentIds(BOB), [4n]);
+  assert.deepStrictEqual(registry.ranges, [[66, 95], [36, 65]]);
+});
+
+test('unknown agents and empty wallets are cached for the shorter TTL only', async t => {
+  let now = 1000000;
+  t.mock.method(Date, 'now', () => now);
+  const registry = fakeRegistry({ owners: new Map([[1, ALICE]]) });
+  const agents = resolver(registry, { ttl: 60000, negativeTtl: 5000 });
+
+  assert.strictEqual(await agents.getOwner(404), null);
+  assert.deepStrictEqual(await agents.getAgentIds(BOB), []);
+  assert.strictEqual(await agents.getOwner(1), ALICE);
+  registry.calls.length = 0;
+
+  now += 5000;
+  assert.strictEqual(await agents.getOwner(1), ALICE);
+  assert.strictEqual(await agents.getOwner(404), null);
+  assert.deepStrictEqual(await agents.getAgentIds(BOB), []);
+  assert.deepStrictEqual(registry.calls, ['ownerOf', 'balanceOf']);
+});
+
+test('an unreachable registry is an error, never "not an agent"', async () => {
+  const registry = fakeRegistry({ owners: new Map([[1, ALICE]]) });
+  const agents = resolver(registry);
+
+  registry.down = true;
+  await assert.rejects(agents.getOwner(1), /ECONNREFUSED/);
+  await assert.rejects(agents.getAgentIds(ALICE), /ECONNREFUSED/);
+
+  // Nothing was cached while it was down
+  registry.down = false;
+  assert.strictEqual(await agents.ownsAgent(ALICE, 1), true);
+});
+
+test('TtlCache forgets entries once they expire', t => {
+  let now = 0;
+  t.mock.method(Date, 'now', () => now);
+  const cache = new TtlCache();
+  cache.set('a', null, 10);
+
+  assert.strictEqual(cache.get('a'), null);
+  now = 10;
+  assert.strictEqual(cache.get('a'), undefined);
+  assert.strictEqual(cache.entries.size, 0);
+});
@@ -0,0 +1,92 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const { SqliteStore } = require('../indexer/store/sqlite');
+const { BlobAggregator, EnvelopeRejectedError, RegistryUnavailableError } =
+  require('../indexer/aggregator/aggregator');
+const { envelopeSigningHash } = require('../lib/envelope');
+
+const wallet = new ethers.Wallet('0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d');
+
+async function signedEnvelope(content) {
+  const envelope = { v: 1, type: 'post', agent: 7, ts: 1700000000, data: { content, tags: [] } };
+  return { ...envelope, sig: await wallet.signMessage(ethers.getBytes(envelopeSigningHash(envelope))) };
+}
+
+const resolver = {
+  getOwner: async () => wallet.address,
+  operatesAgent: async address => address === wallet.address,
+};
+
+// A chain that accepts every transaction and answers with what `receipts` holds
+function stubSigner(receipts) {
+  let sent = 0;
+  return {
+    address: wallet.address,
+    provider: {
+      send: async () => '0x1',
+      getTransactionReceipt: async hash => receipts.get(hash) || null,
+      getTransaction: async () => null,
+    },
+    sendTransaction: async () => ({ hash: ethers.zeroPadValue(ethers.toBeHex(++sent), 32) }),
+  };
+}
+
+function receipt(status, blockNumber, confirmations) {
+  return { status, blockNumber, confirmations: async () => confirmations };
+}
+
+test('accept() tells registry outages from rejections and other failures', async () => {
+  const store = new SqliteStore(':memory:');
+  const envelope = await signedEnvelope('hello');
+
+  const down = new BlobAggregator(store, {
+    signer: stubSigner(new Map()),
+    resolver: { getOwner: async () => { throw new Error('No RPC endpoint available'); } },
+  });
+  await assert.rejects(down.accept(envelope), RegistryUnavailableError);
+
+  const aggregator = new BlobAggregator(store, { signer: stubSigner(new Map()), resolver });
+  await assert.rejects(aggregator.accept({ ...envelope, data: { content: 42 } }),
+    e => e instanceof EnvelopeRejectedError && e.reason === 'invalid');
+
+  store.insertAggregateEnvelope = () => { throw new Error('database is locked'); };
+  await assert.rejects(aggregator.accept(envelope),
+    e => !(e instanceof RegistryUnavailableError) && !(e instanceof EnvelopeRejectedError));
+});
+
+test('a reverted shared blob requeues its envelopes for the next one', async () => {
+  const store = new SqliteStore(':memory:');
+  const receipts = new Map();
+  const aggregator = new BlobAggregator(store, {
+    signer: stubSigner(receipts),
+    resolver,
+    threshold: 1,
+    confirmations: 2,
+  });
+
+  const { receipt: queued } = await aggregator.accept(await signedEnvelope('hello'));
+  assert.strictEqual(queued.status, 'queued');
+
+  const first = await aggregator.tick();
+  assert.strictEqual(first.status, 'submitted');
+  assert.strictEqual(store.countQueuedEnvelopes().count, 0);
+
+  // Still waiting on the first blob
+  assert.strictEqual(await aggregator.tick(), null);
+
+  receipts.set(first.txHash, receipt(0, 10, 1));
+  const second = await aggregator.tick();
+  assert.strictEqual(store.getAggregateBlob(first.id).status, 'failed');
+  assert.notStrictEqual(second.txHash, first.txHash);
+
+  receipts.set(second.txHash, receipt(1, 11, 1));
+  assert.strictEqual(await aggregator.tick(), null);
+  receipts.set(second.txHash, receipt(1, 11, 2));
+  assert.strictEqual(await aggregator.tick(), null);
+
+  const confirmed = aggregator.receipt(store.getAggregateEnvelope(queued.id));
+  assert.strictEqual(confirmed.status, 'confirmed');
+  assert.strictEqual(confirmed.blockNumber, 11);
+  assert.strictEqual(confirmed.blobHash, second.blobHash);
+});
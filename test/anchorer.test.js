@@ -0,0 +1,170 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const { SqliteStore } = require('../indexer/store/sqlite');
+const { PostAnchorer, GRAPH_ANCHOR_ABI, anchorProof } = require('../indexer/anchor/anchorer');
+
+const AUTHOR = '0x00000000000000000000000000000000000000A1';
+const CONTRACT = '0x00000000000000000000000000000000000000C0';
+const graph = new ethers.Interface(GRAPH_ANCHOR_ABI);
+
+function contentHash(content) {
+  return ethers.keccak256(ethers.toUtf8Bytes(content));
+}
+
+// A store with two posts, the first edited once: three revisions to anchor
+function seededStore() {
+  const store = new SqliteStore(':memory:');
+  const now = Date.now();
+  const first = store.insertPost({ content: 'gm', author: AUTHOR, contentHash: contentHash('gm'), timestamp: now });
+  store.insertPost({ content: 'gn', author: AUTHOR, contentHash: contentHash('gn'), timestamp: now });
+  store.editPost(first.id, { content: 'gm!', contentHash: contentHash('gm!'), editedAt: now });
+  return { store, postId: first.id };
+}
+
+// Records what is sent; `receipts` and `pending` say what the chain knows,
+// and while `fail` is set every send throws it
+function stubSigner({ receipts = new Map(), pending = new Set(), fail = null } = {}) {
+  const sent = [];
+  const signer = {
+    sent,
+    fail,
+    address: AUTHOR,
+    provider: {
+      getNetwork: async () => ({ chainId: 31337n }),
+      getTransactionReceipt: async hash => receipts.get(hash) || null,
+      getTransaction: async hash => (pending.has(hash) ? { hash } : null),
+    },
+    sendTransaction: async tx => {
+      if (signer.fail) throw signer.fail;
+      const hash = ethers.zeroPadValue(ethers.toBeHex(sent.length + 1), 32);
+      sent.push({ ...tx, hash });
+      pending.add(hash);
+      return { hash };
+    },
+  };
+  return signer;
+}
+
+function receipt(status, blockNumber, confirmations) {
+  return { status, blockNumber, confirmations: async () => confirmations };
+}
+
+function anchorer(store, signer, options = {}) {
+  return new PostAnchorer(store, {
+    signer,
+    method: 'graph',
+    contractAddress: CONTRACT,
+    agentId: 5,
+    threshold: 3,
+    confirmations: 2,
+    ...options,
+  });
+}
+
+test('a root is submitted, confirmed and proves each revision', async () => {
+  const { store, postId } = seededStore();
+  const receipts = new Map();
+  const signer = stubSigner({ receipts });
+  const job = anchorer(store, signer);
+
+  const root = await job.tick();
+  assert.strictEqual(root.status, 'submitted');
+  assert.strictEqual(root.size, 3);
+  assert.strictEqual(root.chainId, 31337);
+  const [tx] = signer.sent;
+  assert.strictEqual(tx.to.toLowerCase(), CONTRACT.toLowerCase());
+  assert.deepStrictEqual([...graph.decodeFunctionData('anchorContent', tx.data)], [5n, root.merkleRoot]);
+
+  // In the mempool, then mined but not deep enough
+  assert.strictEqual(await job.tick(), null);
+  assert.strictEqual(anchorProof(store, store.getPost(postId)).proof.status, 'submitted');
+  receipts.set(root.txHash, receipt(1, 42, 1));
+  assert.strictEqual(await job.tick(), null);
+  assert.strictEqual(store.getAnchorRoot(root.id).status, 'submitted');
+
+  receipts.set(root.txHash, receipt(1, 42, 2));
+  assert.strictEqual(await job.tick(), null);
+  assert.strictEqual(signer.sent.length, 1);
+
+  const post = store.getPost(postId);
+  const { proof, anchoredRevisions } = anchorProof(store, post);
+  assert.deepStrictEqual(anchoredRevisions, [0, 1]);
+  assert.strictEqual(proof.revision, 1);
+  assert.strictEqual(proof.leafFields.contentHash, contentHash('gm!'));
+  assert.strictEqual(proof.merkleRoot, root.merkleRoot);
+  assert.strictEqual(proof.leafCount, 3);
+  assert.strictEqual(proof.valid, true);
+  assert.strictEqual(proof.status, 'confirmed');
+  assert.deepStrictEqual(proof.tx, {
+    hash: root.txHash,
+    blockNumber: 42,
+    chainId: 31337,
+    contract: CONTRACT,
+    method: 'BlobSocialGraph.anchorContent',
+  });
+  assert.strictEqual(anchorProof(store, post, 0).proof.valid, true);
+  assert.strictEqual(anchorProof(store, post, 2).proof, null);
+});
+
+test('a reverted root hands its revisions to the next one', async () => {
+  const { store, postId } = seededStore();
+  const receipts = new Map();
+  const signer = stubSigner({ receipts });
+  const job = anchorer(store, signer);
+
+  const first = await job.tick();
+  receipts.set(first.txHash, receipt(0, 42, 5));
+  const second = await job.tick();
+
+  assert.strictEqual(store.getAnchorRoot(first.id).status, 'failed');
+  assert.strictEqual(store.getAnchorRoot(first.id).lastError, 'transaction reverted');
+  assert.strictEqual(second.size, 3);
+  assert.strictEqual(second.merkleRoot, first.merkleRoot);
+  assert.notStrictEqual(second.txHash, first.txHash);
+  assert.strictEqual(anchorProof(store, store.getPost(postId)).proof.tx.hash, second.txHash);
+});
+
+test('a dropped root is released once dropTimeout has passed', async () => {
+  const { store, postId } = seededStore();
+  const pending = new Set();
+  const signer = stubSigner({ pending });
+  const job = anchorer(store, signer, { dropTimeout: 50, threshold: 100, interval: 60 * 60 * 1000 });
+
+  // Not due yet: three revisions, threshold 100, none an hour old
+  assert.strictEqual(await job.tick(), null);
+  const root = await job.submit();
+
+  // The node forgets it; within dropTimeout it may still turn up
+  pending.clear();
+  assert.strictEqual(await job.tick(), null);
+  assert.strictEqual(store.getAnchorRoot(root.id).status, 'submitted');
+
+  await new Promise(resolve => setTimeout(resolve, 60));
+  assert.strictEqual(await job.tick(), null);
+  assert.strictEqual(store.getAnchorRoot(root.id).status, 'failed');
+  assert.strictEqual(store.getAnchorRoot(root.id).lastError, 'transaction dropped');
+  assert.strictEqual(anchorProof(store, store.getPost(postId)).proof, null);
+  assert.strictEqual(store.countUnanchoredRevisions().count, 3);
+});
+
+test('a root that fails to send is released and the error surfaces', async () => {
+  const { store } = seededStore();
+  const signer = stubSigner({ fail: new Error('insufficient funds') });
+  const job = anchorer(store, signer);
+
+  await assert.rejects(job.tick(), /insufficient funds/);
+  const [root] = store.getAnchorRootsByStatus('failed', 1);
+  assert.strictEqual(root.lastError, 'insufficient funds');
+  assert.strictEqual(store.countUnanchoredRevisions().count, 3);
+
+  // A root left pending by a crash is released on the next tick
+  const orphan = store.createAnchorRoot({
+    merkleRoot: root.merkleRoot, method: 'graph', contract: CONTRACT, chainId: 31337, createdAt: Date.now(), entries: [],
+  });
+  signer.fail = null;
+  const next = await job.tick();
+  assert.strictEqual(store.getAnchorRoot(orphan.id).lastError, 'interrupted before submission');
+  assert.strictEqual(next.status, 'submitted');
+  assert.strictEqual(next.size, 3);
+});
@@ -0,0 +1,171 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const { BlobStore } = require('../archiver/blob-store');
+const { BlobArchiver, challengeAnswerHash } = require('../archiver/archiver');
+const { BYTES_PER_BLOB, commitmentToVersionedHash, loadKzg } = require('../lib/blob-retrieval');
+const { loadBlobUtils } = require('../lib/load-blob-utils');
+
+const REGISTRY = ethers.getAddress('0x00000000000000000000000000000000000000ab');
+const dirs = [];
+let kzg;
+let blobUtils;
+
+before(async () => {
+  kzg = loadKzg();
+  blobUtils = await loadBlobUtils();
+});
+
+after(() => {
+  for (const dir of dirs) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function tempStore() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'archiver-test-'));
+  dirs.push(dir);
+  return new BlobStore(dir);
+}
+
+// A blob as a beacon node would serve it, without the proof
+function sidecar(bytes) {
+  const commitment = kzg.blobToKzgCommitment(bytes);
+  return {
+    versionedHash: commitmentToVersionedHash(commitment),
+    data: '0x' + Buffer.from(bytes).toString('hex'),
+    commitment: '0x' + Buffer.from(commitment).toString('hex'),
+  };
+}
+
+async function socialBlob(content) {
+  const { blobs } = await blobUtils.envelopeToBlobs({ v: 1, type: 'post', agent: 1, ts: 1, data: { content }, sig: '0x00' });
+  return sidecar(Buffer.from(blobs[0].slice(2), 'hex'));
+}
+
+// Some other rollup's data: every field element starts with a zero byte
+function foreignBlob() {
+  const bytes = Buffer.alloc(BYTES_PER_BLOB);
+  for (let i = 0; i < bytes.length; i++) {
+    if (i % 32 !== 0) bytes[i] = (i * 7 + 3) & 0xff;
+  }
+  return sidecar(bytes);
+}
+
+function archiverFor(store, { blocks = {}, blobs = [], registry } = {}) {
+  const provider = { getBlock: async number => blocks[number] };
+  const retriever = {
+    getBlobs: async hashes => blobs.filter(blob => hashes.includes(blob.versionedHash)),
+    getBlob: async hash => blobs.find(blob => blob.versionedHash === hash),
+  };
+  const signer = new ethers.Wallet(ethers.id('archiver test key'), provider);
+  const archiver = new BlobArchiver(store, { signer, retriever, registryAddress: REGISTRY, kzg });
+  archiver.chainId = 1;
+  if (registry) archiver.registry = registry;
+  return archiver;
+}
+
+test('the blob store files records by versioned hash and writes them atomically', () => {
+  const store = tempStore();
+  const hash = `0x01AB${'cd'.repeat(30)}`;
+  assert.strictEqual(store.get(hash), null);
+  assert.strictEqual(store.update(hash, { commitTx: '0x1' }), false);
+
+  store.put({ versionedHash: hash, data: '0x00', commitTx: null });
+  const file = path.join(store.dir, 'blobs', 'ab', `${hash.toLowerCase()}.json`);
+  assert.ok(fs.existsSync(file));
+  assert.deepStrictEqual(fs.readdirSync(path.dirname(file)), [path.basename(file)]);
+  assert.strictEqual(store.get(hash.toLowerCase()).versionedHash, hash.toLowerCase());
+
+  assert.strictEqual(store.update(hash, { commitTx: '0x1' }), true);
+  assert.deepStrictEqual(new BlobStore(store.dir).get(hash), { versionedHash: hash.toLowerCase(), data: '0x00', commitTx: '0x1' });
+
+  for (const bad of ['0x02' + 'ab'.repeat(31), '0x01' + 'ab'.repeat(30), '../../etc/passwd']) {
+    assert.throws(() => store.get(bad), /Not a versioned blob hash/);
+  }
+});
+
+test('the daemon state survives a restart', () => {
+  const store = tempStore();
+  assert.strictEqual(store.readState(), null);
+  store.writeState({ lastBlock: 41, archived: 3 });
+  const archiver = archiverFor(new BlobStore(store.dir));
+  assert.deepStrictEqual([archiver.state.lastBlock, archiver.state.archived, archiver.state.challengeBlock], [41, 3, null]);
+});
+
+test('a block archives only its BlobSocial blobs, once, with a proof', async () => {
+  const store = tempStore();
+  const ours = await socialBlob('keep me');
+  const theirs = foreignBlob();
+  const blocks = {
+    7: {
+      timestamp: 1700,
+      prefetchedTransactions: [
+        { hash: '0xaa', blobVersionedHashes: [ours.versionedHash] },
+        { hash: '0xbb', blobVersionedHashes: [theirs.versionedHash] },
+        { hash: '0xcc' },
+      ],
+    },
+    8: { timestamp: 1712, prefetchedTransactions: [{ hash: '0xdd' }] },
+  };
+  const archiver = archiverFor(store, { blocks, blobs: [ours, theirs] });
+
+  assert.strictEqual(await archiver.archiveBlock(7), 1);
+  assert.strictEqual(await archiver.archiveBlock(7), 0);
+  assert.strictEqual(await archiver.archiveBlock(8), 0);
+
+  const record = store.get(ours.versionedHash);
+  assert.deepStrictEqual([record.txHash, record.blockNumber, record.blockTimestamp, record.size], ['0xaa', 7, 1700, BYTES_PER_BLOB]);
+  assert.ok(kzg.verifyBlobKzgProof(Buffer.from(record.data.slice(2), 'hex'),
+    Buffer.from(record.commitment.slice(2), 'hex'), Buffer.from(record.proof.slice(2), 'hex')));
+  assert.strictEqual(store.has(theirs.versionedHash), false);
+  assert.deepStrictEqual(archiver.state.pendingCommits.map(p => p.hash), [ours.versionedHash]);
+});
+
+test('a challenge is answered with the commitment and proof, signed by the archiver', async () => {
+  const store = tempStore();
+  const blob = await socialBlob('challenged');
+  const onChain = { resolved: false, archiverWon: false, deadline: BigInt(Math.floor(Date.now() / 1000) + 3600) };
+  const archiver = archiverFor(store, { blobs: [blob], registry: { challenges: async () => onChain } });
+  store.put({ ...blob, proof: archiver.computeProof(blob) });
+
+  const challenge = { id: '5', blobHash: blob.versionedHash, status: 'open', answer: null, delivered: false };
+  await archiver.answerChallenge(challenge);
+
+  const { answer } = challenge;
+  assert.strictEqual(challenge.status, 'answered');
+  assert.deepStrictEqual([answer.commitment, answer.registry, answer.chainId], [blob.commitment, REGISTRY, 1]);
+  const digest = challengeAnswerHash({ chainId: 1, registry: REGISTRY, challengeId: '5', blobHash: blob.versionedHash, commitment: blob.commitment });
+  assert.strictEqual(ethers.verifyMessage(ethers.getBytes(digest), answer.signature), archiver.signer.address);
+
+  // Resolution on chain settles it; nothing is signed again
+  onChain.resolved = true;
+  onChain.archiverWon = true;
+  await archiver.answerChallenge(challenge);
+  assert.deepStrictEqual([challenge.status, challenge.answer], ['won', answer]);
+});
+
+test('a challenge past its deadline is left for resolution', async () => {
+  const expired = { resolved: false, archiverWon: false, deadline: BigInt(Math.floor(Date.now() / 1000) - 1) };
+  const archiver = archiverFor(tempStore(), { registry: { challenges: async () => expired } });
+  const challenge = { id: '6', blobHash: `0x01${'00'.repeat(31)}`, status: 'open', answer: null, delivered: false };
+  await archiver.answerChallenge(challenge);
+  assert.deepStrictEqual([challenge.status, challenge.answer], ['open', null]);
+});
+
+test('a damaged archived copy is fetched again before it is proven', async (t) => {
+  const store = tempStore();
+  const blob = await socialBlob('repair me');
+  const archiver = archiverFor(store, { blobs: [blob] });
+  t.mock.method(console, 'warn', () => {});
+
+  const damaged = '0x' + 'ff' + blob.data.slice(4);
+  store.put({ ...blob, data: damaged, txHash: '0xaa', blockNumber: 9 });
+
+  const proven = await archiver.proveBlob(blob.versionedHash);
+  assert.strictEqual(proven.data, blob.data);
+  assert.strictEqual(store.get(blob.versionedHash).data, blob.data);
+  // What the archive knew about the blob's origin is kept
+  assert.deepStrictEqual([proven.txHash, proven.blockNumber], ['0xaa', 9]);
+});
@@ -0,0 +1,117 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const {
+  BYTES_PER_BLOB,
+  BlobRetriever,
+  BlobVerificationError,
+  BlobUnavailableError,
+  loadKzg,
+  verifyBlob,
+} = require('../lib/blob-retrieval');
+
+// Field elements must stay below the BLS modulus, so every 32-byte word
+// starts with a zero byte
+function makeBlob(seed) {
+  const bytes = Buffer.alloc(BYTES_PER_BLOB);
+  for (let i = 0; i < BYTES_PER_BLOB; i++) {
+    if (i % 32 !== 0) bytes[i] = (i * 31 + seed * 17) & 0xff;
+  }
+  return '0x' + bytes.toString('hex');
+}
+
+const kzg = loadKzg();
+const good = verifyBlob(kzg, makeBlob(1));
+const other = verifyBlob(kzg, makeBlob(2));
+// One byte off: still a valid blob, but not the one asked for
+const tampered = good.data.slice(0, 100) + (good.data[100] === 'a' ? 'b' : 'a') + good.data.slice(101);
+
+// Fixture server standing in for a beacon node and several blob endpoints
+let server;
+let base;
+const requests = [];
+
+before(async () => {
+  const app = express();
+  app.use((req, res, next) => {
+    requests.push(req.originalUrl);
+    next();
+  });
+  app.get('/good/blobs/:hash', (req, res) => res.json({ data: good.data, commitment: good.commitment }));
+  app.get('/tampered/blobs/:hash', (req, res) => res.json({ data: tampered }));
+  // The right data under somebody else's commitment
+  app.get('/wrong-commitment/blobs/:hash', (req, res) => res.json({ data: good.data, commitment: other.commitment }));
+  app.get('/empty/blobs/:hash', (req, res) => res.json({}));
+  app.get('/down/blobs/:hash', (req, res) => res.status(503).json({ error: 'unavailable' }));
+  app.get('/api/blob', (req, res) => {
+    if (req.query.versionedHash !== good.versionedHash) return res.status(404).end();
+    res.json({ data: good.data });
+  });
+
+  app.get('/beacon/eth/v1/beacon/genesis', (req, res) => res.json({ data: { genesis_time: '1000' } }));
+  app.get('/beacon/eth/v1/config/spec', (req, res) => res.json({ data: { SECONDS_PER_SLOT: '12' } }));
+  app.get('/beacon/eth/v1/beacon/blob_sidecars/:blockId', (req, res) => {
+    if (req.params.blockId !== '5') return res.status(404).json({ message: 'no block' });
+    res.json({ data: [{ index: '0', blob: other.data, kzg_commitment: other.commitment, kzg_proof: '0x' }] });
+  });
+
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+test('verifyBlob rejects data that does not match the hash or the claimed commitment', () => {
+  assert.throws(() => verifyBlob(kzg, tampered, { versionedHash: good.versionedHash }),
+    e => e instanceof BlobVerificationError && e.code === 'BLOB_MISMATCH' && /hashes to/.test(e.message));
+  assert.throws(() => verifyBlob(kzg, good.data, { commitment: other.commitment }),
+    e => e instanceof BlobVerificationError && /claimed commitment/.test(e.message));
+  assert.throws(() => verifyBlob(kzg, '0x1234'), /expected 131072/);
+  assert.deepStrictEqual(verifyBlob(kzg, good.data, good), good);
+});
+
+test('endpoints are tried in order until one returns a verified copy', async () => {
+  const endpoints = ['tampered', 'wrong-commitment', 'empty', 'down', 'good'].map(name => `${base}/${name}`);
+  const retriever = new BlobRetriever({ endpoints, kzg });
+
+  const blob = await retriever.getBlob(good.versionedHash);
+  assert.strictEqual(blob.data, good.data);
+  assert.strictEqual(blob.commitment, good.commitment);
+  assert.strictEqual(blob.source, `${base}/good`);
+});
+
+test('a blob no endpoint can vouch for is unavailable, with every reason', async () => {
+  const endpoints = ['tampered', 'wrong-commitment', 'down'].map(name => `${base}/${name}`);
+  const retriever = new BlobRetriever({ endpoints, kzg });
+
+  await assert.rejects(retriever.getBlob(good.versionedHash), e => {
+    assert.ok(e instanceof BlobUnavailableError);
+    assert.strictEqual(e.code, 'BLOB_UNAVAILABLE');
+    assert.deepStrictEqual(e.missing, [good.versionedHash]);
+    assert.match(e.message, /tampered: Blob hashes to/);
+    assert.match(e.message, /wrong-commitment: Blob does not match its claimed commitment/);
+    assert.match(e.message, /down: HTTP 503/);
+    return true;
+  });
+});
+
+test('an endpoint URL with {hash} is used as is', async () => {
+  const retriever = new BlobRetriever({ endpoints: [`${base}/api/blob?versionedHash={hash}`], kzg });
+
+  const blob = await retriever.getBlob(good.versionedHash);
+  assert.strictEqual(blob.data, good.data);
+  assert.ok(requests.includes(`/api/blob?versionedHash=${good.versionedHash}`));
+});
+
+test('beacon sidecars come first, found by the execution block timestamp', async () => {
+  const retriever = new BlobRetriever({ beaconUrls: [`${base}/beacon`], endpoints: [`${base}/good`], kzg });
+
+  // Slot 5 is at 1000 + 5 * 12
+  const [fromBeacon, fromEndpoint] = await retriever.getBlobs([other.versionedHash, good.versionedHash],
+    { timestamp: 1060 });
+  assert.strictEqual(fromBeacon.source, 'beacon');
+  assert.strictEqual(fromBeacon.data, other.data);
+  assert.strictEqual(fromEndpoint.source, `${base}/good`);
+});
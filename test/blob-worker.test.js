@@ -0,0 +1,138 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { SqliteStore } = require('../indexer/store/sqlite');
+const { BlobWorker } = require('../indexer/blobs/worker');
+const { loadBlobUtils } = require('../lib/load-blob-utils');
+
+const AUTHOR = '0x00000000000000000000000000000000000000a1';
+
+function envelope(data, type = 'post') {
+  return { v: 1, type, agent: 7, ts: 1700000000, data, sig: '0x1234' };
+}
+
+// A store holding one anchor per blob, in order, and a worker that serves
+// the blobs from memory
+async function setup(envelopes) {
+  const { envelopeToBlobs } = await loadBlobUtils();
+  const store = new SqliteStore(':memory:');
+  const blobs = new Map();
+  for (const [i, env] of envelopes.entries()) {
+    const { blobs: [data] } = await envelopeToBlobs(env, { compression: 'none' });
+    const blobHash = '0x01' + String(i + 1).padStart(62, '0');
+    blobs.set(blobHash, data);
+    store.insertBlobAnchor({
+      blobHash,
+      agentId: 7,
+      postIndex: i,
+      timestamp: 1700000000,
+      txHash: '0x' + String(i + 1).padStart(64, '0'),
+      blockNumber: 100 + i,
+      logIndex: 0,
+    });
+  }
+  const worker = new BlobWorker(store, {
+    provider: { getTransaction: async () => ({ from: AUTHOR }) },
+    retriever: { getBlob: async hash => ({ data: blobs.get(hash) }) },
+  });
+  return { store, worker, hashes: [...blobs.keys()] };
+}
+
+test('a post whose content is not a string is invalid and does not block later anchors', async () => {
+  const { store, worker, hashes } = await setup([
+    envelope({ content: 42 }),
+    envelope({ content: 'still indexed', tags: ['ok'] }),
+  ]);
+
+  await worker.processDue();
+
+  const bad = store.getBlobAnchor(hashes[0]);
+  assert.strictEqual(bad.status, 'invalid');
+  assert.match(bad.lastError, /data\.content must be a string/);
+  assert.strictEqual(store.getBlobAnchor(hashes[1]).status, 'fetched');
+  assert.deepStrictEqual(store.getFeed({ limit: 10 }).posts.map(p => p.content), ['still indexed']);
+});
+
+test('validateEnvelope checks the entries of replies, reposts and batches', async () => {
+  const { validateEnvelope } = await loadBlobUtils();
+  assert.throws(() => validateEnvelope(envelope({ content: 'hi', tags: 'one' }, 'reply')), /data\.tags/);
+  assert.throws(() => validateEnvelope(envelope({ repostOf: '0x01', content: {} }, 'repost')), /data\.content/);
+  assert.throws(() => validateEnvelope(envelope({ posts: [{ content: null }], merkleRoot: '0x' }, 'batch')),
+    /data\.posts\[0\]\.content/);
+  assert.ok(validateEnvelope(envelope({ repostOf: '0x01' }, 'repost')));
+});
+
+test('an anchor that fails to store is marked invalid and the loop moves on', async () => {
+  const { store, worker, hashes } = await setup([
+    envelope({ content: 'first' }),
+    envelope({ content: 'second' }),
+  ]);
+  const insertBlobPost = store.insertBlobPost.bind(store);
+  store.insertBlobPost = post => {
+    if (post.content === 'first') throw new Error('disk full');
+    return insertBlobPost(post);
+  };
+
+  await worker.processDue();
+
+  const failed = store.getBlobAnchor(hashes[0]);
+  assert.strictEqual(failed.status, 'invalid');
+  assert.strictEqual(failed.attempts, 1);
+  assert.strictEqual(failed.lastError, 'disk full');
+  assert.strictEqual(store.getBlobAnchor(hashes[1]).status, 'fetched');
+  assert.strictEqual(store.getDueBlobAnchors(Date.now(), 10).length, 0);
+});
+
+test('a payload framed across several blobs is stored once every chunk is fetched', async () => {
+  const { envelopeToBlobs } = await loadBlobUtils();
+  // Incompressible enough to need three blobs
+  const content = Array.from({ length: 80000 }, (_, i) => (i * 7919 % 100003).toString(36)).join(' ');
+  const { blobs } = await envelopeToBlobs(envelope({ content }), { compression: 'none' });
+  assert.ok(blobs.length >= 3);
+
+  const { store, worker } = await setup([]);
+  const served = new Map();
+  // Chunks anchored in reverse order, one block apart
+  [...blobs].reverse().forEach((data, i) => {
+    const blobHash = '0x01' + String(i + 10).padStart(62, '0');
+    served.set(blobHash, data);
+    store.insertBlobAnchor({
+      blobHash,
+      agentId: 7,
+      postIndex: 0,
+      timestamp: 1700000000,
+      txHash: '0x' + String(i + 10).padStart(64, '0'),
+      blockNumber: 200 + i,
+      logIndex: 0,
+    });
+  });
+  worker.retriever = { getBlob: async hash => ({ data: served.get(hash) }) };
+  const hashes = [...served.keys()];
+  const last = hashes.length - 1;
+
+  // Without the last chunk the others wait, pending but not due
+  const lastAnchor = store.getBlobAnchor(hashes[last]);
+  for (const hash of hashes.slice(0, last)) {
+    await worker.processAnchor(store.getBlobAnchor(hash));
+  }
+  assert.strictEqual(store.getBlobAnchor(hashes[0]).status, 'pending');
+  assert.match(store.getBlobAnchor(hashes[0]).lastError, /Waiting for chunk/);
+  assert.deepStrictEqual(store.getDueBlobAnchors(Date.now(), 10).map(a => a.blobHash), [lastAnchor.blobHash]);
+  assert.strictEqual(store.getFeed({ limit: 10 }).posts.length, 0);
+
+  await worker.processDue();
+
+  for (const hash of hashes) {
+    assert.strictEqual(store.getBlobAnchor(hash).status, 'fetched');
+  }
+  const [post] = store.getFeed({ limit: 10 }).posts;
+  assert.strictEqual(post.content, content);
+  // Chunk 0 was anchored last
+  assert.strictEqual(post.blobHash, hashes[last]);
+  assert.strictEqual(post.blockNumber, 200 + last);
+  assert.strictEqual(store.getBlobChunks(store.getBlobAnchor(hashes[0]).payloadId, 7).length, 0);
+
+  // A reorg of the last chunk's block takes the post out; the others are fetched again
+  store.rollbackChain(200 + last - 1);
+  assert.strictEqual(store.getFeed({ limit: 10 }).posts.length, 0);
+  assert.deepStrictEqual(store.getDueBlobAnchors(Date.now(), 10).map(a => a.blobHash), hashes.slice(0, last));
+});
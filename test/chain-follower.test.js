@@ -0,0 +1,162 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const { SqliteStore } = require('../indexer/store/sqlite');
+const { ChainFollower, SOCIAL_EVENTS_ABI } = require('../indexer/chain/follower');
+
+const CONTRACT = '0x00000000000000000000000000000000000000C0';
+const ALICE = '0x00000000000000000000000000000000000A11cE';
+const BOB = '0x0000000000000000000000000000000000000B0B';
+const iface = new ethers.Interface(SOCIAL_EVENTS_ABI);
+
+// Blocks 0..head, each with a hash and its logs; fork() rewrites the tail
+class FakeChain {
+  constructor(head) {
+    this.blocks = [];
+    this.ranges = [];
+    for (let n = 0; n <= head; n++) this.setBlock(n, []);
+  }
+
+  setBlock(number, events, fork = 'a') {
+    const hash = ethers.id(`${fork}:${number}`);
+    const logs = events.map(([name, args], index) => ({
+      ...iface.encodeEventLog(name, args),
+      address: CONTRACT,
+      blockNumber: number,
+      blockHash: hash,
+      transactionHash: ethers.id(`${fork}:${number}:${index}`),
+      index,
+      removed: false,
+    }));
+    this.blocks[number] = { number, hash, logs };
+  }
+
+  get head() {
+    return this.blocks.length - 1;
+  }
+
+  provider() {
+    return {
+      getBlockNumber: async () => this.head,
+      getBlock: async number => this.blocks[number] || null,
+      getLogs: async ({ fromBlock, toBlock }) => {
+        this.ranges.push([fromBlock, toBlock]);
+        return this.blocks.slice(fromBlock, toBlock + 1).flatMap(block => block.logs);
+      },
+    };
+  }
+}
+
+function hashOf(postId) {
+  return ethers.id(`post ${postId}`);
+}
+
+function postCreated(postId, author, seconds) {
+  return ['PostCreated', [postId, author, 22583, hashOf(postId), seconds]];
+}
+
+function follower(store, chain, options = {}) {
+  return new ChainFollower(store, {
+    provider: chain.provider(),
+    contractAddress: CONTRACT,
+    startBlock: 1,
+    confirmations: 2,
+    blockRange: 3,
+    ...options,
+  });
+}
+
+test('only confirmed blocks are processed, in ranges, from the checkpoint', async () => {
+  const store = new SqliteStore(':memory:');
+  const chain = new FakeChain(10);
+  chain.setBlock(8, [postCreated(1, ALICE, 100)]);
+  chain.setBlock(9, [postCreated(2, BOB, 200)]);
+  const seen = [];
+  const job = follower(store, chain, { onPost: post => seen.push(post.contentHash) });
+
+  await job.poll();
+  assert.deepStrictEqual(chain.ranges, [[1, 3], [4, 6], [7, 8]]);
+  assert.deepStrictEqual(seen, [hashOf(1)]);
+  assert.strictEqual(job.status().checkpoint, 8);
+
+  const [post] = store.getFeed({ limit: 10 }).posts;
+  assert.strictEqual(post.source, 'chain');
+  assert.strictEqual(post.blockNumber, 8);
+  assert.strictEqual(post.timestamp, 100 * 1000);
+
+  // Block 9 reaches two confirmations once block 11 is mined
+  chain.setBlock(11, []);
+  chain.setBlock(10, []);
+  await job.poll();
+  assert.deepStrictEqual(chain.ranges.slice(3), [[9, 9]]);
+  assert.deepStrictEqual(seen, [hashOf(1), hashOf(2)]);
+
+  // Nothing new: no log queries at all
+  await job.poll();
+  assert.strictEqual(chain.ranges.length, 4);
+});
+
+test('a log seen twice is stored once, and removed logs are skipped', async () => {
+  const store = new SqliteStore(':memory:');
+  const chain = new FakeChain(6);
+  chain.setBlock(2, [postCreated(1, ALICE, 100), postCreated(2, ALICE, 101)]);
+  chain.blocks[2].logs[1].removed = true;
+  const job = follower(store, chain);
+
+  await job.poll();
+  store.setMeta('chain_checkpoint', null);
+  await job.poll();
+
+  assert.deepStrictEqual(store.getFeed({ limit: 10 }).posts.map(p => p.contentHash), [hashOf(1)]);
+});
+
+test('a chain post takes the content of an API post with the same hash', async () => {
+  const store = new SqliteStore(':memory:');
+  store.insertPost({ content: 'gm from the API', author: ALICE, contentHash: hashOf(1), timestamp: 1 });
+  const chain = new FakeChain(5);
+  chain.setBlock(3, [postCreated(1, ALICE, 100)]);
+
+  await follower(store, chain).poll();
+  const chainPost = store.getFeed({ limit: 10 }).posts.find(p => p.source === 'chain');
+  assert.strictEqual(chainPost.content, 'gm from the API');
+});
+
+test('a reorg rolls back to the common ancestor and replays the new branch', async () => {
+  const store = new SqliteStore(':memory:');
+  const chain = new FakeChain(12);
+  chain.setBlock(5, [postCreated(1, ALICE, 100)]);
+  chain.setBlock(8, [postCreated(2, BOB, 200), ['Followed', [BOB, ALICE, 200]]]);
+  chain.setBlock(9, [postCreated(3, BOB, 300)]);
+  const job = follower(store, chain);
+  await job.poll();
+  assert.strictEqual(store.countPosts(), 3);
+
+  // Blocks 8 onwards are replaced: post 2 and the follow move, post 3 is gone
+  for (let n = 8; n <= 12; n++) chain.setBlock(n, [], 'b');
+  chain.setBlock(9, [postCreated(2, BOB, 250)], 'b');
+  await job.poll();
+
+  const posts = store.getFeed({ limit: 10 }).posts;
+  assert.deepStrictEqual(posts.map(p => [p.contentHash, p.blockNumber]), [[hashOf(2), 9], [hashOf(1), 5]]);
+  assert.strictEqual(posts[0].txHash, chain.blocks[9].logs[0].transactionHash);
+  assert.strictEqual(store.db.prepare('SELECT COUNT(*) AS n FROM follow_events').get().n, 0);
+  assert.strictEqual(job.status().checkpoint, 10);
+  assert.deepStrictEqual(store.getChainBlocks(1)[0], { number: 10, hash: chain.blocks[10].hash });
+});
+
+test('a reorg deeper than the recorded blocks replays everything it still has', async () => {
+  const store = new SqliteStore(':memory:');
+  const chain = new FakeChain(8);
+  chain.setBlock(6, [postCreated(1, ALICE, 100)]);
+  const job = follower(store, chain);
+  await job.poll();
+
+  for (let n = 0; n <= 8; n++) chain.setBlock(n, [], 'b');
+  chain.setBlock(4, [postCreated(1, ALICE, 100)], 'b');
+  chain.ranges.length = 0;
+  await job.poll();
+
+  // The oldest recorded block was 3 (the first range's end); replay from it
+  assert.strictEqual(chain.ranges[0][0], 3);
+  assert.deepStrictEqual(store.getFeed({ limit: 10 }).posts.map(p => p.blockNumber), [4]);
+});
@@ -0,0 +1,78 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const { canonicalEnvelope, envelopeSigningHash, legacySigningHash, recoverEnvelopeSigner, verifyEnvelope } = require('../lib/envelope');
+
+const owner = new ethers.Wallet(ethers.id('envelope owner'));
+const operator = new ethers.Wallet(ethers.id('envelope operator'));
+const stranger = new ethers.Wallet(ethers.id('envelope stranger'));
+
+// Agent 7 is owned by `owner`, who approved `operator`
+const resolver = {
+  async getOwner(agentId) {
+    return agentId === 7 ? owner.address : null;
+  },
+  async operatesAgent(address, agentId) {
+    return agentId === 7 && [owner.address, operator.address].includes(address);
+  },
+};
+
+async function sign(wallet, envelope, hash = envelopeSigningHash) {
+  return { ...envelope, sig: await wallet.signMessage(ethers.getBytes(hash(envelope))) };
+}
+
+test('canonical JSON sorts keys at every level, keeps arrays and leaves out sig', () => {
+  const envelope = { v: 1, type: 'post', meta: { z: 1, a: [{ b: 2, a: 1 }, 3] }, agent: 7, sig: '0xabc' };
+  assert.strictEqual(canonicalEnvelope(envelope), '{"agent":7,"meta":{"a":[{"a":1,"b":2},3],"z":1},"type":"post","v":1}');
+});
+
+test('a canonical signature survives re-serialization in any key order', async () => {
+  const signed = await sign(owner, { v: 1, type: 'post', agent: 7, content: 'hi', ts: 1 });
+  const reordered = JSON.parse(JSON.stringify({ sig: signed.sig, ts: 1, content: 'hi', agent: 7, type: 'post', v: 1 }));
+
+  assert.strictEqual(recoverEnvelopeSigner(reordered), owner.address);
+  assert.deepStrictEqual(await verifyEnvelope(reordered, resolver),
+    { verified: true, signer: owner.address, owner: owner.address, encoding: 'canonical', reason: null });
+});
+
+test('an approved operator may sign for the agent', async () => {
+  const signed = await sign(operator, { v: 1, type: 'post', agent: 7, content: 'by operator' });
+  const result = await verifyEnvelope(signed, resolver);
+  assert.deepStrictEqual([result.verified, result.signer, result.owner], [true, operator.address, owner.address]);
+});
+
+test('legacy signatures verify only in creation order and only for the agent', async () => {
+  // Creation order differs from the sorted order, so the two hashes differ
+  const envelope = { v: 1, type: 'post', content: 'old', agent: 7 };
+  assert.notStrictEqual(legacySigningHash(envelope), envelopeSigningHash(envelope));
+
+  const legacy = await sign(owner, envelope, legacySigningHash);
+  assert.strictEqual((await verifyEnvelope(legacy, resolver)).encoding, 'legacy');
+  // The canonical hash recovers some unrelated address rather than failing
+  assert.notStrictEqual(recoverEnvelopeSigner(legacy), owner.address);
+
+  const shuffled = { agent: 7, content: 'old', type: 'post', v: 1, sig: legacy.sig };
+  assert.strictEqual((await verifyEnvelope(shuffled, resolver)).verified, false);
+
+  const byStranger = await sign(stranger, envelope, legacySigningHash);
+  assert.strictEqual((await verifyEnvelope(byStranger, resolver)).verified, false);
+});
+
+test('unverified envelopes say why', async () => {
+  const reason = async envelope => (await verifyEnvelope(envelope, resolver)).reason;
+
+  assert.strictEqual(await reason({ v: 1, agent: 7 }), 'Envelope is not signed');
+  assert.strictEqual(await reason(await sign(owner, { v: 1 })), 'Envelope names no agent');
+  assert.strictEqual(await reason(await sign(owner, { v: 1, agent: -1 })), 'Envelope names no agent');
+  assert.strictEqual(await reason(await sign(owner, { v: 1, agent: 8 })), 'Agent #8 is not registered');
+  assert.strictEqual(await reason(await sign(stranger, { v: 1, agent: 7 })),
+    `Signer ${stranger.address} neither owns nor operates Agent #7`);
+  assert.strictEqual(await reason({ v: 1, agent: 7, sig: '0x1234' }), 'Signature is malformed');
+});
+
+test('tampering with any signed field breaks the signature', async () => {
+  const signed = await sign(owner, { v: 1, type: 'post', agent: 7, content: 'original', tags: ['a'] });
+  for (const change of [{ content: 'changed' }, { tags: ['a', 'b'] }, { extra: true }]) {
+    assert.strictEqual((await verifyEnvelope({ ...signed, ...change }, resolver)).verified, false, JSON.stringify(change));
+  }
+});
@@ -0,0 +1,143 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { once } = require('events');
+const { FailoverProvider, RpcUnavailableError } = require('../lib/failover-provider');
+
+const servers = [];
+after(() => {
+  for (const server of servers) {
+    server.closeAllConnections();
+    server.close();
+  }
+});
+
+// A JSON-RPC endpoint. `mode` is 'ok', 'http-error', 'revert' or 'hang' and
+// can be changed between requests; `requests` counts the calls it received.
+async function endpoint(mode = 'ok') {
+  const rpc = { mode, requests: 0 };
+  const server = http.createServer(async (req, res) => {
+    let body = '';
+    for await (const chunk of req) body += chunk;
+    const payload = JSON.parse(body);
+    const calls = Array.isArray(payload) ? payload : [payload];
+    rpc.requests += calls.length;
+
+    if (rpc.mode === 'hang') return;
+    if (rpc.mode === 'http-error') {
+      res.writeHead(502).end('bad gateway');
+      return;
+    }
+    const answer = ({ id, method }) => rpc.mode === 'revert' && method === 'eth_call'
+      ? { jsonrpc: '2.0', id, error: { code: 3, message: 'execution reverted', data: '0x' } }
+      : { jsonrpc: '2.0', id, result: method === 'eth_call' ? '0x' + '00'.repeat(31) + '01' : '0x2a' };
+    const results = calls.map(answer);
+    res.writeHead(200, { 'content-type': 'application/json' });
+    res.end(JSON.stringify(Array.isArray(payload) ? results : results[0]));
+  });
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  servers.push(server);
+  rpc.url = `http://127.0.0.1:${server.address().port}`;
+  return rpc;
+}
+
+function failover(rpcs, options = {}) {
+  return new FailoverProvider(rpcs.map(rpc => rpc.url), {
+    timeout: 200, failureThreshold: 2, cooldown: 300, ...options,
+  });
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// A registry lookup; each one is distinct, so the provider's request cache
+// never answers for the endpoints
+let lookups = 0;
+function lookup(provider) {
+  const address = (++lookups).toString(16).padStart(64, '0');
+  return provider.call({ to: '0x8004A169FB4a3325136EB29fA0ceB6D2e539a432', data: `0x70a08231${address}` });
+}
+const ONE = '0x' + '00'.repeat(31) + '01';
+
+test('transport failures fall through and open the circuit after the threshold', async t => {
+  t.mock.method(console, 'warn', () => {});
+  const [flaky, backup] = [await endpoint('http-error'), await endpoint()];
+  const provider = failover([flaky, backup]);
+
+  assert.strictEqual(await lookup(provider), ONE);
+  assert.strictEqual(await lookup(provider), ONE);
+  assert.strictEqual(provider.status()[0].state, 'open');
+
+  // While open the endpoint is skipped entirely
+  const before = flaky.requests;
+  await lookup(provider);
+  assert.strictEqual(flaky.requests, before);
+  assert.strictEqual(backup.requests, 3);
+  provider.destroy();
+});
+
+test('a reverted call goes back to the caller without tripping anything', async () => {
+  const [primary, backup] = [await endpoint('revert'), await endpoint()];
+  const provider = failover([primary, backup], { failureThreshold: 1 });
+
+  for (let i = 0; i < 3; i++) {
+    await assert.rejects(lookup(provider), e => e.code === 'CALL_EXCEPTION');
+  }
+  assert.strictEqual(backup.requests, 0);
+  assert.deepStrictEqual(provider.status().map(e => [e.state, e.failures]), [['closed', 0], ['closed', 0]]);
+  provider.destroy();
+});
+
+test('a hanging endpoint times out and the next one answers', async () => {
+  const [slow, backup] = [await endpoint('hang'), await endpoint()];
+  const provider = failover([slow, backup]);
+
+  const started = Date.now();
+  assert.strictEqual(await lookup(provider), ONE);
+  assert.ok(Date.now() - started < 1000);
+  assert.match(provider.status()[0].lastError, /timed out after 200ms/);
+  provider.destroy();
+});
+
+test('after the cooldown one trial request decides whether the circuit closes', async t => {
+  t.mock.method(console, 'warn', () => {});
+  const [primary, backup] = [await endpoint('http-error'), await endpoint()];
+  const provider = failover([primary, backup]);
+  await lookup(provider);
+  await lookup(provider);
+  assert.strictEqual(provider.status()[0].state, 'open');
+
+  // A failed trial re-opens it for another cooldown
+  await sleep(350);
+  assert.strictEqual(provider.status()[0].state, 'half-open');
+  await lookup(provider);
+  assert.strictEqual(provider.status()[0].state, 'open');
+
+  primary.mode = 'ok';
+  await sleep(350);
+  const served = backup.requests;
+  await lookup(provider);
+  assert.strictEqual(backup.requests, served);
+  assert.deepStrictEqual(provider.status()[0].state, 'closed');
+  provider.destroy();
+});
+
+test('with nothing left the caller gets one RpcUnavailableError', async t => {
+  t.mock.method(console, 'warn', () => {});
+  const [a, b] = [await endpoint('http-error'), await endpoint('http-error')];
+  const provider = failover([a, b], { failureThreshold: 1 });
+
+  await assert.rejects(lookup(provider), e =>
+    e instanceof RpcUnavailableError && e.code === 'RPC_UNAVAILABLE' &&
+    e.message.includes(a.url) && e.message.includes(b.url));
+  await assert.rejects(lookup(provider), /every endpoint is cooling down/);
+
+  // Health checks close circuits without waiting for traffic
+  a.mode = 'ok';
+  await provider.checkHealth();
+  assert.deepStrictEqual(provider.status().map(e => e.state), ['closed', 'open']);
+  assert.strictEqual(await lookup(provider), ONE);
+  provider.destroy();
+
+  assert.throws(() => new FailoverProvider([]), /at least one RPC URL/);
+});
@@ -0,0 +1,111 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const { SqliteStore } = require('../indexer/store/sqlite');
+const { FOLLOW_TYPES, UNFOLLOW_TYPES, buildDomain, followMessage, signFollow, recoverTypedDataSigner } = require('../lib/typed-data');
+
+const ALICE = '0x00000000000000000000000000000000000A11cE';
+const BOB = '0x0000000000000000000000000000000000000B0B';
+const CAROL = '0x00000000000000000000000000000000000CA201';
+
+// A Followed/Unfollowed log; logs are unique by (txHash, logIndex)
+function chainEvent(store, kind, follower, following, blockNumber, logIndex = 0) {
+  store.insertFollowEvent({
+    follower, following, kind, timestamp: blockNumber * 1000,
+    txHash: `0x${blockNumber.toString(16)}`, blockNumber, logIndex,
+  });
+}
+
+function agent(n) {
+  return `0x${n.toString(16).padStart(40, '0')}`;
+}
+
+test('signed and on-chain follows are separate layers of one edge', () => {
+  const store = new SqliteStore(':memory:');
+  store.setSignedFollow(ALICE, BOB, 5000);
+  chainEvent(store, 'follow', ALICE, BOB, 3);
+
+  const [edge] = store.getFollowing(ALICE, { limit: 10 });
+  assert.strictEqual(edge.address, BOB.toLowerCase());
+  assert.strictEqual(edge.since, 3000);
+  assert.deepStrictEqual(edge.sources.sort(), ['chain', 'signed']);
+  assert.strictEqual(store.countFollowers(BOB), 1);
+
+  // Dropping either layer leaves the other
+  chainEvent(store, 'unfollow', ALICE, BOB, 4);
+  assert.strictEqual(store.isFollowing(ALICE, BOB), true);
+  store.removeSignedFollow(ALICE.toLowerCase(), BOB);
+  assert.strictEqual(store.isFollowing(ALICE, BOB), false);
+  assert.strictEqual(store.countFollowing(ALICE), 0);
+});
+
+test('the latest chain event decides, whatever order the logs arrive in', () => {
+  const store = new SqliteStore(':memory:');
+  chainEvent(store, 'follow', ALICE, BOB, 10);
+  chainEvent(store, 'unfollow', ALICE, BOB, 7);
+  assert.strictEqual(store.isFollowing(ALICE, BOB), true);
+
+  // The same log again changes nothing
+  chainEvent(store, 'follow', ALICE, BOB, 10);
+  assert.strictEqual(store.db.prepare('SELECT COUNT(*) AS n FROM follow_events').get().n, 2);
+});
+
+test('rolling back an unfollow restores the follow', () => {
+  const store = new SqliteStore(':memory:');
+  chainEvent(store, 'follow', ALICE, BOB, 5);
+  chainEvent(store, 'unfollow', ALICE, BOB, 9);
+  chainEvent(store, 'follow', ALICE, CAROL, 9, 1);
+  assert.deepStrictEqual(store.getFollowing(ALICE, { limit: 10 }).map(f => f.address), [CAROL.toLowerCase()]);
+
+  store.rollbackChain(8);
+  assert.deepStrictEqual(store.getFollowing(ALICE, { limit: 10 }).map(f => f.address), [BOB.toLowerCase()]);
+  assert.strictEqual(store.getFollowing(ALICE, { limit: 10 })[0].since, 5000);
+});
+
+test('the home feed reads the same with few or thousands of follows', () => {
+  const store = new SqliteStore(':memory:');
+  let timestamp = 0;
+  for (const author of [BOB, CAROL.toLowerCase(), ALICE, agent(999)]) {
+    for (let i = 0; i < 3; i++) {
+      store.insertPost({ content: `${author} ${i}`, author, contentHash: '0x00', timestamp: ++timestamp });
+    }
+  }
+
+  store.setSignedFollow(ALICE, BOB.toLowerCase(), 1);
+  store.setSignedFollow(ALICE, CAROL, 1);
+  const few = store.getHomeFeed(ALICE, { limit: 4 }).posts;
+  assert.deepStrictEqual(few.map(p => p.timestamp), [6, 5, 4, 3]);
+
+  // Past the scan threshold the plan changes, the result must not
+  for (let n = 1; n <= 250; n++) store.setSignedFollow(ALICE, agent(n), 1);
+  assert.deepStrictEqual(store.getHomeFeed(ALICE, { limit: 4 }).posts, few);
+
+  // Following yourself is not implied
+  assert.ok(store.getHomeFeed(ALICE, { limit: 50 }).posts.every(p => p.author !== ALICE));
+  assert.deepStrictEqual(store.getHomeFeed(BOB, { limit: 50 }).posts, []);
+});
+
+test('a nonce is consumed once and only forwards', () => {
+  const store = new SqliteStore(':memory:');
+  assert.strictEqual(store.consumeNonce(ALICE, 2), true);
+  assert.strictEqual(store.consumeNonce(ALICE.toLowerCase(), 2), false);
+  assert.strictEqual(store.consumeNonce(ALICE, 1), false);
+  assert.strictEqual(store.consumeNonce(ALICE, 7), true);
+  assert.strictEqual(store.getNonce(ALICE), 7);
+});
+
+test('a signed follow names its target and does not verify as an unfollow', async () => {
+  const wallet = new ethers.Wallet(ethers.id('follow graph test key'));
+  const domain = buildDomain({ chainId: 1, verifyingContract: '0x0000000000000000000000000000000000001234' });
+  const fields = { timestamp: 5000, nonce: 3 };
+  const message = followMessage(BOB, fields);
+
+  const follow = await signFollow(wallet, domain, BOB, fields);
+  assert.strictEqual(recoverTypedDataSigner(domain, FOLLOW_TYPES, message, follow), wallet.address);
+  assert.notStrictEqual(recoverTypedDataSigner(domain, UNFOLLOW_TYPES, message, follow), wallet.address);
+  assert.notStrictEqual(recoverTypedDataSigner(domain, FOLLOW_TYPES, followMessage(CAROL, fields), follow), wallet.address);
+
+  // The address is signed as 20 bytes, so its case doesn't matter
+  const unfollow = await signFollow(wallet, domain, BOB.toLowerCase(), fields, { unfollow: true });
+  assert.strictEqual(recoverTypedDataSigner(domain, UNFOLLOW_TYPES, message, unfollow), wallet.address);
+});
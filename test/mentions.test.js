@@ -0,0 +1,45 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { resolveMentions } = require('../indexer/mentions');
+
+const OWNER = '0x00000000000000000000000000000000000000A1';
+
+test('mention lookups run at once and stop at the deadline', async () => {
+  let inFlight = 0;
+  let most = 0;
+  const resolver = {
+    getOwner: async agentId => {
+      inFlight++;
+      most = Math.max(most, inFlight);
+      // Agent #1 answers; the made-up ids hang like a stalled RPC
+      await new Promise(resolve => setTimeout(resolve, agentId === 1 ? 10 : 5000).unref());
+      inFlight--;
+      return OWNER;
+    },
+  };
+  const content = Array.from({ length: 20 }, (_, i) => `@agent#${i + 1}`).join(' ');
+
+  const started = Date.now();
+  const mentions = await resolveMentions(content, resolver, { timeout: 200 });
+  const elapsed = Date.now() - started;
+
+  assert.strictEqual(most, 20);
+  assert.ok(elapsed < 1000, `took ${elapsed}ms`);
+  assert.strictEqual(mentions.length, 20);
+  assert.deepStrictEqual(mentions[0], { address: OWNER.toLowerCase(), agentId: 1 });
+  assert.ok(mentions.slice(1).every(mention => mention.address === null));
+});
+
+test('a failed lookup leaves only that mention unresolved', async () => {
+  const resolver = {
+    getOwner: async agentId => {
+      if (agentId === 2) throw new Error('No RPC endpoint available');
+      return agentId === 3 ? null : OWNER;
+    },
+  };
+  const mentions = await resolveMentions('@agent#1 @agent#2 @agent#3 @0x00000000000000000000000000000000000000B2',
+    resolver);
+  assert.deepStrictEqual(mentions.map(mention => mention.address), [
+    OWNER.toLowerCase(), null, null, '0x00000000000000000000000000000000000000b2',
+  ]);
+});
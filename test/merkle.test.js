@@ -0,0 +1,107 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const { SqliteStore } = require('../indexer/store/sqlite');
+const { ZERO_ROOT, batchEntry, batchLeaf, merkleRoot, merkleProof, verifyMerkleProof } = require('../lib/merkle');
+
+const ALICE = '0x00000000000000000000000000000000000A11cE';
+
+function leaves(n) {
+  return Array.from({ length: n }, (_, i) => batchLeaf({ content: `entry ${i}`, ts: i }));
+}
+
+test('a leaf hashes the entry with defaults filled in and keys in a fixed order', () => {
+  assert.deepStrictEqual(
+    Object.keys(batchEntry({ tags: ['a'], ts: 1, content: 'x', extra: true })),
+    ['content', 'contentType', 'ts', 'tags'],
+  );
+  assert.strictEqual(
+    batchLeaf({ content: 'x', ts: 1 }),
+    ethers.keccak256(ethers.toUtf8Bytes('{"content":"x","contentType":"text/plain","ts":1,"tags":[]}')),
+  );
+});
+
+test('empty and one-entry trees', () => {
+  assert.strictEqual(merkleRoot([]), ZERO_ROOT);
+  const [only] = leaves(1);
+  assert.strictEqual(merkleRoot([only]), only);
+  assert.deepStrictEqual(merkleProof([only], 0), []);
+  assert.ok(verifyMerkleProof({ leaf: only, index: 0, leafCount: 1, proof: [], root: only }));
+});
+
+test('every leaf of every tree size up to 9 proves against the root', () => {
+  for (let n = 1; n <= 9; n++) {
+    const all = leaves(n);
+    const root = merkleRoot(all);
+    for (let index = 0; index < n; index++) {
+      const proof = merkleProof(all, index);
+      assert.strictEqual(proof.length, Math.ceil(Math.log2(n)), `size ${n}`);
+      assert.ok(verifyMerkleProof({ leaf: all[index], index, leafCount: n, proof, root }), `leaf ${index} of ${n}`);
+    }
+  }
+});
+
+test('the odd last node of a level is paired with itself', () => {
+  const [a, b, c] = leaves(3);
+  const pair = (l, r) => ethers.keccak256(ethers.concat([l, r]));
+  assert.strictEqual(merkleRoot([a, b, c]), pair(pair(a, b), pair(c, c)));
+  assert.deepStrictEqual(merkleProof([a, b, c], 2), [c, pair(a, b)]);
+});
+
+test('a proof only fits the tree size it was made for', () => {
+  const [a, b, c] = leaves(3);
+  const root = merkleRoot([a, b, c]);
+  // [a, b, c] and [a, b, c, c] share a root; the duplicate is not entry 3 of 3
+  assert.strictEqual(merkleRoot([a, b, c, c]), root);
+  const fourth = merkleProof([a, b, c, c], 3);
+  assert.ok(verifyMerkleProof({ leaf: c, index: 3, leafCount: 4, proof: fourth, root }));
+  assert.strictEqual(verifyMerkleProof({ leaf: c, index: 3, leafCount: 3, proof: fourth, root }), false);
+
+  // Claiming a node is its own sibling only works for the last one on an odd level
+  const first = merkleProof([a, b, c], 0);
+  assert.strictEqual(verifyMerkleProof({ leaf: a, index: 0, leafCount: 3, proof: [a, first[1]], root }), false);
+
+  // Extra or missing levels
+  const proof = merkleProof([a, b, c], 1);
+  assert.strictEqual(verifyMerkleProof({ leaf: b, index: 1, leafCount: 3, proof: [...proof, ZERO_ROOT], root }), false);
+  assert.strictEqual(verifyMerkleProof({ leaf: b, index: 1, leafCount: 3, proof: proof.slice(1), root }), false);
+});
+
+test('tampered leaves, siblings and indexes are rejected', () => {
+  const all = leaves(5);
+  const root = merkleRoot(all);
+  const proof = merkleProof(all, 2);
+  const check = overrides => verifyMerkleProof({ leaf: all[2], index: 2, leafCount: 5, proof, root, ...overrides });
+
+  assert.ok(check({ leaf: all[2].toUpperCase().replace('0X', '0x') }));
+  assert.strictEqual(check({ leaf: all[3] }), false);
+  assert.strictEqual(check({ index: 3 }), false);
+  assert.strictEqual(check({ index: 5 }), false);
+  assert.strictEqual(check({ index: -1 }), false);
+  assert.strictEqual(check({ proof: [proof[0], 'not a hash', proof[2]] }), false);
+  assert.strictEqual(check({ proof: 'nope' }), false);
+  assert.throws(() => merkleProof(all, 5), /No leaf 5 in a tree of 5/);
+});
+
+test('a stored batch keeps each post with its own proof', () => {
+  const store = new SqliteStore(':memory:');
+  const entries = ['one', 'two', 'three'].map((content, i) => batchEntry({ content, ts: 100 + i }));
+  const batchLeaves = entries.map(batchLeaf);
+  const root = merkleRoot(batchLeaves);
+
+  const posts = store.insertBatch({
+    author: ALICE, merkleRoot: root, signature: '0xsig', signedAt: 99, nonce: 4, createdAt: 200,
+    posts: entries.map((entry, i) => ({
+      content: entry.content, author: ALICE, contentHash: batchLeaves[i], timestamp: entry.ts,
+      entry, leaf: batchLeaves[i], proof: merkleProof(batchLeaves, i),
+    })),
+  });
+
+  assert.deepStrictEqual(posts.map(p => p.content), ['one', 'two', 'three']);
+  const stored = store.getBatchProof(posts[2].id);
+  assert.deepStrictEqual([stored.merkleRoot, stored.size, stored.index, stored.entry], [root, 3, 2, entries[2]]);
+  assert.ok(verifyMerkleProof({ leaf: stored.leaf, index: stored.index, leafCount: stored.size, proof: stored.proof, root }));
+
+  const single = store.insertPost({ content: 'alone', author: ALICE, contentHash: ethers.id('alone'), timestamp: 1 });
+  assert.strictEqual(store.getBatchProof(single.id), null);
+});
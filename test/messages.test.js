@@ -0,0 +1,64 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { SqliteStore } = require('../indexer/store/sqlite');
+
+const ALICE = '0x00000000000000000000000000000000000A11cE';
+const BOB = '0x0000000000000000000000000000000000000B0B';
+const CAROL = '0x00000000000000000000000000000000000CA201';
+const DAVE = '0x0000000000000000000000000000000000000DAe';
+
+function message(store, from, to, timestamp) {
+  return store.insertMessage({
+    from, to, envelope: { v: 1, type: 'dm', ts: timestamp }, envelopeHash: `0x${timestamp.toString(16)}`,
+    source: 'api', timestamp,
+  });
+}
+
+// The cursor the server hands out for a conversation
+function after(conversation, dir = 'next') {
+  return { t: conversation.lastMessageAt, id: conversation.lastMessageId, dir };
+}
+
+function partners(page) {
+  return page.conversations.map(c => c.with);
+}
+
+test('conversations page by their last message without shifting', () => {
+  const store = new SqliteStore(':memory:');
+  message(store, ALICE, BOB, 100);
+  message(store, CAROL, ALICE, 200);
+  message(store, ALICE, DAVE, 300);
+  message(store, BOB, ALICE, 400);
+
+  const first = store.getConversations(ALICE, { limit: 2 });
+  assert.deepStrictEqual(partners(first), [BOB, DAVE].map(a => a.toLowerCase()));
+  assert.strictEqual(first.hasMore, true);
+  assert.deepStrictEqual(first.conversations[0], {
+    with: BOB.toLowerCase(), count: 2, lastMessageId: 4, lastMessageAt: 400,
+  });
+
+  // Carol writes again between pages: her conversation moves to the top
+  // instead of pushing Dave's onto the next page a second time
+  message(store, CAROL, ALICE, 500);
+  const second = store.getConversations(ALICE, { limit: 2, cursor: after(first.conversations[1]) });
+  assert.deepStrictEqual(partners(second), []);
+  assert.strictEqual(second.hasMore, false);
+
+  const newer = store.getConversations(ALICE, { limit: 10, cursor: after(first.conversations[0], 'prev') });
+  assert.deepStrictEqual(partners(newer), [CAROL.toLowerCase()]);
+  assert.strictEqual(newer.conversations[0].count, 2);
+});
+
+test('since and until bound the last message time', () => {
+  const store = new SqliteStore(':memory:');
+  message(store, ALICE, BOB, 100);
+  message(store, ALICE, CAROL, 200);
+  message(store, ALICE, DAVE, 300);
+
+  assert.deepStrictEqual(partners(store.getConversations(ALICE, { limit: 10, since: 150, until: 300 })),
+    [DAVE, CAROL].map(a => a.toLowerCase()));
+  // Bob's conversation is excluded by its last message, not its first
+  message(store, BOB, ALICE, 400);
+  assert.deepStrictEqual(partners(store.getConversations(ALICE, { limit: 10, until: 150 })), []);
+  assert.strictEqual(store.countConversations(ALICE), 3);
+});
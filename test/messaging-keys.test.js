@@ -0,0 +1,38 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { SqliteStore } = require('../indexer/store/sqlite');
+
+const ADDRESS = '0x00000000000000000000000000000000000000A1';
+const OLD_KEY = '0x' + '11'.repeat(32);
+const NEW_KEY = '0x' + '22'.repeat(32);
+
+function chainKey(publicKey, blockNumber) {
+  return { agentId: 7, publicKey, source: 'chain', blockNumber, updatedAt: blockNumber * 12000 };
+}
+
+test('rolling back a PublicKeySet restores the agent\'s previous chain key', () => {
+  const store = new SqliteStore(':memory:');
+  store.recordAgent(ADDRESS, 7);
+
+  store.setMessagingKey(chainKey(OLD_KEY, 100));
+  store.setMessagingKey(chainKey(NEW_KEY, 110));
+  assert.strictEqual(store.getMessagingKey(ADDRESS).publicKey, NEW_KEY);
+
+  store.rollbackChain(105);
+  assert.strictEqual(store.getMessagingKey(ADDRESS).publicKey, OLD_KEY);
+
+  // The follower's rescan sets it again, once
+  store.setMessagingKey(chainKey(NEW_KEY, 110));
+  store.setMessagingKey(chainKey(NEW_KEY, 110));
+  assert.strictEqual(store.getMessagingKey(ADDRESS).publicKey, NEW_KEY);
+  store.rollbackChain(105);
+  assert.strictEqual(store.getMessagingKey(ADDRESS).publicKey, OLD_KEY);
+});
+
+test('an API key still replaces the address\'s previous one', () => {
+  const store = new SqliteStore(':memory:');
+  store.setMessagingKey({ address: ADDRESS, publicKey: OLD_KEY, source: 'api', updatedAt: 1 });
+  store.setMessagingKey({ address: ADDRESS, publicKey: NEW_KEY, source: 'api', updatedAt: 2 });
+  assert.strictEqual(store.getMessagingKey(ADDRESS).publicKey, NEW_KEY);
+  assert.strictEqual(store.db.prepare('SELECT COUNT(*) AS n FROM messaging_keys').get().n, 1);
+});
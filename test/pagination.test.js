@@ -0,0 +1,156 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { once } = require('events');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { SqliteStore } = require('../indexer/store/sqlite');
+const { encodeCursor, decodeCursor, parsePageQuery } = require('../indexer/pagination');
+
+const ALICE = '0x00000000000000000000000000000000000A11cE';
+const BOB = '0x0000000000000000000000000000000000000B0B';
+
+async function freePort() {
+  const server = net.createServer().listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const { port } = server.address();
+  server.close();
+  return port;
+}
+
+// The indexer on dataDir's database, with the chain follower off
+async function startIndexer(dataDir) {
+  const port = await freePort();
+  const child = spawn(process.execPath, [path.join(__dirname, '../indexer/server.js')], {
+    env: { ...process.env, PORT: String(port), DATA_DIR: dataDir, CHAIN_FOLLOWER: 'false', MAINNET_RPCS: 'http://127.0.0.1:9' },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  let output = '';
+  await new Promise((resolve, reject) => {
+    const read = chunk => {
+      output += chunk;
+      if (output.includes('running on port')) resolve();
+    };
+    child.stdout.on('data', read);
+    child.stderr.on('data', read);
+    child.on('exit', code => reject(new Error(`Indexer exited with ${code}:\n${output}`)));
+  });
+  return {
+    get: async route => (await fetch(`http://127.0.0.1:${port}${route}`)).json(),
+    status: async route => (await fetch(`http://127.0.0.1:${port}${route}`)).status,
+    stop: () => {
+      child.kill();
+      return once(child, 'exit');
+    },
+  };
+}
+
+let dataDir;
+let store;
+let indexer;
+let clock = 0;
+
+// Each post gets the next timestamp unless given one
+function post(content, { author = ALICE, timestamp = ++clock } = {}) {
+  return store.insertPost({ content, author, contentHash: '0x00', timestamp });
+}
+
+before(async () => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'blobsocial-pages-'));
+  store = new SqliteStore(path.join(dataDir, 'blobsocial.db'));
+  indexer = await startIndexer(dataDir);
+});
+
+after(async () => {
+  await indexer.stop();
+  store.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('cursors reject anything they did not produce', () => {
+  const token = encodeCursor({ t: 5, id: 2, hw: 9 }, 'next');
+  assert.deepStrictEqual(decodeCursor(token), { t: 5, id: 2, hw: 9, dir: 'next' });
+
+  assert.strictEqual(decodeCursor('not a cursor'), null);
+  assert.strictEqual(decodeCursor(encodeCursor({ t: 5, id: 2.5, hw: 9 }, 'next')), null);
+  assert.strictEqual(decodeCursor(encodeCursor({ t: 5, id: 2, hw: 9 }, 'sideways')), null);
+  assert.strictEqual(decodeCursor(Buffer.from('null').toString('base64url')), null);
+
+  assert.deepStrictEqual(parsePageQuery({ cursor: 'x' }), { error: 'Invalid cursor' });
+  assert.match(parsePageQuery({ since: 'yesterday' }).error, /since\/until/);
+  assert.strictEqual(parsePageQuery({ limit: '5000' }).limit, 100);
+  assert.strictEqual(parsePageQuery({ limit: '0' }).limit, 50);
+});
+
+test('feed pages neither shift nor repeat while new posts arrive', async () => {
+  const existing = [post('a'), post('b'), post('c', { timestamp: clock }), post('d'), post('e')];
+
+  const seen = [];
+  let page = await indexer.get('/feed?limit=2');
+  const firstPrev = page.prev;
+  for (;;) {
+    seen.push(...page.posts.map(p => p.content));
+    post(`new while paging ${seen.length}`);
+    if (!page.next) break;
+    page = await indexer.get(`/feed?limit=2&cursor=${page.next}`);
+  }
+  assert.deepStrictEqual(seen, existing.map(p => p.content).reverse());
+
+  // Paging back from the first page finds exactly what arrived since
+  const newer = await indexer.get(`/feed?limit=10&cursor=${firstPrev}`);
+  assert.deepStrictEqual(newer.posts.map(p => p.content), [
+    'new while paging 5', 'new while paging 4', 'new while paging 2',
+  ]);
+  assert.ok(newer.next);
+});
+
+test('/feed/updates resumes from a cursor without gaps or duplicates', async () => {
+  const { prev } = await indexer.get('/feed?limit=1');
+
+  // Posted late but dated early: still an update, since it is newly accepted
+  const backdated = post('backdated', { timestamp: 1 });
+  post('fresh');
+  const updates = await indexer.get(`/feed/updates?after=${prev}&limit=1`);
+  assert.deepStrictEqual(updates.posts.map(p => p.id), [backdated.id]);
+  assert.strictEqual(updates.hasMore, true);
+
+  const rest = await indexer.get(`/feed/updates?after=${updates.cursor}`);
+  assert.deepStrictEqual(rest.posts.map(p => p.content), ['fresh']);
+  assert.strictEqual(rest.hasMore, false);
+
+  const idle = await indexer.get(`/feed/updates?after=${rest.cursor}`);
+  assert.deepStrictEqual(idle.posts, []);
+  assert.strictEqual(decodeCursor(idle.cursor).hw, decodeCursor(rest.cursor).hw);
+
+  assert.strictEqual(await indexer.status('/feed/updates'), 400);
+  assert.strictEqual(await indexer.status('/feed/updates?after=garbage'), 400);
+});
+
+test('/feed/updates leaves out deleted posts and reposts, as /feed does', async () => {
+  const { prev } = await indexer.get('/feed?limit=1');
+
+  const deleted = post('deleted soon');
+  const kept = post('kept');
+  store.deletePost(deleted.id, { deletedAt: Date.now() });
+  store.insertPost({ content: '', author: BOB, contentHash: '0x00', timestamp: ++clock, repostOf: kept.id });
+  post('after the repost');
+
+  const updates = await indexer.get(`/feed/updates?after=${prev}`);
+  const feed = await indexer.get(`/feed?cursor=${prev}`);
+  assert.deepStrictEqual(updates.posts.map(p => p.content), ['kept', 'after the repost']);
+  assert.deepStrictEqual(updates.posts.map(p => p.id), feed.posts.map(p => p.id).reverse());
+});
+
+test('since and until bound a page by timestamp, inclusively', async () => {
+  const base = clock + 1000;
+  for (let i = 0; i < 5; i++) post(`window ${i}`, { author: BOB, timestamp: base + i });
+
+  const page = await indexer.get(`/agent/${BOB.toLowerCase()}/posts?since=${base + 1}&until=${base + 3}`);
+  assert.deepStrictEqual(page.posts.map(p => p.content), ['window 3', 'window 2', 'window 1']);
+  assert.strictEqual(page.next, null);
+
+  assert.strictEqual(await indexer.status(`/feed?since=soon`), 400);
+  assert.strictEqual(await indexer.status('/agent/not-an-address/posts'), 400);
+});
@@ -0,0 +1,81 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+const { loadBlobUtils } = require('../lib/load-blob-utils');
+
+let blobUtils;
+before(async () => {
+  blobUtils = await loadBlobUtils();
+});
+
+const GWEI = 1_000_000_000n;
+const FEES = {
+  baseFeePerGas: 10n * GWEI,
+  maxPriorityFeePerGas: 1n * GWEI,
+  maxFeePerGas: 25n * GWEI,
+  blobBaseFee: 1n,
+  maxFeePerBlobGas: 2n,
+};
+
+// Random text compresses badly, so its size on the wire tracks its length
+function noise(length) {
+  let seed = 42;
+  return Array.from({ length }, () => {
+    seed = (seed * 1103515245 + 12345) % 2 ** 31;
+    return String.fromCharCode(33 + (seed % 94));
+  }).join('');
+}
+
+test('calldata gas is the EIP-7623 floor for zero and non-zero bytes', () => {
+  const { calldataGas } = blobUtils;
+  assert.strictEqual(calldataGas('0x'), 21000n);
+  // A zero byte is one token, any other byte four; the floor is 10 gas a token
+  assert.strictEqual(calldataGas('0x00'), 21010n);
+  assert.strictEqual(calldataGas('0x01'), 21040n);
+  assert.strictEqual(calldataGas('0x0000ff'), 21000n + (2n + 4n) * 10n);
+});
+
+test('a small post is cheaper as calldata when blob gas is expensive', () => {
+  const { envelopeToCalldata, estimatePostCost } = blobUtils;
+  const { data } = envelopeToCalldata({ v: 1, type: 'post', content: 'short' }, { compression: 'none' });
+  const cost = estimatePostCost({ blobsPerTx: [1], calldata: data }, { ...FEES, blobBaseFee: 50n * GWEI });
+
+  assert.strictEqual(cost.cheapest, 'calldata');
+  assert.deepStrictEqual([cost.calldata.transactions, cost.calldata.blobGas], [1, 0n]);
+  assert.strictEqual(cost.blob.blobGas, 131072n);
+  assert.strictEqual(cost.blob.expected, 21000n * 11n * GWEI + 131072n * 50n * GWEI);
+});
+
+test('blobs win when blob gas is cheap, and the fee caps bound the worst case', () => {
+  const { envelopeToCalldata, estimatePostCost } = blobUtils;
+  const { data } = envelopeToCalldata({ v: 1, type: 'post', content: noise(20000) }, { compression: 'none' });
+  const cost = estimatePostCost({ blobsPerTx: [6, 1], calldata: data }, FEES);
+
+  assert.strictEqual(cost.cheapest, 'blob');
+  assert.deepStrictEqual([cost.blob.transactions, cost.blob.executionGas, cost.blob.blobGas], [2, 42000n, 7n * 131072n]);
+  assert.strictEqual(cost.blob.max, 42000n * 25n * GWEI + 7n * 131072n * 2n);
+  assert.ok(cost.calldata.max > cost.calldata.expected);
+});
+
+test('a payload too big for calldata can only go as blobs', () => {
+  const { envelopeToCalldata, estimatePostCost } = blobUtils;
+  const big = { v: 1, type: 'post', content: noise(130000) };
+  assert.throws(() => envelopeToCalldata(big, { compression: 'none' }), /the limit is 122880/);
+
+  const cost = estimatePostCost({ blobsPerTx: [2], calldata: null }, FEES);
+  assert.deepStrictEqual([cost.calldata, cost.cheapest], [null, 'blob']);
+});
+
+test('calldata holds one frame that decodes like a blob', () => {
+  const { envelopeToCalldata, decodeBlobData } = blobUtils;
+  const envelope = { v: 1, type: 'post', content: 'compress me '.repeat(200), tags: ['x'] };
+
+  const plain = envelopeToCalldata(envelope, { compression: 'none' });
+  const packed = envelopeToCalldata(envelope);
+  assert.strictEqual(plain.compression, 'none');
+  assert.notStrictEqual(packed.compression, 'none');
+  assert.ok(packed.data.length < plain.data.length);
+  assert.strictEqual(packed.payloadId, envelopeToCalldata(envelope, { compression: packed.compression }).payloadId);
+
+  assert.deepStrictEqual(decodeBlobData(plain.data), envelope);
+  assert.deepStrictEqual(decodeBlobData(packed.data), envelope);
+});
@@ -0,0 +1,116 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const { SqliteStore } = require('../indexer/store/sqlite');
+const { PROFILE_LIMITS, normalizeProfile, canonicalProfile } = require('../lib/profile');
+const { decodeRevisionCursor, revisionCursors } = require('../indexer/pagination');
+
+const ALICE = '0x00000000000000000000000000000000000A11cE';
+const AVATAR = `0x${'AB'.repeat(32)}`;
+
+function publish(store, doc, fields = {}) {
+  const document = canonicalProfile(normalizeProfile(doc));
+  return store.insertProfile({
+    address: ALICE, document, profileHash: ethers.id(document), source: 'api', createdAt: 1000, ...fields,
+  });
+}
+
+test('normalizeProfile keeps accepted fields, lowercases hashes and dedupes capabilities', () => {
+  assert.deepStrictEqual(normalizeProfile({ v: 1 }), { v: 1 });
+  assert.deepStrictEqual(
+    normalizeProfile({ v: 1, avatarHash: AVATAR, capabilities: ['post', 'dm', 'post'], links: { a2a: 'ipfs://card' } }),
+    { v: 1, avatarHash: AVATAR.toLowerCase(), capabilities: ['post', 'dm'], links: { a2a: 'ipfs://card' } },
+  );
+});
+
+test('normalizeProfile rejects documents outside the schema', () => {
+  const cases = [
+    [null, /must be a JSON object/],
+    [[{ v: 1 }], /must be a JSON object/],
+    [{ v: 2 }, /Unsupported profile version: 2/],
+    [{ v: 1, website: 'https://x' }, /Unknown profile field: website/],
+    [{ v: 1, name: '' }, /name must be a non-empty string/],
+    [{ v: 1, name: 'n'.repeat(PROFILE_LIMITS.name + 1) }, /at most 64 characters/],
+    [{ v: 1, avatarHash: '0x1234' }, /avatarHash must be/],
+    [{ v: 1, links: { Site: 'https://x' } }, /Link label "Site"/],
+    [{ v: 1, links: { site: 'javascript:alert(1)' } }, /must be an http\(s\), ipfs or ar URL/],
+    [{ v: 1, links: Object.fromEntries(Array.from({ length: 11 }, (_, i) => [`l${i}`, 'https://x'])) }, /At most 10 links/],
+    [{ v: 1, capabilities: 'post' }, /capabilities must be a list/],
+    [{ v: 1, capabilities: ['Post'] }, /Capability "Post"/],
+  ];
+  for (const [doc, error] of cases) {
+    assert.throws(() => normalizeProfile(doc), error, JSON.stringify(doc));
+  }
+});
+
+test('the canonical form, and so the profile hash, ignores key order', () => {
+  const a = canonicalProfile(normalizeProfile({ v: 1, name: 'A', links: { x: 'https://x', a: 'https://a' } }));
+  const b = canonicalProfile(normalizeProfile({ links: { a: 'https://a', x: 'https://x' }, name: 'A', v: 1 }));
+  assert.strictEqual(a, b);
+  assert.strictEqual(a, '{"links":{"a":"https://a","x":"https://x"},"name":"A","v":1}');
+});
+
+test('each update is a new revision, newest first in the history', () => {
+  const store = new SqliteStore(':memory:');
+  assert.strictEqual(store.getProfile(ALICE), null);
+
+  publish(store, { v: 1, name: 'first' }, { createdAt: 1000 });
+  publish(store, { v: 1, name: 'second' }, { address: ALICE.toLowerCase(), createdAt: 2000 });
+  const current = publish(store, { v: 1, name: 'third', bio: 'hi' }, { createdAt: 3000 });
+
+  assert.deepStrictEqual([current.revision, current.profile, current.updatedAt], [2, { bio: 'hi', name: 'third', v: 1 }, 3000]);
+  assert.strictEqual(store.getProfile(ALICE.toUpperCase().replace('0X', '0x')).revision, 2);
+  assert.strictEqual(store.countProfileRevisions(ALICE), 3);
+  assert.deepStrictEqual(store.getProfileHistory(ALICE, { limit: 5 }).revisions.map(p => p.profile.name), ['third', 'second', 'first']);
+});
+
+test('history pages by revision and holds still while the profile changes', () => {
+  const store = new SqliteStore(':memory:');
+  for (let i = 0; i < 5; i++) publish(store, { v: 1, name: `r${i}` }, { createdAt: 1000 + i });
+
+  const names = [];
+  let page = { limit: 2, cursor: null };
+  let firstPrev = null;
+  for (;;) {
+    const result = store.getProfileHistory(ALICE, page);
+    names.push(...result.revisions.map(p => p.profile.name));
+    const { next, prev } = revisionCursors(result, page);
+    firstPrev = firstPrev || prev;
+    publish(store, { v: 1, name: `while paging ${names.length}` });
+    if (!next) break;
+    page = { limit: 2, cursor: decodeRevisionCursor(next) };
+  }
+  assert.deepStrictEqual(names, ['r4', 'r3', 'r2', 'r1', 'r0']);
+
+  // Paging back from the first page finds the revisions published since
+  const newer = store.getProfileHistory(ALICE, { limit: 10, cursor: decodeRevisionCursor(firstPrev) });
+  assert.deepStrictEqual(newer.revisions.map(p => p.revision), [7, 6, 5]);
+  assert.ok(revisionCursors(newer, { cursor: decodeRevisionCursor(firstPrev) }).next);
+
+  assert.strictEqual(decodeRevisionCursor('garbage'), null);
+  assert.strictEqual(decodeRevisionCursor(Buffer.from('{"r":-1,"dir":"next"}').toString('base64url')), null);
+  assert.deepStrictEqual(store.getProfileHistory(ALICE, { limit: 10, since: 1003, until: 1004 }).revisions.map(p => p.revision), [4, 3]);
+});
+
+test('posts carry an author card from the current profile', () => {
+  const store = new SqliteStore(':memory:');
+  const { id } = store.insertPost({ content: 'hi', author: ALICE, contentHash: ethers.id('hi'), timestamp: 1 });
+  assert.deepStrictEqual(store.getPost(id).authorCard, { address: ALICE, agentId: null, name: null, avatarHash: null });
+
+  publish(store, { v: 1, name: 'Alice', avatarHash: AVATAR }, { agentId: 7 });
+  assert.deepStrictEqual(store.getFeed({ limit: 1 }).posts[0].authorCard,
+    { address: ALICE, agentId: 7, name: 'Alice', avatarHash: AVATAR.toLowerCase() });
+
+  // A later profile without an avatar clears it from the card
+  publish(store, { v: 1, name: 'Alice 2' }, { agentId: 7 });
+  assert.deepStrictEqual(store.getPost(id).authorCard, { address: ALICE, agentId: 7, name: 'Alice 2', avatarHash: null });
+});
+
+test('a reorg drops profile revisions from orphaned blocks', () => {
+  const store = new SqliteStore(':memory:');
+  publish(store, { v: 1, name: 'api' });
+  publish(store, { v: 1, name: 'blob' }, { source: 'blob', blobHash: '0xaa', blockNumber: 12 });
+
+  assert.strictEqual(store.rollbackChain(11).profiles, 1);
+  assert.strictEqual(store.getProfile(ALICE).profile.name, 'api');
+});
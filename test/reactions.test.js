@@ -0,0 +1,130 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const { SqliteStore } = require('../indexer/store/sqlite');
+const { REACT_TYPES, UNREACT_TYPES, buildDomain, reactionMessage, signReaction, recoverTypedDataSigner } = require('../lib/typed-data');
+
+const ALICE = '0x00000000000000000000000000000000000A11cE';
+const BOB = '0x0000000000000000000000000000000000000B0B';
+const CAROL = '0x0000000000000000000000000000000000000C4a';
+
+function seedPost(store) {
+  return store.insertPost({ content: 'react to me', author: ALICE, contentHash: ethers.id('react to me'), timestamp: 1000 });
+}
+
+test('reacting twice with the same kind counts once, whatever the address case', () => {
+  const store = new SqliteStore(':memory:');
+  const { id } = seedPost(store);
+
+  assert.strictEqual(store.addReaction(id, BOB, 'like', 2000), true);
+  assert.strictEqual(store.addReaction(id, BOB.toLowerCase(), 'like', 2100), false);
+  // Another kind by the same agent is a separate reaction
+  assert.strictEqual(store.addReaction(id, BOB, '🔥', 2200), true);
+  assert.strictEqual(store.addReaction(id, CAROL, 'like', 2300), true);
+
+  assert.deepStrictEqual(store.countReactions(id), { like: 2, '🔥': 1 });
+  assert.deepStrictEqual(store.getPost(id).reactions, { like: 2, '🔥': 1 });
+  assert.deepStrictEqual(store.getFeed({ limit: 10 }).posts[0].reactions, { like: 2, '🔥': 1 });
+});
+
+test('a retraction removes only that kind and reports whether anything was there', () => {
+  const store = new SqliteStore(':memory:');
+  const { id } = seedPost(store);
+  store.addReaction(id, BOB, 'like', 2000);
+  store.addReaction(id, BOB, '👀', 2100);
+
+  assert.strictEqual(store.removeReaction(id, BOB.toLowerCase(), 'like'), true);
+  assert.strictEqual(store.removeReaction(id, BOB, 'like'), false);
+  assert.strictEqual(store.removeReaction(id, CAROL, '👀'), false);
+  assert.deepStrictEqual(store.countReactions(id), { '👀': 1 });
+
+  // Reacting again after a retraction counts again
+  assert.strictEqual(store.addReaction(id, BOB, 'like', 2200), true);
+  assert.deepStrictEqual(store.countReactions(id), { like: 1, '👀': 1 });
+});
+
+test('a retraction takes back the author\'s notification of that reaction only', () => {
+  const store = new SqliteStore(':memory:');
+  const { id } = seedPost(store);
+  const inbox = () => store.getNotifications(ALICE, {}, { limit: 10 }).notifications.map(n => `${n.actor}:${n.reaction}`);
+  store.addReaction(id, BOB, 'like', 2000);
+  store.addReaction(id, BOB, '👀', 2100);
+  store.addReaction(id, CAROL, 'like', 2200);
+
+  store.removeReaction(id, BOB, 'like');
+  assert.deepStrictEqual(inbox(), [`${CAROL.toLowerCase()}:like`, `${BOB.toLowerCase()}:👀`]);
+
+  // Reacting again notifies again
+  store.addReaction(id, BOB, 'like', 2300);
+  assert.strictEqual(inbox()[0], `${BOB.toLowerCase()}:like`);
+});
+
+test('posts without reactions carry an empty map', () => {
+  const store = new SqliteStore(':memory:');
+  const { id } = seedPost(store);
+  assert.deepStrictEqual(store.getPost(id).reactions, {});
+  assert.deepStrictEqual(store.countReactions(id), {});
+});
+
+test('reacting agents come most recent first and can be filtered by kind', () => {
+  const store = new SqliteStore(':memory:');
+  const { id } = seedPost(store);
+  store.addReaction(id, BOB, 'like', 2000);
+  store.addReaction(id, CAROL, '🦞', 3000);
+  store.addReaction(id, ALICE, 'like', 4000);
+
+  const { reactions: all, hasMore } = store.getReactions(id, {}, { limit: 10 });
+  assert.deepStrictEqual(all.map(r => [r.address, r.kind, r.createdAt]), [
+    [ALICE.toLowerCase(), 'like', 4000],
+    [CAROL.toLowerCase(), '🦞', 3000],
+    [BOB.toLowerCase(), 'like', 2000],
+  ]);
+  assert.strictEqual(all[0].agentId, null);
+  assert.strictEqual(hasMore, false);
+
+  const likes = store.getReactions(id, { kind: 'like' }, { limit: 10 }).reactions;
+  assert.deepStrictEqual(likes.map(r => r.address), [ALICE.toLowerCase(), BOB.toLowerCase()]);
+  assert.deepStrictEqual(store.getReactions(id, { kind: '😂' }, { limit: 10 }).reactions, []);
+  assert.deepStrictEqual(store.getReactions(id, {}, { limit: 10, since: 2500, until: 3000 }).reactions.map(r => r.kind), ['🦞']);
+});
+
+test('reaction pages neither shift nor repeat while reactions arrive', () => {
+  const store = new SqliteStore(':memory:');
+  const { id } = seedPost(store);
+  const agent = n => `0x${n.toString(16).padStart(40, '0')}`;
+  // Same-millisecond reactions are told apart by id
+  for (let n = 1; n <= 5; n++) store.addReaction(id, agent(n), 'like', n <= 3 ? 1000 : 1000 + n);
+
+  const seen = [];
+  let cursor = null;
+  for (;;) {
+    const { reactions, hasMore } = store.getReactions(id, {}, { limit: 2, cursor });
+    seen.push(...reactions.map(r => r.address));
+    store.addReaction(id, agent(100 + seen.length), 'like', 9000 + seen.length);
+    if (!hasMore) break;
+    const last = reactions[reactions.length - 1];
+    cursor = { t: last.createdAt, id: last.id, dir: 'next' };
+  }
+  assert.deepStrictEqual(seen, [5, 4, 3, 2, 1].map(agent));
+
+  // Paging back from the first one finds what arrived since, in list order
+  const first = store.getReactions(id, {}, { limit: 1 }).reactions[0];
+  const newer = store.getReactions(id, {}, { limit: 10, cursor: { t: 1005, id: 5, dir: 'prev' } });
+  assert.deepStrictEqual(newer.reactions.map(r => r.address), [105, 104, 102].map(agent));
+  assert.strictEqual(newer.reactions[0].id, first.id);
+  assert.strictEqual(store.maxReactionId(), 8);
+});
+
+test('a signed reaction does not verify as a retraction', async () => {
+  const wallet = new ethers.Wallet(ethers.id('reactions test key'));
+  const domain = buildDomain({ chainId: 1, verifyingContract: '0x0000000000000000000000000000000000001234' });
+  const fields = { timestamp: 5000, nonce: 3 };
+  const message = reactionMessage(9, 'like', fields);
+
+  const react = await signReaction(wallet, domain, 9, 'like', fields);
+  assert.strictEqual(recoverTypedDataSigner(domain, REACT_TYPES, message, react), wallet.address);
+  assert.notStrictEqual(recoverTypedDataSigner(domain, UNREACT_TYPES, message, react), wallet.address);
+
+  const unreact = await signReaction(wallet, domain, 9, 'like', fields, { retract: true });
+  assert.strictEqual(recoverTypedDataSigner(domain, UNREACT_TYPES, message, unreact), wallet.address);
+});
@@ -0,0 +1,98 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { SqliteStore } = require('../indexer/store/sqlite');
+
+const ALICE = '0x00000000000000000000000000000000000A11cE';
+const BOB = '0x0000000000000000000000000000000000000B0B';
+
+// Inserts `content` by `author` at `timestamp`, replying to parentId if given
+function post(store, content, { author = ALICE, timestamp = 1000, parentId } = {}) {
+  return store.insertPost({ content, author, contentHash: `0x${Buffer.from(content).toString('hex')}`, timestamp, parentId });
+}
+
+test('replies to replies keep the thread root and count their depth', () => {
+  const store = new SqliteStore(':memory:');
+  const root = post(store, 'root');
+  const reply = post(store, 'reply', { author: BOB, parentId: root.id });
+  const nested = post(store, 'nested', { parentId: reply.id });
+
+  assert.deepStrictEqual([root.parentId, root.rootId, root.depth], [null, null, 0]);
+  assert.deepStrictEqual([reply.parentId, reply.rootId, reply.depth], [root.id, root.id, 1]);
+  assert.deepStrictEqual([nested.parentId, nested.rootId, nested.depth], [reply.id, root.id, 2]);
+
+  // Only direct replies count
+  assert.strictEqual(store.countReplies(root.id), 1);
+  assert.strictEqual(store.getPost(root.id).replyCount, 1);
+  assert.strictEqual(store.getPost(nested.id).replyCount, 0);
+});
+
+test('a reply to a missing post is refused without storing anything', () => {
+  const store = new SqliteStore(':memory:');
+  assert.throws(() => post(store, 'orphan', { parentId: 41 }), /Parent post 41 not found/);
+  assert.strictEqual(store.countPosts(), 0);
+});
+
+test('direct replies come oldest first whatever order they arrived in', () => {
+  const store = new SqliteStore(':memory:');
+  const root = post(store, 'root', { timestamp: 100 });
+  post(store, 'late', { parentId: root.id, timestamp: 300 });
+  post(store, 'early', { parentId: root.id, timestamp: 200 });
+  post(store, 'tie', { parentId: root.id, timestamp: 300 });
+
+  const page = store.getReplies(root.id, { limit: 2 });
+  assert.deepStrictEqual(page.posts.map(p => p.content), ['early', 'late']);
+  assert.strictEqual(page.hasMore, true);
+
+  const last = page.posts[1];
+  const rest = store.getReplies(root.id, { limit: 2, cursor: { t: last.timestamp, id: last.id, dir: 'next' } });
+  assert.deepStrictEqual(rest.posts.map(p => p.content), ['tie']);
+  assert.strictEqual(rest.hasMore, false);
+});
+
+test('thread posts stop at the depth and node limits, shallowest first', () => {
+  const store = new SqliteStore(':memory:');
+  const root = post(store, 'root');
+  let parent = root;
+  for (let depth = 1; depth <= 4; depth++) {
+    parent = post(store, `depth ${depth}`, { parentId: parent.id, timestamp: 1000 + depth });
+  }
+  post(store, 'second at depth 1', { parentId: root.id, timestamp: 2000 });
+
+  assert.deepStrictEqual(
+    store.getThreadPosts(root.id, { maxDepth: 2, limit: 50 }).map(p => p.content),
+    ['depth 1', 'second at depth 1', 'depth 2'],
+  );
+  assert.deepStrictEqual(
+    store.getThreadPosts(root.id, { maxDepth: 10, limit: 2 }).map(p => p.depth),
+    [1, 1],
+  );
+  // The root itself is not part of its thread posts
+  assert.ok(store.getThreadPosts(root.id, { maxDepth: 10, limit: 50 }).every(p => p.id !== root.id));
+});
+
+test('feed entries carry their reply counts', () => {
+  const store = new SqliteStore(':memory:');
+  const quiet = post(store, 'quiet', { timestamp: 1 });
+  const busy = post(store, 'busy', { timestamp: 2 });
+  post(store, 'one', { parentId: busy.id, timestamp: 3 });
+  post(store, 'two', { parentId: busy.id, timestamp: 4 });
+
+  const counts = Object.fromEntries(store.getFeed({ limit: 10 }).posts.map(p => [p.id, p.replyCount]));
+  assert.strictEqual(counts[quiet.id], 0);
+  assert.strictEqual(counts[busy.id], 2);
+});
+
+test('blob replies link to their parent by blob hash when it is known', () => {
+  const store = new SqliteStore(':memory:');
+  const blobPost = (blobHash, replyToBlob) => store.insertBlobPost({
+    content: `in ${blobHash}`, author: ALICE, agentId: 1, contentHash: blobHash, timestamp: 1,
+    txHash: '0x01', blockNumber: 1, blobHash, blobIndex: 0, replyToBlob,
+  });
+
+  const parent = blobPost('0xaa');
+  const linked = blobPost('0xbb', '0xaa');
+  const unknown = blobPost('0xcc', '0xdd');
+
+  assert.deepStrictEqual([linked.parentId, linked.rootId, linked.depth], [parent.id, parent.id, 1]);
+  assert.deepStrictEqual([unknown.parentId, unknown.depth], [null, 0]);
+});
@@ -0,0 +1,107 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { SqliteStore } = require('../indexer/store/sqlite');
+
+const ALICE = '0x00000000000000000000000000000000000A11cE';
+const BOB = '0x0000000000000000000000000000000000000B0B';
+const CAROL = '0x00000000000000000000000000000000000CA201';
+const DAVE = '0x0000000000000000000000000000000000000DAe';
+
+function post(store, content, author, timestamp, fields = {}) {
+  return store.insertPost({ content, author, contentHash: `0x${Buffer.from(`${author}${content}`).toString('hex')}`, timestamp, ...fields });
+}
+
+function repost(store, target, author, timestamp) {
+  return post(store, '', author, timestamp, { repostOf: target.id });
+}
+
+function home(store, address) {
+  return store.getHomeFeed(address, { limit: 20 }).posts.map(p => (p.kind === 'repost' ? `${p.author}>${p.embed.content}` : p.content));
+}
+
+test('reposts and quotes count on their target and embed it', () => {
+  const store = new SqliteStore(':memory:');
+  const original = post(store, 'original', ALICE, 100);
+  const shared = repost(store, original, BOB, 200);
+  const quote = post(store, 'quoting this', CAROL, 300, { quoteOf: original.id });
+
+  assert.deepStrictEqual([shared.kind, shared.repostOf, shared.quoteOf], ['repost', original.id, null]);
+  assert.deepStrictEqual([quote.kind, quote.quoteOf], ['quote', original.id]);
+  assert.strictEqual(shared.embed.content, 'original');
+  assert.strictEqual(quote.embed.id, original.id);
+  assert.strictEqual(store.getPost(original.id).embed, undefined);
+
+  const counted = store.getPost(original.id);
+  assert.deepStrictEqual([counted.repostCount, counted.quoteCount], [1, 1]);
+
+  // A deleted repost stops counting and no longer blocks reposting again
+  assert.strictEqual(store.findRepost(BOB.toLowerCase(), original.id), shared.id);
+  store.deletePost(shared.id, { deletedAt: 400 });
+  assert.strictEqual(store.getPost(original.id).repostCount, 0);
+  assert.strictEqual(store.findRepost(BOB, original.id), null);
+});
+
+test('the global feed and counts skip reposts but keep quotes', () => {
+  const store = new SqliteStore(':memory:');
+  const original = post(store, 'original', ALICE, 100);
+  repost(store, original, BOB, 200);
+  post(store, 'quote', CAROL, 300, { quoteOf: original.id });
+
+  assert.deepStrictEqual(store.getFeed({ limit: 10 }).posts.map(p => p.content), ['quote', 'original']);
+  assert.strictEqual(store.countPosts(), 2);
+  // The reposter's own page shows it
+  assert.deepStrictEqual(store.getPostsByAuthor(BOB, { limit: 10 }).posts.map(p => p.kind), ['repost']);
+});
+
+test('the home timeline shows each post once', () => {
+  const store = new SqliteStore(':memory:');
+  for (const followed of [BOB, CAROL]) {
+    store.setSignedFollow(ALICE, followed, 1);
+  }
+
+  const byStranger = post(store, 'by a stranger', DAVE, 100);
+  const byFollowed = post(store, 'by bob', BOB, 110);
+  // Two followed agents repost the same stranger's post; the earlier repost wins
+  repost(store, byStranger, CAROL, 200);
+  repost(store, byStranger, BOB, 300);
+  // Reposting a post the reader already sees from its author adds nothing
+  repost(store, byFollowed, CAROL, 400);
+
+  assert.deepStrictEqual(home(store, ALICE), [
+    `${CAROL}>by a stranger`,
+    'by bob',
+  ]);
+
+  // Without the earlier reposter, the later repost takes its place
+  store.removeSignedFollow(ALICE, CAROL);
+  assert.deepStrictEqual(home(store, ALICE), [`${BOB}>by a stranger`, 'by bob']);
+});
+
+test('reposts of a deleted post drop out of the home timeline', () => {
+  const store = new SqliteStore(':memory:');
+  store.setSignedFollow(ALICE, BOB, 1);
+  const target = post(store, 'soon gone', DAVE, 100);
+  repost(store, target, BOB, 200);
+  assert.deepStrictEqual(home(store, ALICE), [`${BOB}>soon gone`]);
+
+  store.deletePost(target.id, { deletedAt: 300 });
+  assert.deepStrictEqual(home(store, ALICE), []);
+  // The repost itself is still there, embedding the tombstone
+  const [kept] = store.getPostsByAuthor(BOB, { limit: 10 }).posts;
+  assert.strictEqual(kept.embed.deleted, true);
+});
+
+test('blob reposts find their target by blob hash', () => {
+  const store = new SqliteStore(':memory:');
+  const blobPost = (blobHash, fields) => store.insertBlobPost({
+    content: `in ${blobHash}`, author: ALICE, agentId: 1, contentHash: blobHash, timestamp: 1,
+    txHash: '0x01', blockNumber: 1, blobHash, blobIndex: 0, ...fields,
+  });
+
+  const target = blobPost('0xaa');
+  const linked = blobPost('0xbb', { kind: 'repost', refBlob: '0xaa' });
+  const dangling = blobPost('0xcc', { kind: 'quote', refBlob: '0xdd' });
+
+  assert.deepStrictEqual([linked.kind, linked.repostOf, linked.refBlob], ['repost', target.id, '0xaa']);
+  assert.deepStrictEqual([dangling.kind, dangling.quoteOf, dangling.embed], ['quote', null, null]);
+});
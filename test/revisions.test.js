@@ -0,0 +1,101 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const { SqliteStore } = require('../indexer/store/sqlite');
+const { parseSearchQuery, toMatchExpression } = require('../indexer/search');
+const {
+  EDIT_POST_TYPES, DELETE_POST_TYPES, buildDomain, contentHash, signEdit, signDelete, recoverTypedDataSigner,
+} = require('../lib/typed-data');
+
+const wallet = new ethers.Wallet(ethers.id('revisions test key'));
+const domain = buildDomain({ chainId: 1, verifyingContract: '0x0000000000000000000000000000000000001234' });
+
+function post(store, content, timestamp = 1000) {
+  return store.insertPost({ content, author: wallet.address, contentHash: contentHash(content), timestamp, nonce: 0 });
+}
+
+async function edit(store, id, content, { nonce, editedAt }) {
+  const fields = { timestamp: editedAt, nonce };
+  return store.editPost(id, {
+    content,
+    contentHash: contentHash(content),
+    signature: await signEdit(wallet, domain, id, content, fields),
+    signatureType: 'eip712',
+    signedAt: editedAt,
+    nonce,
+    editedAt,
+  });
+}
+
+test('an edit replaces the content, bumps the revision and re-indexes tags', async () => {
+  const store = new SqliteStore(':memory:');
+  const original = post(store, 'hello #first');
+  assert.deepStrictEqual([original.revision, original.edited], [0, false]);
+
+  const edited = await edit(store, original.id, 'hello #second', { nonce: 1, editedAt: 2000 });
+  assert.strictEqual(edited.id, original.id);
+  assert.strictEqual(edited.content, 'hello #second');
+  assert.strictEqual(edited.contentHash, contentHash('hello #second'));
+  assert.deepStrictEqual([edited.revision, edited.edited, edited.editedAt], [1, true, 2000]);
+  // Ordering keeps the original timestamp
+  assert.strictEqual(edited.timestamp, 1000);
+
+  assert.deepStrictEqual(store.getPostsByTag('first', { limit: 10 }).posts, []);
+  assert.deepStrictEqual(store.getPostsByTag('second', { limit: 10 }).posts.map(p => p.id), [original.id]);
+  assert.deepStrictEqual(store.getFeed({ limit: 10 }).posts.map(p => p.content), ['hello #second']);
+});
+
+test('revisions keep every signed version, oldest first', async () => {
+  const store = new SqliteStore(':memory:');
+  const { id } = post(store, 'v0');
+  await edit(store, id, 'v1', { nonce: 1, editedAt: 2000 });
+  await edit(store, id, 'v2', { nonce: 2, editedAt: 3000 });
+
+  const revisions = store.getRevisions(id);
+  assert.deepStrictEqual(
+    revisions.map(r => [r.revision, r.action, r.content, r.nonce, r.createdAt]),
+    [[0, 'post', 'v0', 0, 1000], [1, 'edit', 'v1', 1, 2000], [2, 'edit', 'v2', 2, 3000]],
+  );
+  assert.strictEqual(revisions[2].signatureType, 'eip712');
+  assert.deepStrictEqual(store.getRevisions(id + 1), []);
+});
+
+test('a delete leaves a tombstone with the id, author and last content hash', async () => {
+  const store = new SqliteStore(':memory:');
+  const root = post(store, 'root #gone', 1000);
+  const reply = store.insertPost({ content: 'reply', author: wallet.address, contentHash: contentHash('reply'), timestamp: 1100, parentId: root.id });
+  await edit(store, root.id, 'edited #gone', { nonce: 1, editedAt: 2000 });
+
+  const fields = { timestamp: 3000, nonce: 2 };
+  const signature = await signDelete(wallet, domain, root.id, fields);
+  const tombstone = store.deletePost(root.id, { signature, signatureType: 'eip712', signedAt: 3000, nonce: 2, deletedAt: 3000 });
+
+  assert.strictEqual(tombstone.id, root.id);
+  assert.strictEqual(tombstone.author, wallet.address);
+  assert.strictEqual(tombstone.contentHash, contentHash('edited #gone'));
+  assert.deepStrictEqual([tombstone.content, tombstone.deleted, tombstone.deletedAt, tombstone.revision], ['', true, 3000, 2]);
+
+  // Listings and search skip it; the reply still points at it
+  assert.deepStrictEqual(store.getFeed({ limit: 10 }).posts.map(p => p.id), [reply.id]);
+  assert.deepStrictEqual(store.getPostsByAuthor(wallet.address, { limit: 10 }).posts.map(p => p.id), [reply.id]);
+  assert.deepStrictEqual(store.getPostsByTag('gone', { limit: 10 }).posts, []);
+  assert.deepStrictEqual(store.searchPosts({ match: toMatchExpression(parseSearchQuery('edited')) }, { limit: 10 }).posts, []);
+  assert.strictEqual(store.countPosts(), 1);
+  assert.strictEqual(store.getReplies(root.id, { limit: 10 }).posts[0].parentId, root.id);
+
+  // Every revision's text is gone but its signature still verifies against
+  // the stored hash
+  const revisions = store.getRevisions(root.id);
+  assert.deepStrictEqual(revisions.map(r => [r.action, r.content]), [['post', ''], ['edit', ''], ['delete', '']]);
+  const [, edited, deleted] = revisions;
+  const editMessage = { postId: root.id, contentHash: edited.contentHash, timestamp: edited.signedAt, nonce: edited.nonce };
+  assert.strictEqual(recoverTypedDataSigner(domain, EDIT_POST_TYPES, editMessage, edited.signature), wallet.address);
+  const deleteMessage = { postId: root.id, timestamp: deleted.signedAt, nonce: deleted.nonce };
+  assert.strictEqual(recoverTypedDataSigner(domain, DELETE_POST_TYPES, deleteMessage, deleted.signature), wallet.address);
+});
+
+test('editing or deleting a missing post throws', () => {
+  const store = new SqliteStore(':memory:');
+  assert.throws(() => store.editPost(7, { content: 'x', contentHash: contentHash('x'), editedAt: 1 }), /Post 7 not found/);
+  assert.throws(() => store.deletePost(7, { deletedAt: 1 }), /Post 7 not found/);
+});
@@ -0,0 +1,103 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { SqliteStore } = require('../indexer/store/sqlite');
+const { extractTags, parseSearchQuery, toMatchExpression } = require('../indexer/search');
+
+const ALICE = '0x00000000000000000000000000000000000A11cE';
+const BOB = '0x0000000000000000000000000000000000000B0B';
+
+// What GET /search runs for q, by recency or by relevance
+function search(store, q, sort = 'recent') {
+  const parsed = parseSearchQuery(q);
+  const query = { match: toMatchExpression(parsed), tags: parsed.tags, authors: parsed.authors };
+  const { posts } = sort === 'recent'
+    ? store.searchPosts(query, { limit: 20 })
+    : store.rankPosts(query, { limit: 20 });
+  return posts.map(p => p.content);
+}
+
+function seed(store, posts) {
+  posts.forEach(([content, author = ALICE, tags], i) => {
+    store.insertPost({ content, author, contentHash: '0x00', timestamp: i + 1, tags });
+  });
+}
+
+test('hashtags start a word; URL fragments and entities are not tags', () => {
+  assert.deepStrictEqual(
+    extractTags('#Blobs and #blobs, see https://x.com/#anchor or it&#39;s #ＥＴＨ_2 (#dev)', ['#Base', 'bad tag', 'base']),
+    ['base', 'blobs', 'eth_2', 'dev'],
+  );
+  assert.deepStrictEqual(extractTags('#' + 'a'.repeat(65)), []);
+  assert.deepStrictEqual(extractTags(null, ['ok']), ['ok']);
+});
+
+test('queries split into words, phrases and operators', () => {
+  assert.deepStrictEqual(parseSearchQuery('blob* "exact  words" #Base from:0x0000000000000000000000000000000000000B0B'), {
+    terms: ['blob*'],
+    phrases: ['exact  words'],
+    tags: ['base'],
+    authors: [BOB.toLowerCase()],
+  });
+  // An unterminated quote runs to the end
+  assert.deepStrictEqual(parseSearchQuery('"open ended').phrases, ['open ended']);
+
+  assert.deepStrictEqual(parseSearchQuery('  "" !! '), { error: 'Query is empty' });
+  assert.match(parseSearchQuery('from:alice').error, /from: needs an Ethereum address/);
+  assert.match(parseSearchQuery('#no-dashes').error, /Invalid hashtag/);
+  assert.strictEqual(toMatchExpression(parseSearchQuery('#only')), null);
+});
+
+test('FTS syntax in a query is matched literally', () => {
+  const store = new SqliteStore(':memory:');
+  seed(store, [['cats AND dogs'], ['cats only'], ['content: near']]);
+
+  assert.strictEqual(toMatchExpression(parseSearchQuery('say "hi"')), '"say" "hi"');
+  assert.deepStrictEqual(search(store, 'cats AND dogs'), ['cats AND dogs']);
+  assert.deepStrictEqual(search(store, 'content: NEAR(x)'), []);
+  assert.deepStrictEqual(search(store, 'content:'), ['content: near']);
+});
+
+test('phrases keep word order; prefixes and diacritics widen a match', () => {
+  const store = new SqliteStore(':memory:');
+  seed(store, [['blob fees fell'], ['fees for a blob'], ['Blobscan is up'], ['café opens']]);
+
+  assert.deepStrictEqual(search(store, '"blob fees"'), ['blob fees fell']);
+  assert.deepStrictEqual(search(store, 'blob fees'), ['fees for a blob', 'blob fees fell']);
+  assert.deepStrictEqual(search(store, 'blob*'), ['Blobscan is up', 'fees for a blob', 'blob fees fell']);
+  assert.deepStrictEqual(search(store, 'cafe'), ['café opens']);
+});
+
+test('operators narrow a text match and also work on their own', () => {
+  const store = new SqliteStore(':memory:');
+  seed(store, [
+    ['gm #base', ALICE],
+    ['gm', BOB, ['Base']],
+    ['gm #l2', BOB],
+    ['gn #base', BOB],
+  ]);
+
+  assert.deepStrictEqual(search(store, 'gm #base'), ['gm', 'gm #base']);
+  assert.deepStrictEqual(search(store, `gm #base from:${BOB}`), ['gm']);
+  assert.deepStrictEqual(search(store, `#base from:${BOB} from:${ALICE.toLowerCase()}`), ['gn #base', 'gm', 'gm #base']);
+  assert.deepStrictEqual(search(store, '#base #l2'), []);
+  assert.strictEqual(store.countPostsByTag('base'), 3);
+});
+
+test('relevance ranks denser matches first; new posts are searchable at once', () => {
+  const store = new SqliteStore(':memory:');
+  seed(store, [
+    ['blobs blobs blobs'],
+    ['a long post that mentions blobs once among many other words about rollups and fees'],
+    ['nothing to see'],
+  ]);
+
+  assert.deepStrictEqual(search(store, 'blobs', 'relevance')[0], 'blobs blobs blobs');
+  assert.deepStrictEqual(search(store, 'blobs'), [
+    'a long post that mentions blobs once among many other words about rollups and fees',
+    'blobs blobs blobs',
+  ]);
+
+  store.insertPost({ content: 'fresh #blobs', author: BOB, contentHash: '0x00', timestamp: 99 });
+  assert.strictEqual(search(store, 'fresh')[0], 'fresh #blobs');
+  assert.deepStrictEqual(store.getPostsByTag('blobs', { limit: 5 }).posts.map(p => p.author), [BOB]);
+});
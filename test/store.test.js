@@ -0,0 +1,97 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStore } = require('../indexer/store');
+const { SqliteStore } = require('../indexer/store/sqlite');
+const { importJsonData } = require('../indexer/store/import-json');
+
+const ALICE = '0x00000000000000000000000000000000000A11cE';
+
+const dirs = [];
+after(() => dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+function tempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'blobsocial-store-'));
+  dirs.push(dir);
+  return dir;
+}
+
+function writeLegacyData(dir, posts, nonces) {
+  fs.writeFileSync(path.join(dir, 'posts.json'), JSON.stringify(posts));
+  fs.writeFileSync(path.join(dir, 'nonces.json'), JSON.stringify(nonces));
+}
+
+test('migrations run once per database file', () => {
+  const dir = tempDir();
+  const dbPath = path.join(dir, 'nested', 'blobsocial.db');
+
+  const first = createStore({ dbPath });
+  const versions = first.db.prepare('SELECT version FROM schema_migrations').all().length;
+  first.insertPost({ content: 'kept', author: ALICE, contentHash: '0x01', timestamp: 1 });
+  first.close();
+
+  const second = createStore({ backend: 'sqlite', dbPath });
+  assert.strictEqual(second.db.prepare('SELECT version FROM schema_migrations').all().length, versions);
+  assert.strictEqual(second.getPost(1).content, 'kept');
+  second.close();
+
+  assert.throws(() => createStore({ backend: 'postgres', dbPath }), /Unknown store backend: postgres/);
+});
+
+test('the JSON importer keeps ids and nonces and runs only once', () => {
+  const dir = tempDir();
+  writeLegacyData(dir, [
+    { id: 7, content: 'seventh', author: ALICE, agentId: 22583, contentHash: '0x07', timestamp: 700, verified: true, nonce: 3 },
+    { id: 2, content: 'second', author: ALICE.toLowerCase(), agentId: 22583, contentHash: '0x02', timestamp: 200, verified: true, nonce: 1 },
+  ], { [ALICE]: 3 });
+  const store = new SqliteStore(':memory:');
+
+  assert.deepStrictEqual(importJsonData(store, dir), { skipped: false, posts: 2, nonces: 1 });
+  assert.strictEqual(store.getPost(7).content, 'seventh');
+  assert.strictEqual(store.getPost(7).verified, true);
+  assert.strictEqual(store.getNonce(ALICE.toLowerCase()), 3);
+
+  // New posts continue after the highest imported id
+  assert.strictEqual(store.insertPost({ content: 'new', author: ALICE, contentHash: '0x08', timestamp: 800 }).id, 8);
+
+  // A second start finds the marker, even once the files have changed
+  writeLegacyData(dir, [{ id: 9, content: 'late', author: ALICE, contentHash: '0x09', timestamp: 900 }], {});
+  assert.deepStrictEqual(importJsonData(store, dir), { skipped: true });
+  assert.strictEqual(store.getPost(9), null);
+  assert.strictEqual(store.countPosts(), 3);
+});
+
+test('a failed import leaves nothing behind and is retried', () => {
+  const dir = tempDir();
+  writeLegacyData(dir, [
+    { id: 1, content: 'fine', author: ALICE, contentHash: '0x01', timestamp: 100 },
+    { id: 2, author: ALICE, contentHash: '0x02', timestamp: 200 },
+  ], { [ALICE]: 2 });
+  const store = new SqliteStore(':memory:');
+
+  assert.throws(() => importJsonData(store, dir), /NOT NULL/);
+  assert.strictEqual(store.countPosts(), 0);
+  assert.strictEqual(store.getNonce(ALICE), 0);
+
+  writeLegacyData(dir, [{ id: 1, content: 'fine', author: ALICE, contentHash: '0x01', timestamp: 100 }], { [ALICE]: 2 });
+  assert.strictEqual(importJsonData(store, dir).posts, 1);
+  assert.strictEqual(store.getNonce(ALICE), 2);
+});
+
+test('a data directory without JSON files imports nothing but is marked done', () => {
+  const store = new SqliteStore(':memory:');
+  assert.deepStrictEqual(importJsonData(store, tempDir()), { skipped: false, posts: 0, nonces: 0 });
+  assert.strictEqual(importJsonData(store, tempDir()).skipped, true);
+});
+
+test('author lookups ignore address case', () => {
+  const store = new SqliteStore(':memory:');
+  store.insertPost({ content: 'a', author: ALICE, contentHash: '0x01', timestamp: 1 });
+  store.insertPost({ content: 'b', author: ALICE.toLowerCase(), contentHash: '0x02', timestamp: 2 });
+  store.insertPost({ content: 'c', author: '0x00000000000000000000000000000000000B0b00', contentHash: '0x03', timestamp: 3 });
+
+  assert.deepStrictEqual(store.getPostsByAuthor(ALICE.toUpperCase().replace('0X', '0x'), { limit: 10 }).posts.map(p => p.content), ['b', 'a']);
+  assert.deepStrictEqual(store.getStats(), { totalPosts: 3, uniqueAgents: 2, oldestPost: 1, newestPost: 3 });
+});
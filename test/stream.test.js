@@ -0,0 +1,137 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { once } = require('events');
+const WebSocket = require('ws');
+const { SqliteStore } = require('../indexer/store/sqlite');
+const { StreamHub, WS_PATH } = require('../indexer/stream/hub');
+
+const ALICE = '0x00000000000000000000000000000000000A11cE';
+const BOB = '0x0000000000000000000000000000000000000B0B';
+const CAROL = '0x00000000000000000000000000000000000CA201';
+
+// A subscriber that records [event, id] pairs and reports `backlog` bytes buffered
+function subscriber(hub, query = '') {
+  const client = {
+    kind: 'sse',
+    filter: hub.parseFilter(new URLSearchParams(query)),
+    events: [],
+    backlog: 0,
+    closed: false,
+    send: (event, data, id) => client.events.push([event, id]),
+    ping: () => {},
+    buffered: () => client.backlog,
+    close: () => { client.closed = true; },
+  };
+  return client;
+}
+
+function post(store, content, author = ALICE) {
+  return store.insertPost({ content, author, contentHash: '0x00', timestamp: Date.now() });
+}
+
+test('filters match on author, tag or follow list, any of them', () => {
+  const store = new SqliteStore(':memory:');
+  const hub = new StreamHub(store);
+  store.setSignedFollow(CAROL, BOB, 1);
+
+  const byAuthor = subscriber(hub, `author=${ALICE.toLowerCase()},${CAROL}`);
+  const byTag = subscriber(hub, 'tag=Base&tag=l2');
+  const byFollows = subscriber(hub, `following=${CAROL}`);
+  const everything = subscriber(hub);
+  for (const client of [byAuthor, byTag, byFollows, everything]) hub.subscribe(client, null);
+
+  hub.publish(post(store, 'plain', ALICE));
+  hub.publish(post(store, 'about #base', BOB));
+  hub.publish(post(store, 'tagged #L2', CAROL));
+
+  const posts = client => client.events.filter(([event]) => event === 'post').map(([, id]) => id);
+  assert.deepStrictEqual(posts(byAuthor), [1, 3]);
+  assert.deepStrictEqual(posts(byTag), [2, 3]);
+  assert.deepStrictEqual(posts(byFollows), [2]);
+  assert.deepStrictEqual(posts(everything), [1, 2, 3]);
+
+  assert.match(hub.parseFilter(new URLSearchParams('author=0x1234')).error, /Invalid author address/);
+  assert.deepStrictEqual(hub.parseFilter(new URLSearchParams('tag=no-dash')), { error: 'Invalid tag' });
+  assert.ok(hub.parseFilter(new URLSearchParams('following=bob')).error);
+});
+
+test('a reconnect replays what it missed, then says where it is', () => {
+  const store = new SqliteStore(':memory:');
+  const hub = new StreamHub(store);
+  for (let i = 1; i <= 5; i++) post(store, `post ${i}`, i % 2 ? ALICE : BOB);
+
+  const client = subscriber(hub, `author=${BOB}`);
+  hub.subscribe(client, 1);
+  assert.deepStrictEqual(client.events, [['post', 2], ['post', 4], ['ready', 5]]);
+
+  // Fresh subscribers get the position too, and nothing older
+  const fresh = subscriber(hub);
+  hub.subscribe(fresh, null);
+  assert.deepStrictEqual(fresh.events, [['ready', 5]]);
+  assert.strictEqual(hub.status().subscribers, 2);
+});
+
+test('a client too far behind to replay is told to resync', () => {
+  const store = new SqliteStore(':memory:');
+  const hub = new StreamHub(store, { replayLimit: 200 });
+  for (let i = 0; i < 450; i++) post(store, `post ${i}`);
+
+  const client = subscriber(hub);
+  hub.subscribe(client, 0);
+  const posts = client.events.filter(([event]) => event === 'post');
+  assert.strictEqual(posts.length, 200);
+  assert.deepStrictEqual(client.events.slice(-2), [['resync', undefined], ['ready', 450]]);
+});
+
+test('a subscriber that stops reading is dropped, others keep receiving', () => {
+  const store = new SqliteStore(':memory:');
+  const hub = new StreamHub(store, { maxBuffer: 100 });
+  const slow = subscriber(hub);
+  const fast = subscriber(hub);
+  hub.subscribe(slow, null);
+  hub.subscribe(fast, null);
+
+  slow.backlog = 101;
+  hub.publish(post(store, 'one'));
+  hub.publish(post(store, 'two'));
+
+  assert.strictEqual(slow.closed, true);
+  assert.deepStrictEqual(slow.events, [['ready', 0]]);
+  assert.deepStrictEqual(fast.events.map(([, id]) => id), [0, 1, 2]);
+  assert.deepStrictEqual(hub.status(), { subscribers: 1, sse: 1, ws: 0, maxClients: 1000 });
+});
+
+test('WebSocket subscribers resume by lastEventId and are capped', async () => {
+  const store = new SqliteStore(':memory:');
+  const hub = new StreamHub(store, { maxClients: 1 });
+  const server = http.createServer();
+  server.on('upgrade', (req, socket, head) => hub.handleUpgrade(req, socket, head));
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const url = `ws://127.0.0.1:${server.address().port}`;
+
+  post(store, 'missed', BOB);
+  post(store, 'not for us', ALICE);
+
+  const ws = new WebSocket(`${url}${WS_PATH}?author=${BOB}&lastEventId=0`);
+  const messages = [];
+  ws.on('message', data => messages.push(JSON.parse(data)));
+  await once(ws, 'open');
+  hub.publish(post(store, 'live', BOB));
+  while (messages.length < 3) await once(ws, 'message');
+  assert.deepStrictEqual(messages.map(m => [m.type, m.id]), [['post', 1], ['ready', 2], ['post', 3]]);
+  assert.strictEqual(messages[2].data.content, 'live');
+
+  // Over maxClients, and on other paths, the upgrade is refused
+  const refused = new WebSocket(`${url}${WS_PATH}`);
+  const [, response] = await once(refused, 'unexpected-response');
+  assert.strictEqual(response.statusCode, 503);
+  const wrongPath = new WebSocket(`${url}/elsewhere`);
+  await once(wrongPath, 'error');
+
+  ws.close();
+  await once(ws, 'close');
+  hub.stop();
+  server.close();
+});
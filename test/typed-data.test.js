@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const { buildDomain, signPost, signQuotePost, POST_TYPES, postMessage, envelopeHash, recoverTypedDataSigner } =
+  require('../lib/typed-data');
+
+const domain = buildDomain({ chainId: 84532, verifyingContract: '0xfF526F405868BA7345E64Cc52Cd8E772b095A829' });
+const wallet = new ethers.Wallet('0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d');
+const fields = { timestamp: 1700000000000, nonce: 1 };
+
+test('a top-level post and a reply to post #0 sign different messages', async () => {
+  const topLevel = await signPost(wallet, domain, 'gm', fields);
+  const replyToZero = await signPost(wallet, domain, 'gm', { ...fields, parentId: 0 });
+  assert.notStrictEqual(topLevel, replyToZero);
+
+  assert.strictEqual(postMessage('gm', fields).isReply, false);
+  assert.strictEqual(postMessage('gm', { ...fields, parentId: 0 }).isReply, true);
+  assert.strictEqual(recoverTypedDataSigner(domain, POST_TYPES, postMessage('gm', fields), replyToZero) === wallet.address,
+    false);
+  assert.strictEqual(recoverTypedDataSigner(domain, POST_TYPES, postMessage('gm', fields), topLevel), wallet.address);
+});
+
+test('quote posts carry isReply too', async () => {
+  const topLevel = await signQuotePost(wallet, domain, 'look', { ...fields, quotedId: 3 });
+  const reply = await signQuotePost(wallet, domain, 'look', { ...fields, parentId: 0, quotedId: 3 });
+  assert.notStrictEqual(topLevel, reply);
+});
+
+test('a message envelope hashes the same in any key order', () => {
+  const envelope = { v: 1, type: 'message', agent: 7, ts: 1, data: { to: wallet.address, iv: '0x01' }, sig: '0xabc' };
+  const reordered = { sig: '0xabc', data: { iv: '0x01', to: wallet.address }, ts: 1, agent: 7, type: 'message', v: 1 };
+  assert.strictEqual(envelopeHash(reordered), envelopeHash(envelope));
+  assert.notStrictEqual(envelopeHash({ ...envelope, ts: 2 }), envelopeHash(envelope));
+});
+
+test('a salted domain keeps signatures to its own deployment', async () => {
+  const salt = ethers.id('indexer a');
+  const salted = buildDomain({ chainId: 84532, verifyingContract: domain.verifyingContract, salt });
+  const other = buildDomain({ chainId: 84532, verifyingContract: domain.verifyingContract, salt: ethers.id('indexer b') });
+  const message = postMessage('gm', fields);
+  const signature = await signPost(wallet, salted, 'gm', fields);
+
+  assert.strictEqual(recoverTypedDataSigner(salted, POST_TYPES, message, signature), wallet.address);
+  assert.notStrictEqual(recoverTypedDataSigner(other, POST_TYPES, message, signature), wallet.address);
+  assert.notStrictEqual(recoverTypedDataSigner(domain, POST_TYPES, message, signature), wallet.address);
+  assert.throws(() => buildDomain({ ...salted, salt: '0x1234' }), /32 bytes/);
+});